@@ -0,0 +1,104 @@
+/**
+ * Auth Middleware
+ * Requires a dashboard login token or an API key on every non-public route, sent as
+ * "Authorization: Bearer <token or key>" or as X-API-Key. The /api/events stream
+ * also takes ?access_token=, as EventSource can't send headers; no other route
+ * does, so tokens don't end up in URLs. Roles are checked per route.
+ */
+
+const authService = require('../services/authService');
+
+// The only route that takes its token from the query string
+const SSE_PATH = '/api/events';
+
+/**
+ * Get the token or API key sent with a request
+ */
+function getCredential(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+  const queryToken = req.method === 'GET' && req.baseUrl + req.path === SSE_PATH ? req.query.access_token : null;
+
+  return (bearer && bearer[1].trim()) || req.get('X-API-Key') || queryToken || null;
+}
+
+/**
+ * Require a valid login token or API key
+ * The user or key is available as req.auth. Runs before resolveTenant, so callers
+ * without credentials can't tell which tenants exist.
+ */
+async function authenticate(req, res, next) {
+  try {
+    const principal = await authService.authenticate(getCredential(req));
+
+    if (!principal) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    req.auth = principal;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate request'
+    });
+  }
+}
+
+/**
+ * Require at least a role, e.g. requireRole('admin')
+ * @param {string} role - viewer | moderator | admin
+ * @returns {function} Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth || !authService.hasRole(req.auth.role, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Requires the ${role} role`
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require a role for reading and another for changing, by request method
+ * @param {object} roles - { read = 'viewer', write = 'moderator' }
+ * @returns {function} Express middleware
+ */
+function requireRoles({ read = 'viewer', write = 'moderator' } = {}) {
+  const requireRead = requireRole(read);
+  const requireWrite = requireRole(write);
+
+  return (req, res, next) => {
+    const isRead = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+    return isRead ? requireRead(req, res, next) : requireWrite(req, res, next);
+  };
+}
+
+/**
+ * Require a user or key that is not limited to one tenant, for server-wide settings
+ */
+function requireAllTenants(req, res, next) {
+  if (!req.auth || req.auth.tenantKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'Requires access to every tenant'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  requireRoles,
+  requireAllTenants
+};
@@ -0,0 +1,43 @@
+/**
+ * Rate Limit Middleware
+ * Limits how often a client IP can call the public and login routes
+ */
+
+/**
+ * Create middleware responding with 429 once a client IP made too many requests
+ * (req.ip, read from X-Forwarded-For only for the proxies set by trust proxy in server.js)
+ * @param {object} options - { limit, windowMs, error }
+ * @returns {function} Express middleware
+ */
+function createRateLimit({ limit, windowMs, error }) {
+  const recentRequests = new Map(); // ip -> request times within the window
+
+  return (req, res, next) => {
+    const ip = req.ip;
+    const windowStart = Date.now() - windowMs;
+    const requests = (recentRequests.get(ip) || []).filter(requestedAt => requestedAt > windowStart);
+
+    if (requests.length >= limit) {
+      recentRequests.set(ip, requests);
+      return res.status(429).json({
+        success: false,
+        error
+      });
+    }
+
+    recentRequests.set(ip, [...requests, Date.now()]);
+
+    // Forget clients whose requests all left the window
+    for (const [key, times] of recentRequests) {
+      if (times[times.length - 1] <= windowStart) {
+        recentRequests.delete(key);
+      }
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimit
+};
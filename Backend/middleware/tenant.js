@@ -0,0 +1,51 @@
+/**
+ * Tenant Middleware
+ * Runs an API request for the tenant named by the X-Tenant-Key header, or by the
+ * ?tenant= query parameter for EventSource connections, which can't send headers.
+ * Requests naming no tenant belong to the default tenant. Behind authenticate, users
+ * and keys limited to one tenant run for that tenant and get a 403 for any other.
+ */
+
+const tenantService = require('../services/tenantService');
+const tenantContext = require('../utils/tenantContext');
+
+/**
+ * Resolve the tenant of a request and scope everything it does to that tenant
+ * The tenant is available as req.tenant
+ */
+async function resolveTenant(req, res, next) {
+  const requestedKey = req.get('X-Tenant-Key') || req.query.tenant;
+  const boundKey = req.auth && req.auth.tenantKey;
+
+  if (boundKey && requestedKey && requestedKey !== boundKey) {
+    return res.status(403).json({
+      success: false,
+      error: `Not allowed for tenant "${requestedKey}"`
+    });
+  }
+
+  try {
+    const key = boundKey || requestedKey;
+    const tenant = await tenantService.getTenant(key);
+
+    if (!tenant) {
+      return res.status(boundKey ? 403 : 404).json({
+        success: false,
+        error: boundKey ? `Not allowed for tenant "${key}"` : `Tenant "${key}" not found`
+      });
+    }
+
+    req.tenant = tenant;
+    tenantContext.run(tenant.key, next);
+  } catch (error) {
+    console.error('Error resolving tenant:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve tenant'
+    });
+  }
+}
+
+module.exports = {
+  resolveTenant
+};
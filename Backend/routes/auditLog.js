@@ -0,0 +1,75 @@
+/**
+ * Audit Log API Routes
+ * Who deleted, changed or sent what, for the request's tenant
+ */
+
+const express = require('express');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+/**
+ * Parse an optional date query parameter
+ * @param {boolean} endOfDay - Move a plain date (2026-01-31) to the next midnight, so until includes that day
+ * @returns {Date|undefined|null} Date, undefined when not given, or null when invalid
+ */
+function parseDate(value, endOfDay = false) {
+  if (!value) {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+// Get audit entries, newest first
+// Filters: ?action=feedback.delete (or "feedback." for every feedback action), ?actor= (part of
+// an email, API key name or phone number), ?actorType=, ?targetType=, ?targetId=, ?since=, ?until=
+router.get('/', async (req, res) => {
+  try {
+    const { action, actor, actorType, actorId, targetType, targetId, limit = 100, offset = 0 } = req.query;
+    const since = parseDate(req.query.since);
+    const until = parseDate(req.query.until, true);
+
+    if (since === null || until === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'since and until must be dates, e.g. 2026-01-31 or an ISO timestamp'
+      });
+    }
+
+    const entries = await auditService.getAuditLog({
+      action,
+      actor,
+      actorType,
+      actorId,
+      targetType,
+      targetId,
+      since,
+      until,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve audit log'
+    });
+  }
+});
+
+module.exports = router;
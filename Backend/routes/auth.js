@@ -0,0 +1,344 @@
+/**
+ * Auth API Routes
+ * Log in to the admin dashboard, and manage dashboard users and API keys.
+ * Only POST /login works without a token.
+ */
+
+const express = require('express');
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+const { authenticate, requireRole, requireAllTenants } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { createRateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Login attempts per IP and 15 minutes
+const limitLogins = createRateLimit({
+  limit: 10,
+  windowMs: 15 * 60 * 1000,
+  error: 'Too many login attempts, please try again later'
+});
+
+/**
+ * Pick the user fields from a request body
+ */
+function pickUserData(body) {
+  const { email, name, password, role, tenantKey, isActive } = body || {};
+
+  return Object.fromEntries(
+    Object.entries({ email, name, password, role, tenantKey, isActive })
+      .filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Respond with 409 when an email is taken
+ * @returns {boolean} True if the response was sent
+ */
+function sendDuplicateError(res, error) {
+  if (error.code !== 'P2002') {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    error: 'A user with this email already exists'
+  });
+  return true;
+}
+
+// Log in { email, password } -> { token, expiresAt, user }
+router.post('/login', limitLogins, async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const session = await authService.login(email, password);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in'
+    });
+  }
+});
+
+router.use(authenticate, resolveTenant);
+
+// Get the logged in user or API key
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    data: req.auth
+  });
+});
+
+// Managing users and keys could grant access to any tenant
+router.use(requireRole('admin'), requireAllTenants);
+
+// Get all dashboard users
+router.get('/users', async (req, res) => {
+  try {
+    const users = await authService.listUsers();
+
+    res.json({
+      success: true,
+      data: users,
+      count: users.length
+    });
+  } catch (error) {
+    console.error('Error getting users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve users'
+    });
+  }
+});
+
+// Create dashboard user { email, name, password, role, tenantKey }
+router.post('/users', async (req, res) => {
+  try {
+    const userData = pickUserData(req.body);
+    const errors = authService.validateUser(userData);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user',
+        details: errors
+      });
+    }
+
+    const user = await authService.createUser(userData);
+
+    await auditService.record(auditService.getRequestActor(req), 'user.create', {
+      targetType: 'user',
+      targetId: user.id,
+      after: user
+    });
+
+    res.status(201).json({
+      success: true,
+      data: user,
+      message: `User ${user.email} created`
+    });
+  } catch (error) {
+    if (sendDuplicateError(res, error)) {
+      return;
+    }
+
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create user'
+    });
+  }
+});
+
+// Update dashboard user (only the fields given are changed, e.g. { password } or { isActive: false })
+router.put('/users/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const updates = pickUserData(req.body);
+    const errors = authService.validateUser(updates, true);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user',
+        details: errors
+      });
+    }
+
+    const isSelf = req.auth.type === 'user' && req.auth.id === id;
+    const removesAdminAccess = (updates.role !== undefined && updates.role !== 'admin') ||
+      updates.isActive === false || (updates.tenantKey !== undefined && updates.tenantKey !== null);
+
+    if (isSelf && removesAdminAccess) {
+      return res.status(400).json({
+        success: false,
+        error: 'You can\'t remove your own admin access'
+      });
+    }
+
+    const existing = await authService.getUser(id);
+    const user = await authService.updateUser(id, updates);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Passwords never go into the audit log, only the fact that one was set
+    await auditService.record(auditService.getRequestActor(req), 'user.update', {
+      targetType: 'user',
+      targetId: user.id,
+      before: existing,
+      after: { ...user, ...(updates.password !== undefined ? { passwordChanged: true } : {}) }
+    });
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'User updated successfully'
+    });
+  } catch (error) {
+    if (sendDuplicateError(res, error)) {
+      return;
+    }
+
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user'
+    });
+  }
+});
+
+// Delete dashboard user
+router.delete('/users/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (req.auth.type === 'user' && req.auth.id === id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You can\'t delete your own user'
+      });
+    }
+
+    const existing = await authService.getUser(id);
+    const deleted = await authService.deleteUser(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await auditService.record(auditService.getRequestActor(req), 'user.delete', {
+      targetType: 'user',
+      targetId: id,
+      before: existing
+    });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete user'
+    });
+  }
+});
+
+// Get all API keys (the keys themselves are only returned when created)
+router.get('/api-keys', async (req, res) => {
+  try {
+    const apiKeys = await authService.listApiKeys();
+
+    res.json({
+      success: true,
+      data: apiKeys,
+      count: apiKeys.length
+    });
+  } catch (error) {
+    console.error('Error getting API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve API keys'
+    });
+  }
+});
+
+// Create API key { name, role, tenantKey } -> the key, shown only once
+router.post('/api-keys', async (req, res) => {
+  try {
+    const { name, role, tenantKey } = req.body || {};
+    const errors = authService.validateApiKey({ name, role, tenantKey });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key',
+        details: errors
+      });
+    }
+
+    const { apiKey, key } = await authService.createApiKey({
+      name: name.trim(),
+      role,
+      tenantKey,
+      createdBy: req.auth.type === 'user' ? req.auth.id : null
+    });
+
+    await auditService.record(auditService.getRequestActor(req), 'api_key.create', {
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      after: apiKey
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...apiKey, key },
+      message: 'API key created, store it now as it is not shown again'
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+// Revoke API key
+router.delete('/api-keys/:id', async (req, res) => {
+  try {
+    const apiKey = await authService.revokeApiKey(parseInt(req.params.id));
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    await auditService.record(auditService.getRequestActor(req), 'api_key.revoke', {
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      after: apiKey
+    });
+
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
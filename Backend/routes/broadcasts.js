@@ -0,0 +1,303 @@
+/**
+ * Broadcast API Routes
+ * Send an approved template to an imported contact list and follow how many
+ * recipients received, read, started and completed the feedback conversation
+ */
+
+const express = require('express');
+const prismaService = require('../services/prismaService');
+const broadcastService = require('../services/broadcastService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+// Contact lists can be uploaded as raw CSV (Content-Type: text/csv)
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' });
+
+// Status changes: route action -> service method and the message returned on success
+const ACTIONS = {
+  pause: { method: 'pauseBroadcast', message: 'Broadcast paused' },
+  resume: { method: 'resumeBroadcast', message: 'Broadcast resumed' },
+  cancel: { method: 'cancelBroadcast', message: 'Broadcast cancelled' }
+};
+
+/**
+ * Load the broadcast of the :id parameter, responding with 404 when it does not exist
+ * @returns {object|null} Broadcast record, or null when the response was sent
+ */
+async function findBroadcast(req, res) {
+  const broadcast = await prismaService.getBroadcast(parseInt(req.params.id));
+
+  if (!broadcast) {
+    res.status(404).json({
+      success: false,
+      error: 'Broadcast not found'
+    });
+    return null;
+  }
+
+  return broadcast;
+}
+
+/**
+ * Respond with 409 when a broadcast is not in a status the action applies to
+ */
+function sendInvalidStatus(res, broadcast, action) {
+  res.status(409).json({
+    success: false,
+    error: `Cannot ${action} a broadcast that is ${broadcast.status}`
+  });
+}
+
+// Get broadcasts (?status, limit, offset)
+router.get('/', async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    const broadcasts = await prismaService.getBroadcasts({ status, limit, offset });
+
+    res.json({
+      success: true,
+      data: broadcasts,
+      count: broadcasts.length
+    });
+  } catch (error) {
+    console.error('Error getting broadcasts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve broadcasts'
+    });
+  }
+});
+
+// Get a broadcast with its delivery and conversion funnel
+router.get('/:id', async (req, res) => {
+  try {
+    const broadcast = await broadcastService.getBroadcastWithStats(parseInt(req.params.id));
+
+    if (!broadcast) {
+      return res.status(404).json({
+        success: false,
+        error: 'Broadcast not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: broadcast
+    });
+  } catch (error) {
+    console.error('Error getting broadcast:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve broadcast'
+    });
+  }
+});
+
+// Create a draft broadcast
+router.post('/', async (req, res) => {
+  try {
+    const broadcast = await broadcastService.createBroadcast(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: broadcast,
+      message: 'Broadcast created - import recipients, then start it'
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid broadcast',
+        details: error.validationErrors
+      });
+    }
+
+    console.error('Error creating broadcast:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create broadcast'
+    });
+  }
+});
+
+// Delete a broadcast that is not being sent
+router.delete('/:id', async (req, res) => {
+  try {
+    const broadcast = await findBroadcast(req, res);
+    if (!broadcast) {
+      return;
+    }
+
+    if (['scheduled', 'sending'].includes(broadcast.status)) {
+      return sendInvalidStatus(res, broadcast, 'delete');
+    }
+
+    await prismaService.deleteBroadcast(broadcast.id);
+
+    await auditService.record(auditService.getRequestActor(req), 'broadcast.delete', {
+      targetType: 'broadcast',
+      targetId: broadcast.id,
+      before: broadcast
+    });
+
+    res.json({
+      success: true,
+      message: 'Broadcast deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting broadcast:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete broadcast'
+    });
+  }
+});
+
+// Import recipients: a CSV body (text/csv), { csv } or { recipients: [{ phone, name, ... }] }
+// CSV columns other than phone and name can be used as "{{column}}" in the template parameters
+router.post('/:id/recipients', csvBody, async (req, res) => {
+  try {
+    const broadcast = await findBroadcast(req, res);
+    if (!broadcast) {
+      return;
+    }
+
+    if (['completed', 'cancelled'].includes(broadcast.status)) {
+      return sendInvalidStatus(res, broadcast, 'add recipients to');
+    }
+
+    const source = typeof req.body === 'string' ? { csv: req.body } : req.body || {};
+
+    if (source.csv === undefined && !Array.isArray(source.recipients)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send a CSV body, csv or a recipients array'
+      });
+    }
+
+    const result = await broadcastService.importRecipients(broadcast.id, source);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Imported ${result.added} recipients`
+    });
+  } catch (error) {
+    console.error('Error importing broadcast recipients:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import recipients'
+    });
+  }
+});
+
+// Get the recipients of a broadcast with their delivery state (?status, limit, offset)
+router.get('/:id/recipients', async (req, res) => {
+  try {
+    const broadcast = await findBroadcast(req, res);
+    if (!broadcast) {
+      return;
+    }
+
+    const { status, limit = 100, offset = 0 } = req.query;
+    const recipients = await prismaService.getBroadcastRecipients(broadcast.id, { status, limit, offset });
+
+    res.json({
+      success: true,
+      data: recipients,
+      count: recipients.length
+    });
+  } catch (error) {
+    console.error('Error getting broadcast recipients:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve broadcast recipients'
+    });
+  }
+});
+
+// Start sending a draft broadcast now, or at { scheduledAt }
+router.post('/:id/start', async (req, res) => {
+  try {
+    const broadcast = await findBroadcast(req, res);
+    if (!broadcast) {
+      return;
+    }
+
+    const { scheduledAt } = req.body || {};
+    const startAt = scheduledAt ? new Date(scheduledAt) : null;
+
+    if (startAt && isNaN(startAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'scheduledAt must be a valid date'
+      });
+    }
+
+    if (!await broadcastService.startBroadcast(broadcast.id, startAt)) {
+      return sendInvalidStatus(res, broadcast, 'start');
+    }
+
+    const startedBroadcast = await prismaService.getBroadcast(broadcast.id);
+
+    await auditService.record(auditService.getRequestActor(req), 'broadcast.start', {
+      targetType: 'broadcast',
+      targetId: broadcast.id,
+      before: broadcast,
+      after: startedBroadcast
+    });
+
+    res.json({
+      success: true,
+      data: startedBroadcast,
+      message: startAt && startAt > new Date() ? 'Broadcast scheduled' : 'Broadcast started'
+    });
+  } catch (error) {
+    console.error('Error starting broadcast:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start broadcast'
+    });
+  }
+});
+
+// Pause, resume or cancel a broadcast
+router.post('/:id/:action(pause|resume|cancel)', async (req, res) => {
+  const { method, message } = ACTIONS[req.params.action];
+
+  try {
+    const broadcast = await findBroadcast(req, res);
+    if (!broadcast) {
+      return;
+    }
+
+    if (!await broadcastService[method](broadcast.id)) {
+      return sendInvalidStatus(res, broadcast, req.params.action);
+    }
+
+    const updatedBroadcast = await prismaService.getBroadcast(broadcast.id);
+
+    await auditService.record(auditService.getRequestActor(req), `broadcast.${req.params.action}`, {
+      targetType: 'broadcast',
+      targetId: broadcast.id,
+      before: broadcast,
+      after: updatedBroadcast
+    });
+
+    res.json({
+      success: true,
+      data: updatedBroadcast,
+      message
+    });
+  } catch (error) {
+    console.error(`Error trying to ${req.params.action} broadcast:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${req.params.action} broadcast`
+    });
+  }
+});
+
+module.exports = router;
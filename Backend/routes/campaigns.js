@@ -0,0 +1,216 @@
+/**
+ * Campaign API Routes
+ * Manage feedback campaigns started by trigger keywords
+ */
+
+const express = require('express');
+const prismaService = require('../services/prismaService');
+const campaignService = require('../services/campaignService');
+const flowService = require('../services/flowService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+/**
+ * Check that the flow referenced by a campaign exists
+ */
+async function validateFlowKey(flowKey) {
+  if (!flowKey) {
+    return [];
+  }
+
+  const flow = await flowService.getFlow(flowKey);
+  return flow ? [] : [`flowKey: flow "${flowKey}" not found`];
+}
+
+// Get all campaigns (including the built-in default campaign)
+router.get('/', async (req, res) => {
+  try {
+    const campaigns = await campaignService.listCampaigns();
+
+    res.json({
+      success: true,
+      data: campaigns,
+      count: campaigns.length
+    });
+  } catch (error) {
+    console.error('Error getting campaigns:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve campaigns'
+    });
+  }
+});
+
+// Get campaign by key
+router.get('/:key', async (req, res) => {
+  try {
+    const campaign = await campaignService.getCampaign(req.params.key);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: campaign
+    });
+  } catch (error) {
+    console.error('Error getting campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve campaign'
+    });
+  }
+});
+
+// Create campaign
+router.post('/', async (req, res) => {
+  try {
+    const { key, name, triggerKeyword, flowKey, templates, storageFolder, isActive } = req.body;
+    const campaignData = { key, name, triggerKeyword, flowKey, templates, storageFolder, isActive };
+
+    const errors = [
+      ...campaignService.validateCampaign(campaignData),
+      ...await validateFlowKey(flowKey)
+    ];
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign',
+        details: errors
+      });
+    }
+
+    const campaign = await prismaService.createCampaign({
+      ...campaignData,
+      triggerKeyword: await campaignService.normalizeTriggerKeyword(triggerKeyword)
+    });
+
+    await auditService.record(auditService.getRequestActor(req), 'campaign.create', {
+      targetType: 'campaign',
+      targetId: campaign.key,
+      after: campaign
+    });
+
+    res.status(201).json({
+      success: true,
+      data: campaign,
+      message: `Campaign "${campaign.key}" created for keyword "${campaign.triggerKeyword}"`
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        error: 'A campaign with this key or trigger keyword already exists'
+      });
+    }
+
+    console.error('Error creating campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create campaign'
+    });
+  }
+});
+
+// Update campaign
+router.put('/:key', async (req, res) => {
+  try {
+    const { name, triggerKeyword, flowKey, templates, storageFolder, isActive } = req.body;
+    const updates = Object.fromEntries(
+      Object.entries({ name, triggerKeyword, flowKey, templates, storageFolder, isActive })
+        .filter(([, value]) => value !== undefined)
+    );
+
+    const errors = [
+      ...campaignService.validateCampaign(updates, true),
+      ...await validateFlowKey(flowKey)
+    ];
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign',
+        details: errors
+      });
+    }
+
+    if (updates.triggerKeyword) {
+      updates.triggerKeyword = await campaignService.normalizeTriggerKeyword(updates.triggerKeyword);
+    }
+
+    const existing = await prismaService.getCampaignByKey(req.params.key);
+    const campaign = await prismaService.updateCampaign(req.params.key, updates);
+
+    await auditService.record(auditService.getRequestActor(req), 'campaign.update', {
+      targetType: 'campaign',
+      targetId: campaign.key,
+      before: existing,
+      after: campaign
+    });
+
+    res.json({
+      success: true,
+      data: campaign,
+      message: 'Campaign updated successfully'
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        error: 'A campaign with this trigger keyword already exists'
+      });
+    }
+
+    console.error('Error updating campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update campaign'
+    });
+  }
+});
+
+// Delete campaign (collected feedback is kept)
+router.delete('/:key', async (req, res) => {
+  try {
+    const existing = await prismaService.getCampaignByKey(req.params.key);
+    const deleted = await prismaService.deleteCampaign(req.params.key);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    await auditService.record(auditService.getRequestActor(req), 'campaign.delete', {
+      targetType: 'campaign',
+      targetId: req.params.key,
+      before: existing
+    });
+
+    res.json({
+      success: true,
+      message: 'Campaign deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete campaign'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,13 +6,17 @@
 const express = require('express');
 const prismaService = require('../services/prismaService');
 const conversationManager = require('../services/conversationManager');
+const sessionReminderService = require('../services/sessionReminderService');
+const messageLogService = require('../services/messageLogService');
+const auditService = require('../services/auditService');
+const campaignService = require('../services/campaignService');
 
 const router = express.Router();
 
 // Get all feedback with 50-image limit enforcement
 router.get('/', async (req, res) => {
   try {
-    const { limit = 10000, offset = 0, orderBy = 'createdAt', order = 'desc' } = req.query;
+    const { limit = 10000, offset = 0, orderBy = 'createdAt', order = 'desc', campaign } = req.query;
     
     // First, enforce the 50-image limit
     await enforceImageLimit();
@@ -21,7 +25,8 @@ router.get('/', async (req, res) => {
       limit: parseInt(limit),
       offset: parseInt(offset),
       orderBy,
-      order
+      order,
+      campaignKey: campaign
     };
     
     const feedbacks = await prismaService.getAllFeedback(options);
@@ -30,6 +35,7 @@ router.get('/', async (req, res) => {
       success: true,
       data: feedbacks,
       count: feedbacks.length,
+      campaign: campaign || null,
       pagination: {
         limit: options.limit,
         offset: options.offset
@@ -47,7 +53,7 @@ router.get('/', async (req, res) => {
 // Get feedback with images only (max 50)
 router.get('/with-images', async (req, res) => {
   try {
-    const { limit = 50, offset = 0, orderBy = 'createdAt', order = 'desc' } = req.query;
+    const { limit = 50, offset = 0, orderBy = 'createdAt', order = 'desc', campaign } = req.query;
     
     // First, enforce the 50-image limit
     await enforceImageLimit();
@@ -56,7 +62,8 @@ router.get('/with-images', async (req, res) => {
       limit: Math.min(parseInt(limit), 50), // Ensure max 50
       offset: parseInt(offset),
       orderBy,
-      order
+      order,
+      campaignKey: campaign
     };
     
     const feedbacks = await prismaService.getFeedbackWithImages(options);
@@ -85,8 +92,9 @@ router.get('/with-images', async (req, res) => {
 /**
  * Enforce 50-image limit by cleaning up oldest images
  * This function runs before returning feedback data
+ * @param {object} actor - Who the removals are audited for (the system by default)
  */
-async function enforceImageLimit() {
+async function enforceImageLimit(actor = auditService.SYSTEM_ACTOR) {
   try {
     console.log('🔍 Checking image limit (max 50 images)...');
     
@@ -138,6 +146,7 @@ async function enforceImageLimit() {
     // Remove image URLs from database records (set to null)
     const feedbackIds = oldestFeedbacks.map(feedback => feedback.id);
     const updatedCount = await prismaService.removeImageUrlsFromFeedback(feedbackIds);
+    await auditService.recordImageRemovals(actor, oldestFeedbacks);
     
     console.log(`✅ Image limit enforcement complete: removed ${updatedCount} image references from database`);
     
@@ -154,9 +163,10 @@ async function enforceImageLimit() {
 // Get all conversation sessions
 router.get('/sessions', async (req, res) => {
   try {
-    const { limit = 50, offset = 0, orderBy = 'lastActivity', order = 'desc' } = req.query;
+    const { limit = 50, offset = 0, orderBy = 'lastActivity', order = 'desc', campaign } = req.query;
     
     const sessions = await prismaService.prisma.conversationSession.findMany({
+      where: prismaService.campaignFilter(campaign),
       take: parseInt(limit),
       skip: parseInt(offset),
       orderBy: {
@@ -185,10 +195,11 @@ router.get('/sessions', async (req, res) => {
 // Get active conversation sessions only
 router.get('/sessions/active', async (req, res) => {
   try {
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0, campaign } = req.query;
     
     const sessions = await prismaService.prisma.conversationSession.findMany({
       where: {
+        ...prismaService.campaignFilter(campaign),
         isCompleted: false
       },
       take: parseInt(limit),
@@ -238,12 +249,39 @@ router.get('/user/:phoneNumber', async (req, res) => {
   }
 });
 
+// Get the conversation transcript of a phone number
+router.get('/user/:phoneNumber/transcript', async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const { limit = 500, offset = 0 } = req.query;
+    
+    const messages = await messageLogService.getTranscriptForUser(phoneNumber, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    
+    res.json({
+      success: true,
+      data: messages,
+      count: messages.length,
+      userPhone: phoneNumber
+    });
+  } catch (error) {
+    console.error('Error getting user transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve user transcript'
+    });
+  }
+});
+
 // Get session by user phone number
 router.get('/sessions/user/:phoneNumber', async (req, res) => {
   try {
     const { phoneNumber } = req.params;
     
-    const session = await prismaService.prisma.conversationSession.findUnique({
+    // Phone numbers are unique per tenant; the query is scoped to the request's tenant
+    const session = await prismaService.prisma.conversationSession.findFirst({
       where: {
         userPhone: phoneNumber
       }
@@ -297,7 +335,7 @@ router.get('/sessions/:id', async (req, res) => {
 // Get feedback statistics
 router.get('/stats', async (req, res) => {
   try {
-    const stats = await conversationManager.getSessionStats();
+    const stats = await conversationManager.getSessionStats(req.query.campaign);
     
     res.json({
       success: true,
@@ -343,23 +381,62 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get the conversation transcript of a feedback entry
+router.get('/:id/transcript', async (req, res) => {
+  try {
+    const feedbackId = parseInt(req.params.id);
+    
+    const feedback = await prismaService.prisma.feedback.findUnique({
+      where: {
+        id: feedbackId
+      }
+    });
+    
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feedback not found'
+      });
+    }
+    
+    const messages = await messageLogService.getTranscriptForFeedback(feedbackId);
+    
+    res.json({
+      success: true,
+      data: messages,
+      count: messages.length
+    });
+  } catch (error) {
+    console.error('Error getting feedback transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve feedback transcript'
+    });
+  }
+});
+
 // Export feedback data as CSV
 router.get('/export/csv', async (req, res) => {
   try {
-    const feedbacks = await prismaService.getAllFeedback({ limit: 10000 });
+    const feedbacks = await prismaService.getAllFeedback({ limit: 10000, campaignKey: req.query.campaign });
     
     // Create CSV content
-    const csvHeader = 'ID,User Phone,Name,Feedback,Profile Image URL,Session Duration (seconds),Created At\n';
+    const csvHeader = 'ID,Campaign,User Phone,Name,Feedback,Rating,Rating Scale,Profile Image URL,Audio URL,Audio Transcript,Session Duration (seconds),Created At\n';
     const csvRows = feedbacks.map(feedback => {
       const escapedFeedback = `"${feedback.feedback.replace(/"/g, '""')}"`;
       const escapedName = `"${feedback.name.replace(/"/g, '""')}"`;
       
       return [
         feedback.id,
+        feedback.campaignKey || prismaService.defaultCampaignKey,
         feedback.userPhone,
         escapedName,
         escapedFeedback,
+        feedback.rating ?? '',
+        feedback.ratingScale ?? '',
         feedback.profileImageUrl || '',
+        feedback.audioUrl || '',
+        `"${(feedback.audioTranscript || '').replace(/"/g, '""')}"`,
         feedback.sessionDuration || '',
         feedback.createdAt.toISOString()
       ].join(',');
@@ -384,12 +461,18 @@ router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    await prismaService.prisma.feedback.delete({
+    const deletedFeedback = await prismaService.prisma.feedback.delete({
       where: {
         id: parseInt(id)
       }
     });
     
+    await auditService.record(auditService.getRequestActor(req), 'feedback.delete', {
+      targetType: 'feedback',
+      targetId: deletedFeedback.id,
+      before: deletedFeedback
+    });
+    
     res.json({
       success: true,
       message: 'Feedback deleted successfully'
@@ -410,10 +493,14 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Clean up expired sessions manually
+// Clean up expired sessions manually (users get the closing message)
 router.post('/cleanup-sessions', async (req, res) => {
   try {
-    const cleanedCount = await conversationManager.cleanupExpiredSessions();
+    const cleanedCount = await sessionReminderService.closeExpiredSessions();
+    
+    await auditService.record(auditService.getRequestActor(req), 'sessions.cleanup', {
+      after: { cleanedCount }
+    });
     
     res.json({
       success: true,
@@ -437,13 +524,19 @@ router.post('/cleanup-images', async (req, res) => {
     const beforeCount = await prismaService.countFeedbackWithImages();
     console.log(`📊 Images before cleanup: ${beforeCount}`);
     
-    await enforceImageLimit();
+    const actor = auditService.getRequestActor(req);
+    await enforceImageLimit(actor);
     
     const afterCount = await prismaService.countFeedbackWithImages();
     console.log(`📊 Images after cleanup: ${afterCount}`);
     
     const removedCount = beforeCount - afterCount;
     
+    await auditService.record(actor, 'feedback.cleanup_images', {
+      before: { imageCount: beforeCount },
+      after: { imageCount: afterCount, removedCount }
+    });
+    
     res.json({
       success: true,
       message: `Image cleanup completed`,
@@ -524,11 +617,13 @@ router.post('/:id/reprocess-image', async (req, res) => {
       });
     }
     
-    // Reprocess the image
+    // Reprocess the image into its campaign's folder, like the original upload
+    const campaign = await campaignService.getCampaign(feedback.campaignKey);
     const uploadResult = await supabaseStorageService.uploadWhatsAppImage(
       feedback.whatsappImageId,
       feedback.userPhone,
-      feedback.id
+      feedback.id,
+      campaignService.getStorageFolder(campaign)
     );
     
     if (uploadResult.success) {
@@ -541,6 +636,13 @@ router.post('/:id/reprocess-image', async (req, res) => {
         }
       });
       
+      await auditService.record(auditService.getRequestActor(req), 'feedback.reprocess_image', {
+        targetType: 'feedback',
+        targetId: feedback.id,
+        before: { profileImageUrl: feedback.profileImageUrl, imageStoragePath: feedback.imageStoragePath },
+        after: { profileImageUrl: uploadResult.publicUrl, imageStoragePath: uploadResult.filePath }
+      });
+      
       res.json({
         success: true,
         message: 'Image reprocessed successfully',
@@ -0,0 +1,138 @@
+/**
+ * Conversation Flow API Routes
+ * Manage the declarative question sequences driving the WhatsApp conversation
+ */
+
+const express = require('express');
+const flowService = require('../services/flowService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+// Get all flows (database and bundled)
+router.get('/', async (req, res) => {
+  try {
+    const flows = await flowService.listFlows();
+
+    res.json({
+      success: true,
+      data: flows,
+      count: flows.length,
+      defaultFlowKey: flowService.getDefaultFlowKey()
+    });
+  } catch (error) {
+    console.error('Error getting flows:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve flows'
+    });
+  }
+});
+
+// Validate a flow definition without saving it
+router.post('/validate', (req, res) => {
+  const errors = flowService.validateFlowDefinition(req.body);
+
+  res.json({
+    success: errors.length === 0,
+    valid: errors.length === 0,
+    errors
+  });
+});
+
+// Get flow by key
+router.get('/:key', async (req, res) => {
+  try {
+    const flow = await flowService.getFlow(req.params.key);
+
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flow not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: flow
+    });
+  } catch (error) {
+    console.error('Error getting flow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve flow'
+    });
+  }
+});
+
+// Create or replace a flow definition
+router.put('/:key', async (req, res) => {
+  try {
+    const definition = { ...req.body, key: req.params.key };
+    const errors = flowService.validateFlowDefinition(definition);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid flow definition',
+        details: errors
+      });
+    }
+
+    const existing = await flowService.getFlow(req.params.key);
+    const flow = await flowService.saveFlow(definition);
+
+    await auditService.record(auditService.getRequestActor(req), existing ? 'flow.update' : 'flow.create', {
+      targetType: 'flow',
+      targetId: flow.key,
+      before: existing,
+      after: flow
+    });
+
+    res.json({
+      success: true,
+      data: flow,
+      message: `Flow "${flow.key}" saved successfully`
+    });
+  } catch (error) {
+    console.error('Error saving flow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save flow'
+    });
+  }
+});
+
+// Delete a flow definition (bundled flows are restored)
+router.delete('/:key', async (req, res) => {
+  try {
+    const existing = await flowService.getFlow(req.params.key);
+    const deleted = await flowService.deleteFlow(req.params.key);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flow not found'
+      });
+    }
+
+    await auditService.record(auditService.getRequestActor(req), 'flow.delete', {
+      targetType: 'flow',
+      targetId: req.params.key,
+      before: existing
+    });
+
+    res.json({
+      success: true,
+      message: 'Flow deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting flow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete flow'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+/**
+ * Handoff API Routes
+ * Hand conversations over to human agents and give them back to the bot.
+ * Agents reply through POST /api/whatsapp/send-text
+ */
+
+const express = require('express');
+const prismaService = require('../services/prismaService');
+const handoffService = require('../services/handoffService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+// Get handoffs (active ones by default, ?status=resolved or ?status=all for history)
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'active', limit = 50, offset = 0 } = req.query;
+
+    const handoffs = await prismaService.getHandoffs({
+      status: status === 'all' ? undefined : status,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: handoffs,
+      count: handoffs.length
+    });
+  } catch (error) {
+    console.error('Error getting handoffs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve handoffs'
+    });
+  }
+});
+
+// Get the active handoff of a phone number
+router.get('/:phoneNumber', async (req, res) => {
+  try {
+    const handoff = await handoffService.getActiveHandoff(req.params.phoneNumber);
+
+    if (!handoff) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active handoff for this phone number'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: handoff
+    });
+  } catch (error) {
+    console.error('Error getting handoff:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve handoff'
+    });
+  }
+});
+
+// Hand a phone number over to an agent (pauses the bot for it)
+router.post('/', async (req, res) => {
+  try {
+    const { phoneNumber, reason, agent } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'phoneNumber is required'
+      });
+    }
+
+    const handoff = await handoffService.startHandoff(phoneNumber, {
+      requestedBy: 'agent',
+      reason,
+      agent
+    }, auditService.getRequestActor(req));
+
+    res.json({
+      success: true,
+      data: handoff,
+      message: `Conversation with ${phoneNumber} handed over to an agent`
+    });
+  } catch (error) {
+    console.error('Error starting handoff:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start handoff'
+    });
+  }
+});
+
+// Give a phone number back to the bot
+router.post('/:phoneNumber/release', async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const { notifyUser, resumeFlow } = req.body || {};
+
+    const handoff = await handoffService.releaseHandoff(phoneNumber, { notifyUser, resumeFlow }, auditService.getRequestActor(req));
+
+    if (!handoff) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active handoff for this phone number'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: handoff,
+      message: handoff.resumed
+        ? 'Conversation given back to the bot and the current question asked again'
+        : 'Conversation given back to the bot'
+    });
+  } catch (error) {
+    console.error('Error releasing handoff:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to release handoff'
+    });
+  }
+});
+
+module.exports = router;
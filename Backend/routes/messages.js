@@ -0,0 +1,137 @@
+/**
+ * Message API Routes
+ * Delivery state of the messages sent to users, as reported by WhatsApp,
+ * and the outbox they are sent through
+ */
+
+const express = require('express');
+const prismaService = require('../services/prismaService');
+const messageLogService = require('../services/messageLogService');
+const outboxService = require('../services/outboxService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+/**
+ * Parse the optional `since` query parameter
+ * @returns {Date|undefined|null} Date, undefined when not given, null when invalid
+ */
+function parseSince(since) {
+  if (!since) {
+    return undefined;
+  }
+
+  const date = new Date(since);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Get outbound message counts by delivery status (?since=ISO date)
+router.get('/delivery/stats', async (req, res) => {
+  try {
+    const since = parseSince(req.query.since);
+
+    if (since === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'since must be a valid date'
+      });
+    }
+
+    const stats = await messageLogService.getDeliveryStats({ since });
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error getting delivery stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve delivery statistics'
+    });
+  }
+});
+
+// Get the delivery state of each conversation (?since, limit, offset)
+router.get('/delivery/conversations', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const since = parseSince(req.query.since);
+
+    if (since === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'since must be a valid date'
+      });
+    }
+
+    const conversations = await messageLogService.getConversationDeliveryStates({ limit, offset, since });
+
+    res.json({
+      success: true,
+      data: conversations,
+      count: conversations.length
+    });
+  } catch (error) {
+    console.error('Error getting conversation delivery states:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve conversation delivery states'
+    });
+  }
+});
+
+// Get messages whose delivery failed, with their Graph API error codes
+router.get('/failed', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const messages = await prismaService.getFailedMessages({ limit, offset });
+
+    res.json({
+      success: true,
+      data: messages,
+      count: messages.length
+    });
+  } catch (error) {
+    console.error('Error getting failed messages:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve failed messages'
+    });
+  }
+});
+
+// Queue a permanently failed message again
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const message = await outboxService.retryFailedMessage(parseInt(req.params.id));
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Failed outbound message not found'
+      });
+    }
+
+    await auditService.record(auditService.getRequestActor(req), 'message.retry', {
+      targetType: 'message',
+      targetId: message.id,
+      after: message
+    });
+
+    res.json({
+      success: true,
+      data: message,
+      message: 'Message queued for sending'
+    });
+  } catch (error) {
+    console.error('Error retrying message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry message'
+    });
+  }
+});
+
+module.exports = router;
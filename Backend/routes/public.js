@@ -0,0 +1,110 @@
+/**
+ * Public API Routes
+ * Called by the embeddable web feedback widget from any site and by the event
+ * gallery, so they accept requests from every origin and are limited per visitor
+ * instead. The gallery only reads what is shown on the wall, never phone numbers.
+ */
+
+const express = require('express');
+const prismaService = require('../services/prismaService');
+const sseService = require('../services/sseService');
+const webFeedbackService = require('../services/webFeedbackService');
+const { createRateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Submissions per visitor IP and hour
+const limitSubmissions = createRateLimit({
+  limit: parseInt(process.env.WEB_FEEDBACK_PER_IP_PER_HOUR) || 10,
+  windowMs: 60 * 60 * 1000,
+  error: 'Too many submissions, please try again later'
+});
+
+// Submit feedback from the web widget { name, feedback, photo (data URL), campaignKey }
+router.post('/feedback', limitSubmissions, async (req, res) => {
+  try {
+    const { name, feedback, photo, campaignKey } = req.body || {};
+    const submission = { name, feedback, photo, campaignKey };
+    const errors = webFeedbackService.validateWebFeedback(submission);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid feedback',
+        details: errors
+      });
+    }
+
+    const savedFeedback = await webFeedbackService.submitWebFeedback(submission);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: savedFeedback.id,
+        name: savedFeedback.name,
+        profileImageUrl: savedFeedback.profileImageUrl,
+        createdAt: savedFeedback.createdAt
+      },
+      message: 'Thank you for your feedback!'
+    });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_CAMPAIGN') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.code === 'PHOTO_UPLOAD_FAILED') {
+      return res.status(503).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error saving web feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save feedback'
+    });
+  }
+});
+
+// Most feedback entries the gallery shows at once
+const GALLERY_LIMIT = 500;
+
+// Feedback for the event gallery, newest first, with only the fields it shows
+router.get('/gallery', async (req, res) => {
+  try {
+    const feedbacks = await prismaService.getAllFeedback({
+      limit: Math.min(parseInt(req.query.limit) || GALLERY_LIMIT, GALLERY_LIMIT),
+      campaignKey: req.query.campaign
+    });
+
+    res.json({
+      success: true,
+      data: feedbacks.map(({ id, name, feedback, profileImageUrl, source, createdAt }) => ({
+        id,
+        name,
+        feedback,
+        profileImageUrl,
+        source,
+        createdAt
+      })),
+      count: feedbacks.length
+    });
+  } catch (error) {
+    console.error('Error getting gallery feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve feedback'
+    });
+  }
+});
+
+// Tells the event gallery when feedback is added or changed, without the feedback itself
+router.get('/events', (req, res) => {
+  sseService.addClient(res, { publicOnly: true });
+});
+
+module.exports = router;
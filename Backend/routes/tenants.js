@@ -0,0 +1,234 @@
+/**
+ * Tenant API Routes
+ * Manage the client WhatsApp numbers this server collects feedback for.
+ * Access tokens can be set but are never returned.
+ */
+
+const express = require('express');
+const tenantService = require('../services/tenantService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+/**
+ * Pick the tenant fields from a request body
+ */
+function pickTenantData(body) {
+  const { key, name, phoneNumberId, businessAccountId, accessToken, isActive } = body || {};
+
+  return Object.fromEntries(
+    Object.entries({ key, name, phoneNumberId, businessAccountId, accessToken, isActive })
+      .filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Respond with 400 when the request targets the tenant configured in the environment
+ * @returns {boolean} True if the response was sent
+ */
+function rejectDefaultTenant(req, res) {
+  if (req.params.key !== tenantService.DEFAULT_TENANT.key) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: 'The default tenant is configured through the WHATSAPP_* environment variables'
+  });
+  return true;
+}
+
+/**
+ * Respond with 409 when a tenant's key or phone number ID is taken
+ * @returns {boolean} True if the response was sent
+ */
+function sendDuplicateError(res, error) {
+  if (error.code !== 'P2002') {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    error: 'A tenant with this key or phone number ID already exists'
+  });
+  return true;
+}
+
+// Get all tenants
+router.get('/', async (req, res) => {
+  try {
+    const tenants = await tenantService.listTenants();
+
+    res.json({
+      success: true,
+      data: tenants,
+      count: tenants.length
+    });
+  } catch (error) {
+    console.error('Error getting tenants:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve tenants'
+    });
+  }
+});
+
+// Get tenant by key
+router.get('/:key', async (req, res) => {
+  try {
+    const tenant = await tenantService.getTenant(req.params.key);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tenantService.toPublicTenant(tenant)
+    });
+  } catch (error) {
+    console.error('Error getting tenant:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve tenant'
+    });
+  }
+});
+
+// Create tenant
+router.post('/', async (req, res) => {
+  try {
+    const tenantData = pickTenantData(req.body);
+    const errors = tenantService.validateTenant(tenantData);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tenant',
+        details: errors
+      });
+    }
+
+    const tenant = await tenantService.createTenant(tenantData);
+
+    await auditService.record(auditService.getRequestActor(req), 'tenant.create', {
+      targetType: 'tenant',
+      targetId: tenant.key,
+      after: tenantService.toPublicTenant(tenant)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: tenantService.toPublicTenant(tenant),
+      message: `Tenant "${tenant.key}" created`
+    });
+  } catch (error) {
+    if (sendDuplicateError(res, error)) {
+      return;
+    }
+
+    console.error('Error creating tenant:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create tenant'
+    });
+  }
+});
+
+// Update tenant (only the fields given are changed, e.g. { isActive: false } to stop routing its number)
+router.put('/:key', async (req, res) => {
+  try {
+    if (rejectDefaultTenant(req, res)) {
+      return;
+    }
+
+    const { key, ...updates } = pickTenantData(req.body);
+    const errors = tenantService.validateTenant(updates, true);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tenant',
+        details: errors
+      });
+    }
+
+    const existing = await tenantService.getTenant(req.params.key);
+    const tenant = await tenantService.updateTenant(req.params.key, updates);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    // Access tokens never go into the audit log, only the fact that one was set
+    await auditService.record(auditService.getRequestActor(req), 'tenant.update', {
+      targetType: 'tenant',
+      targetId: tenant.key,
+      before: existing && tenantService.toPublicTenant(existing),
+      after: {
+        ...tenantService.toPublicTenant(tenant),
+        ...(updates.accessToken !== undefined ? { accessTokenChanged: true } : {})
+      }
+    });
+
+    res.json({
+      success: true,
+      data: tenantService.toPublicTenant(tenant),
+      message: 'Tenant updated successfully'
+    });
+  } catch (error) {
+    if (sendDuplicateError(res, error)) {
+      return;
+    }
+
+    console.error('Error updating tenant:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update tenant'
+    });
+  }
+});
+
+// Delete tenant (its feedback and conversations are kept)
+router.delete('/:key', async (req, res) => {
+  try {
+    if (rejectDefaultTenant(req, res)) {
+      return;
+    }
+
+    const existing = await tenantService.getTenant(req.params.key);
+    const deleted = await tenantService.deleteTenant(req.params.key);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    await auditService.record(auditService.getRequestActor(req), 'tenant.delete', {
+      targetType: 'tenant',
+      targetId: req.params.key,
+      before: existing && tenantService.toPublicTenant(existing)
+    });
+
+    res.json({
+      success: true,
+      message: 'Tenant deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting tenant:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete tenant'
+    });
+  }
+});
+
+module.exports = router;
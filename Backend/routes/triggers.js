@@ -0,0 +1,314 @@
+/**
+ * Trigger API Routes
+ * Manage the keywords in trigger_messages that start WhatsApp Flows and campaigns
+ */
+
+const express = require('express');
+const triggerMessageService = require('../services/triggerMessageService');
+const campaignService = require('../services/campaignService');
+const auditService = require('../services/auditService');
+const triggerMatcher = require('../utils/triggerMatcher');
+
+const router = express.Router();
+
+/**
+ * Respond to errors shared by all trigger routes
+ * @returns {boolean} True if the response was sent
+ */
+function sendKnownError(res, error) {
+  if (error.code === 'TRIGGERS_DISABLED') {
+    res.status(503).json({
+      success: false,
+      error: error.message
+    });
+    return true;
+  }
+
+  if (error.code === 'DUPLICATE_KEYWORD') {
+    res.status(409).json({
+      success: false,
+      error: error.message
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Pick the trigger fields from a request body
+ */
+function pickTriggerData(body) {
+  const { keyword, flowId, message, isActive, matchMode, priority, maxTypos } = body || {};
+
+  return Object.fromEntries(
+    Object.entries({ keyword, flowId, message, isActive, matchMode, priority, maxTypos })
+      .filter(([, value]) => value !== undefined)
+  );
+}
+
+// Get all triggers
+router.get('/', async (req, res) => {
+  try {
+    const triggers = await triggerMessageService.getAllTriggers();
+
+    res.json({
+      success: true,
+      data: triggers,
+      count: triggers.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) {
+      return;
+    }
+
+    console.error('Error getting triggers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve triggers'
+    });
+  }
+});
+
+// Get trigger cache statistics (hits, misses, last load and refresh errors)
+router.get('/cache/stats', (req, res) => {
+  res.json({
+    success: true,
+    data: triggerMessageService.getTriggerCacheStats()
+  });
+});
+
+// Get trigger matches and completions over time (?since=&until=&interval=hour|day|week&triggerId=)
+router.get('/analytics/timeseries', async (req, res) => {
+  try {
+    const { since, until, interval, triggerId } = req.query;
+    const result = await triggerMessageService.getTriggerTimeSeries({ since, until, interval, triggerId });
+
+    res.json({
+      success: true,
+      data: result,
+      count: result.triggers.length
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_TIME_SERIES') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error getting trigger time series:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve trigger time series'
+    });
+  }
+});
+
+// Show which trigger a text would hit, without sending anything
+router.post('/dry-run', async (req, res) => {
+  try {
+    const { text } = req.body || {};
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'text is required'
+      });
+    }
+
+    const result = await triggerMessageService.dryRunTriggers(text);
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.match ? `"${text}" hits trigger "${result.match.keyword}"` : `"${text}" hits no trigger`
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) {
+      return;
+    }
+
+    console.error('Error running trigger dry run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run trigger dry run'
+    });
+  }
+});
+
+// Get trigger by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const trigger = await triggerMessageService.getTriggerById(req.params.id);
+
+    if (!trigger) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trigger not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: trigger
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) {
+      return;
+    }
+
+    console.error('Error getting trigger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve trigger'
+    });
+  }
+});
+
+// Create trigger
+router.post('/', async (req, res) => {
+  try {
+    const triggerData = pickTriggerData(req.body);
+    const errors = triggerMessageService.validateTrigger(triggerData);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trigger',
+        details: errors
+      });
+    }
+
+    const trigger = await triggerMessageService.createTrigger(triggerData);
+
+    await auditService.record(auditService.getRequestActor(req), 'trigger.create', {
+      targetType: 'trigger',
+      targetId: trigger.id,
+      after: trigger
+    });
+
+    res.status(201).json({
+      success: true,
+      data: trigger,
+      message: `Trigger created for keyword "${trigger.keyword}"`
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) {
+      return;
+    }
+
+    console.error('Error creating trigger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create trigger'
+    });
+  }
+});
+
+// Update trigger (only the fields given are changed, e.g. { isActive: false } to disable it)
+router.put('/:id', async (req, res) => {
+  try {
+    const updates = pickTriggerData(req.body);
+    const existing = await triggerMessageService.getTriggerById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trigger not found'
+      });
+    }
+
+    // The trigger as it will be is checked, so e.g. a kept keyword is compiled when the mode becomes regex
+    const errors = triggerMessageService.validateTrigger({ ...existing, ...updates });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trigger',
+        details: errors
+      });
+    }
+
+    // Campaigns are found by their trigger's keyword, so one must not lose it to a new or renormalized keyword
+    const keyword = triggerMatcher.normalizeKeyword(updates.keyword ?? existing.keyword, updates.matchMode ?? existing.matchMode);
+    const campaign = keyword !== existing.keyword ? await campaignService.getCampaignByTriggerKeyword(existing.keyword) : null;
+
+    if (campaign) {
+      return res.status(409).json({
+        success: false,
+        error: `Campaign "${campaign.key}" is started by the keyword "${existing.keyword}", change its triggerKeyword to "${keyword}" first`
+      });
+    }
+
+    const trigger = await triggerMessageService.updateTrigger(req.params.id, updates);
+
+    if (!trigger) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trigger not found'
+      });
+    }
+
+    await auditService.record(auditService.getRequestActor(req), 'trigger.update', {
+      targetType: 'trigger',
+      targetId: trigger.id,
+      before: existing,
+      after: trigger
+    });
+
+    res.json({
+      success: true,
+      data: trigger,
+      message: 'Trigger updated successfully'
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) {
+      return;
+    }
+
+    console.error('Error updating trigger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update trigger'
+    });
+  }
+});
+
+// Delete trigger
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await triggerMessageService.getTriggerById(req.params.id);
+    const deleted = await triggerMessageService.deleteTrigger(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trigger not found'
+      });
+    }
+
+    await auditService.record(auditService.getRequestActor(req), 'trigger.delete', {
+      targetType: 'trigger',
+      targetId: req.params.id,
+      before: existing
+    });
+
+    res.json({
+      success: true,
+      message: 'Trigger deleted successfully'
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) {
+      return;
+    }
+
+    console.error('Error deleting trigger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete trigger'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,22 @@
 const express = require('express');
 const crypto = require('crypto');
-const { processWebhookPayload, simulateWebhook, simulateImageWebhook } = require('../services/webhookService');
+const { simulateWebhook, simulateImageWebhook } = require('../services/webhookService');
+const webhookQueueService = require('../services/webhookQueueService');
+const telegramService = require('../services/telegramService');
+const { authenticate, requireRole, requireAllTenants } = require('../middleware/auth');
 
 const router = express.Router();
 
+/**
+ * Compare a secret sent with a webhook with the configured one in constant time
+ */
+function secretMatches(received, expected) {
+  const actual = Buffer.from(String(received || ''));
+  const wanted = Buffer.from(expected);
+
+  return actual.length === wanted.length && crypto.timingSafeEqual(actual, wanted);
+}
+
 // Webhook verification endpoint (GET)
 router.get('/', (req, res) => {
   const mode = req.query['hub.mode'];
@@ -62,27 +75,58 @@ router.post('/', async (req, res) => {
   }
 
   try {
-    await processWebhookPayload(body);
-    console.log('✅ Webhook processed successfully');
+    // Store the payload and acknowledge right away - the queue worker processes it
+    await webhookQueueService.enqueue(body);
+    res.status(200).send('OK');
+  } catch (error) {
+    // Not stored, so let Meta retry the delivery
+    console.error('❌ Error queueing webhook:', error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+// Telegram bot webhook (set with the Bot API setWebhook method and a secret_token)
+// Without TELEGRAM_WEBHOOK_SECRET anyone could post updates, so every request is refused
+router.post('/telegram', async (req, res) => {
+  if (!telegramService.isConfigured()) {
+    return res.status(503).send('Telegram channel not configured');
+  }
+
+  if (!telegramService.webhookSecret) {
+    console.error('❌ Telegram update refused: TELEGRAM_WEBHOOK_SECRET not configured');
+    return res.status(403).send('Forbidden - Webhook secret not configured');
+  }
+
+  if (!secretMatches(req.headers['x-telegram-bot-api-secret-token'], telegramService.webhookSecret)) {
+    console.error('❌ Invalid Telegram webhook secret token');
+    return res.status(401).send('Unauthorized - Invalid secret token');
+  }
+
+  try {
+    // Queued like WhatsApp payloads - the channel adapter reads it when the job runs
+    await webhookQueueService.enqueue(req.body);
     res.status(200).send('OK');
   } catch (error) {
-    console.error('❌ Error processing webhook:', error);
+    // Not stored, so let Telegram retry the delivery
+    console.error('❌ Error queueing Telegram update:', error);
     res.status(500).send('Internal Server Error');
   }
 });
 
-// Test webhook endpoints for feedback collection
+// Test webhook endpoints for feedback collection (admins only, they act as any user)
+// Pass phoneNumberId in the body to test the number of a tenant
+const requireTestAccess = [authenticate, requireRole('admin'), requireAllTenants];
 
 // Test text message webhook
-router.post('/test-text', async (req, res) => {
+router.post('/test-text', requireTestAccess, async (req, res) => {
   try {
-    const { message, phoneNumber } = req.body;
+    const { message, phoneNumber, phoneNumberId } = req.body;
     
     if (!message || !phoneNumber) {
       return res.status(400).json({ error: 'message and phoneNumber are required' });
     }
     
-    const result = await simulateWebhook(message, phoneNumber);
+    const result = await simulateWebhook(message, phoneNumber, phoneNumberId);
     res.json(result);
   } catch (error) {
     console.error('Error testing text webhook:', error);
@@ -91,15 +135,15 @@ router.post('/test-text', async (req, res) => {
 });
 
 // Test image message webhook
-router.post('/test-image', async (req, res) => {
+router.post('/test-image', requireTestAccess, async (req, res) => {
   try {
-    const { phoneNumber, imageId } = req.body;
+    const { phoneNumber, imageId, phoneNumberId } = req.body;
     
     if (!phoneNumber) {
       return res.status(400).json({ error: 'phoneNumber is required' });
     }
     
-    const result = await simulateImageWebhook(phoneNumber, imageId);
+    const result = await simulateImageWebhook(phoneNumber, imageId, phoneNumberId);
     res.json({
       success: true,
       message: 'Image webhook test completed',
@@ -114,9 +158,9 @@ router.post('/test-image', async (req, res) => {
 });
 
 // Test complete feedback flow
-router.post('/test-feedback-flow', async (req, res) => {
+router.post('/test-feedback-flow', requireTestAccess, async (req, res) => {
   try {
-    const { phoneNumber, name, feedback } = req.body;
+    const { phoneNumber, name, feedback, phoneNumberId } = req.body;
     
     if (!phoneNumber || !name || !feedback) {
       return res.status(400).json({ 
@@ -127,16 +171,16 @@ router.post('/test-feedback-flow', async (req, res) => {
     console.log(`🧪 Testing complete feedback flow for ${phoneNumber}`);
     
     // Step 1: Start with "hi"
-    await simulateWebhook('hi', phoneNumber);
+    await simulateWebhook('hi', phoneNumber, phoneNumberId);
     
     // Step 2: Send name
-    await simulateWebhook(name, phoneNumber);
+    await simulateWebhook(name, phoneNumber, phoneNumberId);
     
     // Step 3: Send feedback
-    await simulateWebhook(feedback, phoneNumber);
+    await simulateWebhook(feedback, phoneNumber, phoneNumberId);
     
     // Step 4: Send image
-    await simulateImageWebhook(phoneNumber, 'test-profile-image');
+    await simulateImageWebhook(phoneNumber, 'test-profile-image', phoneNumberId);
     
     res.json({
       success: true,
@@ -0,0 +1,134 @@
+/**
+ * Webhook Queue API Routes
+ * Inspect the webhook processing queue and replay dead-lettered payloads
+ */
+
+const express = require('express');
+const prismaService = require('../services/prismaService');
+const webhookQueueService = require('../services/webhookQueueService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+// Get queue counts
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await prismaService.getWebhookQueueStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error getting webhook queue stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve webhook queue statistics'
+    });
+  }
+});
+
+// Get dead-lettered payloads
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const deadLetters = await prismaService.getWebhookDeadLetters({ limit, offset });
+
+    res.json({
+      success: true,
+      data: deadLetters,
+      count: deadLetters.length
+    });
+  } catch (error) {
+    console.error('Error getting webhook dead letters:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve dead letters'
+    });
+  }
+});
+
+// Get a dead-lettered payload by ID
+router.get('/dead-letters/:id', async (req, res) => {
+  try {
+    const deadLetter = await prismaService.getWebhookDeadLetter(parseInt(req.params.id));
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deadLetter
+    });
+  } catch (error) {
+    console.error('Error getting webhook dead letter:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve dead letter'
+    });
+  }
+});
+
+// Queue a dead-lettered payload again
+router.post('/dead-letters/:id/replay', async (req, res) => {
+  try {
+    const job = await webhookQueueService.replayDeadLetter(parseInt(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      message: `Dead letter queued again as job ${job.id}`
+    });
+  } catch (error) {
+    console.error('Error replaying webhook dead letter:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay dead letter'
+    });
+  }
+});
+
+// Delete a dead-lettered payload
+router.delete('/dead-letters/:id', async (req, res) => {
+  try {
+    const existing = await prismaService.getWebhookDeadLetter(parseInt(req.params.id));
+    const deleted = await prismaService.deleteWebhookDeadLetter(parseInt(req.params.id));
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter not found'
+      });
+    }
+
+    await auditService.record(auditService.getRequestActor(req), 'dead_letter.delete', {
+      targetType: 'dead_letter',
+      targetId: req.params.id,
+      before: existing
+    });
+
+    res.json({
+      success: true,
+      message: 'Dead letter deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook dead letter:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete dead letter'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,12 @@
 const express = require('express');
-const { sendFlowMessage, sendTextMessage, testWhatsAppConnection } = require('../services/whatsappService');
+const { sendFlowMessage, sendTemplateMessage, testWhatsAppConnection } = require('../services/whatsappService');
+const { sendTextMessage } = require('../services/channelService');
+const templateService = require('../services/templateService');
+const handoffService = require('../services/handoffService');
+const campaignService = require('../services/campaignService');
+const triggerMessageService = require('../services/triggerMessageService');
+const auditService = require('../services/auditService');
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -22,9 +29,10 @@ router.get('/test', async (req, res) => {
 });
 
 // Send flow message manually
+// The submitted form is saved as feedback of `campaignKey` (the built-in campaign by default)
 router.post('/send-flow', async (req, res) => {
   try {
-    const { phoneNumber, flowId, message } = req.body;
+    const { phoneNumber, flowId, message, campaignKey, cta, screen, data, mode } = req.body;
 
     if (!phoneNumber || !flowId) {
       return res.status(400).json({
@@ -33,12 +41,25 @@ router.post('/send-flow', async (req, res) => {
       });
     }
 
-    const result = await sendFlowMessage(phoneNumber, flowId, message);
+    if (campaignKey && !await campaignService.getCampaign(campaignKey)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    const result = await sendFlowMessage(phoneNumber, flowId, message, { campaignKey, cta, screen, data, mode });
+
+    await auditService.record(auditService.getRequestActor(req), 'message.send_flow', {
+      targetType: 'contact',
+      targetId: phoneNumber,
+      after: { flowId, message, campaignKey, messageId: result.messageId }
+    });
 
     res.json({
       success: true,
       data: result,
-      message: 'Flow sent successfully'
+      message: result.queued ? 'Flow message queued, it will be retried' : 'Flow sent successfully'
     });
   } catch (error) {
     console.error('Error sending flow:', error);
@@ -51,32 +72,90 @@ router.post('/send-flow', async (req, res) => {
 });
 
 // Send plain text message (uses service role on backend)
+// Also used by agents to reply during a human handoff (optional `agent` name)
 router.post('/send-text', async (req, res) => {
   try {
-    const { phoneNumber, text } = req.body;
+    const { phoneNumber, text, agent } = req.body;
 
     if (!phoneNumber || !text) {
       return res.status(400).json({ success: false, error: 'phoneNumber and text are required' });
     }
 
     const result = await sendTextMessage(phoneNumber, text);
+    await handoffService.recordAgentReply(phoneNumber, text, { agent, whatsappMessageId: result.messageId });
+
+    await auditService.record(auditService.getRequestActor(req), 'message.send_text', {
+      targetType: 'contact',
+      targetId: phoneNumber,
+      after: { text, agent, messageId: result.messageId }
+    });
 
-    res.json({ success: true, data: result, message: 'Text message sent' });
+    res.json({
+      success: true,
+      data: result,
+      message: result.queued ? 'Text message queued, it will be retried' : 'Text message sent'
+    });
   } catch (error) {
     console.error('Error sending text message:', error);
     res.status(500).json({ success: false, error: 'Failed to send text message', details: error.message });
   }
 });
 
-// Get WhatsApp configuration status
+// List the approved templates in the local registry
+router.get('/templates', (req, res) => {
+  const templates = templateService.listTemplates();
+
+  res.json({
+    success: true,
+    data: templates,
+    count: templates.length
+  });
+});
+
+// Send an approved template message (allowed outside the 24-hour window)
+router.post('/send-template', async (req, res) => {
+  try {
+    const { phoneNumber, template, language, components = [] } = req.body;
+
+    if (!phoneNumber || !template || !language) {
+      return res.status(400).json({ success: false, error: 'phoneNumber, template and language are required' });
+    }
+
+    const errors = templateService.validateTemplateMessage(template, language, components);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid template message', details: errors });
+    }
+
+    const result = await sendTemplateMessage(phoneNumber, { name: template, language, components });
+
+    await auditService.record(auditService.getRequestActor(req), 'message.send_template', {
+      targetType: 'contact',
+      targetId: phoneNumber,
+      after: { template, language, components, messageId: result.messageId }
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.queued ? 'Template message queued, it will be retried' : 'Template message sent'
+    });
+  } catch (error) {
+    console.error('Error sending template message:', error);
+    res.status(500).json({ success: false, error: 'Failed to send template message', details: error.message });
+  }
+});
+
+// Get WhatsApp configuration status of the request's tenant
 router.get('/config', (req, res) => {
+  const { key, accessToken, phoneNumberId, businessAccountId } = req.tenant;
   const config = {
-    hasAccessToken: !!process.env.WHATSAPP_ACCESS_TOKEN,
-    hasPhoneNumberId: !!process.env.WHATSAPP_PHONE_NUMBER_ID,
-    hasBusinessAccountId: !!process.env.WHATSAPP_BUSINESS_ACCOUNT_ID,
+    tenantKey: key,
+    hasAccessToken: !!accessToken,
+    hasPhoneNumberId: !!phoneNumberId,
+    hasBusinessAccountId: !!businessAccountId,
     apiVersion: process.env.WHATSAPP_API_VERSION || 'v18.0',
-    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID ? 
-      process.env.WHATSAPP_PHONE_NUMBER_ID.substring(0, 4) + '***' : null
+    phoneNumberId: phoneNumberId ? 
+      phoneNumberId.substring(0, 4) + '***' : null
   };
 
   res.json({
@@ -86,10 +165,11 @@ router.get('/config', (req, res) => {
   });
 });
 
-// Register new flow and auto-create trigger
-router.post('/register-flow', (req, res) => {
+// Register new flow and auto-create trigger (admins only, like the other trigger changes)
+// The trigger is checked like POST /api/triggers; matchMode, priority and maxTypos are optional
+router.post('/register-flow', requireRole('admin'), async (req, res) => {
   try {
-    const { flowId, flowName, activationMessage, autoCreateTrigger = true } = req.body;
+    const { flowId, flowName, activationMessage, autoCreateTrigger = true, matchMode, priority, maxTypos } = req.body;
 
     if (!flowId || !activationMessage) {
       return res.status(400).json({
@@ -98,48 +178,8 @@ router.post('/register-flow', (req, res) => {
       });
     }
 
-    // If auto-create trigger is enabled, create a webhook trigger
-    if (autoCreateTrigger) {
-      const { createTrigger } = require('../services/triggerService');
-      
-      try {
-        const trigger = createTrigger({
-          keyword: activationMessage.toLowerCase().trim(),
-          flowId: flowId,
-          message: `Hello! Please complete this ${flowName || 'form'}:`,
-          isActive: true
-        });
-
-        console.log(`✅ Auto-created trigger for flow ${flowId}: "${activationMessage}" -> ${flowName || flowId}`);
-        
-        res.json({
-          success: true,
-          data: {
-            flowId,
-            flowName,
-            activationMessage,
-            trigger: trigger
-          },
-          message: `Flow registered successfully! Trigger created for keyword "${activationMessage}"`
-        });
-      } catch (triggerError) {
-        console.error('Error creating auto-trigger:', triggerError);
-        
-        // Flow registration succeeded, but trigger creation failed
-        res.json({
-          success: true,
-          data: {
-            flowId,
-            flowName,
-            activationMessage,
-            trigger: null
-          },
-          message: 'Flow registered successfully, but trigger creation failed',
-          warning: triggerError.message
-        });
-      }
-    } else {
-      res.json({
+    if (!autoCreateTrigger) {
+      return res.json({
         success: true,
         data: {
           flowId,
@@ -150,6 +190,60 @@ router.post('/register-flow', (req, res) => {
         message: 'Flow registered successfully (no trigger created)'
       });
     }
+
+    const triggerData = Object.fromEntries(
+      Object.entries({
+        keyword: activationMessage,
+        flowId,
+        message: `Hello! Please complete this ${flowName || 'form'}:`,
+        isActive: true,
+        matchMode,
+        priority,
+        maxTypos
+      }).filter(([, value]) => value !== undefined)
+    );
+    const errors = triggerMessageService.validateTrigger(triggerData);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trigger',
+        details: errors
+      });
+    }
+
+    let trigger;
+    try {
+      trigger = await triggerMessageService.createTrigger(triggerData);
+    } catch (triggerError) {
+      const status = { DUPLICATE_KEYWORD: 409, TRIGGERS_DISABLED: 503 }[triggerError.code];
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          error: triggerError.message
+        });
+      }
+      throw triggerError;
+    }
+
+    console.log(`✅ Auto-created trigger for flow ${flowId}: "${trigger.keyword}" -> ${flowName || flowId}`);
+
+    await auditService.record(auditService.getRequestActor(req), 'trigger.create', {
+      targetType: 'trigger',
+      targetId: trigger.id,
+      after: trigger
+    });
+
+    res.json({
+      success: true,
+      data: {
+        flowId,
+        flowName,
+        activationMessage,
+        trigger: trigger
+      },
+      message: `Flow registered successfully! Trigger created for keyword "${trigger.keyword}"`
+    });
   } catch (error) {
     console.error('Error registering flow:', error);
     res.status(500).json({
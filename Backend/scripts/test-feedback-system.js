@@ -10,6 +10,11 @@ const axios = require('axios');
 const BASE_URL = process.env.BASE_URL || 'http://localhost:3001';
 const TEST_PHONE = '+1234567890';
 
+// The test webhook endpoints need an admin API key (POST /api/auth/api-keys)
+if (process.env.API_KEY) {
+  axios.defaults.headers.common['X-API-Key'] = process.env.API_KEY;
+}
+
 async function testFeedbackSystem() {
   console.log('🚀 Testing WhatsApp Feedback Collection System');
   console.log('==============================================');
@@ -7,10 +7,34 @@ require('dotenv').config();
 const webhookRoutes = require('./routes/webhook');
 const whatsappRoutes = require('./routes/whatsapp');
 const feedbackRoutes = require('./routes/feedback');
+const flowRoutes = require('./routes/flows');
+const campaignRoutes = require('./routes/campaigns');
+const webhookQueueRoutes = require('./routes/webhookQueue');
+const handoffRoutes = require('./routes/handoffs');
+const messageRoutes = require('./routes/messages');
+const broadcastRoutes = require('./routes/broadcasts');
+const triggerRoutes = require('./routes/triggers');
+const tenantRoutes = require('./routes/tenants');
+const publicRoutes = require('./routes/public');
+const authRoutes = require('./routes/auth');
+const auditLogRoutes = require('./routes/auditLog');
+const { resolveTenant } = require('./middleware/tenant');
+const { authenticate, requireRole, requireRoles, requireAllTenants } = require('./middleware/auth');
+const authService = require('./services/authService');
+const sessionReminderService = require('./services/sessionReminderService');
+const messageDeduplicationService = require('./services/messageDeduplicationService');
+const webhookQueueService = require('./services/webhookQueueService');
+const mediaIngestionService = require('./services/mediaIngestionService');
+const outboxService = require('./services/outboxService');
+const broadcastService = require('./services/broadcastService');
 const { getCorsOrigins, logConfiguration } = require('./utils/urlConfig');
 
 const app = express();
 
+// Proxies in front of the app (1 on Railway and Render). Only then is the client IP taken
+// from X-Forwarded-For, which clients could otherwise set to anything
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || 0);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -32,11 +56,18 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Tenant-Key', 'X-API-Key']
 };
+// The web feedback widget posts from any site, so its public routes accept every origin
+app.use('/api/public', cors({
+  origin: true,
+  methods: ['GET', 'POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'X-Tenant-Key']
+}));
 app.use(cors(corsOptions));
 
-// Logging middleware
+// Logging middleware (without the login tokens EventSource connections send in the URL)
+morgan.token('url', req => req.originalUrl.replace(/([?&]access_token=)[^&]*/, '$1[redacted]'));
 app.use(morgan('combined'));
 
 // Body parsing middleware
@@ -54,8 +85,8 @@ app.get('/health', (req, res) => {
   });
 });
 
-// CORS Proxy endpoint for WhatsApp flow downloads
-app.get('/api/proxy/flow-json', async (req, res) => {
+// CORS Proxy endpoint for WhatsApp flow downloads (admins only, it fetches any URL)
+app.get('/api/proxy/flow-json', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { url } = req.query;
     
@@ -100,22 +131,11 @@ app.get('/api/proxy/flow-json', async (req, res) => {
   }
 });
 
-// API routes
+// API routes (webhooks are routed to a tenant by the number that received them,
+// everything under /api runs for the tenant named by X-Tenant-Key or ?tenant=)
 app.use('/webhook', webhookRoutes);
-app.use('/api/whatsapp', whatsappRoutes);
-app.use('/api/feedback', feedbackRoutes);
-
-// Server-Sent Events endpoint for real-time updates
-const sseService = require('./services/sseService');
-app.get('/api/events', (req, res) => {
-  sseService.addClient(res);
-});
-
-// Serve static files from public directory (frontend build)
-const path = require('path');
-app.use(express.static(path.join(__dirname, 'public')));
 
-// API status endpoint
+// API status endpoint (public)
 app.get('/api', (req, res) => {
   res.json({
     message: 'WhatsApp Feedback Collection API is running!',
@@ -124,6 +144,18 @@ app.get('/api', (req, res) => {
       webhook: '/webhook',
       whatsapp: '/api/whatsapp',
       feedback: '/api/feedback',
+      flows: '/api/flows',
+      campaigns: '/api/campaigns',
+      webhookQueue: '/api/webhook-queue',
+      handoffs: '/api/handoffs',
+      messages: '/api/messages',
+      broadcasts: '/api/broadcasts',
+      triggers: '/api/triggers',
+      tenants: '/api/tenants',
+      auth: '/api/auth',
+      auditLog: '/api/audit-log',
+      public: '/api/public',
+      widget: '/widget.js',
       health: '/health',
       events: '/api/events'
     },
@@ -131,6 +163,42 @@ app.get('/api', (req, res) => {
   });
 });
 
+app.use('/api/public', resolveTenant, publicRoutes);
+app.use('/api/auth', authRoutes);
+
+// Everything else under /api needs a login token or API key, checked before the tenant
+// so unknown and known tenants look the same without one. Viewers can read,
+// moderators can also change feedback, messages and handoffs, admins everything
+app.use('/api', authenticate, resolveTenant);
+app.use('/api/whatsapp', requireRoles(), whatsappRoutes);
+app.use('/api/feedback', requireRoles(), feedbackRoutes);
+app.use('/api/flows', requireRoles({ write: 'admin' }), flowRoutes);
+app.use('/api/campaigns', requireRoles({ write: 'admin' }), campaignRoutes);
+app.use('/api/webhook-queue', requireRoles({ write: 'admin' }), webhookQueueRoutes);
+app.use('/api/handoffs', requireRoles(), handoffRoutes);
+app.use('/api/messages', requireRoles(), messageRoutes);
+app.use('/api/broadcasts', requireRoles({ write: 'admin' }), broadcastRoutes);
+app.use('/api/triggers', requireRoles({ write: 'admin' }), triggerRoutes);
+app.use('/api/tenants', requireRole('admin'), requireAllTenants, tenantRoutes);
+app.use('/api/audit-log', requireRole('admin'), auditLogRoutes);
+
+// Server-Sent Events endpoint for real-time updates
+const sseService = require('./services/sseService');
+app.get('/api/events', requireRole('viewer'), (req, res) => {
+  sseService.addClient(res);
+});
+
+// Serve static files from public directory (frontend build)
+const path = require('path');
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Embeddable web feedback widget, loaded by <script> tags on other sites
+app.get('/widget.js', (req, res) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cache-Control', 'public, max-age=300');
+  res.sendFile(path.join(__dirname, 'widget', 'feedback-widget.js'));
+});
+
 // Serve frontend for all non-API routes (SPA routing)
 app.get('*', (req, res) => {
   // Don't serve frontend for API routes
@@ -175,6 +243,27 @@ app.listen(PORT, HOST, () => {
   // Log dynamic URL configuration
   logConfiguration();
   
+  // Create the first dashboard admin from ADMIN_EMAIL and ADMIN_PASSWORD
+  authService.ensureInitialAdmin();
+  
+  // Process queued webhook payloads
+  webhookQueueService.start();
+  
+  // Send queued WhatsApp messages and retry failed sends
+  outboxService.start();
+  
+  // Send broadcasts at their rate and start scheduled ones
+  broadcastService.start();
+  
+  // Retry image uploads that failed or were interrupted
+  mediaIngestionService.start();
+  
+  // Nudge stalled sessions and close expired ones
+  sessionReminderService.start();
+  
+  // Drop processed message IDs once Meta no longer retries them
+  messageDeduplicationService.startCleanupTimer();
+  
   console.log('✅ Server is ready to accept requests');
   console.log(`🔌 Binding to: ${HOST}:${PORT} (accessible externally: ${HOST === '0.0.0.0' ? 'YES' : 'NO'})`);
 });
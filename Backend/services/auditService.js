@@ -0,0 +1,114 @@
+/**
+ * Audit Service
+ * Records who deleted, changed or sent what: each entry has the actor (dashboard user,
+ * API key, chat contact or the system itself), the action, its target with snapshots
+ * from before and after, the IP and the time. Entries belong to the current tenant.
+ */
+
+const prismaService = require('./prismaService');
+
+// Actor of automatic clean-ups, e.g. enforceImageLimit after new feedback
+const SYSTEM_ACTOR = { type: 'system', id: null, name: 'system', ip: null };
+
+/**
+ * Get the actor of an API request
+ * @param {object} req - Express request authenticated by middleware/auth
+ * @returns {object} Actor { type, id, name, ip }
+ */
+function getRequestActor(req) {
+  const auth = req.auth || {};
+
+  return {
+    type: auth.type || 'anonymous',
+    id: auth.id !== undefined ? String(auth.id) : null,
+    name: auth.name || null,
+    ip: req.ip || null
+  };
+}
+
+/**
+ * Get the actor for a chat contact acting in their own conversation, e.g. "restart"
+ * @param {string} userPhone - Phone number or channel address
+ * @returns {object} Actor { type, id, name, ip }
+ */
+function getContactActor(userPhone) {
+  return { type: 'contact', id: userPhone, name: userPhone, ip: null };
+}
+
+/**
+ * Turn a record into a JSON snapshot, without secrets
+ */
+function toSnapshot(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const { passwordHash, keyHash, accessToken, ...snapshot } = JSON.parse(JSON.stringify(value));
+  return snapshot;
+}
+
+/**
+ * Record an audit entry
+ * Failures are logged and never fail the action being audited
+ * @param {object} actor - From getRequestActor, getContactActor or SYSTEM_ACTOR
+ * @param {string} action - e.g. "feedback.delete"
+ * @param {object} details - { targetType, targetId, before, after }
+ * @returns {object|null} Audit log record, or null if it could not be saved
+ */
+async function record(actor, action, details = {}) {
+  const { targetType, targetId, before, after } = details;
+
+  try {
+    const entry = await prismaService.createAuditLog({
+      actorType: actor.type,
+      actorId: actor.id,
+      actorName: actor.name,
+      action,
+      targetType,
+      targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+      before: toSnapshot(before),
+      after: toSnapshot(after),
+      ip: actor.ip
+    });
+
+    console.log(`📜 Audit: ${actor.name || actor.type} ${action}${targetType ? ` ${targetType} ${targetId ?? ''}` : ''}`);
+    return entry;
+  } catch (error) {
+    console.error(`❌ Error recording audit entry ${action}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Record the images the 50-image limit removed from feedback, one entry per feedback
+ * @param {object} actor - SYSTEM_ACTOR, or the user who ran a manual clean-up
+ * @param {array} feedbacks - Feedback records whose image was removed
+ */
+async function recordImageRemovals(actor, feedbacks) {
+  for (const feedback of feedbacks) {
+    await record(actor, 'feedback.remove_image', {
+      targetType: 'feedback',
+      targetId: feedback.id,
+      before: { profileImageUrl: feedback.profileImageUrl, imageStoragePath: feedback.imageStoragePath },
+      after: { profileImageUrl: null, imageStoragePath: null }
+    });
+  }
+}
+
+/**
+ * Get audit entries of the current tenant, newest first
+ * @param {object} filters - { action, actorType, actorId, actor, targetType, targetId, since, until, limit, offset }
+ * @returns {array} Audit log records
+ */
+async function getAuditLog(filters = {}) {
+  return await prismaService.getAuditLogs(filters);
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  getRequestActor,
+  getContactActor,
+  record,
+  recordImageRemovals,
+  getAuditLog
+};
@@ -0,0 +1,428 @@
+/**
+ * Auth Service for the Admin Dashboard and API
+ * Dashboard users log in with an email and password (stored as scrypt hashes) and get
+ * a signed JWT; integrations use API keys. Both carry a role:
+ * - viewer: read feedback, statistics and the live event stream
+ * - moderator: also delete feedback, send messages and handle handoffs
+ * - admin: also configure flows, campaigns, triggers, broadcasts, tenants, users and API keys
+ * Users and keys can be limited to one tenant. Tokens carry the user's tokenVersion,
+ * which a password, role, tenant or deactivation change bumps to end older logins.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const prismaService = require('./prismaService');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles from least to most access
+const ROLES = ['viewer', 'moderator', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_KEY_LENGTH = 64;
+
+// Checked against when an email is unknown, so logins take as long as with a wrong password
+const unknownUserHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const API_KEY_PREFIX = 'fbk_';
+
+// Last use of an API key is written at most once a minute
+const API_KEY_USE_INTERVAL = 60 * 1000;
+
+const TOKEN_TTL_HOURS = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+
+// Without JWT_SECRET, tokens are signed with a random secret and end when the server restarts
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET not configured, dashboard logins end when the server restarts');
+}
+
+/**
+ * Check whether a role grants at least the access of another role
+ * @param {string} role - Role of the user or API key
+ * @param {string} requiredRole - Role needed
+ * @returns {boolean} True if allowed
+ */
+function hasRole(role, requiredRole) {
+  const level = ROLES.indexOf(role);
+  return level !== -1 && level >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain password
+ * @returns {string} "scrypt$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain password
+ * @param {string} storedHash - Hash from hashPassword
+ * @returns {boolean} True if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Sign a JWT (HS256)
+ */
+function signToken(payload) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Read a JWT signed by signToken
+ * @returns {object|null} Payload, or null if the token is invalid or expired
+ */
+function verifyToken(token) {
+  const [header, body, signature] = String(token).split('.');
+  if (!header || !body || !signature) {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${body}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return payload.exp && payload.exp * 1000 > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hash an API key for lookup
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Remove the password hash from a user before it is returned by the API
+ * @param {object} user - Admin user record
+ * @returns {object} User without its password hash
+ */
+function toPublicUser(user) {
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+}
+
+/**
+ * Remove the key hash from an API key before it is returned by the API
+ * @param {object} apiKey - API key record
+ * @returns {object} API key without its hash
+ */
+function toPublicApiKey(apiKey) {
+  const { keyHash, ...publicApiKey } = apiKey;
+  return publicApiKey;
+}
+
+/**
+ * Log a dashboard user in
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {object|null} { token, expiresAt, user }, or null if the credentials are wrong
+ */
+async function login(email, password) {
+  const user = await prismaService.getAdminUserByEmail(String(email || '').trim().toLowerCase());
+
+  const passwordMatches = await verifyPassword(String(password || ''), user ? user.passwordHash : await unknownUserHash);
+
+  if (!user || !user.isActive || !passwordMatches) {
+    return null;
+  }
+
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000);
+  const token = signToken({
+    sub: user.id,
+    ver: user.tokenVersion,
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  });
+
+  const loggedInUser = await prismaService.updateAdminUser(user.id, { lastLoginAt: new Date() });
+  console.log(`🔐 ${user.email} logged in`);
+
+  return { token, expiresAt, user: toPublicUser(loggedInUser || user) };
+}
+
+/**
+ * Find who a request's token or API key belongs to
+ * The user is looked up on every request, so role changes and deactivation apply right away,
+ * and tokens issued before the user's tokenVersion was bumped are refused
+ * @param {string} credential - JWT from login or an API key
+ * @returns {object|null} Principal { type: "user"|"apiKey", id, name, role, tenantKey }, or null
+ */
+async function authenticate(credential) {
+  if (!credential) {
+    return null;
+  }
+
+  if (credential.startsWith(API_KEY_PREFIX)) {
+    const apiKey = await prismaService.getApiKeyByHash(hashApiKey(credential));
+    if (!apiKey || apiKey.revokedAt) {
+      return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_USE_INTERVAL) {
+      prismaService.updateApiKey(apiKey.id, { lastUsedAt: new Date() })
+        .catch(error => console.error('❌ Error recording API key use:', error));
+    }
+
+    return { type: 'apiKey', id: apiKey.id, name: apiKey.name, role: apiKey.role, tenantKey: apiKey.tenantKey };
+  }
+
+  const payload = verifyToken(credential);
+  if (!payload) {
+    return null;
+  }
+
+  const user = await prismaService.getAdminUserById(payload.sub);
+  if (!user || !user.isActive || (payload.ver || 0) !== (user.tokenVersion || 0)) {
+    return null;
+  }
+
+  return { type: 'user', id: user.id, name: user.email, role: user.role, tenantKey: user.tenantKey };
+}
+
+/**
+ * List all dashboard users
+ * @returns {array} Users without their password hashes
+ */
+async function listUsers() {
+  const users = await prismaService.getAllAdminUsers();
+  return users.map(toPublicUser);
+}
+
+/**
+ * Get a dashboard user
+ * @param {number} id - User ID
+ * @returns {object|null} User without its password hash, or null if not found
+ */
+async function getUser(id) {
+  const user = await prismaService.getAdminUserById(id);
+  return user ? toPublicUser(user) : null;
+}
+
+/**
+ * Create a dashboard user
+ * @param {object} userData - { email, name, password, role, tenantKey, isActive }
+ * @returns {object} Created user without its password hash
+ */
+async function createUser(userData) {
+  const { password, ...fields } = userData;
+
+  const user = await prismaService.createAdminUser({
+    ...fields,
+    email: fields.email.trim().toLowerCase(),
+    passwordHash: await hashPassword(password)
+  });
+
+  return toPublicUser(user);
+}
+
+/**
+ * Update a dashboard user; a new password is hashed
+ * A new password, role or tenant, or deactivation, logs the user out everywhere
+ * @param {number} id - User ID
+ * @param {object} updates - Fields to update, optionally with a password
+ * @returns {object|null} Updated user or null if not found
+ */
+async function updateUser(id, updates) {
+  const { password, ...fields } = updates;
+  const current = await prismaService.getAdminUserById(id);
+
+  if (!current) {
+    return null;
+  }
+
+  if (fields.email !== undefined) {
+    fields.email = fields.email.trim().toLowerCase();
+  }
+  if (password !== undefined) {
+    fields.passwordHash = await hashPassword(password);
+  }
+
+  const endsLogins = password !== undefined ||
+    (fields.role !== undefined && fields.role !== current.role) ||
+    (fields.tenantKey !== undefined && fields.tenantKey !== current.tenantKey) ||
+    (fields.isActive === false && current.isActive);
+  if (endsLogins) {
+    fields.tokenVersion = (current.tokenVersion || 0) + 1;
+  }
+
+  const user = await prismaService.updateAdminUser(id, fields);
+  return user ? toPublicUser(user) : null;
+}
+
+/**
+ * Delete a dashboard user
+ * @param {number} id - User ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+async function deleteUser(id) {
+  return await prismaService.deleteAdminUser(id);
+}
+
+/**
+ * List all API keys
+ * @returns {array} API keys without their hashes
+ */
+async function listApiKeys() {
+  const apiKeys = await prismaService.getAllApiKeys();
+  return apiKeys.map(toPublicApiKey);
+}
+
+/**
+ * Create an API key
+ * @param {object} keyData - { name, role, tenantKey, createdBy }
+ * @returns {object} { apiKey (without hash), key } - the key is only available here
+ */
+async function createApiKey(keyData) {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+  const apiKey = await prismaService.createApiKey({
+    ...keyData,
+    keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashApiKey(key)
+  });
+
+  return { apiKey: toPublicApiKey(apiKey), key };
+}
+
+/**
+ * Revoke an API key
+ * @param {number} id - API key ID
+ * @returns {object|null} Revoked API key or null if not found
+ */
+async function revokeApiKey(id) {
+  const apiKey = await prismaService.updateApiKey(id, { revokedAt: new Date() });
+  return apiKey ? toPublicApiKey(apiKey) : null;
+}
+
+/**
+ * Create the first admin from ADMIN_EMAIL and ADMIN_PASSWORD while no user exists
+ */
+async function ensureInitialAdmin() {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+
+  try {
+    if (await prismaService.countAdminUsers() > 0) {
+      return;
+    }
+
+    if (!email || !password) {
+      console.warn('⚠️  No dashboard users yet, set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+      return;
+    }
+
+    const errors = validateUser({ email, password, role: 'admin' });
+    if (errors.length > 0) {
+      console.error('❌ Invalid ADMIN_EMAIL or ADMIN_PASSWORD:', errors);
+      return;
+    }
+
+    await createUser({ email, name: 'Admin', password, role: 'admin' });
+    console.log(`🔐 Created the first admin ${email}`);
+  } catch (error) {
+    console.error('❌ Error creating the first admin:', error);
+  }
+}
+
+/**
+ * Validate a role and tenant shared by users and API keys
+ */
+function validateAccess(data, isUpdate, errors) {
+  const { role, tenantKey } = data;
+
+  if ((!isUpdate || role !== undefined) && !ROLES.includes(role)) {
+    errors.push(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (tenantKey !== undefined && tenantKey !== null && (typeof tenantKey !== 'string' || !tenantKey.trim())) {
+    errors.push('tenantKey must be a tenant key, or null for every tenant');
+  }
+}
+
+/**
+ * Validate user data before it is stored
+ * @param {object} userData - User fields
+ * @param {boolean} isUpdate - Whether required fields may be omitted
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateUser(userData, isUpdate = false) {
+  const errors = [];
+  const { email, name, password, isActive } = userData;
+
+  if ((!isUpdate || email !== undefined) && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email.trim()))) {
+    errors.push('email must be an email address');
+  }
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    errors.push('name must be text');
+  }
+  if ((!isUpdate || password !== undefined) && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+  validateAccess(userData, isUpdate, errors);
+
+  return errors;
+}
+
+/**
+ * Validate API key data before it is created
+ * @param {object} keyData - { name, role, tenantKey }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateApiKey(keyData) {
+  const errors = [];
+
+  if (typeof keyData.name !== 'string' || !keyData.name.trim()) {
+    errors.push('name is required');
+  }
+  validateAccess(keyData, false, errors);
+
+  return errors;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  login,
+  authenticate,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  ensureInitialAdmin,
+  validateUser,
+  validateApiKey
+};
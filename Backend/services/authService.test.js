@@ -0,0 +1,172 @@
+/**
+ * Tests for the Auth Service
+ * Password hashes, login tokens and API keys, against an in-memory user and key table
+ */
+
+const { describe, test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const users = new Map();
+const apiKeys = new Map();
+const prismaStub = {
+  getAdminUserByEmail: async email => [...users.values()].find(user => user.email === email) || null,
+  getAdminUserById: async id => users.get(id) || null,
+  updateAdminUser: async (id, data) => (users.has(id) ? Object.assign(users.get(id), data) : null),
+  createApiKey: async data => {
+    const apiKey = { id: apiKeys.size + 1, revokedAt: null, lastUsedAt: null, ...data };
+    apiKeys.set(apiKey.id, apiKey);
+    return apiKey;
+  },
+  getApiKeyByHash: async keyHash => [...apiKeys.values()].find(apiKey => apiKey.keyHash === keyHash) || null,
+  updateApiKey: async (id, data) => (apiKeys.has(id) ? Object.assign(apiKeys.get(id), data) : null)
+};
+const prismaPath = require.resolve('./prismaService');
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: prismaStub };
+
+const authService = require('./authService');
+
+const PASSWORD = 'correct horse';
+let passwordHash;
+
+/**
+ * Sign a token with the test secret the way the service does, for payloads login never issues
+ */
+function signWithTestSecret(payload) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', 'test-secret').update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+before(async () => {
+  passwordHash = await authService.hashPassword(PASSWORD);
+});
+
+beforeEach(() => {
+  users.clear();
+  apiKeys.clear();
+  users.set(1, { id: 1, email: 'admin@example.com', role: 'admin', tenantKey: 'acme', isActive: true, passwordHash });
+  users.set(2, { id: 2, email: 'former@example.com', role: 'viewer', tenantKey: null, isActive: false, passwordHash });
+  mock.restoreAll();
+  mock.method(console, 'log', () => {});
+});
+
+describe('passwords', () => {
+  test('verifies a password against its salted hash', async () => {
+    assert.match(passwordHash, /^scrypt\$[^$]+\$[^$]+$/);
+    assert.equal(await authService.verifyPassword(PASSWORD, passwordHash), true);
+    assert.equal(await authService.verifyPassword('wrong horse', passwordHash), false);
+    assert.notEqual(await authService.hashPassword(PASSWORD), passwordHash);
+  });
+
+  test('rejects missing and malformed hashes', async () => {
+    for (const storedHash of [null, '', 'bcrypt$abc$def', 'scrypt$abc']) {
+      assert.equal(await authService.verifyPassword(PASSWORD, storedHash), false, String(storedHash));
+    }
+  });
+});
+
+describe('login tokens', () => {
+  test('logs a user in and authenticates requests with the token', async () => {
+    const session = await authService.login(' Admin@Example.com ', PASSWORD);
+
+    assert.equal(session.user.passwordHash, undefined);
+    assert.ok(session.expiresAt > new Date());
+    assert.ok(users.get(1).lastLoginAt instanceof Date);
+    assert.deepEqual(await authService.authenticate(session.token), {
+      type: 'user',
+      id: 1,
+      name: 'admin@example.com',
+      role: 'admin',
+      tenantKey: 'acme'
+    });
+  });
+
+  test('refuses wrong passwords, unknown emails and inactive users', async () => {
+    assert.equal(await authService.login('admin@example.com', 'wrong horse'), null);
+    assert.equal(await authService.login('nobody@example.com', PASSWORD), null);
+    assert.equal(await authService.login('former@example.com', PASSWORD), null);
+  });
+
+  test('rejects a token whose payload was swapped under the signature', async () => {
+    const { token } = await authService.login('admin@example.com', PASSWORD);
+    const [header, , signature] = token.split('.');
+    const forgedBody = Buffer.from(JSON.stringify({ sub: 2, exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+
+    assert.equal(await authService.authenticate(`${header}.${forgedBody}.${signature}`), null);
+  });
+
+  test('rejects expired, non-expiring and malformed tokens', async () => {
+    assert.equal(await authService.authenticate(signWithTestSecret({ sub: 1, exp: Math.floor(Date.now() / 1000) - 1 })), null);
+    assert.equal(await authService.authenticate(signWithTestSecret({ sub: 1 })), null);
+    assert.equal(await authService.authenticate('not-a-token'), null);
+    assert.equal(await authService.authenticate(''), null);
+  });
+
+  test('stops accepting the token of a user who was deactivated', async () => {
+    const { token } = await authService.login('admin@example.com', PASSWORD);
+
+    users.get(1).isActive = false;
+
+    assert.equal(await authService.authenticate(token), null);
+  });
+
+  test('ends earlier logins when the password, role or tenant changes', async () => {
+    // The password goes last, as later logins use the old one
+    for (const updates of [{ role: 'viewer' }, { tenantKey: null }, { password: 'battery staple' }]) {
+      const { token } = await authService.login('admin@example.com', PASSWORD);
+
+      await authService.updateUser(1, updates);
+
+      assert.equal(await authService.authenticate(token), null, Object.keys(updates)[0]);
+    }
+  });
+
+  test('keeps logins through changes that don\'t affect access', async () => {
+    const { token } = await authService.login('admin@example.com', PASSWORD);
+
+    await authService.updateUser(1, { name: 'Ada', role: 'admin', tenantKey: 'acme' });
+
+    assert.equal((await authService.authenticate(token)).id, 1);
+  });
+});
+
+describe('API keys', () => {
+  test('authenticates a created key, which is stored only as a hash', async () => {
+    const { apiKey, key } = await authService.createApiKey({ name: 'CRM', role: 'viewer', tenantKey: 'acme' });
+
+    assert.match(key, /^fbk_/);
+    assert.equal(apiKey.keyHash, undefined);
+    assert.notEqual(apiKeys.get(apiKey.id).keyHash, key);
+    assert.deepEqual(await authService.authenticate(key), {
+      type: 'apiKey',
+      id: apiKey.id,
+      name: 'CRM',
+      role: 'viewer',
+      tenantKey: 'acme'
+    });
+    assert.ok(apiKeys.get(apiKey.id).lastUsedAt instanceof Date);
+  });
+
+  test('rejects unknown and revoked keys', async () => {
+    const { apiKey, key } = await authService.createApiKey({ name: 'CRM', role: 'viewer' });
+
+    assert.equal(await authService.authenticate(`${key}x`), null);
+
+    await authService.revokeApiKey(apiKey.id);
+
+    assert.equal(await authService.authenticate(key), null);
+  });
+});
+
+describe('hasRole', () => {
+  test('grants the access of every lower role', () => {
+    assert.equal(authService.hasRole('admin', 'moderator'), true);
+    assert.equal(authService.hasRole('moderator', 'moderator'), true);
+    assert.equal(authService.hasRole('viewer', 'moderator'), false);
+    assert.equal(authService.hasRole('owner', 'viewer'), false);
+  });
+});
@@ -0,0 +1,478 @@
+/**
+ * Broadcast Service for WhatsApp Template Campaigns
+ * Sends an approved template to an imported contact list at a set rate,
+ * optionally at a scheduled time, and follows each recipient through
+ * delivered, read, started and completed feedback conversation.
+ */
+
+const prismaService = require('./prismaService');
+const templateService = require('./templateService');
+const { sendTemplateMessage } = require('./whatsappService');
+const { parseCsv } = require('../utils/csvParser');
+const tenantContext = require('../utils/tenantContext');
+
+// Columns that hold the phone number and the name in an imported CSV
+const PHONE_COLUMNS = ['phone', 'phone_number', 'phonenumber', 'number', 'mobile', 'whatsapp'];
+const NAME_COLUMNS = ['name', 'first_name', 'firstname'];
+
+// Statuses a broadcast can be started from, and the ones it can be paused, resumed and cancelled from
+const TRANSITIONS = {
+  start: ['draft'],
+  pause: ['scheduled', 'sending'],
+  resume: ['paused'],
+  cancel: ['draft', 'scheduled', 'sending', 'paused']
+};
+
+class BroadcastService {
+  constructor() {
+    this.pollInterval = parseInt(process.env.BROADCAST_POLL_MS) || 10000;
+    this.attributionWindow = (parseInt(process.env.BROADCAST_ATTRIBUTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+    this.maxRatePerMinute = parseInt(process.env.BROADCAST_MAX_RATE_PER_MINUTE) || 600;
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Normalize a phone number to the digits-only international format WhatsApp uses
+   * @param {string} phone - Phone number as imported ("+49 151 123-45678", "0049...")
+   * @returns {string|null} Normalized number or null if it is not a valid international number
+   */
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '').replace(/^00/, '');
+    return /^[1-9]\d{7,14}$/.test(digits) ? digits : null;
+  }
+
+  /**
+   * Create a draft broadcast
+   * @param {object} broadcastData - { name, templateName, language, components, campaignKey, ratePerMinute }
+   * @returns {object} Created broadcast
+   * @throws {Error} With `validationErrors` when the data is invalid
+   */
+  async createBroadcast(broadcastData) {
+    const { name, templateName, language, components = [], campaignKey, ratePerMinute } = broadcastData;
+    const errors = [];
+
+    if (!name || !templateName || !language) {
+      errors.push('name, templateName and language are required');
+    } else if (!templateService.getTemplateDefinition(templateName, language)) {
+      errors.push(`template "${templateName}" (${language}) is not in the approved template registry`);
+    }
+
+    if (!Array.isArray(components)) {
+      errors.push('components must be an array');
+    }
+
+    const rate = ratePerMinute === undefined ? undefined : parseInt(ratePerMinute);
+    if (rate !== undefined && !(rate >= 1 && rate <= this.maxRatePerMinute)) {
+      errors.push(`ratePerMinute must be between 1 and ${this.maxRatePerMinute}`);
+    }
+
+    if (campaignKey && !await prismaService.getCampaignByKey(campaignKey)) {
+      errors.push(`campaign "${campaignKey}" not found`);
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid broadcast: ${errors.join('; ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    const broadcast = await prismaService.createBroadcast({
+      name,
+      templateName,
+      language,
+      components,
+      campaignKey,
+      ratePerMinute: rate
+    });
+
+    console.log(`📣 Created broadcast ${broadcast.id} "${name}" with template ${templateName} (${language})`);
+    return broadcast;
+  }
+
+  /**
+   * Import recipients into a broadcast
+   * @param {number} broadcastId - Broadcast ID
+   * @param {object} source - { csv } text with a phone column, or { recipients } array of { phone, name, ...variables }
+   * @returns {object} { added, duplicates, invalid } - invalid lists the rows that were skipped
+   */
+  async importRecipients(broadcastId, source) {
+    const rows = source.csv !== undefined ? parseCsv(source.csv).records : source.recipients;
+
+    if (!Array.isArray(rows)) {
+      throw new Error('recipients must be an array');
+    }
+
+    const recipients = new Map();
+    const invalid = [];
+
+    rows.forEach((row, index) => {
+      const fields = Object.fromEntries(
+        Object.entries(row || {}).map(([key, value]) => [key.trim().toLowerCase(), String(value ?? '').trim()])
+      );
+      const phoneColumn = PHONE_COLUMNS.find(column => fields[column]);
+      const nameColumn = NAME_COLUMNS.find(column => fields[column]);
+      const userPhone = this.normalizePhone(phoneColumn && fields[phoneColumn]);
+
+      if (!userPhone) {
+        invalid.push({ row: index + 1, phone: (phoneColumn && fields[phoneColumn]) || null });
+        return;
+      }
+
+      if (recipients.has(userPhone)) {
+        return; // The first row of a number wins
+      }
+
+      recipients.set(userPhone, {
+        userPhone,
+        name: nameColumn ? fields[nameColumn] : null,
+        variables: fields
+      });
+    });
+
+    const added = recipients.size > 0
+      ? await prismaService.addBroadcastRecipients(broadcastId, [...recipients.values()])
+      : 0;
+
+    console.log(`📇 Imported ${added} recipients into broadcast ${broadcastId} (${invalid.length} invalid rows)`);
+
+    return {
+      added,
+      duplicates: rows.length - invalid.length - added,
+      invalid
+    };
+  }
+
+  /**
+   * Start sending a broadcast now or at a scheduled time
+   * @param {number} id - Broadcast ID
+   * @param {Date} scheduledAt - Optional time to start at
+   * @returns {boolean} True if the broadcast was a draft and is now sending or scheduled
+   */
+  async startBroadcast(id, scheduledAt) {
+    const updates = scheduledAt && scheduledAt > new Date()
+      ? { status: 'scheduled', scheduledAt }
+      : { status: 'sending', startedAt: new Date() };
+
+    const started = await prismaService.transitionBroadcast(id, TRANSITIONS.start, updates);
+
+    if (started) {
+      console.log(`📣 Broadcast ${id} ${updates.status === 'scheduled' ? `scheduled for ${scheduledAt.toISOString()}` : 'started'}`);
+      this.scheduleProcessing();
+    }
+
+    return started;
+  }
+
+  /**
+   * Pause a scheduled or sending broadcast (recipients not sent yet stay pending)
+   * @param {number} id - Broadcast ID
+   * @returns {boolean} True if the broadcast was paused
+   */
+  async pauseBroadcast(id) {
+    const paused = await prismaService.transitionBroadcast(id, TRANSITIONS.pause, { status: 'paused' });
+
+    if (paused) {
+      console.log(`⏸️ Broadcast ${id} paused`);
+    }
+
+    return paused;
+  }
+
+  /**
+   * Resume a paused broadcast
+   * @param {number} id - Broadcast ID
+   * @returns {boolean} True if the broadcast is sending again
+   */
+  async resumeBroadcast(id) {
+    const broadcast = await prismaService.getBroadcast(id);
+    // A broadcast paused before its scheduled time waits for that time again
+    const updates = broadcast?.scheduledAt > new Date()
+      ? { status: 'scheduled' }
+      : { status: 'sending', startedAt: broadcast?.startedAt || new Date() };
+
+    const resumed = await prismaService.transitionBroadcast(id, TRANSITIONS.resume, updates);
+
+    if (resumed) {
+      console.log(`▶️ Broadcast ${id} resumed`);
+      this.scheduleProcessing();
+    }
+
+    return resumed;
+  }
+
+  /**
+   * Cancel a broadcast (recipients not sent yet are never sent)
+   * @param {number} id - Broadcast ID
+   * @returns {boolean} True if the broadcast was cancelled
+   */
+  async cancelBroadcast(id) {
+    const cancelled = await prismaService.transitionBroadcast(id, TRANSITIONS.cancel, {
+      status: 'cancelled',
+      completedAt: new Date()
+    });
+
+    if (cancelled) {
+      console.log(`🛑 Broadcast ${id} cancelled`);
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Get a broadcast with its delivery and conversion funnel
+   * @param {number} id - Broadcast ID
+   * @returns {object|null} Broadcast with `stats`, or null if not found
+   */
+  async getBroadcastWithStats(id) {
+    const broadcast = await prismaService.getBroadcast(id);
+
+    if (!broadcast) {
+      return null;
+    }
+
+    const stats = await prismaService.getBroadcastStats(id);
+    const rate = (count, total) => total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+
+    return {
+      ...broadcast,
+      stats: {
+        ...stats,
+        deliveryRate: rate(stats.delivered, stats.sent),
+        readRate: rate(stats.read, stats.sent),
+        startRate: rate(stats.started, stats.sent),
+        completionRate: rate(stats.completed, stats.sent)
+      }
+    };
+  }
+
+  /**
+   * Fill "{{column}}" placeholders in the template parameters with a recipient's CSV columns
+   * @param {array} components - Template parameter components of the broadcast
+   * @param {object} recipient - Broadcast recipient
+   * @returns {array} Components for this recipient
+   * @throws {Error} When the recipient has no value for a placeholder
+   */
+  personalizeComponents(components, recipient) {
+    const variables = { ...(recipient.variables || {}), name: recipient.name || '', phone: recipient.userPhone };
+
+    const fill = value => {
+      if (typeof value === 'string') {
+        return value.replace(/\{\{\s*([a-z0-9_]+)\s*\}\}/gi, (placeholder, column) => {
+          const filled = variables[column.toLowerCase()];
+          if (!filled) {
+            throw new Error(`No value for ${placeholder}`);
+          }
+          return filled;
+        });
+      }
+      if (Array.isArray(value)) {
+        return value.map(fill);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item)]));
+      }
+      return value;
+    };
+
+    return fill(components || []);
+  }
+
+  /**
+   * Send the template to one recipient
+   * @param {object} broadcast - Broadcast being sent
+   * @param {object} recipient - Pending recipient
+   * @returns {boolean} True if the template was handed to the outbox
+   */
+  async sendToRecipient(broadcast, recipient) {
+    if (!await prismaService.lockBroadcastRecipient(recipient.id)) {
+      return false;
+    }
+
+    try {
+      const components = this.personalizeComponents(broadcast.components, recipient);
+      const result = await sendTemplateMessage(recipient.userPhone, {
+        name: broadcast.templateName,
+        language: broadcast.language,
+        components
+      });
+
+      // Queued sends count as sent - the outbox retries them and tracks their delivery
+      await prismaService.updateBroadcastRecipient(recipient.id, {
+        status: 'sent',
+        messageId: result.outboxId ?? null,
+        sentAt: new Date(),
+        error: null
+      });
+      return true;
+    } catch (error) {
+      console.error(`❌ Broadcast ${broadcast.id} failed for ${recipient.userPhone}:`, error.message);
+      await prismaService.updateBroadcastRecipient(recipient.id, {
+        status: 'failed',
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Send the next batch of a broadcast, completing it when every recipient was sent
+   * @param {object} broadcast - Sending broadcast
+   * @returns {number} Number of templates sent
+   */
+  async sendBatch(broadcast) {
+    // Recipients per poll so the broadcast keeps to its rate per minute
+    const batchSize = Math.max(1, Math.round(broadcast.ratePerMinute * this.pollInterval / 60000));
+    const recipients = await prismaService.getPendingBroadcastRecipients(broadcast.id, batchSize);
+    let sentCount = 0;
+
+    for (const recipient of recipients) {
+      // Stop as soon as the broadcast is paused or cancelled
+      const current = await prismaService.getBroadcast(broadcast.id);
+      if (current?.status !== 'sending') {
+        return sentCount;
+      }
+
+      if (await this.sendToRecipient(broadcast, recipient)) {
+        sentCount++;
+      }
+    }
+
+    if (await prismaService.countUnsentBroadcastRecipients(broadcast.id) === 0) {
+      const completed = await prismaService.transitionBroadcast(broadcast.id, ['sending'], {
+        status: 'completed',
+        completedAt: new Date()
+      });
+
+      if (completed) {
+        console.log(`✅ Broadcast ${broadcast.id} "${broadcast.name}" completed`);
+      }
+    }
+
+    return sentCount;
+  }
+
+  /**
+   * Start scheduled broadcasts that are due and send a batch of each sending broadcast
+   * (skipped while a previous run is still going)
+   * @returns {number} Number of templates sent
+   */
+  async processBroadcasts() {
+    if (this.isProcessing) {
+      return 0;
+    }
+
+    this.isProcessing = true;
+    let sentCount = 0;
+
+    try {
+      const started = await prismaService.startScheduledBroadcasts();
+      if (started > 0) {
+        console.log(`📣 Started ${started} scheduled broadcasts`);
+      }
+
+      const broadcasts = await prismaService.getSendingBroadcasts();
+      for (const broadcast of broadcasts) {
+        // Sent from the number of the tenant the broadcast belongs to
+        sentCount += await tenantContext.run(broadcast.tenantKey, () => this.sendBatch(broadcast));
+      }
+    } catch (error) {
+      console.error('❌ Error processing broadcasts:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return sentCount;
+  }
+
+  /**
+   * Process broadcasts soon, without waiting for the next poll
+   */
+  scheduleProcessing() {
+    setTimeout(() => this.processBroadcasts(), 0);
+  }
+
+  /**
+   * Conditions matching recipients of broadcasts that lead to a campaign
+   * (broadcasts without a campaign count any feedback conversation)
+   */
+  campaignCondition(campaignKey) {
+    return {
+      broadcast: {
+        OR: [
+          { campaignKey: null },
+          { campaignKey: campaignKey || prismaService.defaultCampaignKey }
+        ]
+      }
+    };
+  }
+
+  /**
+   * Record that a user started a feedback conversation after receiving a broadcast
+   * @param {string} userPhone - User's phone number
+   * @param {string} campaignKey - Campaign of the conversation
+   */
+  async recordConversationStarted(userPhone, campaignKey) {
+    const recipient = await prismaService.findBroadcastRecipientForConversion(
+      userPhone,
+      new Date(Date.now() - this.attributionWindow),
+      { startedAt: null, ...this.campaignCondition(campaignKey) }
+    );
+
+    if (recipient) {
+      await prismaService.updateBroadcastRecipient(recipient.id, { startedAt: new Date() });
+      console.log(`📈 ${userPhone} started a conversation from broadcast ${recipient.broadcastId}`);
+    }
+  }
+
+  /**
+   * Record that a user completed a feedback conversation started from a broadcast
+   * @param {string} userPhone - User's phone number
+   * @param {number} feedbackId - Saved feedback ID
+   * @param {string} campaignKey - Campaign of the conversation
+   */
+  async recordConversationCompleted(userPhone, feedbackId, campaignKey) {
+    const recipient = await prismaService.findBroadcastRecipientForConversion(
+      userPhone,
+      new Date(Date.now() - this.attributionWindow),
+      { startedAt: { not: null }, completedAt: null, ...this.campaignCondition(campaignKey) }
+    );
+
+    if (recipient) {
+      await prismaService.updateBroadcastRecipient(recipient.id, { completedAt: new Date(), feedbackId });
+      console.log(`📈 ${userPhone} completed a conversation from broadcast ${recipient.broadcastId}`);
+    }
+  }
+
+  /**
+   * Start sending broadcasts
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processBroadcasts(), this.pollInterval);
+    console.log(`⏰ Started broadcast worker (polls every ${this.pollInterval / 1000}s)`);
+
+    try {
+      const interrupted = await prismaService.failInterruptedBroadcastRecipients();
+      if (interrupted > 0) {
+        console.warn(`⚠️ Marked ${interrupted} broadcast recipients interrupted by a restart as failed`);
+      }
+    } catch (error) {
+      console.error('❌ Error recovering interrupted broadcast recipients:', error);
+    }
+  }
+
+  /**
+   * Stop sending broadcasts
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export singleton instance
+module.exports = new BroadcastService();
@@ -0,0 +1,85 @@
+/**
+ * Tests for the Broadcast Service
+ * Phone number normalization and recipient import, with the database stubbed
+ */
+
+const { describe, test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The database is replaced by a stand-in recording the imported recipients
+let addedRecipients = [];
+const prismaStub = {
+  addBroadcastRecipients: async (broadcastId, recipients) => {
+    addedRecipients = recipients;
+    return recipients.length;
+  }
+};
+const prismaPath = require.resolve('./prismaService');
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: prismaStub };
+
+const broadcastService = require('./broadcastService');
+
+beforeEach(() => {
+  addedRecipients = [];
+  mock.restoreAll();
+  mock.method(console, 'log', () => {});
+});
+
+describe('normalizePhone', () => {
+  test('keeps only the digits of an international number', () => {
+    assert.equal(broadcastService.normalizePhone('+49 151 123-45678'), '4915112345678');
+    assert.equal(broadcastService.normalizePhone('(555) 000-1111 1'), '55500011111');
+  });
+
+  test('drops the 00 international prefix', () => {
+    assert.equal(broadcastService.normalizePhone('0049 151 12345678'), '4915112345678');
+  });
+
+  test('rejects numbers that are too short, too long or start with 0', () => {
+    assert.equal(broadcastService.normalizePhone('1234567'), null);
+    assert.equal(broadcastService.normalizePhone('1234567890123456'), null);
+    assert.equal(broadcastService.normalizePhone('0151 12345678'), null);
+  });
+
+  test('rejects missing values', () => {
+    assert.equal(broadcastService.normalizePhone(''), null);
+    assert.equal(broadcastService.normalizePhone(undefined), null);
+  });
+});
+
+describe('importRecipients', () => {
+  test('imports CSV rows by their phone and name columns', async () => {
+    const csv = 'Mobile,First_Name,Store\n+1 555 000 1111,Jane,Berlin';
+
+    const result = await broadcastService.importRecipients(1, { csv });
+
+    assert.deepEqual(result, { added: 1, duplicates: 0, invalid: [] });
+    assert.deepEqual(addedRecipients, [{
+      userPhone: '15550001111',
+      name: 'Jane',
+      variables: { mobile: '+1 555 000 1111', first_name: 'Jane', store: 'Berlin' }
+    }]);
+  });
+
+  test('skips invalid numbers and keeps the first row of a duplicate number', async () => {
+    const recipients = [
+      { phone: '15550001111', name: 'First' },
+      { phone: '+1 (555) 000-1111', name: 'Second' },
+      { phone: 'n/a' },
+      { name: 'No phone' }
+    ];
+
+    const result = await broadcastService.importRecipients(1, { recipients });
+
+    assert.deepEqual(result, {
+      added: 1,
+      duplicates: 1,
+      invalid: [{ row: 3, phone: 'n/a' }, { row: 4, phone: null }]
+    });
+    assert.equal(addedRecipients[0].name, 'First');
+  });
+
+  test('rejects recipients that are not an array', async () => {
+    await assert.rejects(broadcastService.importRecipients(1, { recipients: 'nope' }), /must be an array/);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Campaign Service for WhatsApp Feedback Collection
+ * Maps trigger keywords to feedback campaigns, each with its own
+ * conversation flow, message overrides and result bucket
+ */
+
+const prismaService = require('./prismaService');
+const { findMatchingTrigger, getTriggerByKeyword } = require('./triggerMessageService');
+const triggerMatcher = require('../utils/triggerMatcher');
+const tenantContext = require('../utils/tenantContext');
+
+// Built-in campaign kept for the original "share your thoughts" keyword
+const DEFAULT_CAMPAIGN = {
+  key: prismaService.defaultCampaignKey,
+  name: 'Share your thoughts',
+  triggerKeyword: 'share your thoughts',
+  flowKey: null,
+  templates: null,
+  storageFolder: null,
+  isActive: true
+};
+
+/**
+ * Get a campaign by key, including the built-in default campaign
+ * @param {string} key - Campaign key
+ * @returns {object|null} Campaign or null if not found
+ */
+async function getCampaign(key) {
+  if (!key || key === DEFAULT_CAMPAIGN.key) {
+    return DEFAULT_CAMPAIGN;
+  }
+
+  return await prismaService.getCampaignByKey(key);
+}
+
+/**
+ * List all campaigns, starting with the built-in default campaign
+ * @returns {array} Campaigns
+ */
+async function listCampaigns() {
+  const campaigns = await prismaService.getAllCampaigns();
+  return [DEFAULT_CAMPAIGN, ...campaigns];
+}
+
+/**
+ * Get the stored campaign started by a trigger keyword
+ * @param {string} keyword - Keyword as its trigger stores it
+ * @returns {object|null} Campaign or null if none uses the keyword
+ */
+async function getCampaignByTriggerKeyword(keyword) {
+  // Campaigns store the keyword the way their trigger does (see normalizeTriggerKeyword),
+  // only one saved before its regex trigger existed has it lowercased
+  return await prismaService.getCampaignByTriggerKeyword(keyword) ||
+    (keyword !== keyword.toLowerCase() ? await prismaService.getCampaignByTriggerKeyword(keyword.toLowerCase()) : null);
+}
+
+/**
+ * Find the trigger a message hits and the campaign it starts, if any
+ * The message is matched against trigger_messages, and the matching trigger's
+ * keyword selects the campaign. The built-in keyword always starts the default
+ * campaign unless a stored campaign claims it.
+ * @param {string} messageText - Incoming message text
+ * @param {object} options - { exactOnly } to require the whole message to be the keyword
+ * @returns {object} { campaign, trigger } - campaign to start and the trigger that selected it,
+ *                   each null when there is none (with exactOnly, triggers not matching exactly are left out)
+ */
+async function matchCampaignTrigger(messageText, options = {}) {
+  const normalizedMessage = messageText.toLowerCase().trim();
+
+  if (!normalizedMessage) {
+    return { campaign: null, trigger: null };
+  }
+
+  const trigger = await findMatchingTrigger(normalizedMessage);
+  const keyword = trigger ? triggerMatcher.normalizeKeyword(trigger.keyword, trigger.matchMode) : normalizedMessage;
+
+  if (options.exactOnly && keyword !== normalizedMessage) {
+    return {
+      campaign: normalizedMessage === DEFAULT_CAMPAIGN.triggerKeyword ? DEFAULT_CAMPAIGN : null,
+      trigger: null
+    };
+  }
+
+  const campaign = await getCampaignByTriggerKeyword(keyword);
+
+  if (campaign && campaign.isActive) {
+    console.log(`🎯 Message "${messageText}" starts campaign "${campaign.key}"`);
+    return { campaign, trigger };
+  }
+
+  if (normalizedMessage === DEFAULT_CAMPAIGN.triggerKeyword) {
+    return { campaign: DEFAULT_CAMPAIGN, trigger };
+  }
+
+  return { campaign: null, trigger };
+}
+
+/**
+ * Normalize a campaign's trigger keyword for storage, the way its trigger stores it,
+ * so the keyword of a regex trigger keeps its case (\d and \D differ)
+ * @param {string} keyword - Keyword as entered
+ * @returns {string} Keyword to store
+ */
+async function normalizeTriggerKeyword(keyword) {
+  let trigger = null;
+
+  try {
+    trigger = await getTriggerByKeyword(keyword.trim());
+  } catch (error) {
+    // Triggers are disabled or unreachable, the keyword is then only typed as a message
+  }
+
+  return triggerMatcher.normalizeKeyword(keyword, trigger && trigger.matchMode);
+}
+
+/**
+ * Find the campaign a message starts, if any
+ * @param {string} messageText - Incoming message text
+ * @param {object} options - { exactOnly } to require the whole message to be the keyword
+ * @returns {object|null} Campaign to start or null
+ */
+async function resolveCampaignForMessage(messageText, options = {}) {
+  const { campaign } = await matchCampaignTrigger(messageText, options);
+  return campaign;
+}
+
+/**
+ * Get the message template overrides of a campaign
+ * @param {object} campaign - Campaign
+ * @returns {object} Template overrides keyed by template name
+ */
+function getTemplateOverrides(campaign) {
+  return (campaign && campaign.templates) || {};
+}
+
+/**
+ * Get the storage folder receiving a campaign's uploads
+ * Always inside the folder of the current tenant, so a campaign can't reach another tenant's uploads
+ * @param {object} campaign - Campaign
+ * @returns {string} Storage folder, "<tenantKey>/<folder>"
+ */
+function getStorageFolder(campaign) {
+  const folder = campaign ? campaign.storageFolder || campaign.key : DEFAULT_CAMPAIGN.key;
+
+  return `${tenantContext.getTenantKey()}/${folder}`;
+}
+
+/**
+ * Validate campaign data before it is stored
+ * @param {object} campaignData - Campaign data
+ * @param {boolean} isUpdate - Whether required fields may be omitted
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateCampaign(campaignData, isUpdate = false) {
+  const errors = [];
+  const { key, name, triggerKeyword, templates, storageFolder } = campaignData;
+
+  if (!isUpdate || key !== undefined) {
+    if (!key || !/^[a-z0-9_-]+$/.test(key)) {
+      errors.push('key is required and may only contain lowercase letters, digits, "-" and "_"');
+    } else if (key === DEFAULT_CAMPAIGN.key) {
+      errors.push(`"${DEFAULT_CAMPAIGN.key}" is reserved for the built-in campaign`);
+    }
+  }
+  if ((!isUpdate || name !== undefined) && !name) {
+    errors.push('name is required');
+  }
+  if ((!isUpdate || triggerKeyword !== undefined) && (!triggerKeyword || !triggerKeyword.trim())) {
+    errors.push('triggerKeyword is required');
+  }
+  if (templates !== undefined && templates !== null) {
+    const isObject = typeof templates === 'object' && !Array.isArray(templates);
+    if (!isObject || Object.values(templates).some(text => typeof text !== 'string')) {
+      errors.push('templates must map template names to message text');
+    }
+  }
+  if (storageFolder && !/^[a-zA-Z0-9_-]+$/.test(storageFolder)) {
+    errors.push('storageFolder must be a single folder name of letters, digits, "-" and "_"');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_CAMPAIGN,
+  getCampaign,
+  listCampaigns,
+  getCampaignByTriggerKeyword,
+  matchCampaignTrigger,
+  normalizeTriggerKeyword,
+  resolveCampaignForMessage,
+  getTemplateOverrides,
+  getStorageFolder,
+  validateCampaign
+};
@@ -0,0 +1,168 @@
+/**
+ * Channel Service for Feedback Collection
+ * Puts a channel-neutral message model between the chat channels (WhatsApp, Telegram)
+ * and the conversation logic, so the same flows and feedback work on every channel.
+ *
+ * Users are addressed by their phone number on WhatsApp and by "<channel>:<user id>"
+ * on other channels (e.g. "telegram:123456789"). The address is stored as userPhone,
+ * so sessions, feedback and transcripts of all channels live in the same tables.
+ *
+ * Each channel adapter exports:
+ * - name: Channel name, also the address prefix of its users
+ * - matchesWebhook(payload): Whether a queued webhook payload came from the channel
+ * - parseWebhook(payload): [{ tenantKey, messages, statuses }] - ChannelMessages and
+ *   DeliveryStatuses of the payload, grouped by the tenant they belong to
+ * - deliver(message): Send an outbox message record, returning { messageId }
+ * - downloadMedia(mediaId): { buffer, mimeType } of a received image or voice note
+ */
+
+const outboxService = require('./outboxService');
+const whatsappChannel = require('./whatsappChannel');
+const telegramChannel = require('./telegramChannel');
+
+/**
+ * Inbound message in the channel-neutral model
+ * @typedef {object} ChannelMessage
+ * @property {string} id - Message ID, unique across channels (used to drop duplicate deliveries)
+ * @property {string} channel - Channel the message arrived on
+ * @property {string} from - Address of the user
+ * @property {string} type - text | reply | image | audio | form | unsupported
+ * @property {string} [text] - Typed text, or the title of the tapped reply option
+ * @property {string} [replyId] - ID of the tapped button or list row
+ * @property {object} [media] - { id, mimeType, caption } of an image or voice note
+ * @property {object|string} [form] - Submitted form fields (WhatsApp Flows)
+ * @property {object} raw - Message as received from the channel
+ */
+
+/**
+ * Delivery status of an outbound message in the channel-neutral model
+ * @typedef {object} DeliveryStatus
+ * @property {string} messageId - Channel message ID of the outbound message
+ * @property {string} recipient - Address of the user
+ * @property {string} status - sent | delivered | read | failed
+ * @property {Date} timestamp - When the status was reached
+ * @property {number} [errorCode] - Channel error code of a failed delivery
+ * @property {string} [error] - Readable error of a failed delivery
+ */
+
+// WhatsApp users keep their bare phone number as address
+const DEFAULT_CHANNEL = whatsappChannel.name;
+
+const adapters = {
+  [whatsappChannel.name]: whatsappChannel,
+  [telegramChannel.name]: telegramChannel
+};
+
+/**
+ * Build the address of a user on a channel
+ * @param {string} channel - Channel name
+ * @param {string|number} userId - User ID on the channel
+ * @returns {string} Address stored as userPhone
+ */
+function toAddress(channel, userId) {
+  return channel === DEFAULT_CHANNEL ? String(userId) : `${channel}:${userId}`;
+}
+
+/**
+ * Split an address into its channel and user ID
+ * @param {string} address - Address stored as userPhone
+ * @returns {object} { channel, userId }
+ */
+function parseAddress(address) {
+  const match = /^([a-z]+):(.+)$/.exec(address || '');
+  return match ? { channel: match[1], userId: match[2] } : { channel: DEFAULT_CHANNEL, userId: address };
+}
+
+/**
+ * Get the adapter of a channel
+ * @param {string} channel - Channel name
+ * @returns {object} Channel adapter
+ * @throws {Error} When the channel is unknown
+ */
+function getAdapter(channel) {
+  const adapter = adapters[channel];
+  if (!adapter) {
+    throw new Error(`Unknown channel "${channel}"`);
+  }
+
+  return adapter;
+}
+
+/**
+ * Get the adapter of the channel a user is on
+ * @param {string} address - Address stored as userPhone
+ * @returns {object} Channel adapter
+ */
+function getAdapterForAddress(address) {
+  return getAdapter(parseAddress(address).channel);
+}
+
+/**
+ * Find the adapter of the channel a queued webhook payload came from
+ * @param {object} payload - Raw webhook payload
+ * @returns {object|null} Channel adapter or null for unknown payloads
+ */
+function getAdapterForWebhook(payload) {
+  return Object.values(adapters).find(adapter => adapter.matchesWebhook(payload)) || null;
+}
+
+/**
+ * Send a message stored in the outbox on the channel of its recipient
+ * @param {object} message - Outbox message record ({ tenantKey, userPhone, type, payload })
+ * @returns {object} Send result with the channel's messageId
+ */
+async function deliverMessage(message) {
+  return await getAdapterForAddress(message.userPhone).deliver(message);
+}
+
+/**
+ * Download an image or voice note a user sent
+ * @param {string} address - Address of the user who sent it
+ * @param {string} mediaId - Media ID from the ChannelMessage
+ * @returns {object} { buffer, mimeType }
+ */
+async function downloadMedia(address, mediaId) {
+  return await getAdapterForAddress(address).downloadMedia(mediaId);
+}
+
+/**
+ * Send text message
+ * Goes through the outbox: transient failures are retried instead of thrown
+ */
+async function sendTextMessage(address, text, meta = {}) {
+  return await outboxService.send(address, { type: 'text', body: text, payload: { text } }, meta);
+}
+
+/**
+ * Send a message with reply buttons
+ * Goes through the outbox: transient failures are retried instead of thrown
+ */
+async function sendButtonMessage(address, text, buttons, meta = {}) {
+  return await outboxService.send(address, { type: 'button', body: text, payload: { text, buttons } }, meta);
+}
+
+/**
+ * Send a message with a list of options
+ * Goes through the outbox: transient failures are retried instead of thrown
+ */
+async function sendListMessage(address, text, buttonText, sections, meta = {}) {
+  return await outboxService.send(
+    address,
+    { type: 'list', body: text, payload: { text, buttonText, sections } },
+    meta
+  );
+}
+
+module.exports = {
+  DEFAULT_CHANNEL,
+  toAddress,
+  parseAddress,
+  getAdapter,
+  getAdapterForAddress,
+  getAdapterForWebhook,
+  deliverMessage,
+  downloadMedia,
+  sendTextMessage,
+  sendButtonMessage,
+  sendListMessage
+};
@@ -4,14 +4,17 @@
  */
 
 const prismaService = require('./prismaService');
+const mediaIngestionService = require('./mediaIngestionService');
+const messageLogService = require('./messageLogService');
+const broadcastService = require('./broadcastService');
+const triggerMessageService = require('./triggerMessageService');
+const { parseAddress } = require('./channelService');
+const auditService = require('./auditService');
 
 class ConversationStateManager {
   constructor() {
+    // Expired sessions are closed by sessionReminderService
     this.sessionTimeout = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
-    this.cleanupInterval = 60 * 60 * 1000; // 1 hour in milliseconds
-    
-    // Start automatic cleanup timer
-    this.startCleanupTimer();
     
     console.log('🔄 ConversationStateManager initialized with Prisma database and 12-hour session timeout');
   }
@@ -19,12 +22,18 @@ class ConversationStateManager {
   /**
    * Create a new conversation session for a user
    * @param {string} userPhone - User's phone number
+   * @param {object} flow - Conversation flow definition driving the session
+   * @param {string} campaignKey - Campaign the session belongs to
    * @returns {object} New session data
    */
-  async createSession(userPhone) {
+  async createSession(userPhone, flow, campaignKey = null) {
     const sessionData = {
       userPhone,
       step: 1,
+      flowKey: flow ? flow.key : null,
+      campaignKey,
+      stepKey: flow ? flow.steps[0].id : null,
+      answers: null,
       name: null,
       feedback: null,
       profileImageUrl: null,
@@ -114,21 +123,37 @@ class ConversationStateManager {
   }
 
   /**
-   * Advance session to next step
+   * Move session to a step of its flow
+   * The step being left is appended to the session history so "back" can return to it
    * @param {string} userPhone - User's phone number
+   * @param {object} flow - Conversation flow definition
+   * @param {string} stepId - Id of the step to move to
+   * @param {object} updates - Additional data to save with the step change
+   *                           (pass `history` to replace the history instead of appending)
    * @returns {object} Updated session data
    */
-  async advanceStep(userPhone) {
-    const session = await this.getSession(userPhone);
-    const nextStep = Math.min(session.step + 1, 4);
+  async moveToStep(userPhone, flow, stepId, updates = {}) {
+    const position = flow.steps.findIndex(step => step.id === stepId) + 1;
+    
+    if (position === 0) {
+      throw new Error(`Step "${stepId}" not found in flow "${flow.key}"`);
+    }
+    
+    let history = updates.history;
+    
+    if (!history) {
+      const session = await prismaService.getConversationSession(userPhone);
+      const currentStep = session && (session.stepKey || flow.steps[session.step - 1]?.id);
+      history = [...((session && session.history) || []), currentStep].filter(Boolean);
+    }
     
-    return await this.updateSession(userPhone, { step: nextStep });
+    return await this.updateSession(userPhone, { ...updates, history, step: position, stepKey: stepId });
   }
 
   /**
    * Complete and remove session
    * @param {string} userPhone - User's phone number
-   * @returns {object} Final session data before removal
+   * @returns {object} Final session data before removal, with the saved feedbackId
    */
   async completeSession(userPhone) {
     const session = await prismaService.getConversationSession(userPhone);
@@ -144,9 +169,15 @@ class ConversationStateManager {
     // Save feedback to database
     const feedbackData = {
       userPhone: session.userPhone,
-      name: session.name,
-      feedback: session.feedback,
-      profileImageUrl: session.profileImageUrl,
+      name: session.name || '',
+      feedback: session.feedback || '',
+      whatsappImageId: session.whatsappImageId,
+      whatsappAudioId: session.whatsappAudioId,
+      answers: session.answers,
+      rating: session.rating,
+      ratingScale: session.ratingScale,
+      campaignKey: session.campaignKey,
+      source: parseAddress(session.userPhone).channel,
       sessionDuration
     };
     
@@ -156,15 +187,29 @@ class ConversationStateManager {
     const sseService = require('./sseService');
     sseService.notifyNewFeedback(savedFeedback);
     
-    // Trigger image limit cleanup if this feedback has an image
-    if (session.profileImageUrl) {
-      console.log('🖼️ New feedback with image saved, checking image limit...');
-      try {
-        await this.enforceImageLimit();
-      } catch (error) {
-        console.error('❌ Error during image limit enforcement:', error);
-        // Don't fail the main process if cleanup fails
-      }
+    // Attach media whose upload already finished (otherwise the upload attaches it later)
+    try {
+      await mediaIngestionService.attachToNewFeedback(savedFeedback);
+    } catch (error) {
+      console.error('❌ Error attaching uploaded media to feedback:', error);
+      // Don't fail the main process if attaching fails
+    }
+    
+    // Keep the conversation transcript with the feedback
+    await messageLogService.linkToFeedback(session.id, savedFeedback.id);
+    
+    // Count the completion for the broadcast that brought the user here
+    try {
+      await broadcastService.recordConversationCompleted(userPhone, savedFeedback.id, session.campaignKey);
+    } catch (error) {
+      console.error('❌ Error recording broadcast conversion:', error);
+    }
+    
+    // Count the completion for the trigger that started the conversation
+    try {
+      await triggerMessageService.recordTriggerCompletion(session.id, savedFeedback.id);
+    } catch (error) {
+      console.error('❌ Error recording trigger completion:', error);
     }
     
     // Log completion data to console (for backward compatibility)
@@ -179,7 +224,7 @@ class ConversationStateManager {
     
     console.log(`✅ Completed and saved feedback for ${userPhone}`);
     
-    return session;
+    return { ...session, feedbackId: savedFeedback.id };
   }
 
   /**
@@ -195,34 +240,11 @@ class ConversationStateManager {
 
   /**
    * Get session statistics
+   * @param {string} campaignKey - Optional campaign to restrict the statistics to
    * @returns {object} Session statistics
    */
-  async getSessionStats() {
-    return await prismaService.getFeedbackStats();
-  }
-
-  /**
-   * Clean up expired sessions
-   */
-  async cleanupExpiredSessions() {
-    const cleanedCount = await prismaService.cleanupExpiredSessions(12);
-    
-    if (cleanedCount > 0) {
-      console.log(`🧹 Cleanup completed: Removed ${cleanedCount} expired sessions from database`);
-    }
-    
-    return cleanedCount;
-  }
-
-  /**
-   * Start automatic cleanup timer
-   */
-  startCleanupTimer() {
-    setInterval(async () => {
-      await this.cleanupExpiredSessions();
-    }, this.cleanupInterval);
-    
-    console.log('⏰ Started automatic session cleanup timer (runs every hour)');
+  async getSessionStats(campaignKey) {
+    return await prismaService.getFeedbackStats(campaignKey);
   }
 
   /**
@@ -239,6 +261,7 @@ class ConversationStateManager {
       userPhone: userPhone,
       name: session.name,
       feedback: session.feedback,
+      rating: session.rating,
       profileImageUrl: session.profileImageUrl,
       sessionDuration: `${durationMinutes} minutes`,
       completedAt: new Date().toISOString()
@@ -253,23 +276,65 @@ class ConversationStateManager {
   /**
    * Reset session to step 1 (for error recovery)
    * @param {string} userPhone - User's phone number
+   * @param {object} actor - Who the reset is audited for, e.g. the user sending "restart"
    * @returns {object} Reset session data
    */
-  async resetSession(userPhone) {
+  async resetSession(userPhone, actor = auditService.SYSTEM_ACTOR) {
     console.log(`🔄 Resetting session for ${userPhone} to step 1`);
-    return await this.updateSession(userPhone, {
+    const previousSession = await this.getSession(userPhone);
+    const session = await this.updateSession(userPhone, {
       step: 1,
+      stepKey: null,
+      answers: null,
+      history: null,
       name: null,
       feedback: null,
-      profileImageUrl: null
+      rating: null,
+      ratingScale: null,
+      whatsappImageId: null,
+      profileImageUrl: null,
+      whatsappAudioId: null
+    });
+
+    await auditService.record(actor, 'session.reset', {
+      targetType: 'session',
+      targetId: session.id,
+      before: previousSession,
+      after: session
     });
+
+    return session;
+  }
+
+  /**
+   * Cancel and remove session without saving feedback
+   * @param {string} userPhone - User's phone number
+   * @param {object} actor - Who the cancellation is audited for (the system by default)
+   * @returns {boolean} True if removed
+   */
+  async cancelSession(userPhone, actor = auditService.SYSTEM_ACTOR) {
+    console.log(`❌ Cancelling session for ${userPhone}`);
+    const previousSession = await prismaService.getConversationSession(userPhone);
+    const removed = await prismaService.deleteConversationSession(userPhone);
+
+    if (removed && previousSession) {
+      await auditService.record(actor, 'session.cancel', {
+        targetType: 'session',
+        targetId: previousSession.id,
+        before: previousSession,
+        after: null
+      });
+    }
+
+    return removed;
   }
 
   /**
    * Enforce 50-image limit by cleaning up oldest images
    * This function runs after new feedback with images is saved
+   * @param {object} actor - Who the removals are audited for (the system by default)
    */
-  async enforceImageLimit() {
+  async enforceImageLimit(actor = auditService.SYSTEM_ACTOR) {
     try {
       console.log('🔍 Checking image limit (max 50 images)...');
       
@@ -321,6 +386,7 @@ class ConversationStateManager {
       // Remove image URLs from database records (set to null)
       const feedbackIds = oldestFeedbacks.map(feedback => feedback.id);
       const updatedCount = await prismaService.removeImageUrlsFromFeedback(feedbackIds);
+      await auditService.recordImageRemovals(actor, oldestFeedbacks);
       
       console.log(`✅ Image limit enforcement complete: removed ${updatedCount} image references from database`);
       
@@ -0,0 +1,599 @@
+/**
+ * Conversation Flow Engine for WhatsApp Feedback Collection
+ * Interprets declarative flow definitions: steps, expected input types,
+ * validation rules, template keys and next-step rules
+ */
+
+const { getTemplate, getAvailableTemplates } = require('../utils/messageTemplates');
+
+// Input types a step can expect from the user
+const INPUT_TYPES = ['text', 'button', 'image', 'rating'];
+
+// Reserved step id used by next-step rules to finish the flow
+const COMPLETE_STEP = 'complete';
+
+// Reserved navigation commands, checked before the current step handles a message
+const COMMANDS = ['back', 'restart', 'skip', 'cancel'];
+
+// Answer fields mirrored onto dedicated session columns
+const SESSION_FIELDS = ['name', 'feedback'];
+
+// WhatsApp reply buttons are limited to 3 per message and 20 characters per title
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_TITLE_LENGTH = 20;
+
+// WhatsApp list messages are limited to 10 rows
+const MAX_LIST_ROWS = 10;
+
+// Rating steps default to a 1-5 scale; NPS uses { min: 0, max: 10 }
+const DEFAULT_RATING_SCALE = { min: 1, max: 5 };
+
+/**
+ * Find a step definition by id
+ * @param {object} flow - Flow definition
+ * @param {string} stepId - Step id
+ * @returns {object|null} Step definition
+ */
+function getStep(flow, stepId) {
+  return flow.steps.find(step => step.id === stepId) || null;
+}
+
+/**
+ * Get the 1-based position of a step in the flow
+ * @param {object} flow - Flow definition
+ * @param {string} stepId - Step id
+ * @returns {number} Step position (0 if not found)
+ */
+function getStepPosition(flow, stepId) {
+  return flow.steps.findIndex(step => step.id === stepId) + 1;
+}
+
+/**
+ * Resolve the step a session is currently on
+ * Falls back to the numeric step for sessions created before step keys existed
+ * @param {object} flow - Flow definition
+ * @param {object} session - Session data
+ * @returns {object|null} Current step definition
+ */
+function getCurrentStep(flow, session) {
+  if (session.stepKey) {
+    return getStep(flow, session.stepKey);
+  }
+
+  return flow.steps[session.step - 1] || null;
+}
+
+/**
+ * Detect a navigation command in a message
+ * @param {object} message - ChannelMessage
+ * @returns {string|null} Command name or null when the message is a regular answer
+ */
+function parseCommand(message) {
+  if (message.type !== 'text' || !message.text) {
+    return null;
+  }
+
+  const text = message.text.toLowerCase().trim();
+  return COMMANDS.includes(text) ? text : null;
+}
+
+/**
+ * Parse and validate an incoming message against a step definition
+ * @param {object} step - Step definition
+ * @param {object} message - ChannelMessage
+ * @returns {object} { valid, value, errorTemplate }
+ */
+function parseStepInput(step, message) {
+  switch (step.input) {
+    case 'text':
+      return parseTextInput(step, message);
+    case 'button':
+      return parseButtonInput(step, message);
+    case 'image':
+      return parseImageInput(step, message);
+    case 'rating':
+      return parseRatingInput(step, message);
+    default:
+      return { valid: false, errorTemplate: 'systemError' };
+  }
+}
+
+/**
+ * Parse a free-text answer and apply the step's validation rules
+ */
+function parseTextInput(step, message) {
+  if (step.acceptAudio && message.type === 'audio' && message.media) {
+    // Voice note answering a text question - transcribed after upload
+    return { valid: true, value: { audio: message.media.id } };
+  }
+
+  if (message.type !== 'text' || !message.text) {
+    return { valid: false, errorTemplate: step.invalid || 'needText' };
+  }
+
+  const value = message.text.trim();
+  const validation = step.validation || {};
+  const invalid = { valid: false, errorTemplate: validation.message || 'invalidInput' };
+
+  if (validation.minLength && value.length < validation.minLength) {
+    return invalid;
+  }
+  if (validation.maxLength && value.length > validation.maxLength) {
+    return invalid;
+  }
+  if (validation.pattern && !new RegExp(validation.pattern, 'i').test(value)) {
+    return invalid;
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Parse a button click or a typed option (button id, title or alias)
+ */
+function parseButtonInput(step, message) {
+  let reply = '';
+
+  if (message.type === 'reply' && message.replyId) {
+    reply = message.replyId;
+  } else if (message.type === 'text' && message.text) {
+    reply = message.text;
+  } else {
+    return { valid: false, errorTemplate: step.invalid || 'needChoice' };
+  }
+
+  const normalizedReply = reply.toLowerCase().trim();
+  const button = (step.buttons || []).find(option =>
+    [option.id, option.title, ...(option.aliases || [])]
+      .some(candidate => String(candidate).toLowerCase() === normalizedReply)
+  );
+
+  if (!button) {
+    return { valid: false, errorTemplate: step.invalid || 'needChoice' };
+  }
+
+  return { valid: true, value: button.id };
+}
+
+/**
+ * Parse an image message, returning the channel's media ID of the image
+ */
+function parseImageInput(step, message) {
+  if (message.type !== 'image' || !message.media) {
+    return { valid: false, errorTemplate: step.invalid || 'needImage' };
+  }
+
+  return { valid: true, value: message.media.id };
+}
+
+/**
+ * Get the media an answer carries, if any
+ * @param {object} step - Step definition
+ * @param {*} value - Parsed answer
+ * @returns {object|null} { mediaType: 'image'|'audio', mediaId } or null for plain answers
+ */
+function getMediaAnswer(step, value) {
+  if (step.input === 'image') {
+    return { mediaType: 'image', mediaId: value };
+  }
+  if (value && value.audio) {
+    return { mediaType: 'audio', mediaId: value.audio };
+  }
+
+  return null;
+}
+
+/**
+ * Get the score range of a rating step
+ * @param {object} step - Step definition
+ * @returns {object} { min, max }
+ */
+function getRatingScale(step) {
+  return { ...DEFAULT_RATING_SCALE, ...(step.scale || {}) };
+}
+
+/**
+ * Parse a score picked from the list/buttons or typed as digits (e.g. "4" or "4/5")
+ */
+function parseRatingInput(step, message) {
+  const { min, max } = getRatingScale(step);
+  const invalid = { valid: false, errorTemplate: step.invalid || 'needRating' };
+  let reply = '';
+
+  if (message.type === 'reply' && message.replyId) {
+    reply = message.replyId;
+  } else if (message.type === 'text' && message.text) {
+    reply = message.text;
+  } else {
+    return invalid;
+  }
+
+  const match = reply.trim().match(/^(?:rating_)?(\d{1,2})(?!\d)/);
+  const score = match ? parseInt(match[1], 10) : NaN;
+
+  if (isNaN(score) || score < min || score > max) {
+    return invalid;
+  }
+
+  return { valid: true, value: score };
+}
+
+/**
+ * Build the session updates for an accepted answer
+ * @param {object} session - Current session data
+ * @param {object} step - Step definition
+ * @param {string} value - Parsed answer value
+ * @returns {object} Session updates
+ */
+function applyAnswer(session, step, value) {
+  const updates = {};
+
+  if (step.input === 'image') {
+    updates.whatsappImageId = value;
+    updates.profileImageUrl = null; // Will be updated after Supabase upload
+  }
+
+  if (step.input === 'rating') {
+    updates.rating = value;
+    updates.ratingScale = getRatingScale(step).max;
+  }
+
+  const isAudio = Boolean(value && value.audio);
+  if (isAudio) {
+    updates.whatsappAudioId = value.audio;
+  } else if (step.acceptAudio) {
+    updates.whatsappAudioId = null;
+  }
+
+  if (!step.field) {
+    return updates;
+  }
+
+  updates.answers = { ...(session.answers || {}), [step.field]: value };
+
+  if (SESSION_FIELDS.includes(step.field)) {
+    // Voice notes fill the column with their transcript later
+    updates[step.field] = isAudio ? null : value;
+  }
+
+  return updates;
+}
+
+/**
+ * Build the session updates that forget the answer of a step
+ * Used when going back so a previous answer does not leak into a new path
+ * @param {object} session - Current session data
+ * @param {object} step - Step definition
+ * @returns {object} Session updates
+ */
+function clearAnswer(session, step) {
+  const updates = {};
+
+  if (step.input === 'image') {
+    updates.whatsappImageId = null;
+    updates.profileImageUrl = null;
+  }
+
+  if (step.input === 'rating') {
+    updates.rating = null;
+    updates.ratingScale = null;
+  }
+
+  if (step.acceptAudio) {
+    updates.whatsappAudioId = null;
+  }
+
+  if (!step.field) {
+    return updates;
+  }
+
+  const answers = { ...(session.answers || {}) };
+  delete answers[step.field];
+  updates.answers = answers;
+
+  if (SESSION_FIELDS.includes(step.field)) {
+    updates[step.field] = null;
+  }
+
+  return updates;
+}
+
+/**
+ * Resolve the next step for an accepted answer
+ * `next` may be a step id, or a list of rules `{ when, goto, prompt }` where
+ * a rule without `when` acts as the default. Skipped steps match rules with
+ * `"when": "skip"`. Without `next` the flow moves to the following step,
+ * completing after the last one.
+ * @param {object} flow - Flow definition
+ * @param {object} step - Current step definition
+ * @param {string} value - Parsed answer value ("skip" when the step was skipped)
+ * @returns {object} { goto, prompt } where prompt optionally overrides the next step's prompt
+ */
+function resolveTransition(flow, step, value) {
+  if (typeof step.next === 'string') {
+    return { goto: step.next };
+  }
+
+  if (Array.isArray(step.next)) {
+    const rule = step.next.find(candidate => matchesRule(candidate, value)) ||
+      step.next.find(candidate => candidate.when === undefined);
+
+    if (rule) {
+      return { goto: rule.goto, prompt: rule.prompt };
+    }
+  }
+
+  const followingStep = flow.steps[getStepPosition(flow, step.id)];
+  return { goto: followingStep ? followingStep.id : COMPLETE_STEP };
+}
+
+/**
+ * Check whether a next-step rule applies to an answer value
+ */
+function matchesRule(rule, value) {
+  if (rule.when === undefined) {
+    return false;
+  }
+
+  const expected = Array.isArray(rule.when) ? rule.when : [rule.when];
+  return expected.some(candidate => String(candidate).toLowerCase() === String(value).toLowerCase());
+}
+
+/**
+ * Build template data from session answers
+ * @param {object} session - Session data
+ * @returns {object} Data for template interpolation
+ */
+function getTemplateData(session) {
+  return {
+    ...(session.answers || {}),
+    name: session.name
+  };
+}
+
+/**
+ * Render a template key or literal prompt text
+ * Literal text and campaign template overrides support {{field}} placeholders
+ * filled from the session answers
+ * @param {object} prompt - { template } or { text }
+ * @param {object} session - Session data
+ * @param {object} templates - Optional template overrides keyed by template name
+ * @returns {string} Message text
+ */
+function renderMessage(prompt, session, templates = {}) {
+  const data = getTemplateData(session);
+  const text = prompt.text || templates[prompt.template];
+
+  if (text) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) =>
+      data[field] !== undefined && data[field] !== null ? String(data[field]) : ''
+    );
+  }
+
+  return getTemplate(prompt.template, data);
+}
+
+/**
+ * Build the prompt that asks the question of a step
+ * @param {object} step - Step definition
+ * @param {object} session - Session data
+ * @param {object} options - { template } overriding the step prompt (from a next-step rule)
+ *                           and { templates } overrides from the campaign
+ * @returns {object} { text, buttons, list } where buttons or list carry the reply options
+ */
+function buildPrompt(step, session, options = {}) {
+  const prompt = options.template
+    ? { template: options.template }
+    : { template: step.prompt, text: step.promptText };
+
+  return {
+    text: renderMessage(prompt, session, options.templates),
+    ...getReplyOptions(step, session, options.templates)
+  };
+}
+
+/**
+ * Get the interactive reply options of a step
+ * Rating scales use buttons when they fit, otherwise a list; scales longer
+ * than a list (such as NPS 0-10) are answered by typing the score
+ */
+function getReplyOptions(step, session, templates) {
+  if (step.input === 'button') {
+    return { buttons: getButtons(step), list: null };
+  }
+
+  if (step.input !== 'rating') {
+    return { buttons: null, list: null };
+  }
+
+  const { min, max } = getRatingScale(step);
+  const scores = Array.from({ length: max - min + 1 }, (_, index) => min + index);
+  const labels = step.labels || {};
+
+  if (scores.length <= MAX_BUTTONS) {
+    return {
+      buttons: scores.map(score => ({ id: `rating_${score}`, title: labels[score] || String(score) })),
+      list: null
+    };
+  }
+
+  if (scores.length <= MAX_LIST_ROWS) {
+    return {
+      buttons: null,
+      list: {
+        buttonText: renderMessage({ template: step.listButton || 'ratingListButton' }, session, templates),
+        sections: [{
+          title: 'Score',
+          rows: scores.map(score => ({
+            id: `rating_${score}`,
+            title: String(score),
+            description: labels[score]
+          }))
+        }]
+      }
+    };
+  }
+
+  return { buttons: null, list: null };
+}
+
+/**
+ * Get the WhatsApp reply buttons of a step
+ */
+function getButtons(step) {
+  return (step.buttons || []).map(button => ({ id: button.id, title: button.title }));
+}
+
+/**
+ * Validate a flow definition before it is stored
+ * @param {object} flow - Flow definition
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateFlowDefinition(flow) {
+  const errors = [];
+
+  if (!flow || typeof flow !== 'object') {
+    return ['Flow definition must be an object'];
+  }
+  if (!flow.key || typeof flow.key !== 'string') {
+    errors.push('key is required');
+  }
+  if (!flow.name || typeof flow.name !== 'string') {
+    errors.push('name is required');
+  }
+  if (!Array.isArray(flow.steps) || flow.steps.length === 0) {
+    errors.push('steps must be a non-empty array');
+    return errors;
+  }
+
+  const templates = getAvailableTemplates();
+  const stepIds = flow.steps.map(step => step && step.id);
+  const checkTemplate = (key, label) => {
+    if (key && !templates.includes(key)) {
+      errors.push(`${label}: unknown template "${key}"`);
+    }
+  };
+  const checkTarget = (target, label) => {
+    if (target !== COMPLETE_STEP && !stepIds.includes(target)) {
+      errors.push(`${label}: unknown next step "${target}"`);
+    }
+  };
+
+  if (flow.completionTemplate) {
+    checkTemplate(flow.completionTemplate, 'completionTemplate');
+  }
+
+  flow.steps.forEach((step, index) => {
+    const label = `steps[${index}]`;
+
+    if (!step || !step.id) {
+      errors.push(`${label}: id is required`);
+      return;
+    }
+    if (step.id === COMPLETE_STEP) {
+      errors.push(`${label}: "${COMPLETE_STEP}" is a reserved step id`);
+    }
+    if (step.buttons && step.buttons.some(button => COMMANDS.includes(String(button.id).toLowerCase()))) {
+      errors.push(`${label}: button ids cannot be navigation commands (${COMMANDS.join(', ')})`);
+    }
+    if (stepIds.indexOf(step.id) !== index) {
+      errors.push(`${label}: duplicate step id "${step.id}"`);
+    }
+    if (!INPUT_TYPES.includes(step.input)) {
+      errors.push(`${label}: input must be one of ${INPUT_TYPES.join(', ')}`);
+    }
+    if (!step.prompt && !step.promptText) {
+      errors.push(`${label}: prompt or promptText is required`);
+    }
+    if (step.optional !== undefined && typeof step.optional !== 'boolean') {
+      errors.push(`${label}: optional must be true or false`);
+    }
+    if (step.acceptAudio !== undefined && (typeof step.acceptAudio !== 'boolean' || step.input !== 'text')) {
+      errors.push(`${label}: acceptAudio must be true or false and is only supported on text steps`);
+    }
+
+    checkTemplate(step.prompt, label);
+    checkTemplate(step.invalid, label);
+    checkTemplate(step.validation?.message, label);
+
+    if (step.validation?.pattern) {
+      try {
+        new RegExp(step.validation.pattern);
+      } catch (error) {
+        errors.push(`${label}: invalid validation pattern`);
+      }
+    }
+
+    if (step.input === 'rating') {
+      const { min, max } = getRatingScale(step);
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max > 10 || min >= max) {
+        errors.push(`${label}: scale needs integer min and max between 0 and 10 with min < max`);
+      }
+      checkTemplate(step.listButton, label);
+    }
+
+    if (step.reminders !== undefined) {
+      if (!Array.isArray(step.reminders)) {
+        errors.push(`${label}: reminders must be a list of { afterMinutes, template }`);
+      } else {
+        step.reminders.forEach((reminder, reminderIndex) => {
+          const previous = step.reminders[reminderIndex - 1];
+          if (!(reminder.afterMinutes > 0) || (previous && reminder.afterMinutes <= previous.afterMinutes)) {
+            errors.push(`${label}: reminder afterMinutes must be positive and increasing`);
+          }
+          if (!reminder.template) {
+            errors.push(`${label}: reminders need a template`);
+          }
+          checkTemplate(reminder.template, label);
+        });
+      }
+    }
+
+    if (step.input === 'button') {
+      const buttons = step.buttons || [];
+
+      if (buttons.length === 0 || buttons.length > MAX_BUTTONS) {
+        errors.push(`${label}: button steps need 1 to ${MAX_BUTTONS} buttons`);
+      }
+      buttons.forEach(button => {
+        if (!button.id || !button.title) {
+          errors.push(`${label}: buttons need an id and a title`);
+        } else if (button.title.length > MAX_BUTTON_TITLE_LENGTH) {
+          errors.push(`${label}: button title "${button.title}" exceeds ${MAX_BUTTON_TITLE_LENGTH} characters`);
+        }
+      });
+    }
+
+    if (typeof step.next === 'string') {
+      checkTarget(step.next, label);
+    } else if (Array.isArray(step.next)) {
+      step.next.forEach(rule => {
+        checkTarget(rule.goto, label);
+        checkTemplate(rule.prompt, label);
+      });
+    } else if (step.next !== undefined) {
+      errors.push(`${label}: next must be a step id or a list of rules`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  INPUT_TYPES,
+  COMPLETE_STEP,
+  COMMANDS,
+  getStep,
+  getStepPosition,
+  getCurrentStep,
+  getRatingScale,
+  getMediaAnswer,
+  parseCommand,
+  parseStepInput,
+  applyAnswer,
+  clearAnswer,
+  resolveTransition,
+  buildPrompt,
+  renderMessage,
+  validateFlowDefinition
+};
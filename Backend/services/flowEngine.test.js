@@ -0,0 +1,179 @@
+/**
+ * Tests for the Conversation Flow Engine
+ * Checked against the bundled feedback flow and variations of it
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const flowEngine = require('./flowEngine');
+const feedbackFlow = require('../flows/feedback.json');
+
+/**
+ * Copy the bundled feedback flow with one of its steps changed
+ */
+function withStep(stepId, changes) {
+  return {
+    ...feedbackFlow,
+    steps: feedbackFlow.steps.map(step => (step.id === stepId ? { ...step, ...changes } : step))
+  };
+}
+
+// Messages as channel adapters normalize them
+const textMessage = text => ({ type: 'text', text });
+const reply = replyId => ({ type: 'reply', replyId });
+const nameStep = flowEngine.getStep(feedbackFlow, 'name');
+const selfieChoiceStep = flowEngine.getStep(feedbackFlow, 'selfie_choice');
+
+describe('validateFlowDefinition', () => {
+  test('accepts the bundled feedback flow', () => {
+    assert.deepEqual(flowEngine.validateFlowDefinition(feedbackFlow), []);
+  });
+
+  test('requires an object with key, name and steps', () => {
+    assert.deepEqual(flowEngine.validateFlowDefinition(null), ['Flow definition must be an object']);
+    assert.deepEqual(flowEngine.validateFlowDefinition({ steps: [] }), [
+      'key is required',
+      'name is required',
+      'steps must be a non-empty array'
+    ]);
+  });
+
+  test('rejects duplicate and reserved step ids', () => {
+    const count = feedbackFlow.steps.length;
+    const flow = {
+      ...feedbackFlow,
+      steps: [...feedbackFlow.steps, { ...nameStep }, { ...nameStep, id: 'complete' }]
+    };
+
+    assert.deepEqual(flowEngine.validateFlowDefinition(flow), [
+      `steps[${count}]: duplicate step id "name"`,
+      `steps[${count + 1}]: "complete" is a reserved step id`
+    ]);
+  });
+
+  test('rejects unknown input types, templates and next steps', () => {
+    const errors = flowEngine.validateFlowDefinition(withStep('name', { input: 'video', prompt: 'nope', next: 'missing' }));
+
+    assert.deepEqual(errors, [
+      `steps[0]: input must be one of ${flowEngine.INPUT_TYPES.join(', ')}`,
+      'steps[0]: unknown template "nope"',
+      'steps[0]: unknown next step "missing"'
+    ]);
+  });
+
+  test('checks the targets and prompts of next-step rules', () => {
+    const errors = flowEngine.validateFlowDefinition(withStep('selfie_choice', {
+      next: [{ when: 'yes', goto: 'elsewhere' }, { when: 'no', goto: 'feedback', prompt: 'unknownPrompt' }]
+    }));
+
+    assert.deepEqual(errors, [
+      'steps[1]: unknown next step "elsewhere"',
+      'steps[1]: unknown template "unknownPrompt"'
+    ]);
+  });
+
+  test('rejects an invalid validation pattern', () => {
+    const errors = flowEngine.validateFlowDefinition(withStep('name', { validation: { pattern: '(' } }));
+
+    assert.deepEqual(errors, ['steps[0]: invalid validation pattern']);
+  });
+
+  test('limits button steps to 3 buttons with short titles', () => {
+    const errors = flowEngine.validateFlowDefinition(withStep('selfie_choice', {
+      buttons: [
+        ...selfieChoiceStep.buttons,
+        { id: 'maybe', title: 'Maybe, ask me again later' },
+        { id: 'never', title: 'Never' }
+      ]
+    }));
+
+    assert.deepEqual(errors, [
+      'steps[1]: button steps need 1 to 3 buttons',
+      'steps[1]: button title "Maybe, ask me again later" exceeds 20 characters'
+    ]);
+  });
+});
+
+describe('parseStepInput', () => {
+  test('trims text answers and applies the step validation', () => {
+    assert.deepEqual(flowEngine.parseStepInput(nameStep, textMessage('  Jane ')), { valid: true, value: 'Jane' });
+    assert.deepEqual(
+      flowEngine.parseStepInput(nameStep, textMessage('x'.repeat(101))),
+      { valid: false, errorTemplate: 'invalidInput' }
+    );
+    assert.deepEqual(
+      flowEngine.parseStepInput(nameStep, { type: 'image', media: { id: 'img' } }),
+      { valid: false, errorTemplate: 'needText' }
+    );
+  });
+
+  test('accepts a button by its reply id, title or alias', () => {
+    assert.deepEqual(flowEngine.parseStepInput(selfieChoiceStep, reply('yes')), { valid: true, value: 'yes' });
+    assert.deepEqual(flowEngine.parseStepInput(selfieChoiceStep, textMessage('No')), { valid: true, value: 'no' });
+    assert.deepEqual(flowEngine.parseStepInput(selfieChoiceStep, textMessage(' Y ')), { valid: true, value: 'yes' });
+    assert.deepEqual(
+      flowEngine.parseStepInput(selfieChoiceStep, textMessage('perhaps')),
+      { valid: false, errorTemplate: 'needChoice' }
+    );
+  });
+});
+
+describe('resolveTransition', () => {
+  test('follows a fixed next step', () => {
+    assert.deepEqual(flowEngine.resolveTransition(feedbackFlow, nameStep, 'Jane'), { goto: 'selfie_choice' });
+  });
+
+  test('follows the rule matching the answer, with its prompt', () => {
+    assert.deepEqual(
+      flowEngine.resolveTransition(feedbackFlow, selfieChoiceStep, 'no'),
+      { goto: 'feedback', prompt: 'profilePictureNo' }
+    );
+  });
+
+  test('falls through to the following step, then completes', () => {
+    const flow = withStep('name', { next: undefined });
+    const lastStep = { ...flow.steps[flow.steps.length - 1], next: undefined };
+
+    assert.deepEqual(flowEngine.resolveTransition(flow, flowEngine.getStep(flow, 'name'), 'Jane'), { goto: 'selfie_choice' });
+    assert.deepEqual(flowEngine.resolveTransition(flow, lastStep, 'done'), { goto: 'complete' });
+  });
+});
+
+describe('rating steps', () => {
+  const ratingStep = flowEngine.getStep(feedbackFlow, 'rating');
+  const npsStep = { ...ratingStep, scale: { min: 0, max: 10 } };
+
+  test('accepts a typed score, also written as "4/5"', () => {
+    assert.deepEqual(flowEngine.parseStepInput(ratingStep, textMessage('4')), { valid: true, value: 4 });
+    assert.deepEqual(flowEngine.parseStepInput(ratingStep, textMessage(' 4/5 ')), { valid: true, value: 4 });
+  });
+
+  test('accepts a score picked from the list or buttons', () => {
+    assert.deepEqual(flowEngine.parseStepInput(ratingStep, reply('rating_5')), { valid: true, value: 5 });
+  });
+
+  test('rejects scores outside the scale and answers without a score', () => {
+    const invalid = { valid: false, errorTemplate: 'needRating' };
+
+    for (const answer of ['0', '6', '45', 'great']) {
+      assert.deepEqual(flowEngine.parseStepInput(ratingStep, textMessage(answer)), invalid, answer);
+    }
+    assert.deepEqual(flowEngine.parseStepInput(ratingStep, { type: 'image', media: { id: 'img' } }), invalid);
+  });
+
+  test('uses the scale of the step, e.g. 0 to 10 for NPS', () => {
+    assert.deepEqual(flowEngine.parseStepInput(npsStep, textMessage('0')), { valid: true, value: 0 });
+    assert.deepEqual(flowEngine.parseStepInput(npsStep, reply('rating_10')), { valid: true, value: 10 });
+    assert.deepEqual(flowEngine.parseStepInput(npsStep, textMessage('11')), { valid: false, errorTemplate: 'needRating' });
+  });
+
+  test('defaults to a 1 to 5 scale', () => {
+    assert.deepEqual(flowEngine.getRatingScale({ input: 'rating' }), { min: 1, max: 5 });
+  });
+
+  test('rejects a scale outside 0 to 10 in the flow definition', () => {
+    const errors = flowEngine.validateFlowDefinition(withStep('rating', { scale: { min: 5, max: 11 } }));
+
+    assert.deepEqual(errors, ['steps[4]: scale needs integer min and max between 0 and 10 with min < max']);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Conversation Flow Service
+ * Loads flow definitions from the database, falling back to the JSON
+ * definitions bundled in the flows/ directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const prismaService = require('./prismaService');
+const { validateFlowDefinition } = require('./flowEngine');
+
+const FLOWS_DIR = path.join(__dirname, '..', 'flows');
+
+/**
+ * Load bundled JSON flow definitions keyed by flow key
+ * @returns {object} Map of flow key to definition
+ */
+function loadBundledFlows() {
+  const flows = {};
+
+  for (const file of fs.readdirSync(FLOWS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+
+    const flow = JSON.parse(fs.readFileSync(path.join(FLOWS_DIR, file), 'utf8'));
+    const errors = validateFlowDefinition(flow);
+
+    if (errors.length > 0) {
+      console.error(`❌ Invalid bundled flow ${file}:`, errors);
+      continue;
+    }
+
+    flows[flow.key] = flow;
+  }
+
+  console.log(`📋 Loaded ${Object.keys(flows).length} bundled conversation flows`);
+  return flows;
+}
+
+const bundledFlows = loadBundledFlows();
+
+/**
+ * Get the key of the flow started by default
+ * @returns {string} Default flow key
+ */
+function getDefaultFlowKey() {
+  return process.env.DEFAULT_FLOW_KEY || 'feedback';
+}
+
+/**
+ * Convert a database record to a flow definition
+ */
+function toFlowDefinition(record) {
+  return {
+    key: record.key,
+    name: record.name,
+    steps: record.steps,
+    completionTemplate: record.completionTemplate || undefined,
+    isActive: record.isActive
+  };
+}
+
+/**
+ * Get a flow definition by key
+ * Active database flows take precedence over bundled ones
+ * @param {string} key - Flow key (defaults to the default flow)
+ * @returns {object|null} Flow definition or null if not found
+ */
+async function getFlow(key = getDefaultFlowKey()) {
+  try {
+    const record = await prismaService.getConversationFlow(key);
+
+    if (record && record.isActive) {
+      return toFlowDefinition(record);
+    }
+  } catch (error) {
+    console.error(`❌ Error loading flow "${key}" from database, using bundled definition:`, error.message);
+  }
+
+  return bundledFlows[key] || null;
+}
+
+/**
+ * List all flows, marking where each definition comes from
+ * @returns {array} Flow definitions with a source of "database" or "bundled"
+ */
+async function listFlows() {
+  const records = await prismaService.getAllConversationFlows();
+  const flows = records.map(record => ({ ...toFlowDefinition(record), source: 'database' }));
+
+  for (const flow of Object.values(bundledFlows)) {
+    if (!flows.some(existing => existing.key === flow.key)) {
+      flows.push({ ...flow, isActive: true, source: 'bundled' });
+    }
+  }
+
+  return flows;
+}
+
+/**
+ * Create or update a flow definition in the database
+ * @param {object} flow - Flow definition (must pass validateFlowDefinition)
+ * @returns {object} Saved flow definition
+ */
+async function saveFlow(flow) {
+  const record = await prismaService.saveConversationFlow(flow);
+  return { ...toFlowDefinition(record), source: 'database' };
+}
+
+/**
+ * Delete a flow definition from the database
+ * Bundled flows cannot be deleted; removing a database override restores them
+ * @param {string} key - Flow key
+ * @returns {boolean} True if deleted
+ */
+async function deleteFlow(key) {
+  return await prismaService.deleteConversationFlow(key);
+}
+
+module.exports = {
+  getDefaultFlowKey,
+  getFlow,
+  listFlows,
+  saveFlow,
+  deleteFlow,
+  validateFlowDefinition
+};
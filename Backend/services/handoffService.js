@@ -0,0 +1,173 @@
+/**
+ * Handoff Service for WhatsApp Feedback Collection
+ * Hands a conversation over to a human agent. While a handoff is active the bot
+ * stays silent for that phone number and its messages are streamed to the admin UI
+ */
+
+const prismaService = require('./prismaService');
+const sseService = require('./sseService');
+const messageLogService = require('./messageLogService');
+const auditService = require('./auditService');
+const { sendTextMessage } = require('./channelService');
+const { getTemplate } = require('../utils/messageTemplates');
+
+class HandoffService {
+  constructor() {
+    // Messages that ask for a human (comma-separated, empty to disable)
+    this.keywords = (process.env.HANDOFF_KEYWORDS ?? 'agent,human')
+      .split(',')
+      .map(keyword => keyword.toLowerCase().trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether a message asks to talk to a human
+   * @param {string} messageText - Lowercased, trimmed message text
+   * @returns {boolean} True for a handoff keyword
+   */
+  isHandoffRequest(messageText) {
+    return this.keywords.includes(messageText);
+  }
+
+  /**
+   * Get the active handoff of a phone number
+   * @param {string} userPhone - User's phone number
+   * @returns {object|null} Handoff or null if the bot is in control
+   */
+  async getActiveHandoff(userPhone) {
+    return await prismaService.getActiveHandoff(userPhone);
+  }
+
+  /**
+   * Pause automation for a phone number and hand it over to an agent
+   * @param {string} userPhone - User's phone number
+   * @param {object} options - { requestedBy: 'user' | 'agent', reason, agent }
+   * @param {object} actor - Who the handoff is audited for (the system by default)
+   * @returns {object} Handoff (the existing one if the phone is already handed off)
+   */
+  async startHandoff(userPhone, options = {}, actor = auditService.SYSTEM_ACTOR) {
+    const existing = await prismaService.getActiveHandoff(userPhone);
+    if (existing) {
+      return existing;
+    }
+
+    const handoff = await prismaService.createHandoff({ userPhone, ...options });
+    console.log(`🙋 Handed ${userPhone} over to a human agent (requested by ${handoff.requestedBy})`);
+
+    await auditService.record(actor, 'handoff.start', {
+      targetType: 'handoff',
+      targetId: handoff.id,
+      before: null,
+      after: handoff
+    });
+
+    sseService.notifyHandoffUpdate(handoff);
+    return handoff;
+  }
+
+  /**
+   * Send a message received during a handoff to the admin UI instead of the bot
+   * @param {object} handoff - Active handoff
+   * @param {object} message - ChannelMessage
+   * @returns {object} Updated handoff
+   */
+  async forwardMessage(handoff, message) {
+    const updatedHandoff = await prismaService.updateHandoff(handoff.id, { lastInboundAt: new Date() });
+    const { type, body } = messageLogService.describeInbound(message);
+
+    console.log(`🙋 Forwarded ${type} message from ${handoff.userPhone} to the agent`);
+    sseService.notifyHandoffMessage({
+      handoffId: handoff.id,
+      userPhone: handoff.userPhone,
+      direction: 'inbound',
+      type,
+      body,
+      whatsappMessageId: message.id
+    });
+
+    return updatedHandoff;
+  }
+
+  /**
+   * Show an agent's reply in the admin UI when the phone is handed off
+   * @param {string} userPhone - Recipient phone number
+   * @param {string} text - Reply text
+   * @param {object} options - { agent, whatsappMessageId }
+   * @returns {object|null} Handoff or null if the phone is not handed off
+   */
+  async recordAgentReply(userPhone, text, options = {}) {
+    let handoff = await prismaService.getActiveHandoff(userPhone);
+    if (!handoff) {
+      return null;
+    }
+
+    // The first agent to reply takes the conversation
+    if (options.agent && !handoff.agent) {
+      handoff = await prismaService.updateHandoff(handoff.id, { agent: options.agent });
+      sseService.notifyHandoffUpdate(handoff);
+    }
+
+    sseService.notifyHandoffMessage({
+      handoffId: handoff.id,
+      userPhone,
+      direction: 'outbound',
+      type: 'text',
+      body: text,
+      agent: options.agent || handoff.agent,
+      whatsappMessageId: options.whatsappMessageId
+    });
+
+    return handoff;
+  }
+
+  /**
+   * Give control of a phone number back to the bot
+   * @param {string} userPhone - User's phone number
+   * @param {object} options - { notifyUser: send handoffEnded, resumeFlow: ask the paused session's question again }
+   * @param {object} actor - Who the release is audited for (the system by default)
+   * @returns {object|null} Resolved handoff with `resumed`, or null if the phone was not handed off
+   */
+  async releaseHandoff(userPhone, options = {}, actor = auditService.SYSTEM_ACTOR) {
+    const { notifyUser = true, resumeFlow = true } = options;
+
+    const handoff = await prismaService.getActiveHandoff(userPhone);
+    if (!handoff || !await prismaService.resolveHandoff(handoff.id)) {
+      return null;
+    }
+
+    const resolvedHandoff = { ...handoff, status: 'resolved', resolvedAt: new Date() };
+    console.log(`🤖 Gave ${userPhone} back to the bot`);
+    sseService.notifyHandoffUpdate(resolvedHandoff);
+
+    await auditService.record(actor, 'handoff.release', {
+      targetType: 'handoff',
+      targetId: handoff.id,
+      before: handoff,
+      after: resolvedHandoff
+    });
+
+    if (notifyUser) {
+      try {
+        await sendTextMessage(userPhone, getTemplate('handoffEnded'));
+      } catch (error) {
+        console.error(`❌ Failed to send handoff closing message to ${userPhone}:`, error);
+      }
+    }
+
+    let resumed = false;
+    if (resumeFlow) {
+      try {
+        // Required here to avoid a circular dependency with the webhook handlers
+        const webhookService = require('./webhookService');
+        resumed = await webhookService.resumeSession(userPhone);
+      } catch (error) {
+        console.error(`❌ Failed to resume session for ${userPhone}:`, error);
+      }
+    }
+
+    return { ...resolvedHandoff, resumed };
+  }
+}
+
+// Export singleton instance
+module.exports = new HandoffService();
@@ -0,0 +1,219 @@
+/**
+ * Media Ingestion Service for WhatsApp Feedback Images and Voice Notes
+ * Tracks every media upload as its own job, so the file reaches the final
+ * Feedback row no matter whether the upload or the conversation finishes first
+ */
+
+const prismaService = require('./prismaService');
+const supabaseStorageService = require('./supabaseStorageService');
+const sseService = require('./sseService');
+const transcriptionService = require('./transcriptionService');
+const tenantContext = require('../utils/tenantContext');
+
+class MediaIngestionService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.MEDIA_UPLOAD_MAX_ATTEMPTS) || 5;
+    this.retryBaseDelay = 30 * 1000; // 30 seconds, doubled on every attempt
+    this.pollInterval = 60 * 1000; // 1 minute in milliseconds
+    this.staleLockTimeout = 10 * 60 * 1000; // Uploads locked longer than 10 minutes are retried
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start ingesting an image or voice note received from WhatsApp
+   * Returns once the job is stored; the upload itself runs in the background
+   * @param {object} uploadData - { whatsappMediaId, mediaType, userPhone, folder }
+   * @returns {object} Media upload job
+   */
+  async enqueue(uploadData) {
+    const upload = await prismaService.createMediaUpload(uploadData);
+    console.log(`📥 Queued media upload ${upload.id} for ${upload.mediaType} ${upload.whatsappMediaId}`);
+
+    setImmediate(() => this.processDueUploads());
+
+    return upload;
+  }
+
+  /**
+   * Upload a locked job's media and attach it to its feedback
+   * Voice notes are transcribed once uploaded
+   * @param {object} upload - Media upload record (attempts already counts this attempt)
+   */
+  async processUpload(upload) {
+    console.log(`📤 Uploading ${upload.mediaType} ${upload.whatsappMediaId} for ${upload.userPhone} (attempt ${upload.attempts})`);
+
+    const isAudio = upload.mediaType === 'audio';
+    const uploadMedia = isAudio
+      ? supabaseStorageService.uploadWhatsAppAudio.bind(supabaseStorageService)
+      : supabaseStorageService.uploadWhatsAppImage.bind(supabaseStorageService);
+    const uploadResult = await uploadMedia(
+      upload.whatsappMediaId,
+      upload.userPhone,
+      `upload_${upload.id}`,
+      upload.folder
+    );
+
+    if (!uploadResult.success) {
+      const failed = upload.attempts >= this.maxAttempts;
+      const delay = this.retryBaseDelay * Math.pow(2, upload.attempts - 1);
+
+      await prismaService.updateMediaUpload(upload.id, {
+        status: failed ? 'failed' : 'pending',
+        lockedAt: null,
+        nextAttemptAt: new Date(Date.now() + delay),
+        lastError: uploadResult.error
+      });
+
+      if (failed) {
+        console.error(`❌ Media upload ${upload.id} failed after ${upload.attempts} attempts:`, uploadResult.error);
+      } else {
+        console.warn(`⚠️ Media upload ${upload.id} failed, retrying in ${Math.round(delay / 1000)}s:`, uploadResult.error);
+      }
+      return;
+    }
+
+    const transcript = isAudio
+      ? await transcriptionService.transcribe({ url: uploadResult.publicUrl, mimeType: uploadResult.mimeType })
+      : null;
+
+    // Record the result before looking for the feedback, so a session completing
+    // at the same time finds either the completed upload or the saved feedback
+    const completedUpload = await prismaService.updateMediaUpload(upload.id, {
+      status: 'completed',
+      lockedAt: null,
+      storagePath: uploadResult.filePath,
+      publicUrl: uploadResult.publicUrl,
+      transcript,
+      lastError: null
+    });
+
+    console.log(`✅ Media upload ${upload.id} completed: ${uploadResult.publicUrl}`);
+    await this.attachToFeedback(completedUpload);
+  }
+
+  /**
+   * Attach a completed upload to the feedback saved with its media ID, if any
+   * @param {object} upload - Completed media upload record
+   * @returns {object|null} Updated feedback or null if the conversation is still running
+   */
+  async attachToFeedback(upload) {
+    const feedback = await prismaService.attachMediaToFeedback(upload);
+
+    if (!feedback) {
+      console.log(`⏳ No feedback for ${upload.mediaType} ${upload.whatsappMediaId} yet, it will be attached on completion`);
+      return null;
+    }
+
+    if (upload.feedbackId !== feedback.id) {
+      await prismaService.updateMediaUpload(upload.id, { feedbackId: feedback.id });
+    }
+
+    sseService.notifyFeedbackUpdate(feedback);
+
+    if (upload.mediaType === 'image') {
+      // Keep storage within the image limit now that the file path is known
+      try {
+        const conversationManager = require('./conversationManager');
+        await conversationManager.enforceImageLimit();
+      } catch (error) {
+        console.error('❌ Error during image limit enforcement:', error);
+      }
+    }
+
+    return feedback;
+  }
+
+  /**
+   * Attach the media of newly saved feedback whose uploads already finished
+   * @param {object} feedback - Saved feedback record
+   * @returns {object} Feedback, with the media that was attached
+   */
+  async attachToNewFeedback(feedback) {
+    let updatedFeedback = feedback;
+
+    for (const mediaId of [feedback.whatsappImageId, feedback.whatsappAudioId]) {
+      if (!mediaId) {
+        continue;
+      }
+
+      const upload = await prismaService.getMediaUploadByMediaId(mediaId);
+
+      if (upload && upload.status === 'completed') {
+        updatedFeedback = await this.attachToFeedback(upload) || updatedFeedback;
+      }
+    }
+
+    return updatedFeedback;
+  }
+
+  /**
+   * Process all uploads that are due (skipped while a previous run is still going)
+   */
+  async processDueUploads() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      let uploads = await prismaService.getDueMediaUploads(new Date(Date.now() - this.staleLockTimeout));
+
+      while (uploads.length > 0) {
+        let lockedCount = 0;
+
+        for (const upload of uploads) {
+          if (!await prismaService.lockMediaUpload(upload)) {
+            continue;
+          }
+
+          lockedCount++;
+          try {
+            // Downloaded with the credentials of the tenant that received the media
+            await tenantContext.run(upload.tenantKey, () => this.processUpload({ ...upload, attempts: upload.attempts + 1 }));
+          } catch (error) {
+            console.error(`❌ Error processing media upload ${upload.id}:`, error);
+          }
+        }
+
+        // Everything left is being processed by another worker
+        if (lockedCount === 0) {
+          break;
+        }
+
+        uploads = await prismaService.getDueMediaUploads(new Date(Date.now() - this.staleLockTimeout));
+      }
+    } catch (error) {
+      console.error('❌ Error processing media uploads:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Start retrying failed and interrupted uploads
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processDueUploads(), this.pollInterval);
+    console.log('⏰ Started media upload worker (runs every minute)');
+
+    // Pick up uploads interrupted by a restart
+    this.processDueUploads();
+  }
+
+  /**
+   * Stop retrying uploads
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export singleton instance
+module.exports = new MediaIngestionService();
@@ -0,0 +1,105 @@
+/**
+ * Message Deduplication Service for WhatsApp Webhooks
+ * Meta retries webhook deliveries, so inbound message IDs are persisted
+ * to make sure each message is handled only once
+ */
+
+const prismaService = require('./prismaService');
+
+class MessageDeduplicationService {
+  constructor() {
+    // Meta keeps retrying failed deliveries for up to 7 days
+    this.ttl = (parseFloat(process.env.PROCESSED_MESSAGE_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+    this.staleClaimTimeout = 5 * 60 * 1000; // Claims still processing after 5 minutes were interrupted
+    this.cleanupInterval = 60 * 60 * 1000; // 1 hour in milliseconds
+    this.timer = null;
+  }
+
+  /**
+   * Claim a message before handling it
+   * A message whose handling failed or stalled can be claimed again by a retried delivery
+   * @param {object} message - Inbound ChannelMessage
+   * @returns {boolean} True if the message should be handled, false for a duplicate delivery
+   */
+  async claim(message) {
+    if (!message.id) {
+      // Nothing to deduplicate on - process it
+      return true;
+    }
+
+    const expiresAt = new Date(Date.now() + this.ttl);
+    const staleBefore = new Date(Date.now() - this.staleClaimTimeout);
+    const claimed = await prismaService.claimProcessedMessage(message.id, message.from, expiresAt, staleBefore);
+
+    if (!claimed) {
+      console.log(`🔁 Skipping duplicate delivery of message ${message.id} from ${message.from}`);
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Mark a claimed message as handled, so retried deliveries are skipped
+   * @param {object} message - Inbound ChannelMessage
+   */
+  async markProcessed(message) {
+    if (message.id) {
+      await prismaService.setProcessedMessageStatus(message.id, 'processed');
+    }
+  }
+
+  /**
+   * Mark a claimed message whose handling failed, so the retry of its webhook job can claim it again
+   * @param {object} message - Inbound ChannelMessage
+   * @param {Error} error - Why handling failed
+   */
+  async markFailed(message, error) {
+    if (!message.id) {
+      return;
+    }
+
+    try {
+      await prismaService.setProcessedMessageStatus(message.id, 'failed', error.message || String(error));
+      console.log(`⚠️ Marked message ${message.id} as failed, a retried delivery handles it again`);
+    } catch (markError) {
+      // The claim goes stale and is taken over by a retry after staleClaimTimeout
+      console.error(`❌ Failed to mark message ${message.id} as failed:`, markError);
+    }
+  }
+
+  /**
+   * Delete expired message IDs
+   * @returns {number} Number of message IDs removed
+   */
+  async cleanup() {
+    const cleanedCount = await prismaService.cleanupProcessedMessages();
+
+    if (cleanedCount > 0) {
+      console.log(`🧹 Removed ${cleanedCount} expired processed message IDs`);
+    }
+
+    return cleanedCount;
+  }
+
+  /**
+   * Start automatic cleanup timer
+   */
+  startCleanupTimer() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      try {
+        await this.cleanup();
+      } catch (error) {
+        console.error('❌ Error cleaning up processed messages:', error);
+      }
+    }, this.cleanupInterval);
+
+    console.log('⏰ Started processed message cleanup timer (runs every hour)');
+  }
+}
+
+// Export singleton instance
+module.exports = new MessageDeduplicationService();
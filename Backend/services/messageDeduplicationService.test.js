@@ -0,0 +1,79 @@
+/**
+ * Tests for the Message Deduplication Service
+ * How a message ID is claimed and released, with the processed_messages table stubbed
+ */
+
+const { describe, test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const prismaStub = {
+  claimProcessedMessage: async () => true,
+  setProcessedMessageStatus: async () => {}
+};
+const prismaPath = require.resolve('./prismaService');
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: prismaStub };
+
+const messageDeduplicationService = require('./messageDeduplicationService');
+
+const message = { id: 'wamid.HBgL', from: '15550001111', type: 'text', text: 'hi' };
+
+beforeEach(() => {
+  mock.restoreAll();
+  for (const level of ['log', 'error']) {
+    mock.method(console, level, () => {});
+  }
+});
+
+describe('claim', () => {
+  test('claims the message ID until the TTL, taking over claims stalled for 5 minutes', async () => {
+    const claim = mock.method(prismaStub, 'claimProcessedMessage', async () => true);
+    const now = Date.now();
+
+    assert.equal(await messageDeduplicationService.claim(message), true);
+
+    const [messageId, userPhone, expiresAt, staleBefore] = claim.mock.calls[0].arguments;
+    assert.equal(messageId, 'wamid.HBgL');
+    assert.equal(userPhone, '15550001111');
+    assert.ok(Math.abs(expiresAt.getTime() - (now + messageDeduplicationService.ttl)) < 1000);
+    assert.ok(Math.abs(staleBefore.getTime() - (now - 5 * 60 * 1000)) < 1000);
+  });
+
+  test('skips a message claimed by an earlier delivery', async () => {
+    mock.method(prismaStub, 'claimProcessedMessage', async () => false);
+
+    assert.equal(await messageDeduplicationService.claim(message), false);
+  });
+
+  test('handles messages without an ID without claiming them', async () => {
+    const claim = mock.method(prismaStub, 'claimProcessedMessage', async () => false);
+
+    assert.equal(await messageDeduplicationService.claim({ ...message, id: undefined }), true);
+    assert.equal(claim.mock.callCount(), 0);
+  });
+});
+
+describe('releasing a claim', () => {
+  test('marks a handled message as processed', async () => {
+    const setStatus = mock.method(prismaStub, 'setProcessedMessageStatus', async () => {});
+
+    await messageDeduplicationService.markProcessed(message);
+
+    assert.deepEqual(setStatus.mock.calls[0].arguments, ['wamid.HBgL', 'processed']);
+  });
+
+  test('marks a message whose handling failed with the error, so a retry can claim it', async () => {
+    const setStatus = mock.method(prismaStub, 'setProcessedMessageStatus', async () => {});
+
+    await messageDeduplicationService.markFailed(message, new Error('Database unavailable'));
+
+    assert.deepEqual(setStatus.mock.calls[0].arguments, ['wamid.HBgL', 'failed', 'Database unavailable']);
+  });
+
+  test('does not throw when the failure cannot be recorded', async () => {
+    mock.method(prismaStub, 'setProcessedMessageStatus', async () => {
+      throw new Error('Database unavailable');
+    });
+
+    await assert.doesNotReject(messageDeduplicationService.markFailed(message, new Error('Handler failed')));
+  });
+});
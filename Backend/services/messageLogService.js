@@ -0,0 +1,189 @@
+/**
+ * Message Log Service for WhatsApp Feedback Collection
+ * Records every inbound and outbound message so the full conversation
+ * behind a feedback entry can be reviewed
+ */
+
+const prismaService = require('./prismaService');
+
+// Statuses channels report for outbound messages, in delivery order
+const DELIVERY_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+class MessageLogService {
+  /**
+   * Get the type and readable text of an inbound message
+   * @param {object} message - ChannelMessage
+   * @returns {object} { type, body }
+   */
+  describeInbound(message) {
+    switch (message.type) {
+      case 'text':
+      case 'reply':
+        return { type: message.type, body: message.text };
+      case 'form':
+        return { type: 'form', body: '[form submitted]' };
+      case 'image':
+        return { type: 'image', body: message.media?.caption || '[image]' };
+      case 'audio':
+        return { type: 'audio', body: '[voice note]' };
+      default:
+        return { type: message.type || 'unknown', body: `[${message.type || 'unknown'}]` };
+    }
+  }
+
+  /**
+   * Get the ID of the user's active session, if any
+   */
+  async getSessionId(userPhone) {
+    const session = await prismaService.getConversationSession(userPhone);
+    return session ? session.id : null;
+  }
+
+  /**
+   * Record an inbound message (once, when a failed message is handled again)
+   * Never throws - the transcript must not interrupt the conversation
+   * @param {object} message - ChannelMessage
+   * @returns {object|null} Saved message or null if it could not be recorded
+   */
+  async recordInbound(message) {
+    try {
+      const recorded = message.id && await prismaService.getInboundMessageByChannelId(message.id);
+      if (recorded) {
+        return recorded;
+      }
+
+      const { type, body } = this.describeInbound(message);
+
+      return await prismaService.saveMessage({
+        direction: 'inbound',
+        userPhone: message.from,
+        type,
+        body,
+        payload: message.raw,
+        whatsappMessageId: message.id,
+        sessionId: await this.getSessionId(message.from)
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record inbound message from ${message.from}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Link an inbound message that started a session to that session
+   * @param {object} record - Saved inbound message
+   */
+  async linkToSession(record) {
+    if (!record || record.sessionId) {
+      return;
+    }
+
+    try {
+      const sessionId = await this.getSessionId(record.userPhone);
+      if (sessionId) {
+        await prismaService.setMessageSession(record.id, sessionId);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to link message ${record.id} to its session:`, error);
+    }
+  }
+
+  /**
+   * Store an outbound message in the outbox, before it is sent
+   * @param {string} userPhone - Recipient phone number
+   * @param {object} message - { type, body, payload } where payload is what the outbox sends
+   * @param {object} meta - Optional { sessionId, feedbackId } when the message is not part of the active session
+   * @returns {object} Queued message
+   */
+  async queueOutbound(userPhone, message, meta = {}) {
+    const sessionId = meta.sessionId || (meta.feedbackId ? null : await this.getSessionId(userPhone));
+
+    return await prismaService.saveMessage({
+      ...message,
+      direction: 'outbound',
+      userPhone,
+      status: 'queued',
+      sessionId,
+      feedbackId: meta.feedbackId
+    });
+  }
+
+  /**
+   * Store a delivery status reported by a channel webhook on its outbound message
+   * @param {object} status - DeliveryStatus ({ messageId, recipient, status, timestamp, errorCode, error })
+   * @returns {boolean} True if the status belongs to a recorded message
+   */
+  async recordStatus(status) {
+    if (!DELIVERY_STATUSES.includes(status.status)) {
+      return false;
+    }
+
+    const failure = {};
+
+    if (status.status === 'failed' && status.errorCode !== undefined) {
+      failure.errorCode = status.errorCode;
+      failure.error = status.error;
+      console.warn(`⚠️ Message ${status.messageId} to ${status.recipient} failed (code ${status.errorCode}): ${status.error}`);
+    }
+
+    const recorded = await prismaService.updateMessageStatus(status.messageId, status.status, status.timestamp || new Date(), failure);
+
+    if (!recorded) {
+      console.log(`📊 Status "${status.status}" for unknown message ${status.messageId}, ignoring`);
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Link the transcript of a completed session to its feedback
+   * @param {string} sessionId - Conversation session ID
+   * @param {number} feedbackId - Feedback ID
+   */
+  async linkToFeedback(sessionId, feedbackId) {
+    try {
+      const linkedCount = await prismaService.linkMessagesToFeedback(sessionId, feedbackId);
+      console.log(`🧾 Linked ${linkedCount} messages to feedback ${feedbackId}`);
+    } catch (error) {
+      console.error(`❌ Failed to link messages to feedback ${feedbackId}:`, error);
+    }
+  }
+
+  /**
+   * Get outbound message counts by delivery status, with failures by Graph API error code
+   * @param {object} options - { since }
+   */
+  async getDeliveryStats(options = {}) {
+    return await prismaService.getDeliveryStats(options);
+  }
+
+  /**
+   * Get the delivery state of each conversation
+   * @param {object} options - Query options (limit, offset, since)
+   */
+  async getConversationDeliveryStates(options = {}) {
+    return await prismaService.getConversationDeliveryStates(options);
+  }
+
+  /**
+   * Get the transcript of a phone number
+   * @param {string} userPhone - User's phone number
+   * @param {object} options - Query options (limit, offset)
+   * @returns {array} Messages, oldest first
+   */
+  async getTranscriptForUser(userPhone, options = {}) {
+    return await prismaService.getMessagesByUser(userPhone, options);
+  }
+
+  /**
+   * Get the transcript of the conversation that produced a feedback entry
+   * @param {number} feedbackId - Feedback ID
+   * @returns {array} Messages, oldest first
+   */
+  async getTranscriptForFeedback(feedbackId) {
+    return await prismaService.getMessagesByFeedback(feedbackId);
+  }
+}
+
+// Export singleton instance
+module.exports = new MessageLogService();
@@ -0,0 +1,297 @@
+/**
+ * Outbox Service for WhatsApp Messages
+ * Every outbound message is stored before it is sent and retried with exponential
+ * backoff when the Graph API fails transiently, so a prompt is not lost to a single
+ * failed call. Messages to the same number are sent in order and within a per-number rate.
+ */
+
+const prismaService = require('./prismaService');
+const messageLogService = require('./messageLogService');
+
+// Graph API error codes worth retrying: temporary errors and rate limits
+const RETRYABLE_ERROR_CODES = [
+  1,      // Unknown API error
+  2,      // API service temporarily unavailable
+  4,      // Application request limit reached
+  80007,  // WhatsApp Business Account rate limit
+  130429, // Cloud API throughput reached
+  131000, // Something went wrong
+  131016, // Service unavailable
+  131056  // Too many messages to the same number
+];
+
+class OutboxService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 6;
+    this.retryBaseDelay = (parseFloat(process.env.OUTBOX_RETRY_BASE_SECONDS) || 5) * 1000;
+    this.maxRetryDelay = 15 * 60 * 1000; // 15 minutes in milliseconds
+    this.perNumberLimit = parseInt(process.env.OUTBOX_PER_NUMBER_PER_MINUTE) || 20;
+    this.pollInterval = parseInt(process.env.OUTBOX_POLL_MS) || 2000;
+    this.staleLockTimeout = 2 * 60 * 1000; // Messages locked longer than 2 minutes are retried
+    this.recentSends = new Map(); // "tenantKey:phone" -> send times within the last minute
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Queue a message and try to send it right away
+   * @param {string} userPhone - Recipient phone number
+   * @param {object} message - { type, body, payload } (type text, button, list, template or flow)
+   * @param {object} meta - Optional { sessionId, feedbackId } the message belongs to
+   * @returns {object} Send result with the outboxId of the stored message,
+   *                   or { success: false, queued: true, outboxId } when it will be sent later
+   * @throws {Error} When the send failed permanently
+   */
+  async send(userPhone, message, meta = {}) {
+    const queuedMessage = await messageLogService.queueOutbound(userPhone, message, meta);
+
+    // Earlier messages to this number go first
+    if (await prismaService.hasEarlierQueuedMessages(queuedMessage)) {
+      console.log(`📮 Message ${queuedMessage.id} to ${userPhone} waits for earlier messages`);
+      this.scheduleProcessing();
+      return this.queuedResult(queuedMessage);
+    }
+
+    return await this.attempt(queuedMessage);
+  }
+
+  /**
+   * Result returned for a message that stays in the outbox
+   */
+  queuedResult(message) {
+    return {
+      success: false,
+      queued: true,
+      outboxId: message.id,
+      phoneNumber: message.userPhone
+    };
+  }
+
+  /**
+   * Check whether a failed send may succeed when retried
+   * @param {Error} error - Error thrown by a channel adapter
+   * @returns {boolean} True for network errors, 5xx, 429 and retryable Graph API codes
+   */
+  isRetryable(error) {
+    return !!error.isNetworkError ||
+      error.status >= 500 ||
+      error.status === 429 ||
+      RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Get the delay before the next attempt of a message
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryBaseDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+  }
+
+  /**
+   * Get the key of the conversation a message belongs to
+   * The same number can talk to several tenants, each conversation keeping its own order and rate
+   * @param {object} message - Outbox message record
+   * @returns {string} "tenantKey:userPhone"
+   */
+  conversationKey(message) {
+    return `${message.tenantKey}:${message.userPhone}`;
+  }
+
+  /**
+   * Get how long a conversation has to wait before it can be sent another message
+   * @param {object} message - Outbox message record
+   * @returns {number} Delay in milliseconds (0 when a message can be sent now)
+   */
+  getThrottleDelay(message) {
+    const key = this.conversationKey(message);
+    const windowStart = Date.now() - 60 * 1000;
+    const sends = (this.recentSends.get(key) || []).filter(sentAt => sentAt > windowStart);
+
+    if (sends.length > 0) {
+      this.recentSends.set(key, sends);
+    } else {
+      this.recentSends.delete(key);
+    }
+
+    return sends.length < this.perNumberLimit ? 0 : sends[0] - windowStart;
+  }
+
+  /**
+   * Send a message through the adapter of the recipient's channel
+   * @param {object} message - Outbox message record
+   * @returns {object} Send result
+   */
+  async deliver(message) {
+    // Required here to avoid a circular dependency with the send functions
+    const { deliverMessage } = require('./channelService');
+    return await deliverMessage(message);
+  }
+
+  /**
+   * Make a send attempt for a queued message
+   * @param {object} message - Outbox message record as read
+   * @returns {object} Send result, or the queued result when the message will be retried
+   * @throws {Error} When the send failed permanently
+   */
+  async attempt(message) {
+    const throttleDelay = this.getThrottleDelay(message);
+    if (throttleDelay > 0) {
+      await prismaService.updateMessage(message.id, { nextAttemptAt: new Date(Date.now() + throttleDelay) });
+      console.log(`⏳ Throttling ${message.userPhone}, message ${message.id} sent in ${Math.ceil(throttleDelay / 1000)}s`);
+      return this.queuedResult(message);
+    }
+
+    if (!await prismaService.lockOutboundMessage(message)) {
+      // Another worker is sending it
+      return this.queuedResult(message);
+    }
+
+    const attempts = message.attempts + 1;
+    const key = this.conversationKey(message);
+    this.recentSends.set(key, [...(this.recentSends.get(key) || []), Date.now()]);
+
+    try {
+      const result = await this.deliver(message);
+
+      await prismaService.updateMessage(message.id, {
+        status: 'sent',
+        whatsappMessageId: result.messageId || null,
+        sentAt: new Date(),
+        lockedAt: null,
+        error: null,
+        errorCode: null
+      });
+
+      if (attempts > 1) {
+        console.log(`✅ Outbox message ${message.id} to ${message.userPhone} sent on attempt ${attempts}`);
+      }
+      return { ...result, outboxId: message.id };
+    } catch (error) {
+      if (this.isRetryable(error) && attempts < this.maxAttempts) {
+        const delay = this.getRetryDelay(attempts);
+
+        await prismaService.updateMessage(message.id, {
+          status: 'queued',
+          lockedAt: null,
+          nextAttemptAt: new Date(Date.now() + delay),
+          error: error.message,
+          errorCode: error.code ?? null
+        });
+
+        console.warn(`⚠️ Send of message ${message.id} to ${message.userPhone} failed (attempt ${attempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+        this.scheduleProcessing(delay);
+        return this.queuedResult(message);
+      }
+
+      await prismaService.updateMessage(message.id, {
+        status: 'failed',
+        lockedAt: null,
+        failedAt: new Date(),
+        error: error.message,
+        errorCode: error.code ?? null
+      });
+
+      console.error(`❌ Message ${message.id} to ${message.userPhone} failed permanently after ${attempts} attempts:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Send all messages that are due, in order per number (skipped while a previous run is still going)
+   * @returns {number} Number of messages sent
+   */
+  async processDueMessages() {
+    if (this.isProcessing) {
+      return 0;
+    }
+
+    this.isProcessing = true;
+    let sentCount = 0;
+
+    try {
+      const messages = await prismaService.getDueOutboundMessages(new Date(Date.now() - this.staleLockTimeout));
+      // Conversations with a message still waiting - later messages in them must wait too
+      const blockedConversations = new Set();
+
+      for (const message of messages) {
+        if (blockedConversations.has(this.conversationKey(message))) {
+          continue;
+        }
+
+        if (await prismaService.hasEarlierQueuedMessages(message)) {
+          blockedConversations.add(this.conversationKey(message));
+          continue;
+        }
+
+        try {
+          const result = await this.attempt(message);
+
+          if (result.queued) {
+            blockedConversations.add(this.conversationKey(message));
+          } else {
+            sentCount++;
+          }
+        } catch (error) {
+          // Marked as failed - the next message to this number can go
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error processing outbox:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return sentCount;
+  }
+
+  /**
+   * Process the outbox soon, without waiting for the next poll
+   * @param {number} delay - Milliseconds to wait
+   */
+  scheduleProcessing(delay = 0) {
+    setTimeout(() => this.processDueMessages(), delay);
+  }
+
+  /**
+   * Queue a permanently failed message again
+   * @param {number} id - Message ID
+   * @returns {object|null} Queued message, or null if no failed outbound message has this ID
+   */
+  async retryFailedMessage(id) {
+    const message = await prismaService.requeueFailedMessage(id);
+
+    if (message) {
+      console.log(`🔁 Retrying failed message ${id} to ${message.userPhone}`);
+      this.scheduleProcessing();
+    }
+
+    return message;
+  }
+
+  /**
+   * Start sending queued messages
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processDueMessages(), this.pollInterval);
+    console.log(`⏰ Started outbox worker (polls every ${this.pollInterval / 1000}s, ${this.maxAttempts} attempts per message)`);
+
+    // Send messages queued before a restart
+    this.processDueMessages();
+  }
+
+  /**
+   * Stop sending queued messages
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export singleton instance
+module.exports = new OutboxService();
@@ -0,0 +1,171 @@
+/**
+ * Tests for the Outbox Service
+ * Retry backoff, the per-conversation rate and the order of queued messages, with the database stubbed
+ */
+
+const { describe, test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Outbox rows the stand-in database returns as due, and the updates written to them
+let dueMessages = [];
+let earlierQueuedIds = new Set();
+const updates = [];
+const prismaStub = {
+  updateMessage: async (id, data) => updates.push({ id, ...data }),
+  lockOutboundMessage: async () => true,
+  hasEarlierQueuedMessages: async message => earlierQueuedIds.has(message.id),
+  getDueOutboundMessages: async () => dueMessages
+};
+const prismaPath = require.resolve('./prismaService');
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: prismaStub };
+
+const outboxService = require('./outboxService');
+
+const PHONE = '15550001111';
+const CONVERSATION = `default:${PHONE}`;
+const queued = { id: 7, tenantKey: 'default', userPhone: PHONE, attempts: 0, status: 'queued' };
+const unavailable = () => Object.assign(new Error('Service unavailable'), { status: 503 });
+
+beforeEach(() => {
+  dueMessages = [];
+  earlierQueuedIds = new Set();
+  updates.length = 0;
+  outboxService.recentSends.clear();
+  mock.restoreAll();
+  mock.method(outboxService, 'scheduleProcessing', () => {});
+  for (const level of ['log', 'warn', 'error']) {
+    mock.method(console, level, () => {});
+  }
+});
+
+describe('retry policy', () => {
+  test('doubles the delay with every attempt up to the maximum', () => {
+    const base = outboxService.retryBaseDelay;
+
+    assert.deepEqual([1, 2, 3, 4].map(attempts => outboxService.getRetryDelay(attempts)), [base, base * 2, base * 4, base * 8]);
+    assert.equal(outboxService.getRetryDelay(30), outboxService.maxRetryDelay);
+  });
+
+  test('retries network errors, server errors, rate limits and temporary Graph API codes only', () => {
+    assert.equal(outboxService.isRetryable({ isNetworkError: true }), true);
+    assert.equal(outboxService.isRetryable({ status: 503 }), true);
+    assert.equal(outboxService.isRetryable({ status: 429 }), true);
+    assert.equal(outboxService.isRetryable({ status: 400, code: 131056 }), true);
+    assert.equal(outboxService.isRetryable({ status: 400, code: 131026 }), false);
+    assert.equal(outboxService.isRetryable(new Error('Invalid recipient')), false);
+  });
+});
+
+describe('attempt', () => {
+  test('marks a delivered message as sent', async () => {
+    mock.method(outboxService, 'deliver', async () => ({ success: true, messageId: 'wamid.1' }));
+
+    await outboxService.attempt(queued);
+
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].status, 'sent');
+    assert.equal(updates[0].whatsappMessageId, 'wamid.1');
+  });
+
+  test('queues the message again with backoff after a retryable failure', async () => {
+    mock.method(outboxService, 'deliver', async () => {
+      throw unavailable();
+    });
+    const before = Date.now();
+
+    const result = await outboxService.attempt({ ...queued, attempts: 2 });
+
+    assert.equal(result.queued, true);
+    assert.equal(updates[0].status, 'queued');
+    assert.ok(updates[0].nextAttemptAt.getTime() >= before + outboxService.getRetryDelay(3));
+    assert.deepEqual(outboxService.scheduleProcessing.mock.calls[0].arguments, [outboxService.getRetryDelay(3)]);
+  });
+
+  test('fails the message after its last attempt', async () => {
+    const error = unavailable();
+    mock.method(outboxService, 'deliver', async () => {
+      throw error;
+    });
+
+    await assert.rejects(outboxService.attempt({ ...queued, attempts: outboxService.maxAttempts - 1 }), error);
+    assert.equal(updates[0].status, 'failed');
+  });
+
+  test('fails the message right away when the error is not retryable', async () => {
+    mock.method(outboxService, 'deliver', async () => {
+      throw Object.assign(new Error('Invalid recipient'), { status: 400, code: 131026 });
+    });
+
+    await assert.rejects(outboxService.attempt(queued), /Invalid recipient/);
+    assert.equal(updates[0].status, 'failed');
+    assert.equal(updates[0].errorCode, 131026);
+  });
+});
+
+describe('per-conversation rate', () => {
+  test('postpones a message once the number had its sends for the minute', async () => {
+    const deliver = mock.method(outboxService, 'deliver', async () => ({ success: true }));
+    const oldestSend = Date.now() - 45 * 1000;
+    outboxService.recentSends.set(CONVERSATION, Array(outboxService.perNumberLimit).fill(oldestSend));
+
+    const result = await outboxService.attempt(queued);
+
+    assert.equal(result.queued, true);
+    assert.equal(deliver.mock.callCount(), 0);
+    assert.deepEqual(Object.keys(updates[0]), ['id', 'nextAttemptAt']);
+    // Sent again when the oldest send of the minute leaves the window
+    const wait = updates[0].nextAttemptAt.getTime() - Date.now();
+    assert.ok(wait > 14 * 1000 && wait <= 15 * 1000, `unexpected wait ${wait}`);
+  });
+
+  test('sends below the limit and forgets sends older than a minute', () => {
+    outboxService.recentSends.set(CONVERSATION, Array(outboxService.perNumberLimit - 1).fill(Date.now()));
+    assert.equal(outboxService.getThrottleDelay(queued), 0);
+
+    outboxService.recentSends.set(CONVERSATION, Array(outboxService.perNumberLimit).fill(Date.now() - 61 * 1000));
+    assert.equal(outboxService.getThrottleDelay(queued), 0);
+    assert.equal(outboxService.recentSends.has(CONVERSATION), false);
+  });
+
+  test('limits each tenant\'s conversation with a number separately', () => {
+    outboxService.recentSends.set(CONVERSATION, Array(outboxService.perNumberLimit).fill(Date.now()));
+
+    assert.ok(outboxService.getThrottleDelay(queued) > 0);
+    assert.equal(outboxService.getThrottleDelay({ ...queued, tenantKey: 'acme' }), 0);
+  });
+});
+
+describe('processDueMessages', () => {
+  test('holds later messages in a conversation while an earlier one waits', async () => {
+    const delivered = [];
+    mock.method(outboxService, 'deliver', async message => {
+      delivered.push(message.id);
+      return { success: true };
+    });
+    earlierQueuedIds = new Set([2]);
+    dueMessages = [
+      { ...queued, id: 2 },
+      { ...queued, id: 3 },
+      { ...queued, id: 4, userPhone: '15550002222' },
+      { ...queued, id: 5, tenantKey: 'acme' }
+    ];
+
+    const sent = await outboxService.processDueMessages();
+
+    assert.equal(sent, 2);
+    assert.deepEqual(delivered, [4, 5]);
+  });
+
+  test('moves on to the next message to a number when one fails permanently', async () => {
+    mock.method(outboxService, 'deliver', async message => {
+      if (message.id === 2) {
+        throw new Error('Invalid recipient');
+      }
+      return { success: true };
+    });
+    dueMessages = [{ ...queued, id: 2 }, { ...queued, id: 3 }];
+
+    assert.equal(await outboxService.processDueMessages(), 1);
+    assert.deepEqual(updates.map(update => [update.id, update.status]), [[2, 'failed'], [3, 'sent']]);
+  });
+});
@@ -3,14 +3,25 @@
  * Handles database operations for feedback and conversation sessions
  */
 
-const { PrismaClient } = require('../generated/prisma');
+const { PrismaClient, Prisma } = require('../generated/prisma');
+const tenantContext = require('../utils/tenantContext');
+const { tenantScopeExtension } = require('../utils/tenantScope');
 
 class PrismaService {
   constructor() {
-    this.prisma = new PrismaClient();
+    this.prisma = new PrismaClient().$extends(tenantScopeExtension);
+    this.defaultCampaignKey = 'default'; // Campaign started by the built-in "share your thoughts" keyword
     console.log('🗄️ Prisma database service initialized');
   }
 
+  /**
+   * Add the current tenant to the fields of a unique key shared by all tenants
+   * e.g. where: { tenantKey_userPhone: this.withTenant({ userPhone }) }
+   */
+  withTenant(fields) {
+    return { tenantKey: tenantContext.getTenantKey(), ...fields };
+  }
+
   /**
    * Save completed feedback to database
    * @param {object} feedbackData - Feedback data to save
@@ -25,7 +36,13 @@ class PrismaService {
         profileImageUrl, 
         whatsappImageId, 
         imageStoragePath, 
-        sessionDuration 
+        whatsappAudioId,
+        sessionDuration,
+        answers,
+        rating,
+        ratingScale,
+        campaignKey,
+        source
       } = feedbackData;
       
       const savedFeedback = await this.prisma.feedback.create({
@@ -36,7 +53,13 @@ class PrismaService {
           profileImageUrl: profileImageUrl || null,
           whatsappImageId: whatsappImageId || null,
           imageStoragePath: imageStoragePath || null,
-          sessionDuration: sessionDuration || null
+          whatsappAudioId: whatsappAudioId || null,
+          sessionDuration: sessionDuration || null,
+          answers: answers || Prisma.DbNull,
+          rating: rating ?? null,
+          ratingScale: ratingScale ?? null,
+          campaignKey: campaignKey || null,
+          source: source || 'whatsapp'
         }
       });
 
@@ -55,9 +78,10 @@ class PrismaService {
    */
   async getAllFeedback(options = {}) {
     try {
-      const { limit = 50, offset = 0, orderBy = 'createdAt', order = 'desc' } = options;
+      const { limit = 50, offset = 0, orderBy = 'createdAt', order = 'desc', campaignKey } = options;
       
       const feedbacks = await this.prisma.feedback.findMany({
+        where: this.campaignFilter(campaignKey),
         take: limit,
         skip: offset,
         orderBy: {
@@ -104,10 +128,11 @@ class PrismaService {
    */
   async getFeedbackWithImages(options = {}) {
     try {
-      const { limit = 50, offset = 0, orderBy = 'createdAt', order = 'desc' } = options;
+      const { limit = 50, offset = 0, orderBy = 'createdAt', order = 'desc', campaignKey } = options;
       
       const feedbacks = await this.prisma.feedback.findMany({
         where: {
+          ...this.campaignFilter(campaignKey),
           profileImageUrl: {
             not: null
           }
@@ -213,33 +238,59 @@ class PrismaService {
       const { 
         userPhone, 
         step, 
+        flowKey,
+        stepKey,
+        answers,
+        history,
+        campaignKey,
         name, 
         feedback, 
+        rating,
+        ratingScale,
         whatsappImageId, 
         profileImageUrl, 
+        whatsappAudioId,
         isCompleted 
       } = sessionData;
       
       const savedSession = await this.prisma.conversationSession.upsert({
         where: {
-          userPhone
+          tenantKey_userPhone: this.withTenant({ userPhone })
         },
         update: {
           step,
+          flowKey: flowKey || null,
+          campaignKey: campaignKey || null,
+          stepKey: stepKey || null,
+          answers: answers || Prisma.DbNull,
+          history: history || Prisma.DbNull,
           name: name || null,
           feedback: feedback || null,
+          rating: rating ?? null,
+          ratingScale: ratingScale ?? null,
           whatsappImageId: whatsappImageId || null,
           profileImageUrl: profileImageUrl || null,
+          whatsappAudioId: whatsappAudioId || null,
           lastActivity: new Date(),
+          nudgeCount: 0, // Activity restarts the reminder schedule
+          lastNudgeAt: null,
           isCompleted: isCompleted || false
         },
         create: {
           userPhone,
           step,
+          flowKey: flowKey || null,
+          campaignKey: campaignKey || null,
+          stepKey: stepKey || null,
+          answers: answers || Prisma.DbNull,
+          history: history || Prisma.DbNull,
           name: name || null,
           feedback: feedback || null,
+          rating: rating ?? null,
+          ratingScale: ratingScale ?? null,
           whatsappImageId: whatsappImageId || null,
           profileImageUrl: profileImageUrl || null,
+          whatsappAudioId: whatsappAudioId || null,
           isCompleted: isCompleted || false
         }
       });
@@ -261,7 +312,7 @@ class PrismaService {
     try {
       const session = await this.prisma.conversationSession.findUnique({
         where: {
-          userPhone
+          tenantKey_userPhone: this.withTenant({ userPhone })
         }
       });
 
@@ -285,7 +336,7 @@ class PrismaService {
     try {
       await this.prisma.conversationSession.delete({
         where: {
-          userPhone
+          tenantKey_userPhone: this.withTenant({ userPhone })
         }
       });
 
@@ -302,6 +353,59 @@ class PrismaService {
     }
   }
 
+  /**
+   * Get active sessions without activity since a given time
+   * @param {Date} idleSince - Sessions last active before this time are returned
+   * @returns {array} Session records, longest idle first
+   */
+  async getIdleSessions(idleSince) {
+    try {
+      const sessions = await this.prisma.conversationSession.findMany({
+        where: {
+          lastActivity: {
+            lt: idleSince
+          },
+          isCompleted: false
+        },
+        orderBy: {
+          lastActivity: 'asc'
+        }
+      });
+
+      return sessions;
+    } catch (error) {
+      console.error('❌ Error retrieving idle sessions from database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a reminder was sent for a session
+   * Does not touch lastActivity, so the session keeps counting as idle
+   * @param {string} userPhone - User's phone number
+   * @param {number} nudgeCount - Number of reminders sent so far
+   * @returns {object} Updated session record
+   */
+  async recordSessionNudge(userPhone, nudgeCount) {
+    try {
+      const session = await this.prisma.conversationSession.update({
+        where: {
+          tenantKey_userPhone: this.withTenant({ userPhone })
+        },
+        data: {
+          nudgeCount,
+          lastNudgeAt: new Date()
+        }
+      });
+
+      console.log(`🔔 Recorded reminder ${nudgeCount} for ${userPhone}`);
+      return session;
+    } catch (error) {
+      console.error('❌ Error recording session reminder:', error);
+      throw error;
+    }
+  }
+
   /**
    * Clean up expired sessions from database
    * @param {number} hoursOld - Sessions older than this many hours will be deleted
@@ -330,29 +434,2603 @@ class PrismaService {
   }
 
   /**
-   * Get feedback statistics
-   * @returns {object} Statistics about feedback collection
+   * Save an inbound or outbound message to the conversation transcript
+   * @param {object} messageData - Message data
+   * @returns {object} Saved message record
    */
-  async getFeedbackStats() {
+  async saveMessage(messageData) {
     try {
-      const totalFeedback = await this.prisma.feedback.count();
-      const todayFeedback = await this.prisma.feedback.count({
+      const {
+        direction,
+        userPhone,
+        type,
+        body,
+        payload,
+        whatsappMessageId,
+        status,
+        error,
+        sessionId,
+        feedbackId
+      } = messageData;
+
+      const message = await this.prisma.message.create({
+        data: {
+          direction,
+          userPhone,
+          type,
+          body: body || null,
+          payload: payload || Prisma.DbNull,
+          whatsappMessageId: whatsappMessageId || null,
+          status: status || null,
+          error: error || null,
+          nextAttemptAt: status === 'queued' ? new Date() : null,
+          sessionId: sessionId || null,
+          feedbackId: feedbackId || null
+        }
+      });
+
+      return message;
+    } catch (error) {
+      console.error('❌ Error saving message to database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link a message to a conversation session
+   * @param {number} id - Message ID
+   * @param {string} sessionId - Conversation session ID
+   */
+  async setMessageSession(id, sessionId) {
+    try {
+      await this.prisma.message.update({
         where: {
-          createdAt: {
-            gte: new Date(new Date().setHours(0, 0, 0, 0))
+          id
+        },
+        data: {
+          sessionId
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error linking message to session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link all messages of a conversation session to the feedback it produced
+   * @param {string} sessionId - Conversation session ID
+   * @param {number} feedbackId - Feedback ID
+   * @returns {number} Number of messages linked
+   */
+  async linkMessagesToFeedback(sessionId, feedbackId) {
+    try {
+      const result = await this.prisma.message.updateMany({
+        where: {
+          sessionId
+        },
+        data: {
+          feedbackId
+        }
+      });
+
+      return result.count;
+    } catch (error) {
+      console.error('❌ Error linking messages to feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the messages exchanged with a phone number
+   * @param {string} userPhone - User's phone number
+   * @param {object} options - Query options (limit, offset)
+   * @returns {array} Message records, oldest first
+   */
+  async getMessagesByUser(userPhone, options = {}) {
+    try {
+      const { limit = 500, offset = 0 } = options;
+
+      const messages = await this.prisma.message.findMany({
+        where: {
+          userPhone
+        },
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        orderBy: [
+          { createdAt: 'asc' },
+          { id: 'asc' }
+        ]
+      });
+
+      return messages;
+    } catch (error) {
+      console.error('❌ Error retrieving messages by user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get when a phone number last sent a message
+   * @param {string} userPhone - User's phone number
+   * @returns {Date|null} Time of the latest inbound message, or null if none was recorded
+   */
+  async getLastInboundMessageAt(userPhone) {
+    try {
+      const message = await this.prisma.message.findFirst({
+        where: {
+          userPhone,
+          direction: 'inbound'
+        },
+        orderBy: {
+          createdAt: 'desc'
+        },
+        select: {
+          createdAt: true
+        }
+      });
+
+      return message ? message.createdAt : null;
+    } catch (error) {
+      console.error('❌ Error retrieving last inbound message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a recorded inbound message by its channel message ID
+   * @param {string} whatsappMessageId - Channel message ID
+   * @returns {object|null} Message record or null if not recorded
+   */
+  async getInboundMessageByChannelId(whatsappMessageId) {
+    try {
+      return await this.prisma.message.findFirst({
+        where: {
+          whatsappMessageId,
+          direction: 'inbound'
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error retrieving inbound message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the messages of the conversation that produced a feedback entry
+   * @param {number} feedbackId - Feedback ID
+   * @returns {array} Message records, oldest first
+   */
+  async getMessagesByFeedback(feedbackId) {
+    try {
+      const messages = await this.prisma.message.findMany({
+        where: {
+          feedbackId
+        },
+        orderBy: [
+          { createdAt: 'asc' },
+          { id: 'asc' }
+        ]
+      });
+
+      return messages;
+    } catch (error) {
+      console.error('❌ Error retrieving messages by feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a message
+   * @param {number} id - Message ID
+   * @param {object} updates - Fields to update
+   * @returns {object} Updated message record
+   */
+  async updateMessage(id, updates) {
+    try {
+      const message = await this.prisma.message.update({
+        where: {
+          id
+        },
+        data: updates
+      });
+
+      return message;
+    } catch (error) {
+      console.error('❌ Error updating message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether messages queued earlier for the same number are still unsent
+   * @param {object} message - Outbound message record
+   * @returns {boolean} True if the message has to wait for earlier ones
+   */
+  async hasEarlierQueuedMessages(message) {
+    try {
+      const count = await this.prisma.message.count({
+        where: {
+          direction: 'outbound',
+          tenantKey: message.tenantKey,
+          userPhone: message.userPhone,
+          status: {
+            in: ['queued', 'sending']
+          },
+          id: {
+            lt: message.id
           }
         }
       });
-      const activeSessions = await this.prisma.conversationSession.count({
+
+      return count > 0;
+    } catch (error) {
+      console.error('❌ Error checking queued messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get outbox messages that are due for a send attempt
+   * Messages locked before staleLockedBefore are included, as their worker stopped
+   * @param {Date} staleLockedBefore - Lock time after which sending messages are considered abandoned
+   * @param {number} limit - Maximum number of messages
+   * @returns {array} Message records, oldest first
+   */
+  async getDueOutboundMessages(staleLockedBefore, limit = 50) {
+    try {
+      const messages = await this.prisma.message.findMany({
         where: {
-          isCompleted: false
+          direction: 'outbound',
+          OR: [
+            {
+              status: 'queued',
+              nextAttemptAt: {
+                lte: new Date()
+              }
+            },
+            {
+              status: 'sending',
+              lockedAt: {
+                lt: staleLockedBefore
+              }
+            }
+          ]
+        },
+        orderBy: {
+          id: 'asc'
+        },
+        take: limit
+      });
+
+      return messages;
+    } catch (error) {
+      console.error('❌ Error retrieving due outbox messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock an outbox message for a send attempt
+   * The message must still have the status and lock time it was read with,
+   * so concurrent workers never send the same message twice
+   * @param {object} message - Message record as read
+   * @returns {boolean} True if this worker locked the message
+   */
+  async lockOutboundMessage(message) {
+    try {
+      const result = await this.prisma.message.updateMany({
+        where: {
+          id: message.id,
+          status: message.status,
+          lockedAt: message.lockedAt
+        },
+        data: {
+          status: 'sending',
+          lockedAt: new Date(),
+          attempts: {
+            increment: 1
+          }
+        }
+      });
+
+      return result.count > 0;
+    } catch (error) {
+      console.error('❌ Error locking outbox message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a permanently failed outbound message again
+   * @param {number} id - Message ID
+   * @returns {object|null} Queued message or null if no failed outbound message has this ID
+   */
+  async requeueFailedMessage(id) {
+    try {
+      const result = await this.prisma.message.updateMany({
+        where: {
+          id,
+          direction: 'outbound',
+          status: 'failed'
+        },
+        data: {
+          status: 'queued',
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          lockedAt: null,
+          whatsappMessageId: null,
+          sentAt: null,
+          failedAt: null,
+          error: null,
+          errorCode: null
+        }
+      });
+
+      if (result.count === 0) {
+        return null;
+      }
+
+      return await this.prisma.message.findUnique({
+        where: {
+          id
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error requeueing message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a WhatsApp delivery status to an outbound message
+   * Statuses can arrive out of order, so a message never moves back
+   * (e.g. from read to delivered); the status timestamp is kept either way
+   * @param {string} whatsappMessageId - WhatsApp message ID (wamid)
+   * @param {string} status - sent | delivered | read | failed
+   * @param {Date} timestamp - When WhatsApp reported the status
+   * @param {object} failure - { errorCode, error } of a failed delivery
+   * @returns {boolean} True if a recorded message has this ID
+   */
+  async updateMessageStatus(whatsappMessageId, status, timestamp, failure = {}) {
+    try {
+      const order = ['sent', 'delivered', 'read', 'failed'];
+      const timestampField = `${status}At`;
+      const where = {
+        whatsappMessageId,
+        direction: 'outbound'
+      };
+
+      const [stamped, advanced] = await this.prisma.$transaction([
+        this.prisma.message.updateMany({
+          where: {
+            ...where,
+            [timestampField]: null
+          },
+          data: {
+            [timestampField]: timestamp
+          }
+        }),
+        this.prisma.message.updateMany({
+          where: {
+            ...where,
+            OR: [
+              { status: null },
+              { status: { in: order.slice(0, order.indexOf(status)) } }
+            ]
+          },
+          data: {
+            status,
+            ...(status === 'failed' ? { errorCode: failure.errorCode ?? null, error: failure.error || null } : {})
+          }
+        })
+      ]);
+
+      if (stamped.count > 0 || advanced.count > 0) {
+        return true;
+      }
+
+      // Nothing to change - check whether the message is known at all
+      const existing = await this.prisma.message.count({ where });
+      return existing > 0;
+    } catch (error) {
+      console.error('❌ Error updating message status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count outbound messages by delivery status
+   * @param {object} options - { since } to only count messages sent after a date
+   * @returns {object} { total, queued, sent, delivered, read, failed, failures: [{ errorCode, error, count }] }
+   */
+  async getDeliveryStats(options = {}) {
+    try {
+      const where = {
+        direction: 'outbound',
+        ...(options.since ? { createdAt: { gte: options.since } } : {})
+      };
+
+      const [statusGroups, failureGroups] = await Promise.all([
+        this.prisma.message.groupBy({
+          by: ['status'],
+          where,
+          _count: {
+            _all: true
+          }
+        }),
+        this.prisma.message.groupBy({
+          by: ['errorCode', 'error'],
+          where: {
+            ...where,
+            status: 'failed'
+          },
+          _count: {
+            _all: true
+          }
+        })
+      ]);
+
+      const stats = { total: 0, queued: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+      for (const group of statusGroups) {
+        const status = group.status === 'sending' ? 'queued' : group.status;
+        stats.total += group._count._all;
+        if (status in stats) {
+          stats[status] += group._count._all;
+        }
+      }
+
+      const failures = failureGroups
+        .map(group => ({ errorCode: group.errorCode, error: group.error, count: group._count._all }))
+        .sort((a, b) => b.count - a.count);
+
+      return { ...stats, failures };
+    } catch (error) {
+      console.error('❌ Error getting delivery statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the delivery state of the conversation with each phone number
+   * @param {object} options - Query options (limit, offset, since)
+   * @returns {array} [{ userPhone, queued, sent, delivered, read, failed, lastMessageAt, lastMessage }], most recent first
+   */
+  async getConversationDeliveryStates(options = {}) {
+    try {
+      const { limit = 50, offset = 0, since } = options;
+      const where = {
+        direction: 'outbound',
+        ...(since ? { createdAt: { gte: since } } : {})
+      };
+
+      const groups = await this.prisma.message.groupBy({
+        by: ['userPhone', 'status'],
+        where,
+        _count: {
+          _all: true
+        },
+        _max: {
+          createdAt: true
         }
       });
 
+      const conversations = {};
+      for (const group of groups) {
+        const conversation = conversations[group.userPhone] || (conversations[group.userPhone] = {
+          userPhone: group.userPhone,
+          queued: 0,
+          sent: 0,
+          delivered: 0,
+          read: 0,
+          failed: 0,
+          lastMessageAt: null
+        });
+
+        const status = group.status === 'sending' ? 'queued' : group.status;
+        if (status in conversation) {
+          conversation[status] += group._count._all;
+        }
+        if (!conversation.lastMessageAt || group._max.createdAt > conversation.lastMessageAt) {
+          conversation.lastMessageAt = group._max.createdAt;
+        }
+      }
+
+      const page = Object.values(conversations)
+        .sort((a, b) => b.lastMessageAt - a.lastMessageAt)
+        .slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+
+      // The last message tells whether the user received our latest prompt
+      const lastMessages = await Promise.all(page.map(conversation => this.prisma.message.findFirst({
+        where: {
+          ...where,
+          userPhone: conversation.userPhone
+        },
+        orderBy: [
+          { createdAt: 'desc' },
+          { id: 'desc' }
+        ],
+        select: {
+          id: true,
+          body: true,
+          status: true,
+          errorCode: true,
+          error: true,
+          createdAt: true
+        }
+      })));
+
+      return page.map((conversation, index) => ({ ...conversation, lastMessage: lastMessages[index] }));
+    } catch (error) {
+      console.error('❌ Error getting conversation delivery states:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get outbound messages whose delivery failed
+   * @param {object} options - Query options (limit, offset)
+   * @returns {array} Message records, most recent first
+   */
+  async getFailedMessages(options = {}) {
+    try {
+      const { limit = 50, offset = 0 } = options;
+
+      const messages = await this.prisma.message.findMany({
+        where: {
+          direction: 'outbound',
+          status: 'failed'
+        },
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        orderBy: {
+          createdAt: 'desc'
+        }
+      });
+
+      return messages;
+    } catch (error) {
+      console.error('❌ Error retrieving failed messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a human handoff for a phone number
+   * @param {object} handoffData - { userPhone, requestedBy, reason, agent }
+   * @returns {object} Created handoff record
+   */
+  async createHandoff(handoffData) {
+    try {
+      const { userPhone, requestedBy, reason, agent } = handoffData;
+
+      const handoff = await this.prisma.handoff.create({
+        data: {
+          userPhone,
+          requestedBy: requestedBy || 'agent',
+          reason: reason || null,
+          agent: agent || null
+        }
+      });
+
+      return handoff;
+    } catch (error) {
+      console.error('❌ Error creating handoff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active handoff of a phone number
+   * @param {string} userPhone - User's phone number
+   * @returns {object|null} Handoff record or null if the bot is in control
+   */
+  async getActiveHandoff(userPhone) {
+    try {
+      const handoff = await this.prisma.handoff.findFirst({
+        where: {
+          userPhone,
+          status: 'active'
+        },
+        orderBy: {
+          startedAt: 'desc'
+        }
+      });
+
+      return handoff;
+    } catch (error) {
+      console.error('❌ Error retrieving active handoff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get handoffs
+   * @param {object} options - Query options (status, limit, offset)
+   * @returns {array} Handoff records, most recently started first
+   */
+  async getHandoffs(options = {}) {
+    try {
+      const { status, limit = 50, offset = 0 } = options;
+
+      const handoffs = await this.prisma.handoff.findMany({
+        where: status ? { status } : {},
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        orderBy: {
+          startedAt: 'desc'
+        }
+      });
+
+      return handoffs;
+    } catch (error) {
+      console.error('❌ Error retrieving handoffs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the conversations handled by an agent
+   * @returns {array} Conversations as "tenantKey:userPhone" (a number can talk to several tenants)
+   */
+  async getActiveHandoffPhones() {
+    try {
+      const handoffs = await this.prisma.handoff.findMany({
+        where: {
+          status: 'active'
+        },
+        select: {
+          tenantKey: true,
+          userPhone: true
+        }
+      });
+
+      return handoffs.map(handoff => `${handoff.tenantKey}:${handoff.userPhone}`);
+    } catch (error) {
+      console.error('❌ Error retrieving active handoff phones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a handoff
+   * @param {number} id - Handoff ID
+   * @param {object} updates - Fields to update
+   * @returns {object} Updated handoff record
+   */
+  async updateHandoff(id, updates) {
+    try {
+      const handoff = await this.prisma.handoff.update({
+        where: {
+          id
+        },
+        data: updates
+      });
+
+      return handoff;
+    } catch (error) {
+      console.error('❌ Error updating handoff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a handoff that is still active
+   * @param {number} id - Handoff ID
+   * @returns {boolean} True if this call resolved the handoff
+   */
+  async resolveHandoff(id) {
+    try {
+      const result = await this.prisma.handoff.updateMany({
+        where: {
+          id,
+          status: 'active'
+        },
+        data: {
+          status: 'resolved',
+          resolvedAt: new Date()
+        }
+      });
+
+      return result.count > 0;
+    } catch (error) {
+      console.error('❌ Error resolving handoff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a broadcast
+   * @param {object} broadcastData - { name, templateName, language, components, campaignKey, ratePerMinute }
+   * @returns {object} Created broadcast record
+   */
+  async createBroadcast(broadcastData) {
+    try {
+      const { name, templateName, language, components, campaignKey, ratePerMinute } = broadcastData;
+
+      const broadcast = await this.prisma.broadcast.create({
+        data: {
+          name,
+          templateName,
+          language,
+          components: components || Prisma.DbNull,
+          campaignKey: campaignKey || null,
+          ratePerMinute: ratePerMinute || undefined
+        }
+      });
+
+      return broadcast;
+    } catch (error) {
+      console.error('❌ Error creating broadcast:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a broadcast
+   * @param {number} id - Broadcast ID
+   * @returns {object|null} Broadcast record or null if not found
+   */
+  async getBroadcast(id) {
+    try {
+      const broadcast = await this.prisma.broadcast.findUnique({
+        where: {
+          id
+        }
+      });
+
+      return broadcast;
+    } catch (error) {
+      console.error('❌ Error retrieving broadcast:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get broadcasts
+   * @param {object} options - Query options (status, limit, offset)
+   * @returns {array} Broadcast records with their recipient count, newest first
+   */
+  async getBroadcasts(options = {}) {
+    try {
+      const { status, limit = 50, offset = 0 } = options;
+
+      const broadcasts = await this.prisma.broadcast.findMany({
+        where: status ? { status } : {},
+        include: {
+          _count: {
+            select: { recipients: true }
+          }
+        },
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        orderBy: {
+          createdAt: 'desc'
+        }
+      });
+
+      return broadcasts;
+    } catch (error) {
+      console.error('❌ Error retrieving broadcasts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a broadcast
+   * @param {number} id - Broadcast ID
+   * @param {object} updates - Fields to update
+   * @returns {object} Updated broadcast record
+   */
+  async updateBroadcast(id, updates) {
+    try {
+      const broadcast = await this.prisma.broadcast.update({
+        where: {
+          id
+        },
+        data: updates
+      });
+
+      return broadcast;
+    } catch (error) {
+      console.error('❌ Error updating broadcast:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a broadcast to another status if it is still in one of the expected statuses
+   * @param {number} id - Broadcast ID
+   * @param {array} fromStatuses - Statuses the broadcast may be in
+   * @param {object} updates - New status and other fields to update
+   * @returns {boolean} True if the broadcast was updated
+   */
+  async transitionBroadcast(id, fromStatuses, updates) {
+    try {
+      const result = await this.prisma.broadcast.updateMany({
+        where: {
+          id,
+          status: {
+            in: fromStatuses
+          }
+        },
+        data: updates
+      });
+
+      return result.count > 0;
+    } catch (error) {
+      console.error('❌ Error updating broadcast status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a broadcast and its recipients
+   * @param {number} id - Broadcast ID
+   * @returns {object} Deleted broadcast record
+   */
+  async deleteBroadcast(id) {
+    try {
+      const broadcast = await this.prisma.broadcast.delete({
+        where: {
+          id
+        }
+      });
+
+      return broadcast;
+    } catch (error) {
+      console.error('❌ Error deleting broadcast:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the scheduled broadcasts whose time has come
+   * @returns {number} Number of broadcasts started
+   */
+  async startScheduledBroadcasts() {
+    try {
+      const now = new Date();
+      const result = await this.prisma.broadcast.updateMany({
+        where: {
+          status: 'scheduled',
+          scheduledAt: {
+            lte: now
+          }
+        },
+        data: {
+          status: 'sending',
+          startedAt: now
+        }
+      });
+
+      return result.count;
+    } catch (error) {
+      console.error('❌ Error starting scheduled broadcasts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the broadcasts that are being sent
+   * @returns {array} Broadcast records
+   */
+  async getSendingBroadcasts() {
+    try {
+      const broadcasts = await this.prisma.broadcast.findMany({
+        where: {
+          status: 'sending'
+        },
+        orderBy: {
+          startedAt: 'asc'
+        }
+      });
+
+      return broadcasts;
+    } catch (error) {
+      console.error('❌ Error retrieving sending broadcasts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add recipients to a broadcast (numbers already in the broadcast are skipped)
+   * @param {number} broadcastId - Broadcast ID
+   * @param {array} recipients - { userPhone, name, variables } entries
+   * @returns {number} Number of recipients added
+   */
+  async addBroadcastRecipients(broadcastId, recipients) {
+    try {
+      const result = await this.prisma.broadcastRecipient.createMany({
+        data: recipients.map(recipient => ({
+          broadcastId,
+          userPhone: recipient.userPhone,
+          name: recipient.name || null,
+          variables: recipient.variables || Prisma.DbNull
+        })),
+        skipDuplicates: true
+      });
+
+      return result.count;
+    } catch (error) {
+      console.error('❌ Error adding broadcast recipients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the recipients of a broadcast
+   * @param {number} broadcastId - Broadcast ID
+   * @param {object} options - Query options (status, limit, offset)
+   * @returns {array} Recipient records with the delivery status of their message
+   */
+  async getBroadcastRecipients(broadcastId, options = {}) {
+    try {
+      const { status, limit = 100, offset = 0 } = options;
+
+      const recipients = await this.prisma.broadcastRecipient.findMany({
+        where: {
+          broadcastId,
+          ...(status && { status })
+        },
+        include: {
+          message: {
+            select: {
+              status: true,
+              deliveredAt: true,
+              readAt: true,
+              errorCode: true
+            }
+          }
+        },
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        orderBy: {
+          id: 'asc'
+        }
+      });
+
+      return recipients;
+    } catch (error) {
+      console.error('❌ Error retrieving broadcast recipients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get recipients of a broadcast that have not been sent the template yet
+   * @param {number} broadcastId - Broadcast ID
+   * @param {number} limit - Maximum number of recipients
+   * @returns {array} Recipient records in import order
+   */
+  async getPendingBroadcastRecipients(broadcastId, limit) {
+    try {
+      const recipients = await this.prisma.broadcastRecipient.findMany({
+        where: {
+          broadcastId,
+          status: 'pending'
+        },
+        orderBy: {
+          id: 'asc'
+        },
+        take: limit
+      });
+
+      return recipients;
+    } catch (error) {
+      console.error('❌ Error retrieving pending broadcast recipients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock a pending broadcast recipient for sending, so it is never sent twice
+   * @param {number} id - Recipient ID
+   * @returns {boolean} True if this worker locked the recipient
+   */
+  async lockBroadcastRecipient(id) {
+    try {
+      const result = await this.prisma.broadcastRecipient.updateMany({
+        where: {
+          id,
+          status: 'pending'
+        },
+        data: {
+          status: 'sending'
+        }
+      });
+
+      return result.count > 0;
+    } catch (error) {
+      console.error('❌ Error locking broadcast recipient:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a broadcast recipient
+   * @param {number} id - Recipient ID
+   * @param {object} updates - Fields to update
+   * @returns {object} Updated recipient record
+   */
+  async updateBroadcastRecipient(id, updates) {
+    try {
+      const recipient = await this.prisma.broadcastRecipient.update({
+        where: {
+          id
+        },
+        data: updates
+      });
+
+      return recipient;
+    } catch (error) {
+      console.error('❌ Error updating broadcast recipient:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fail recipients left in sending by a restart - whether their template went out is unknown,
+   * and sending it again could reach the user twice
+   * @returns {number} Number of recipients failed
+   */
+  async failInterruptedBroadcastRecipients() {
+    try {
+      const result = await this.prisma.broadcastRecipient.updateMany({
+        where: {
+          status: 'sending'
+        },
+        data: {
+          status: 'failed',
+          error: 'Sending was interrupted by a restart'
+        }
+      });
+
+      return result.count;
+    } catch (error) {
+      console.error('❌ Error failing interrupted broadcast recipients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the recipients of a broadcast still waiting to be sent
+   * @param {number} broadcastId - Broadcast ID
+   * @returns {number} Pending and sending recipients
+   */
+  async countUnsentBroadcastRecipients(broadcastId) {
+    try {
+      return await this.prisma.broadcastRecipient.count({
+        where: {
+          broadcastId,
+          status: {
+            in: ['pending', 'sending']
+          }
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error counting unsent broadcast recipients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the funnel of a broadcast: sent, delivered, read, started and completed recipients
+   * @param {number} broadcastId - Broadcast ID
+   * @returns {object} Recipient counts
+   */
+  async getBroadcastStats(broadcastId) {
+    try {
+      const where = { broadcastId };
+
+      const [byStatus, delivered, read, started, completed] = await Promise.all([
+        this.prisma.broadcastRecipient.groupBy({
+          by: ['status'],
+          where,
+          _count: { _all: true }
+        }),
+        this.prisma.broadcastRecipient.count({
+          where: { ...where, message: { status: { in: ['delivered', 'read'] } } }
+        }),
+        this.prisma.broadcastRecipient.count({
+          where: { ...where, message: { status: 'read' } }
+        }),
+        this.prisma.broadcastRecipient.count({
+          where: { ...where, startedAt: { not: null } }
+        }),
+        this.prisma.broadcastRecipient.count({
+          where: { ...where, completedAt: { not: null } }
+        })
+      ]);
+
+      const counts = Object.fromEntries(byStatus.map(row => [row.status, row._count._all]));
+
+      return {
+        total: byStatus.reduce((sum, row) => sum + row._count._all, 0),
+        pending: (counts.pending || 0) + (counts.sending || 0),
+        sent: counts.sent || 0,
+        failed: counts.failed || 0,
+        delivered,
+        read,
+        started,
+        completed
+      };
+    } catch (error) {
+      console.error('❌ Error retrieving broadcast statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the most recent broadcast recipient a conversation can be attributed to
+   * @param {string} userPhone - User's phone number
+   * @param {Date} sentAfter - Start of the attribution window
+   * @param {object} conditions - Extra recipient conditions
+   * @returns {object|null} Recipient record or null if no broadcast reached the number
+   */
+  async findBroadcastRecipientForConversion(userPhone, sentAfter, conditions = {}) {
+    try {
+      const recipient = await this.prisma.broadcastRecipient.findFirst({
+        where: {
+          userPhone,
+          status: 'sent',
+          sentAt: {
+            gte: sentAfter
+          },
+          ...conditions
+        },
+        orderBy: {
+          sentAt: 'desc'
+        }
+      });
+
+      return recipient;
+    } catch (error) {
+      console.error('❌ Error finding broadcast recipient:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a message hitting a trigger
+   * @param {object} matchData - { triggerId, keyword, userPhone, campaignKey, sessionId }
+   * @returns {object} Trigger match record
+   */
+  async createTriggerMatch(matchData) {
+    try {
+      const { triggerId, keyword, userPhone, campaignKey, sessionId } = matchData;
+
+      return await this.prisma.triggerMatch.create({
+        data: {
+          triggerId: String(triggerId),
+          keyword,
+          userPhone,
+          campaignKey: campaignKey || null,
+          sessionId: sessionId || null
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error recording trigger match:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark the latest open trigger match of a session as completed
+   * Sessions are reused when a user restarts, so earlier abandoned matches stay open
+   * @param {string} sessionId - Conversation session ID
+   * @param {number} feedbackId - Feedback saved for the conversation
+   * @returns {object|null} Updated match or null if the session wasn't started by a trigger
+   */
+  async completeTriggerMatch(sessionId, feedbackId) {
+    try {
+      const match = await this.prisma.triggerMatch.findFirst({
+        where: { sessionId, completedAt: null },
+        orderBy: { matchedAt: 'desc' }
+      });
+
+      if (!match) {
+        return null;
+      }
+
+      return await this.prisma.triggerMatch.update({
+        where: { id: match.id },
+        data: {
+          completedAt: new Date(),
+          feedbackId
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error completing trigger match:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get match counts per trigger
+   * @returns {object} { [triggerId]: { matchCount, completedCount, lastUsed } }
+   */
+  async getTriggerMatchStats() {
+    try {
+      const [matches, completed] = await Promise.all([
+        this.prisma.triggerMatch.groupBy({
+          by: ['triggerId'],
+          _count: { _all: true },
+          _max: { matchedAt: true }
+        }),
+        this.prisma.triggerMatch.groupBy({
+          by: ['triggerId'],
+          where: { completedAt: { not: null } },
+          _count: { _all: true }
+        })
+      ]);
+
+      const completedCounts = Object.fromEntries(completed.map(row => [row.triggerId, row._count._all]));
+
+      return Object.fromEntries(matches.map(row => [row.triggerId, {
+        matchCount: row._count._all,
+        completedCount: completedCounts[row.triggerId] || 0,
+        lastUsed: row._max.matchedAt
+      }]));
+    } catch (error) {
+      console.error('❌ Error retrieving trigger match statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the trigger matches in a time window, oldest first
+   * @param {object} options - { since, until, triggerId }
+   * @returns {array} Matches with triggerId, keyword, matchedAt and completedAt
+   */
+  async getTriggerMatches(options = {}) {
+    try {
+      const { since, until, triggerId } = options;
+
+      return await this.prisma.triggerMatch.findMany({
+        where: {
+          matchedAt: { gte: since, lt: until },
+          ...(triggerId ? { triggerId: String(triggerId) } : {})
+        },
+        select: {
+          triggerId: true,
+          keyword: true,
+          matchedAt: true,
+          completedAt: true
+        },
+        orderBy: { matchedAt: 'asc' }
+      });
+    } catch (error) {
+      console.error('❌ Error retrieving trigger matches:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an audit log entry
+   * @param {object} entryData - { actorType, actorId, actorName, action, targetType, targetId, before, after, ip }
+   * @returns {object} Audit log record
+   */
+  async createAuditLog(entryData) {
+    try {
+      const { actorType, actorId, actorName, action, targetType, targetId, before, after, ip } = entryData;
+
+      return await this.prisma.auditLog.create({
+        data: {
+          actorType,
+          actorId: actorId ?? null,
+          actorName: actorName ?? null,
+          action,
+          targetType: targetType ?? null,
+          targetId: targetId ?? null,
+          before: before ?? undefined,
+          after: after ?? undefined,
+          ip: ip ?? null
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error recording audit log entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get audit log entries, newest first
+   * @param {object} options - { action, actorType, actorId, actor, targetType, targetId, since, until, limit, offset }
+   *   action ending in "." matches every action of a kind, e.g. "feedback."
+   *   actor matches part of the actor's name
+   * @returns {array} Audit log records
+   */
+  async getAuditLogs(options = {}) {
+    try {
+      const { action, actorType, actorId, actor, targetType, targetId, since, until, limit = 100, offset = 0 } = options;
+
+      return await this.prisma.auditLog.findMany({
+        where: {
+          ...(action ? { action: action.endsWith('.') ? { startsWith: action } : action } : {}),
+          ...(actorType ? { actorType } : {}),
+          ...(actorId ? { actorId: String(actorId) } : {}),
+          ...(actor ? { actorName: { contains: actor, mode: 'insensitive' } } : {}),
+          ...(targetType ? { targetType } : {}),
+          ...(targetId ? { targetId: String(targetId) } : {}),
+          ...(since || until ? { createdAt: { gte: since, lt: until } } : {})
+        },
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(parseInt(limit) || 100, 500),
+        skip: parseInt(offset) || 0
+      });
+    } catch (error) {
+      console.error('❌ Error retrieving audit log:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a media upload job (an existing job for the same media is returned unchanged)
+   * @param {object} uploadData - { whatsappMediaId, mediaType, userPhone, folder }
+   * @returns {object} Media upload record
+   */
+  async createMediaUpload(uploadData) {
+    try {
+      const { whatsappMediaId, mediaType, userPhone, folder } = uploadData;
+
+      const upload = await this.prisma.mediaUpload.upsert({
+        where: {
+          whatsappMediaId
+        },
+        update: {},
+        create: {
+          whatsappMediaId,
+          mediaType: mediaType || 'image',
+          userPhone,
+          folder: folder || null
+        }
+      });
+
+      return upload;
+    } catch (error) {
+      console.error('❌ Error creating media upload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a media upload job by WhatsApp media ID
+   * @param {string} whatsappMediaId - WhatsApp media ID
+   * @returns {object|null} Media upload record or null if not found
+   */
+  async getMediaUploadByMediaId(whatsappMediaId) {
+    try {
+      const upload = await this.prisma.mediaUpload.findUnique({
+        where: {
+          whatsappMediaId
+        }
+      });
+
+      return upload;
+    } catch (error) {
+      console.error('❌ Error retrieving media upload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get media uploads that are due for an attempt
+   * Uploads locked before staleLockedBefore are included, as their worker stopped
+   * @param {Date} staleLockedBefore - Lock time after which processing uploads are considered abandoned
+   * @param {number} limit - Maximum number of uploads
+   * @returns {array} Media upload records, oldest first
+   */
+  async getDueMediaUploads(staleLockedBefore, limit = 10) {
+    try {
+      const uploads = await this.prisma.mediaUpload.findMany({
+        where: {
+          OR: [
+            {
+              status: 'pending',
+              nextAttemptAt: {
+                lte: new Date()
+              }
+            },
+            {
+              status: 'processing',
+              lockedAt: {
+                lt: staleLockedBefore
+              }
+            }
+          ]
+        },
+        orderBy: {
+          id: 'asc'
+        },
+        take: limit
+      });
+
+      return uploads;
+    } catch (error) {
+      console.error('❌ Error retrieving due media uploads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock a media upload for processing
+   * The upload must still have the status and lock time it was read with,
+   * so concurrent workers never upload the same media twice
+   * @param {object} upload - Media upload record as read
+   * @returns {boolean} True if this worker locked the upload
+   */
+  async lockMediaUpload(upload) {
+    try {
+      const result = await this.prisma.mediaUpload.updateMany({
+        where: {
+          id: upload.id,
+          status: upload.status,
+          lockedAt: upload.lockedAt
+        },
+        data: {
+          status: 'processing',
+          lockedAt: new Date(),
+          attempts: {
+            increment: 1
+          }
+        }
+      });
+
+      return result.count > 0;
+    } catch (error) {
+      console.error('❌ Error locking media upload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a media upload job
+   * @param {number} id - Media upload ID
+   * @param {object} updates - Fields to update
+   * @returns {object} Updated media upload record
+   */
+  async updateMediaUpload(id, updates) {
+    try {
+      const upload = await this.prisma.mediaUpload.update({
+        where: {
+          id
+        },
+        data: updates
+      });
+
+      return upload;
+    } catch (error) {
+      console.error('❌ Error updating media upload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach a completed media upload to the feedback saved with its WhatsApp media ID
+   * Images fill the profile image columns, voice notes the audio columns
+   * (and the feedback text when the voice note was the answer)
+   * @param {object} upload - Completed media upload record
+   * @returns {object|null} Updated feedback record or null if no feedback has the media yet
+   */
+  async attachMediaToFeedback(upload) {
+    try {
+      const isAudio = upload.mediaType === 'audio';
+      const mediaIdField = isAudio ? 'whatsappAudioId' : 'whatsappImageId';
+
+      const feedback = await this.prisma.feedback.findFirst({
+        where: {
+          [mediaIdField]: upload.whatsappMediaId
+        },
+        orderBy: {
+          createdAt: 'desc'
+        }
+      });
+
+      if (!feedback) {
+        return null;
+      }
+
+      const data = isAudio
+        ? {
+          audioUrl: upload.publicUrl,
+          audioStoragePath: upload.storagePath,
+          audioTranscript: upload.transcript,
+          ...(!feedback.feedback && upload.transcript ? { feedback: upload.transcript } : {})
+        }
+        : {
+          profileImageUrl: upload.publicUrl,
+          imageStoragePath: upload.storagePath
+        };
+
+      const updatedFeedback = await this.prisma.feedback.update({
+        where: {
+          id: feedback.id
+        },
+        data
+      });
+
+      console.log(`📎 Attached ${upload.mediaType} ${upload.whatsappMediaId} to feedback ${feedback.id}`);
+      return updatedFeedback;
+    } catch (error) {
+      console.error('❌ Error attaching media to feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an inbound WhatsApp message for processing
+   * A message ID can only be claimed once, unless its handling failed, it stalled or the claim expired
+   * @param {string} messageId - WhatsApp message ID
+   * @param {string} userPhone - Sender's phone number
+   * @param {Date} expiresAt - When the claim may be dropped
+   * @param {Date} staleBefore - Claims still processing since before this time are taken over
+   * @returns {boolean} True if claimed, false if the message was processed or is being processed
+   */
+  async claimProcessedMessage(messageId, userPhone, expiresAt, staleBefore) {
+    try {
+      await this.prisma.processedMessage.create({
+        data: {
+          messageId,
+          userPhone,
+          status: 'processing',
+          expiresAt
+        }
+      });
+
+      return true;
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        console.error('❌ Error claiming processed message:', error);
+        throw error;
+      }
+    }
+
+    // Already claimed - take over the claim if a retry may handle the message again
+    const result = await this.prisma.processedMessage.updateMany({
+      where: {
+        messageId,
+        OR: [
+          { expiresAt: { lt: new Date() } },
+          { status: 'failed' },
+          { status: 'processing', processedAt: { lt: staleBefore } }
+        ]
+      },
+      data: {
+        userPhone,
+        status: 'processing',
+        error: null,
+        processedAt: new Date(),
+        expiresAt
+      }
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Set the status of a claimed message once handling it finished
+   * @param {string} messageId - WhatsApp message ID
+   * @param {string} status - processed, or failed so a retry can claim it again
+   * @param {string} errorMessage - Why handling the message failed
+   */
+  async setProcessedMessageStatus(messageId, status, errorMessage = null) {
+    try {
+      await this.prisma.processedMessage.updateMany({
+        where: {
+          messageId
+        },
+        data: {
+          status,
+          error: errorMessage
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error updating processed message status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete processed message IDs whose claim has expired
+   * @returns {number} Number of records deleted
+   */
+  async cleanupProcessedMessages() {
+    try {
+      const result = await this.prisma.processedMessage.deleteMany({
+        where: {
+          expiresAt: {
+            lt: new Date()
+          }
+        }
+      });
+
+      return result.count;
+    } catch (error) {
+      console.error('❌ Error cleaning up processed messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a webhook payload to the processing queue
+   * @param {object} payload - Raw webhook payload
+   * @returns {object} Created job record
+   */
+  async createWebhookJob(payload) {
+    try {
+      const job = await this.prisma.webhookJob.create({
+        data: {
+          payload
+        }
+      });
+
+      return job;
+    } catch (error) {
+      console.error('❌ Error queueing webhook payload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get queued webhook jobs that are due for processing
+   * @param {number} limit - Maximum number of jobs
+   * @returns {array} Job records, oldest first
+   */
+  async getDueWebhookJobs(limit = 10) {
+    try {
+      const jobs = await this.prisma.webhookJob.findMany({
+        where: {
+          status: 'pending',
+          nextAttemptAt: {
+            lte: new Date()
+          }
+        },
+        orderBy: {
+          id: 'asc'
+        },
+        take: limit
+      });
+
+      return jobs;
+    } catch (error) {
+      console.error('❌ Error retrieving webhook jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock a pending webhook job for processing
+   * Only one worker can lock a job, so concurrent workers never process it twice
+   * @param {number} id - Job ID
+   * @returns {boolean} True if this worker locked the job
+   */
+  async lockWebhookJob(id) {
+    try {
+      const result = await this.prisma.webhookJob.updateMany({
+        where: {
+          id,
+          status: 'pending'
+        },
+        data: {
+          status: 'processing',
+          lockedAt: new Date(),
+          attempts: {
+            increment: 1
+          }
+        }
+      });
+
+      return result.count > 0;
+    } catch (error) {
+      console.error('❌ Error locking webhook job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a failed webhook job back in the queue for a later attempt
+   * @param {number} id - Job ID
+   * @param {Date} nextAttemptAt - When to retry
+   * @param {string} lastError - Error of the failed attempt
+   */
+  async retryWebhookJob(id, nextAttemptAt, lastError) {
+    try {
+      await this.prisma.webhookJob.update({
+        where: {
+          id
+        },
+        data: {
+          status: 'pending',
+          lockedAt: null,
+          nextAttemptAt,
+          lastError
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error rescheduling webhook job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a webhook job from the queue
+   * @param {number} id - Job ID
+   */
+  async deleteWebhookJob(id) {
+    try {
+      await this.prisma.webhookJob.delete({
+        where: {
+          id
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error deleting webhook job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return jobs left locked by a worker that stopped to the queue
+   * @param {Date} lockedBefore - Jobs locked before this time are released
+   * @returns {number} Number of jobs released
+   */
+  async releaseStaleWebhookJobs(lockedBefore) {
+    try {
+      const result = await this.prisma.webhookJob.updateMany({
+        where: {
+          status: 'processing',
+          lockedAt: {
+            lt: lockedBefore
+          }
+        },
+        data: {
+          status: 'pending',
+          lockedAt: null
+        }
+      });
+
+      return result.count;
+    } catch (error) {
+      console.error('❌ Error releasing stale webhook jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a webhook job that keeps failing to the dead-letter table
+   * @param {object} job - Job record
+   * @param {string} lastError - Error of the last attempt
+   * @returns {object} Created dead-letter record
+   */
+  async deadLetterWebhookJob(job, lastError) {
+    try {
+      const [deadLetter] = await this.prisma.$transaction([
+        this.prisma.webhookDeadLetter.create({
+          data: {
+            jobId: job.id,
+            payload: job.payload,
+            attempts: job.attempts,
+            lastError
+          }
+        }),
+        this.prisma.webhookJob.delete({
+          where: {
+            id: job.id
+          }
+        })
+      ]);
+
+      return deadLetter;
+    } catch (error) {
+      console.error('❌ Error dead-lettering webhook job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get webhook queue counts
+   * @returns {object} { pending, processing, deadLetters }
+   */
+  async getWebhookQueueStats() {
+    try {
+      const [pending, processing, deadLetters] = await Promise.all([
+        this.prisma.webhookJob.count({ where: { status: 'pending' } }),
+        this.prisma.webhookJob.count({ where: { status: 'processing' } }),
+        this.prisma.webhookDeadLetter.count()
+      ]);
+
+      return { pending, processing, deadLetters };
+    } catch (error) {
+      console.error('❌ Error getting webhook queue statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get dead-lettered webhook payloads
+   * @param {object} options - Query options (limit, offset)
+   * @returns {array} Dead-letter records, newest first
+   */
+  async getWebhookDeadLetters(options = {}) {
+    try {
+      const { limit = 50, offset = 0 } = options;
+
+      const deadLetters = await this.prisma.webhookDeadLetter.findMany({
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        orderBy: {
+          createdAt: 'desc'
+        }
+      });
+
+      return deadLetters;
+    } catch (error) {
+      console.error('❌ Error retrieving webhook dead letters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a dead-lettered webhook payload by ID
+   * @param {number} id - Dead-letter ID
+   * @returns {object|null} Dead-letter record or null if not found
+   */
+  async getWebhookDeadLetter(id) {
+    try {
+      const deadLetter = await this.prisma.webhookDeadLetter.findUnique({
+        where: {
+          id
+        }
+      });
+
+      return deadLetter;
+    } catch (error) {
+      console.error('❌ Error retrieving webhook dead letter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a dead-lettered payload again
+   * @param {number} id - Dead-letter ID
+   * @returns {object|null} New job record or null if the dead letter was not found
+   */
+  async replayWebhookDeadLetter(id) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        const deadLetter = await tx.webhookDeadLetter.findUnique({
+          where: {
+            id
+          }
+        });
+
+        if (!deadLetter) {
+          return null;
+        }
+
+        const job = await tx.webhookJob.create({
+          data: {
+            payload: deadLetter.payload
+          }
+        });
+
+        await tx.webhookDeadLetter.update({
+          where: {
+            id
+          },
+          data: {
+            replayedAt: new Date(),
+            replayJobId: job.id
+          }
+        });
+
+        return job;
+      });
+    } catch (error) {
+      console.error('❌ Error replaying webhook dead letter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a dead-lettered webhook payload
+   * @param {number} id - Dead-letter ID
+   * @returns {boolean} True if deleted, false if not found
+   */
+  async deleteWebhookDeadLetter(id) {
+    try {
+      await this.prisma.webhookDeadLetter.delete({
+        where: {
+          id
+        }
+      });
+
+      return true;
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return false;
+      }
+      console.error('❌ Error deleting webhook dead letter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a conversation flow definition by key
+   * @param {string} key - Flow key
+   * @returns {object|null} Flow record or null if not found
+   */
+  async getConversationFlow(key) {
+    try {
+      const flow = await this.prisma.conversationFlow.findUnique({
+        where: {
+          tenantKey_key: this.withTenant({ key })
+        }
+      });
+
+      return flow;
+    } catch (error) {
+      console.error('❌ Error retrieving conversation flow from database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all conversation flow definitions
+   * @returns {array} Array of flow records
+   */
+  async getAllConversationFlows() {
+    try {
+      const flows = await this.prisma.conversationFlow.findMany({
+        orderBy: {
+          key: 'asc'
+        }
+      });
+
+      console.log(`📊 Retrieved ${flows.length} conversation flows from database`);
+      return flows;
+    } catch (error) {
+      console.error('❌ Error retrieving conversation flows from database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update a conversation flow definition
+   * @param {object} flowData - Flow definition to save
+   * @returns {object} Saved flow record
+   */
+  async saveConversationFlow(flowData) {
+    try {
+      const { key, name, steps, completionTemplate, isActive } = flowData;
+
+      const data = {
+        name,
+        steps,
+        completionTemplate: completionTemplate || null,
+        isActive: isActive !== false
+      };
+
+      const savedFlow = await this.prisma.conversationFlow.upsert({
+        where: {
+          tenantKey_key: this.withTenant({ key })
+        },
+        update: data,
+        create: {
+          key,
+          ...data
+        }
+      });
+
+      console.log(`💾 Conversation flow "${key}" saved to database with ${steps.length} steps`);
+      return savedFlow;
+    } catch (error) {
+      console.error('❌ Error saving conversation flow to database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a conversation flow definition
+   * @param {string} key - Flow key
+   * @returns {boolean} True if deleted, false if not found
+   */
+  async deleteConversationFlow(key) {
+    try {
+      await this.prisma.conversationFlow.delete({
+        where: {
+          tenantKey_key: this.withTenant({ key })
+        }
+      });
+
+      console.log(`🗑️ Conversation flow "${key}" deleted from database`);
+      return true;
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return false;
+      }
+      console.error('❌ Error deleting conversation flow from database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a where clause restricting records to a campaign
+   * Records saved before campaigns existed belong to the default campaign
+   * @param {string} campaignKey - Campaign key (no filter when empty)
+   * @returns {object} Prisma where clause
+   */
+  campaignFilter(campaignKey) {
+    if (!campaignKey) {
+      return {};
+    }
+
+    if (campaignKey === this.defaultCampaignKey) {
+      return { OR: [{ campaignKey }, { campaignKey: null }] };
+    }
+
+    return { campaignKey };
+  }
+
+  /**
+   * Get all campaigns
+   * @returns {array} Array of campaign records
+   */
+  async getAllCampaigns() {
+    try {
+      const campaigns = await this.prisma.campaign.findMany({
+        orderBy: {
+          createdAt: 'desc'
+        }
+      });
+
+      console.log(`📊 Retrieved ${campaigns.length} campaigns from database`);
+      return campaigns;
+    } catch (error) {
+      console.error('❌ Error retrieving campaigns from database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get campaign by key
+   * @param {string} key - Campaign key
+   * @returns {object|null} Campaign record or null if not found
+   */
+  async getCampaignByKey(key) {
+    try {
+      return await this.prisma.campaign.findUnique({
+        where: {
+          tenantKey_key: this.withTenant({ key })
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error retrieving campaign from database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get campaign started by a trigger keyword
+   * @param {string} triggerKeyword - Trigger keyword
+   * @returns {object|null} Campaign record or null if not found
+   */
+  async getCampaignByTriggerKeyword(triggerKeyword) {
+    try {
+      return await this.prisma.campaign.findUnique({
+        where: {
+          tenantKey_triggerKeyword: this.withTenant({ triggerKeyword })
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error retrieving campaign by trigger keyword:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a campaign
+   * @param {object} campaignData - Campaign data to save
+   * @returns {object} Created campaign record
+   */
+  async createCampaign(campaignData) {
+    try {
+      const { key, name, triggerKeyword, flowKey, templates, storageFolder, isActive } = campaignData;
+
+      const campaign = await this.prisma.campaign.create({
+        data: {
+          key,
+          name,
+          triggerKeyword,
+          flowKey: flowKey || null,
+          templates: templates || Prisma.DbNull,
+          storageFolder: storageFolder || null,
+          isActive: isActive !== false
+        }
+      });
+
+      console.log(`💾 Campaign "${key}" created for trigger "${triggerKeyword}"`);
+      return campaign;
+    } catch (error) {
+      console.error('❌ Error creating campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a campaign
+   * @param {string} key - Campaign key
+   * @param {object} updates - Fields to update
+   * @returns {object} Updated campaign record
+   */
+  async updateCampaign(key, updates) {
+    try {
+      const data = { ...updates };
+      if ('templates' in data) {
+        data.templates = data.templates || Prisma.DbNull;
+      }
+
+      const campaign = await this.prisma.campaign.update({
+        where: {
+          tenantKey_key: this.withTenant({ key })
+        },
+        data
+      });
+
+      console.log(`💾 Campaign "${key}" updated:`, Object.keys(updates));
+      return campaign;
+    } catch (error) {
+      console.error('❌ Error updating campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a campaign (its feedback is kept)
+   * @param {string} key - Campaign key
+   * @returns {boolean} True if deleted, false if not found
+   */
+  async deleteCampaign(key) {
+    try {
+      await this.prisma.campaign.delete({
+        where: {
+          tenantKey_key: this.withTenant({ key })
+        }
+      });
+
+      console.log(`🗑️ Campaign "${key}" deleted from database`);
+      return true;
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return false;
+      }
+      console.error('❌ Error deleting campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all stored tenants
+   * @returns {array} Array of tenant records
+   */
+  async getAllTenants() {
+    try {
+      return await this.prisma.tenant.findMany({
+        orderBy: {
+          createdAt: 'asc'
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error retrieving tenants from database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a tenant
+   * @param {object} tenantData - { key, name, phoneNumberId, businessAccountId, accessToken, isActive }
+   * @returns {object} Created tenant record
+   */
+  async createTenant(tenantData) {
+    try {
+      const { key, name, phoneNumberId, businessAccountId, accessToken, isActive } = tenantData;
+
+      const tenant = await this.prisma.tenant.create({
+        data: {
+          key,
+          name,
+          phoneNumberId,
+          businessAccountId: businessAccountId || null,
+          accessToken,
+          isActive: isActive !== false
+        }
+      });
+
+      console.log(`💾 Tenant "${key}" created for phone number ID ${phoneNumberId}`);
+      return tenant;
+    } catch (error) {
+      console.error('❌ Error creating tenant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a tenant
+   * @param {string} key - Tenant key
+   * @param {object} updates - Fields to update
+   * @returns {object|null} Updated tenant record or null if not found
+   */
+  async updateTenant(key, updates) {
+    try {
+      const tenant = await this.prisma.tenant.update({
+        where: {
+          key
+        },
+        data: updates
+      });
+
+      console.log(`💾 Tenant "${key}" updated:`, Object.keys(updates));
+      return tenant;
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return null;
+      }
+      console.error('❌ Error updating tenant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a tenant (its feedback and other records are kept)
+   * @param {string} key - Tenant key
+   * @returns {boolean} True if deleted, false if not found
+   */
+  async deleteTenant(key) {
+    try {
+      await this.prisma.tenant.delete({
+        where: {
+          key
+        }
+      });
+
+      console.log(`🗑️ Tenant "${key}" deleted from database`);
+      return true;
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return false;
+      }
+      console.error('❌ Error deleting tenant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all admin users
+   * @returns {array} Array of admin user records
+   */
+  async getAllAdminUsers() {
+    try {
+      return await this.prisma.adminUser.findMany({
+        orderBy: {
+          createdAt: 'asc'
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error retrieving admin users from database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the admin users
+   * @returns {number} Number of admin users
+   */
+  async countAdminUsers() {
+    try {
+      return await this.prisma.adminUser.count();
+    } catch (error) {
+      console.error('❌ Error counting admin users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an admin user by ID
+   * @param {number} id - Admin user ID
+   * @returns {object|null} Admin user record or null if not found
+   */
+  async getAdminUserById(id) {
+    try {
+      return await this.prisma.adminUser.findUnique({
+        where: {
+          id
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error retrieving admin user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an admin user by email
+   * @param {string} email - Email address (stored in lowercase)
+   * @returns {object|null} Admin user record or null if not found
+   */
+  async getAdminUserByEmail(email) {
+    try {
+      return await this.prisma.adminUser.findUnique({
+        where: {
+          email
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error retrieving admin user by email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an admin user
+   * @param {object} userData - { email, name, passwordHash, role, tenantKey, isActive }
+   * @returns {object} Created admin user record
+   */
+  async createAdminUser(userData) {
+    try {
+      const { email, name, passwordHash, role, tenantKey, isActive } = userData;
+
+      const user = await this.prisma.adminUser.create({
+        data: {
+          email,
+          name: name || null,
+          passwordHash,
+          role,
+          tenantKey: tenantKey || null,
+          isActive: isActive !== false
+        }
+      });
+
+      console.log(`💾 Admin user ${email} created with role ${role}`);
+      return user;
+    } catch (error) {
+      console.error('❌ Error creating admin user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an admin user
+   * @param {number} id - Admin user ID
+   * @param {object} updates - Fields to update
+   * @returns {object|null} Updated admin user record or null if not found
+   */
+  async updateAdminUser(id, updates) {
+    try {
+      return await this.prisma.adminUser.update({
+        where: {
+          id
+        },
+        data: updates
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return null;
+      }
+      console.error('❌ Error updating admin user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an admin user
+   * @param {number} id - Admin user ID
+   * @returns {boolean} True if deleted, false if not found
+   */
+  async deleteAdminUser(id) {
+    try {
+      await this.prisma.adminUser.delete({
+        where: {
+          id
+        }
+      });
+
+      console.log(`🗑️ Admin user ${id} deleted from database`);
+      return true;
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return false;
+      }
+      console.error('❌ Error deleting admin user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all API keys, newest first
+   * @returns {array} Array of API key records
+   */
+  async getAllApiKeys() {
+    try {
+      return await this.prisma.apiKey.findMany({
+        orderBy: {
+          createdAt: 'desc'
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error retrieving API keys from database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an API key by the hash of the key
+   * @param {string} keyHash - SHA-256 of the key
+   * @returns {object|null} API key record or null if not found
+   */
+  async getApiKeyByHash(keyHash) {
+    try {
+      return await this.prisma.apiKey.findUnique({
+        where: {
+          keyHash
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error retrieving API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an API key
+   * @param {object} keyData - { name, keyPrefix, keyHash, role, tenantKey, createdBy }
+   * @returns {object} Created API key record
+   */
+  async createApiKey(keyData) {
+    try {
+      const { name, keyPrefix, keyHash, role, tenantKey, createdBy } = keyData;
+
+      const apiKey = await this.prisma.apiKey.create({
+        data: {
+          name,
+          keyPrefix,
+          keyHash,
+          role,
+          tenantKey: tenantKey || null,
+          createdBy: createdBy || null
+        }
+      });
+
+      console.log(`💾 API key "${name}" created with role ${role}`);
+      return apiKey;
+    } catch (error) {
+      console.error('❌ Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an API key, e.g. to revoke it or record its use
+   * @param {number} id - API key ID
+   * @param {object} updates - Fields to update
+   * @returns {object|null} Updated API key record or null if not found
+   */
+  async updateApiKey(id, updates) {
+    try {
+      return await this.prisma.apiKey.update({
+        where: {
+          id
+        },
+        data: updates
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return null;
+      }
+      console.error('❌ Error updating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get rating averages and score distributions per rating scale, plus NPS
+   * NPS uses 0-10 ratings: promoters score 9-10, detractors 0-6
+   * @param {string} campaignKey - Optional campaign to restrict the statistics to
+   * @returns {object} { ratings, nps }
+   */
+  async getRatingStats(campaignKey) {
+    try {
+      const groups = await this.prisma.feedback.groupBy({
+        by: ['ratingScale', 'rating'],
+        where: {
+          ...this.campaignFilter(campaignKey),
+          rating: {
+            not: null
+          }
+        },
+        _count: {
+          _all: true
+        }
+      });
+
+      const scales = {};
+      for (const group of groups) {
+        const scale = group.ratingScale || 5;
+        const scaleStats = scales[scale] || (scales[scale] = { scale, count: 0, total: 0, distribution: {} });
+        const count = group._count._all;
+
+        scaleStats.count += count;
+        scaleStats.total += group.rating * count;
+        scaleStats.distribution[group.rating] = (scaleStats.distribution[group.rating] || 0) + count;
+      }
+
+      const ratings = Object.values(scales).map(({ scale, count, total, distribution }) => ({
+        scale,
+        count,
+        average: Math.round((total / count) * 100) / 100,
+        distribution
+      }));
+
+      const npsScale = scales[10];
+      let nps = null;
+      if (npsScale) {
+        const countRange = (min, max) => Object.entries(npsScale.distribution)
+          .filter(([score]) => score >= min && score <= max)
+          .reduce((sum, [, count]) => sum + count, 0);
+        const promoters = countRange(9, 10);
+        const passives = countRange(7, 8);
+        const detractors = countRange(0, 6);
+
+        nps = {
+          count: npsScale.count,
+          promoters,
+          passives,
+          detractors,
+          score: Math.round(((promoters - detractors) / npsScale.count) * 100)
+        };
+      }
+
+      return { ratings, nps };
+    } catch (error) {
+      console.error('❌ Error getting rating statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get feedback statistics
+   * @param {string} campaignKey - Optional campaign to restrict the statistics to
+   * @returns {object} Statistics about feedback collection
+   */
+  async getFeedbackStats(campaignKey) {
+    try {
+      const campaignWhere = this.campaignFilter(campaignKey);
+      const totalFeedback = await this.prisma.feedback.count({
+        where: campaignWhere
+      });
+      const todayFeedback = await this.prisma.feedback.count({
+        where: {
+          ...campaignWhere,
+          createdAt: {
+            gte: new Date(new Date().setHours(0, 0, 0, 0))
+          }
+        }
+      });
+      const activeSessions = await this.prisma.conversationSession.count({
+        where: {
+          ...campaignWhere,
+          isCompleted: false
+        }
+      });
+
+      const ratingStats = await this.getRatingStats(campaignKey);
+
       const stats = {
+        campaignKey: campaignKey || null,
         totalFeedback,
         todayFeedback,
         activeSessions,
+        ...ratingStats,
         timestamp: new Date().toISOString()
       };
 
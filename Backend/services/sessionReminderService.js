@@ -0,0 +1,201 @@
+/**
+ * Session Reminder Service for WhatsApp Feedback Collection
+ * Nudges users whose session stalled at a step and sends a closing
+ * message when the session finally expires
+ */
+
+const { sendTextMessage } = require('./channelService');
+const conversationManager = require('./conversationManager');
+const prismaService = require('./prismaService');
+const flowEngine = require('./flowEngine');
+const campaignService = require('./campaignService');
+const webhookService = require('./webhookService');
+const tenantContext = require('../utils/tenantContext');
+
+// WhatsApp only allows free-form messages within 24 hours of the user's last message
+const CUSTOMER_SERVICE_WINDOW = 24 * 60 * 60 * 1000;
+
+// Stop messaging a few minutes before the window closes in case the send is delayed
+const WINDOW_SAFETY_MARGIN = 5 * 60 * 1000;
+
+class SessionReminderService {
+  constructor() {
+    // Reminders for steps that don't declare their own (comma-separated minutes, empty to disable)
+    this.defaultReminderMinutes = (process.env.SESSION_REMINDER_MINUTES ?? '60')
+      .split(',')
+      .map(minutes => parseFloat(minutes))
+      .filter(minutes => minutes > 0);
+    this.checkInterval = (parseFloat(process.env.SESSION_REMINDER_INTERVAL_MINUTES) || 5) * 60 * 1000;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Get the reminders of a step, falling back to the default schedule
+   * @param {object} step - Step definition
+   * @returns {array} Reminders as { afterMinutes, template }, in sending order
+   */
+  getStepReminders(step) {
+    if (Array.isArray(step.reminders)) {
+      return step.reminders;
+    }
+
+    return this.defaultReminderMinutes.map(afterMinutes => ({ afterMinutes, template: 'stepReminder' }));
+  }
+
+  /**
+   * Check whether the user can still be messaged outside a template message
+   * The window runs from the user's last inbound message, not the session's lastActivity,
+   * which bot-side changes (moving a step, resuming after a handoff) also move
+   * @param {object} session - Session data, checked for the current tenant
+   * @returns {boolean} True when the 24-hour customer service window is open
+   */
+  async isWithinServiceWindow(session) {
+    const lastInboundAt = await prismaService.getLastInboundMessageAt(session.userPhone);
+    if (!lastInboundAt) {
+      return false;
+    }
+
+    const timeSinceInbound = Date.now() - new Date(lastInboundAt);
+    return timeSinceInbound < CUSTOMER_SERVICE_WINDOW - WINDOW_SAFETY_MARGIN;
+  }
+
+  /**
+   * Send the next due reminder of a stalled session, if one is due
+   * Runs for the session's tenant, so the reminder goes out from the number the user talks to
+   * @param {object} session - Idle session
+   * @returns {boolean} True if a reminder was sent
+   */
+  async sendSessionReminder(session) {
+    const { step, ...context } = await webhookService.getSessionContext(session);
+    if (!step) {
+      return false;
+    }
+
+    const reminder = this.getStepReminders(step)[session.nudgeCount];
+    const idleMinutes = (Date.now() - new Date(session.lastActivity)) / (60 * 1000);
+    if (!reminder || idleMinutes < reminder.afterMinutes) {
+      return false;
+    }
+
+    if (!await this.isWithinServiceWindow(session)) {
+      return false;
+    }
+
+    await webhookService.sendStepReminder(session.userPhone, step, session, context, reminder.template);
+    await prismaService.recordSessionNudge(session.userPhone, session.nudgeCount + 1);
+
+    console.log(`🔔 Sent reminder ${session.nudgeCount + 1} for step "${step.id}" to ${session.userPhone}`);
+    return true;
+  }
+
+  /**
+   * Send the next due reminder to every stalled session
+   * @returns {number} Number of reminders sent
+   */
+  async sendDueReminders() {
+    const sessions = await prismaService.getIdleSessions(new Date());
+    const handedOffPhones = new Set(await prismaService.getActiveHandoffPhones());
+    let sentCount = 0;
+
+    for (const session of sessions) {
+      if (handedOffPhones.has(`${session.tenantKey}:${session.userPhone}`)) {
+        continue;
+      }
+
+      if (conversationManager.isSessionExpired(session)) {
+        continue;
+      }
+
+      try {
+        if (await tenantContext.run(session.tenantKey, () => this.sendSessionReminder(session))) {
+          sentCount++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to send reminder to ${session.userPhone}:`, error);
+      }
+    }
+
+    return sentCount;
+  }
+
+  /**
+   * Remove expired sessions, telling each user their session was closed
+   * @returns {number} Number of sessions closed
+   */
+  async closeExpiredSessions() {
+    const expiredBefore = new Date(Date.now() - conversationManager.sessionTimeout);
+    const handedOffPhones = new Set(await prismaService.getActiveHandoffPhones());
+    // Sessions paused for a handoff are kept until the agent gives the conversation back
+    const sessions = (await prismaService.getIdleSessions(expiredBefore))
+      .filter(session => !handedOffPhones.has(`${session.tenantKey}:${session.userPhone}`));
+
+    for (const session of sessions) {
+      await tenantContext.run(session.tenantKey, async () => {
+        try {
+          if (await this.isWithinServiceWindow(session)) {
+            const campaign = await campaignService.getCampaign(session.campaignKey);
+            const response = flowEngine.renderMessage(
+              { template: 'sessionExpired' },
+              session,
+              campaignService.getTemplateOverrides(campaign)
+            );
+            await sendTextMessage(session.userPhone, response);
+          }
+        } catch (error) {
+          console.error(`❌ Failed to send closing message to ${session.userPhone}:`, error);
+        }
+
+        await prismaService.deleteConversationSession(session.userPhone);
+      });
+    }
+
+    if (sessions.length > 0) {
+      console.log(`🧹 Closed ${sessions.length} expired sessions`);
+    }
+
+    return sessions.length;
+  }
+
+  /**
+   * Run one reminder and expiry pass (skipped while a previous pass is still running)
+   */
+  async runOnce() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    try {
+      await this.closeExpiredSessions();
+      await this.sendDueReminders();
+    } catch (error) {
+      console.error('❌ Error running session reminders:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Start the reminder scheduler
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.checkInterval);
+    console.log(`⏰ Started session reminder scheduler (runs every ${this.checkInterval / 60000} minutes)`);
+  }
+
+  /**
+   * Stop the reminder scheduler
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionReminderService();
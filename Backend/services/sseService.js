@@ -1,16 +1,22 @@
 /**
  * Server-Sent Events Service for Real-time Updates
+ * Each client only receives the events of the tenant it connected for. Public
+ * clients (the event gallery) only hear that feedback changed, without its data.
  */
 
+const tenantContext = require('../utils/tenantContext');
+
 class SSEService {
   constructor() {
-    this.clients = new Set();
+    this.clients = new Map(); // Response -> { tenantKey, publicOnly }
   }
 
   /**
    * Add a new SSE client
+   * @param {object} res - Express response
+   * @param {object} options - { publicOnly } for clients without a login
    */
-  addClient(res) {
+  addClient(res, { publicOnly = false } = {}) {
     // Set SSE headers
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
@@ -23,8 +29,8 @@ class SSEService {
     // Send initial connection message
     res.write('data: {"type":"connected","message":"Connected to feedback updates"}\n\n');
 
-    // Add client to the set
-    this.clients.add(res);
+    // Add client with the tenant of its request
+    this.clients.set(res, { tenantKey: tenantContext.getTenantKey(), publicOnly });
 
     // Handle client disconnect
     res.on('close', () => {
@@ -37,22 +43,31 @@ class SSEService {
   }
 
   /**
-   * Broadcast message to all connected clients
+   * Broadcast message to the clients of the current tenant
+   * @param {object} data - Event with a type
+   * @param {object} options - { isPublic } to also tell public clients, without the data
    */
-  broadcast(data) {
+  broadcast(data, { isPublic = false } = {}) {
     const message = `data: ${JSON.stringify(data)}\n\n`;
+    const publicMessage = `data: ${JSON.stringify({ type: data.type, timestamp: data.timestamp })}\n\n`;
+    const tenantKey = tenantContext.getTenantKey();
+    let sentCount = 0;
     
-    // Send to all connected clients
-    this.clients.forEach(client => {
+    this.clients.forEach(({ tenantKey: clientTenantKey, publicOnly }, client) => {
+      if (clientTenantKey !== tenantKey || (publicOnly && !isPublic)) {
+        return;
+      }
+
       try {
-        client.write(message);
+        client.write(publicOnly ? publicMessage : message);
+        sentCount++;
       } catch (error) {
         console.error('Error sending SSE message:', error);
         this.clients.delete(client);
       }
     });
 
-    console.log(`📡 Broadcasted to ${this.clients.size} SSE clients:`, data);
+    console.log(`📡 Broadcasted to ${sentCount} SSE clients of tenant "${tenantKey}":`, data);
   }
 
   /**
@@ -63,7 +78,7 @@ class SSEService {
       type: 'new_feedback',
       data: feedbackData,
       timestamp: new Date().toISOString()
-    });
+    }, { isPublic: true });
   }
 
   /**
@@ -74,6 +89,28 @@ class SSEService {
       type: 'feedback_updated',
       data: feedbackData,
       timestamp: new Date().toISOString()
+    }, { isPublic: true });
+  }
+
+  /**
+   * Notify about a handoff being started, taken or resolved
+   */
+  notifyHandoffUpdate(handoff) {
+    this.broadcast({
+      type: 'handoff_updated',
+      data: handoff,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Notify about a message exchanged during a handoff
+   */
+  notifyHandoffMessage(messageData) {
+    this.broadcast({
+      type: 'handoff_message',
+      data: messageData,
+      timestamp: new Date().toISOString()
     });
   }
 
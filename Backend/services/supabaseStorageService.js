@@ -5,12 +5,14 @@
 
 const { createClient } = require('@supabase/supabase-js');
 const axios = require('axios');
+const tenantService = require('./tenantService');
 
 class SupabaseStorageService {
   constructor() {
     this.supabaseUrl = process.env.SUPABASE_URL;
     this.serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
     this.bucketName = 'feedback-images';
+    this.audioBucketName = 'feedback-audio';
     
     if (!this.supabaseUrl || !this.serviceRoleKey) {
       console.warn('⚠️  Supabase credentials not configured. Image upload will be disabled.');
@@ -38,13 +40,13 @@ class SupabaseStorageService {
   }
 
   /**
-   * Initialize the feedback-images bucket if it doesn't exist
+   * Initialize the feedback-images and feedback-audio buckets if they don't exist
    */
   async initializeBucket() {
     if (!this.supabase) return;
     
     try {
-      // Check if bucket exists
+      // Check if buckets exist
       const { data: buckets, error: listError } = await this.supabase.storage.listBuckets();
       
       if (listError) {
@@ -52,148 +54,260 @@ class SupabaseStorageService {
         return;
       }
       
-      const bucketExists = buckets.some(bucket => bucket.name === this.bucketName);
+      await this.createBucketIfMissing(buckets, this.bucketName, {
+        public: true, // Make images publicly accessible
+        allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+        fileSizeLimit: 5242880 // 5MB limit
+      });
       
-      if (!bucketExists) {
-        console.log(`📁 Creating bucket: ${this.bucketName}`);
-        
-        const { data, error } = await this.supabase.storage.createBucket(this.bucketName, {
-          public: true, // Make images publicly accessible
-          allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
-          fileSizeLimit: 5242880 // 5MB limit
-        });
-        
-        if (error) {
-          console.error('❌ Error creating bucket:', error);
-        } else {
-          console.log(`✅ Bucket '${this.bucketName}' created successfully`);
-        }
-      } else {
-        console.log(`✅ Bucket '${this.bucketName}' already exists`);
-      }
+      await this.createBucketIfMissing(buckets, this.audioBucketName, {
+        public: true, // Make voice notes playable from the dashboard
+        allowedMimeTypes: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr'],
+        fileSizeLimit: 16777216 // 16MB limit (WhatsApp audio maximum)
+      });
     } catch (error) {
       console.error('❌ Error initializing bucket:', error);
     }
   }
 
   /**
-   * Download image from WhatsApp and upload to Supabase Storage
-   * @param {string} whatsappImageId - WhatsApp image ID
-   * @param {string} userPhone - User's phone number
+   * Create a bucket unless it is in the list of existing buckets
+   * @param {array} buckets - Existing buckets
+   * @param {string} bucketName - Bucket to create
+   * @param {object} options - Bucket options
+   */
+  async createBucketIfMissing(buckets, bucketName, options) {
+    const bucketExists = buckets.some(bucket => bucket.name === bucketName);
+    
+    if (bucketExists) {
+      console.log(`✅ Bucket '${bucketName}' already exists`);
+      return;
+    }
+    
+    console.log(`📁 Creating bucket: ${bucketName}`);
+    
+    const { error } = await this.supabase.storage.createBucket(bucketName, options);
+    
+    if (error) {
+      console.error('❌ Error creating bucket:', error);
+    } else {
+      console.log(`✅ Bucket '${bucketName}' created successfully`);
+    }
+  }
+
+  /**
+   * Download image from the user's channel and upload to Supabase Storage
+   * @param {string} whatsappImageId - Media ID of the image (WhatsApp media ID or Telegram file ID)
+   * @param {string} userPhone - User's address (phone number or "<channel>:<user id>")
+   * @param {number} feedbackId - Feedback record ID
+   * @param {string} folder - Optional folder (campaign result bucket) to upload into
+   * @returns {object} Upload result with public URL
+   */
+  async uploadWhatsAppImage(whatsappImageId, userPhone, feedbackId, folder = null) {
+    return await this.uploadWhatsAppMedia(whatsappImageId, userPhone, feedbackId, folder, {
+      bucketName: this.bucketName,
+      defaultMimeType: 'image/jpeg'
+    });
+  }
+
+  /**
+   * Download a voice note from the user's channel and upload to Supabase Storage
+   * @param {string} whatsappAudioId - Media ID of the voice note (WhatsApp media ID or Telegram file ID)
+   * @param {string} userPhone - User's address (phone number or "<channel>:<user id>")
+   * @param {number} feedbackId - Feedback record ID
+   * @param {string} folder - Optional folder (campaign result bucket) to upload into
+   * @returns {object} Upload result with public URL and MIME type
+   */
+  async uploadWhatsAppAudio(whatsappAudioId, userPhone, feedbackId, folder = null) {
+    return await this.uploadWhatsAppMedia(whatsappAudioId, userPhone, feedbackId, folder, {
+      bucketName: this.audioBucketName,
+      defaultMimeType: 'audio/ogg'
+    });
+  }
+
+  /**
+   * Download media from the user's channel and upload it to a Supabase Storage bucket
+   * @param {string} whatsappMediaId - Media ID of the ChannelMessage (WhatsApp media ID or Telegram file ID)
+   * @param {string} userPhone - User's address (phone number or "<channel>:<user id>")
    * @param {number} feedbackId - Feedback record ID
+   * @param {string} folder - Optional folder (campaign result bucket) to upload into
+   * @param {object} options - { bucketName, defaultMimeType }
    * @returns {object} Upload result with public URL
    */
-  async uploadWhatsAppImage(whatsappImageId, userPhone, feedbackId) {
+  async uploadWhatsAppMedia(whatsappMediaId, userPhone, feedbackId, folder, options) {
+    const { bucketName, defaultMimeType } = options;
+    
     if (!this.supabaseUrl || !this.serviceRoleKey) {
-      console.warn('⚠️  Supabase not configured, skipping image upload');
+      console.warn('⚠️  Supabase not configured, skipping media upload');
       return { success: false, error: 'Supabase not configured' };
     }
 
     try {
-      console.log(`📸 Processing WhatsApp image: ${whatsappImageId} for user ${userPhone}`);
-      
-      // Step 1: Get WhatsApp image URL
-      const imageUrl = await this.getWhatsAppImageUrl(whatsappImageId);
-      if (!imageUrl) {
-        throw new Error('Failed to get WhatsApp image URL');
-      }
-      
-      // Step 2: Download image from WhatsApp
-      const imageBuffer = await this.downloadImageFromUrl(imageUrl);
-      if (!imageBuffer) {
-        throw new Error('Failed to download image from WhatsApp');
-      }
-      
-      // Step 3: Generate file path
-      const fileName = this.generateFileName(userPhone, feedbackId, whatsappImageId);
-      const filePath = `${new Date().getFullYear()}/${String(new Date().getMonth() + 1).padStart(2, '0')}/${fileName}`;
-      
-      // Step 4: Create fresh Supabase client for upload (to avoid token issues)
-      console.log(`🔧 Creating fresh Supabase client for upload...`);
-      console.log(`🔑 Using service role key: ${this.serviceRoleKey.substring(0, 20)}...`);
+      console.log(`📸 Processing media: ${whatsappMediaId} for user ${userPhone}`);
       
-      const uploadClient = createClient(this.supabaseUrl, this.serviceRoleKey, {
-        auth: {
-          autoRefreshToken: false,
-          persistSession: false
-        }
-      });
+      // Steps 1-2: Download media from the channel the user sent it on
+      // (required here to avoid a circular dependency with the WhatsApp channel adapter)
+      const channelService = require('./channelService');
+      const { buffer: mediaBuffer, mimeType: mediaMimeType } = await channelService.downloadMedia(userPhone, whatsappMediaId);
       
-      console.log(`📤 Uploading to path: ${filePath}`);
-      
-      // Step 5: Upload to Supabase Storage
-      const { data, error } = await uploadClient.storage
-        .from(this.bucketName)
-        .upload(filePath, imageBuffer, {
-          contentType: 'image/jpeg',
-          upsert: false
-        });
-      
-      if (error) {
-        console.error('❌ Error uploading to Supabase:', error);
-        console.error('❌ Upload details:', {
-          filePath,
-          bucketName: this.bucketName,
-          bufferSize: imageBuffer.length,
-          serviceRoleKey: this.serviceRoleKey.substring(0, 20) + '...'
-        });
-        throw error;
-      }
-      
-      // Step 6: Get public URL
-      const { data: publicUrlData } = uploadClient.storage
-        .from(this.bucketName)
-        .getPublicUrl(filePath);
-      
-      const publicUrl = publicUrlData.publicUrl;
-      
-      console.log(`✅ Image uploaded successfully: ${publicUrl}`);
+      // Steps 3-6: Upload to Supabase Storage
+      const mimeType = (mediaMimeType || defaultMimeType).split(';')[0].trim();
+      const uploadResult = await this.uploadBuffer(mediaBuffer, mimeType, userPhone, feedbackId, folder, bucketName, whatsappMediaId);
       
       return {
         success: true,
-        publicUrl,
-        filePath,
-        fileName,
-        whatsappImageId
+        ...uploadResult,
+        whatsappMediaId
       };
       
     } catch (error) {
-      console.error('❌ Error uploading WhatsApp image:', error);
+      console.error('❌ Error uploading WhatsApp media:', error);
       return {
         success: false,
         error: error.message,
-        whatsappImageId
+        whatsappMediaId
       };
     }
   }
 
+  /**
+   * Upload a file to a Supabase Storage bucket
+   * @param {Buffer} mediaBuffer - File contents
+   * @param {string} mimeType - MIME type of the file
+   * @param {string} userPhone - User's address (phone number or "<channel>:<user id>")
+   * @param {number|string} feedbackId - Feedback record ID, used in the file name
+   * @param {string} folder - Optional folder (campaign result bucket) to upload into
+   * @param {string} bucketName - Bucket to upload into
+   * @param {string} mediaId - Optional channel media ID of the file
+   * @returns {object} { publicUrl, filePath, fileName, mimeType }
+   * @throws {Error} When the upload fails
+   */
+  async uploadBuffer(mediaBuffer, mimeType, userPhone, feedbackId, folder, bucketName, mediaId = null) {
+    // Step 3: Generate file path
+    const fileName = this.generateFileName(userPhone, feedbackId, mediaId, this.getFileExtension(mimeType));
+    const datePath = `${new Date().getFullYear()}/${String(new Date().getMonth() + 1).padStart(2, '0')}`;
+    const filePath = folder ? `${folder}/${datePath}/${fileName}` : `${datePath}/${fileName}`;
+    
+    // Step 4: Create fresh Supabase client for upload (to avoid token issues)
+    console.log(`🔧 Creating fresh Supabase client for upload...`);
+    console.log(`🔑 Using service role key: ${this.serviceRoleKey.substring(0, 20)}...`);
+    
+    const uploadClient = createClient(this.supabaseUrl, this.serviceRoleKey, {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      }
+    });
+    
+    console.log(`📤 Uploading to path: ${filePath}`);
+    
+    // Step 5: Upload to Supabase Storage
+    const { data, error } = await uploadClient.storage
+      .from(bucketName)
+      .upload(filePath, mediaBuffer, {
+        contentType: mimeType,
+        upsert: false
+      });
+    
+    if (error) {
+      console.error('❌ Error uploading to Supabase:', error);
+      console.error('❌ Upload details:', {
+        filePath,
+        bucketName,
+        bufferSize: mediaBuffer.length,
+        serviceRoleKey: this.serviceRoleKey.substring(0, 20) + '...'
+      });
+      throw error;
+    }
+    
+    // Step 6: Get public URL
+    const { data: publicUrlData } = uploadClient.storage
+      .from(bucketName)
+      .getPublicUrl(filePath);
+    
+    const publicUrl = publicUrlData.publicUrl;
+    
+    console.log(`✅ Media uploaded successfully: ${publicUrl}`);
+    
+    return {
+      publicUrl,
+      filePath,
+      fileName,
+      mimeType
+    };
+  }
+
+  /**
+   * Upload an image submitted through the web feedback widget to the feedback images bucket
+   * @param {Buffer} imageBuffer - Image contents
+   * @param {string} mimeType - MIME type of the image
+   * @param {string} userPhone - Web visitor's address ("web:<visitor id>")
+   * @param {string} folder - Optional folder (campaign result bucket) to upload into
+   * @returns {object} Upload result with public URL
+   */
+  async uploadWebImage(imageBuffer, mimeType, userPhone, folder = null) {
+    if (!this.supabaseUrl || !this.serviceRoleKey) {
+      console.warn('⚠️  Supabase not configured, skipping image upload');
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    try {
+      const uploadResult = await this.uploadBuffer(imageBuffer, mimeType, userPhone, 'web', folder, this.bucketName);
+      return { success: true, ...uploadResult };
+    } catch (error) {
+      console.error('❌ Error uploading web image:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the access token of the tenant whose number received the media
+   * @returns {string|null} Graph API access token
+   */
+  async getWhatsAppAccessToken() {
+    const tenant = await tenantService.getCurrentTenant();
+    return tenant ? tenant.accessToken : null;
+  }
+
   /**
    * Get WhatsApp image download URL using WhatsApp Business API
    * @param {string} imageId - WhatsApp image ID
    * @returns {string|null} Image download URL
    */
   async getWhatsAppImageUrl(imageId) {
+    const mediaInfo = await this.getWhatsAppMediaInfo(imageId);
+    return mediaInfo ? mediaInfo.url : null;
+  }
+
+  /**
+   * Get WhatsApp media download URL and MIME type using WhatsApp Business API
+   * @param {string} mediaId - WhatsApp media ID
+   * @returns {object|null} { url, mimeType }
+   */
+  async getWhatsAppMediaInfo(mediaId) {
     try {
-      const accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+      const accessToken = await this.getWhatsAppAccessToken();
       const apiVersion = process.env.WHATSAPP_API_VERSION || 'v22.0';
       
       if (!accessToken) {
         throw new Error('WhatsApp access token not configured');
       }
       
-      // Get image metadata from WhatsApp API
-      const response = await axios.get(`https://graph.facebook.com/${apiVersion}/${imageId}`, {
+      // Get media metadata from WhatsApp API
+      const response = await axios.get(`https://graph.facebook.com/${apiVersion}/${mediaId}`, {
         headers: {
           'Authorization': `Bearer ${accessToken}`
         }
       });
       
-      const imageUrl = response.data.url;
-      console.log(`📥 Got WhatsApp image URL for ${imageId}`);
+      console.log(`📥 Got WhatsApp media URL for ${mediaId}`);
       
-      return imageUrl;
+      return {
+        url: response.data.url,
+        mimeType: response.data.mime_type
+      };
     } catch (error) {
-      console.error('❌ Error getting WhatsApp image URL:', error);
+      console.error('❌ Error getting WhatsApp media URL:', error);
       return null;
     }
   }
@@ -205,7 +319,7 @@ class SupabaseStorageService {
    */
   async downloadImageFromUrl(imageUrl) {
     try {
-      const accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+      const accessToken = await this.getWhatsAppAccessToken();
       
       const response = await axios.get(imageUrl, {
         headers: {
@@ -229,12 +343,63 @@ class SupabaseStorageService {
    * @param {string} userPhone - User's phone number
    * @param {number} feedbackId - Feedback record ID
    * @param {string} whatsappImageId - WhatsApp image ID
+   * @param {string} extension - File extension
    * @returns {string} Generated filename
    */
-  generateFileName(userPhone, feedbackId, whatsappImageId) {
+  generateFileName(userPhone, feedbackId, whatsappImageId, extension = 'jpg') {
     const timestamp = Date.now();
     const cleanPhone = userPhone.replace(/[^0-9]/g, ''); // Remove non-numeric characters
-    return `feedback-${feedbackId}-${cleanPhone}-${timestamp}.jpg`;
+    return `feedback-${feedbackId}-${cleanPhone}-${timestamp}.${extension}`;
+  }
+
+  /**
+   * Get the file extension for a MIME type
+   * @param {string} mimeType - MIME type
+   * @returns {string} File extension
+   */
+  getFileExtension(mimeType) {
+    const extensions = {
+      'image/jpeg': 'jpg',
+      'image/png': 'png',
+      'image/webp': 'webp',
+      'image/gif': 'gif',
+      'audio/ogg': 'ogg',
+      'audio/mpeg': 'mp3',
+      'audio/mp4': 'm4a',
+      'audio/aac': 'aac',
+      'audio/amr': 'amr'
+    };
+    
+    return extensions[mimeType] || 'bin';
+  }
+
+  /**
+   * Delete a voice note from Supabase Storage
+   * @param {string} filePath - File path in the audio bucket
+   * @returns {boolean} Success status
+   */
+  async deleteAudio(filePath) {
+    if (!this.supabase) {
+      console.warn('⚠️  Supabase not configured, skipping audio deletion');
+      return false;
+    }
+
+    try {
+      const { error } = await this.supabase.storage
+        .from(this.audioBucketName)
+        .remove([filePath]);
+      
+      if (error) {
+        console.error('❌ Error deleting audio:', error);
+        return false;
+      }
+      
+      console.log(`🗑️ Audio deleted: ${filePath}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Error deleting audio:', error);
+      return false;
+    }
   }
 
   /**
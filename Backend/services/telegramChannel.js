@@ -0,0 +1,200 @@
+/**
+ * Telegram Channel Adapter
+ * Runs the feedback conversation in private chats with a Telegram bot. Bot webhook
+ * updates become channel-neutral messages, and reply buttons and lists are sent
+ * as inline keyboards. Telegram users belong to the default tenant.
+ */
+
+const telegramService = require('./telegramService');
+const tenantContext = require('../utils/tenantContext');
+
+const name = 'telegram';
+
+// Telegram does not report the MIME type of photos and voice notes it stores
+const FILE_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  oga: 'audio/ogg',
+  ogg: 'audio/ogg',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4'
+};
+
+/**
+ * Get the address of the user in a private chat
+ */
+function toAddress(chatId) {
+  return `${name}:${chatId}`;
+}
+
+/**
+ * Get the chat ID of a user's address
+ */
+function toChatId(address) {
+  return String(address).slice(name.length + 1);
+}
+
+/**
+ * Check whether a webhook payload is a Telegram bot update
+ */
+function matchesWebhook(payload) {
+  return !!payload && typeof payload.update_id === 'number';
+}
+
+/**
+ * Convert a message of a Telegram update to a ChannelMessage
+ * "/start <keyword>" from a t.me deep link is read as the keyword, so links and
+ * QR codes can start a campaign like a prefilled WhatsApp message
+ * @param {object} message - Telegram message
+ * @param {object} base - { id, channel, from, raw } of the update
+ * @returns {object} ChannelMessage
+ */
+function fromTelegramMessage(message, base) {
+  if (typeof message.text === 'string') {
+    const startPayload = /^\/start\s+(.+)$/.exec(message.text.trim());
+    return { ...base, type: 'text', text: startPayload ? startPayload[1] : message.text };
+  }
+
+  if (message.photo && message.photo.length > 0) {
+    // Photos come in several sizes, the largest last
+    const photo = message.photo[message.photo.length - 1];
+    return { ...base, type: 'image', media: { id: photo.file_id, mimeType: 'image/jpeg', caption: message.caption } };
+  }
+
+  if (message.document && (message.document.mime_type || '').startsWith('image/')) {
+    const { file_id: id, mime_type: mimeType } = message.document;
+    return { ...base, type: 'image', media: { id, mimeType, caption: message.caption } };
+  }
+
+  if (message.voice || message.audio) {
+    const { file_id: id, mime_type: mimeType } = message.voice || message.audio;
+    return { ...base, type: 'audio', media: { id, mimeType } };
+  }
+
+  return { ...base, type: 'unsupported' };
+}
+
+/**
+ * Convert a Telegram update to a ChannelMessage
+ * @param {object} update - Bot webhook update
+ * @returns {object|null} ChannelMessage, or null for updates that are not from a private chat
+ */
+function toChannelMessage(update) {
+  const id = `${name}:${update.update_id}`;
+
+  if (update.callback_query) {
+    const { data, message } = update.callback_query;
+    if (!message || message.chat.type !== 'private') {
+      return null;
+    }
+
+    // The title of the tapped button is only in the keyboard it was sent with
+    const button = (message.reply_markup?.inline_keyboard || [])
+      .flat()
+      .find(candidate => candidate.callback_data === data);
+
+    return { id, channel: name, from: toAddress(message.chat.id), raw: update, type: 'reply', replyId: data, text: button ? button.text : data };
+  }
+
+  const message = update.message;
+  if (!message || message.chat.type !== 'private') {
+    return null;
+  }
+
+  return fromTelegramMessage(message, { id, channel: name, from: toAddress(message.chat.id), raw: update });
+}
+
+/**
+ * Read the message of a Telegram update
+ * Tapped buttons are answered right away so Telegram stops showing them as loading
+ * @param {object} payload - Bot webhook update
+ * @returns {array} [{ tenantKey, messages, statuses }]
+ */
+async function parseWebhook(payload) {
+  if (payload.callback_query) {
+    try {
+      await telegramService.answerCallbackQuery(payload.callback_query.id);
+    } catch (error) {
+      // Already answered when the update is retried
+    }
+  }
+
+  const message = toChannelMessage(payload);
+
+  return [{
+    tenantKey: tenantContext.DEFAULT_TENANT_KEY,
+    messages: message ? [message] : [],
+    statuses: []
+  }];
+}
+
+/**
+ * Build the inline keyboard of an outbox message's reply options, one option per row
+ */
+function toInlineKeyboard(options) {
+  return options.map(option => [{ text: option.title, callback_data: String(option.id) }]);
+}
+
+/**
+ * Send an outbox message to a Telegram chat
+ * Templates and WhatsApp Flows only exist on WhatsApp
+ * @param {object} message - Outbox message record
+ * @returns {object} Send result with the Telegram messageId
+ * @throws {Error} With status 400 (not retried) for types Telegram can't send
+ */
+async function deliver(message) {
+  const { userPhone, type, payload } = message;
+  const chatId = toChatId(userPhone);
+  let sent;
+
+  switch (type) {
+    case 'text':
+      sent = await telegramService.sendMessage(chatId, payload.text);
+      break;
+    case 'button':
+      sent = await telegramService.sendMessage(chatId, payload.text, toInlineKeyboard(payload.buttons));
+      break;
+    case 'list':
+      sent = await telegramService.sendMessage(
+        chatId,
+        payload.text,
+        toInlineKeyboard(payload.sections.flatMap(section => section.rows))
+      );
+      break;
+    default: {
+      const error = new Error(`Message type "${type}" can't be sent on Telegram`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  return {
+    success: true,
+    messageId: `${name}:${chatId}:${sent.message_id}`,
+    phoneNumber: userPhone,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Download a photo or voice note a user sent to the bot
+ * @param {string} fileId - Telegram file ID
+ * @returns {object} { buffer, mimeType }
+ */
+async function downloadMedia(fileId) {
+  const { buffer, filePath } = await telegramService.downloadFile(fileId);
+  const extension = String(filePath).split('.').pop().toLowerCase();
+
+  return { buffer, mimeType: FILE_MIME_TYPES[extension] || null };
+}
+
+module.exports = {
+  name,
+  matchesWebhook,
+  toChannelMessage,
+  parseWebhook,
+  deliver,
+  downloadMedia
+};
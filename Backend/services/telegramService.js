@@ -0,0 +1,93 @@
+/**
+ * Telegram Bot API Service
+ * Sends messages and downloads files through the bot configured in TELEGRAM_BOT_TOKEN
+ */
+
+const axios = require('axios');
+
+class TelegramService {
+  constructor() {
+    this.botToken = process.env.TELEGRAM_BOT_TOKEN;
+    this.webhookSecret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    this.baseUrl = `https://api.telegram.org/bot${this.botToken}`;
+    this.fileUrl = `https://api.telegram.org/file/bot${this.botToken}`;
+  }
+
+  /**
+   * Check whether a bot token is configured
+   */
+  isConfigured() {
+    return !!this.botToken;
+  }
+
+  /**
+   * Call a Bot API method
+   * @param {string} method - Bot API method, e.g. "sendMessage"
+   * @param {object} params - Method parameters
+   * @returns {*} Result of the call
+   * @throws {Error} With code (Bot API error code), status (HTTP status) and isNetworkError, like WhatsApp send errors
+   */
+  async call(method, params) {
+    if (!this.isConfigured()) {
+      throw new Error('Telegram bot token not configured');
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/${method}`, params);
+      return response.data.result;
+    } catch (error) {
+      const description = error.response?.data?.description || error.message;
+      const callError = new Error(`Telegram ${method} failed: ${description}`);
+      callError.code = error.response?.data?.error_code;
+      callError.status = error.response?.status;
+      callError.isNetworkError = !error.response;
+
+      console.error(`❌ Telegram ${method} failed:`, error.response?.data || error.message);
+      throw callError;
+    }
+  }
+
+  /**
+   * Send a text message, optionally with an inline keyboard
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} text - Message text
+   * @param {array} inlineKeyboard - Optional rows of { text, callback_data } buttons
+   * @returns {object} Sent Telegram message
+   */
+  async sendMessage(chatId, text, inlineKeyboard = null) {
+    return await this.call('sendMessage', {
+      chat_id: chatId,
+      text,
+      ...(inlineKeyboard ? { reply_markup: { inline_keyboard: inlineKeyboard } } : {})
+    });
+  }
+
+  /**
+   * Stop the loading indicator of a tapped inline button
+   * @param {string} callbackQueryId - ID of the callback query
+   */
+  async answerCallbackQuery(callbackQueryId) {
+    return await this.call('answerCallbackQuery', { callback_query_id: callbackQueryId });
+  }
+
+  /**
+   * Download a file a user sent
+   * @param {string} fileId - Telegram file ID
+   * @returns {object} { buffer, filePath }
+   */
+  async downloadFile(fileId) {
+    const file = await this.call('getFile', { file_id: fileId });
+
+    const response = await axios.get(`${this.fileUrl}/${file.file_path}`, {
+      responseType: 'arraybuffer'
+    });
+
+    const buffer = Buffer.from(response.data);
+    console.log(`📥 Downloaded Telegram file ${fileId}: ${buffer.length} bytes`);
+
+    return { buffer, filePath: file.file_path };
+  }
+}
+
+// Export singleton instance
+module.exports = new TelegramService();
@@ -0,0 +1,246 @@
+/**
+ * Template Service for WhatsApp Template (HSM) Messages
+ * Keeps a local registry of the templates approved in WhatsApp Manager
+ * (templates/whatsapp-templates.json) so template messages can be checked
+ * before they are sent. Registry entries use the same shape as the Graph API
+ * message_templates endpoint: name, language, category, status and components.
+ * Each tenant's number has its own approved templates: entries with a tenantKey
+ * belong to that tenant, entries without one to the default tenant.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tenantContext = require('../utils/tenantContext');
+
+const REGISTRY_FILE = path.join(__dirname, '..', 'templates', 'whatsapp-templates.json');
+
+// Header formats that take a media parameter
+const MEDIA_FORMATS = ['IMAGE', 'VIDEO', 'DOCUMENT'];
+
+// Parameter types allowed in text header and body components
+const TEXT_PARAMETER_TYPES = ['text', 'currency', 'date_time'];
+
+/**
+ * Load the approved template registry
+ * @returns {array} Template definitions
+ */
+function loadRegistry() {
+  try {
+    const { templates = [] } = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+    const valid = templates.filter(template => {
+      if (!template.name || !template.language || !Array.isArray(template.components)) {
+        console.error('❌ Invalid template registry entry (name, language and components are required):', template);
+        return false;
+      }
+      return true;
+    });
+
+    console.log(`📋 Loaded ${valid.length} WhatsApp templates from the registry`);
+    return valid;
+  } catch (error) {
+    console.error('❌ Error loading WhatsApp template registry:', error.message);
+    return [];
+  }
+}
+
+const registry = loadRegistry();
+
+/**
+ * Get the templates of the current tenant in the registry
+ * @returns {array} Template definitions
+ */
+function listTemplates() {
+  const tenantKey = tenantContext.getTenantKey();
+  return registry.filter(template => (template.tenantKey || tenantContext.DEFAULT_TENANT_KEY) === tenantKey);
+}
+
+/**
+ * Get a template definition
+ * @param {string} name - Template name
+ * @param {string} language - Template language code
+ * @returns {object|null} Template definition or null if not in the registry
+ */
+function getTemplateDefinition(name, language) {
+  return listTemplates().find(template => template.name === name && template.language === language) || null;
+}
+
+/**
+ * Get a component of a template definition
+ * @param {object} template - Template definition
+ * @param {string} type - HEADER, BODY, FOOTER or BUTTONS
+ */
+function getComponent(template, type) {
+  return template.components.find(component => String(component.type).toUpperCase() === type) || null;
+}
+
+/**
+ * Count the {{n}} placeholders of a template text
+ * @param {string} text - Template text
+ * @returns {number} Highest placeholder number
+ */
+function countPlaceholders(text) {
+  const numbers = [...String(text || '').matchAll(/\{\{(\d+)\}\}/g)].map(match => parseInt(match[1]));
+  return numbers.length > 0 ? Math.max(...numbers) : 0;
+}
+
+/**
+ * Check the parameters given for a text header or the body
+ * @returns {array} Validation errors
+ */
+function validateTextParameters(label, text, component) {
+  const expected = countPlaceholders(text);
+  const parameters = component?.parameters || [];
+  const errors = [];
+
+  if (parameters.length !== expected) {
+    errors.push(`${label}: expects ${expected} parameters, got ${parameters.length}`);
+  }
+
+  parameters.forEach((parameter, index) => {
+    if (!parameter || !TEXT_PARAMETER_TYPES.includes(parameter.type)) {
+      errors.push(`${label}.parameters[${index}]: type must be one of ${TEXT_PARAMETER_TYPES.join(', ')}`);
+    } else if (parameter.type === 'text' && (typeof parameter.text !== 'string' || !parameter.text.trim())) {
+      errors.push(`${label}.parameters[${index}]: text is required`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check the parameter of a media header
+ * @returns {array} Validation errors
+ */
+function validateMediaHeader(format, component) {
+  const mediaType = format.toLowerCase();
+  const [parameter] = component?.parameters || [];
+
+  if (!parameter || parameter.type !== mediaType || !(parameter[mediaType]?.link || parameter[mediaType]?.id)) {
+    return [`header: expects one ${mediaType} parameter with a link or id`];
+  }
+
+  return [];
+}
+
+/**
+ * Check a button component against the template's buttons
+ * @returns {array} Validation errors
+ */
+function validateButton(label, component, templateButtons) {
+  const index = parseInt(component.index);
+  const templateButton = templateButtons[index];
+
+  if (!Number.isInteger(index) || !templateButton) {
+    return [`${label}: template has no button at index ${component.index}`];
+  }
+
+  const subType = String(component.sub_type).toLowerCase();
+  if (subType !== String(templateButton.type).toLowerCase()) {
+    return [`${label}: button ${index} is a ${templateButton.type} button`];
+  }
+
+  const parameters = component.parameters || [];
+  if (subType === 'quick_reply' && parameters.some(parameter => parameter.type !== 'payload' || !parameter.payload)) {
+    return [`${label}: quick_reply parameters need a payload`];
+  }
+  if (subType === 'url' && parameters.length !== countPlaceholders(templateButton.url)) {
+    return [`${label}: url button expects ${countPlaceholders(templateButton.url)} parameters`];
+  }
+
+  return [];
+}
+
+/**
+ * Validate a template message against the registry
+ * @param {string} name - Template name
+ * @param {string} language - Template language code
+ * @param {array} components - Parameter components as sent to the Graph API
+ * @returns {array} Validation errors (empty when the message can be sent)
+ */
+function validateTemplateMessage(name, language, components = []) {
+  if (!name || !language) {
+    return ['template name and language are required'];
+  }
+
+  const template = getTemplateDefinition(name, language);
+  if (!template) {
+    return [`template "${name}" (${language}) is not in the approved template registry`];
+  }
+  if (template.status && template.status !== 'APPROVED') {
+    return [`template "${name}" (${language}) is ${template.status}, not APPROVED`];
+  }
+  if (!Array.isArray(components)) {
+    return ['components must be an array'];
+  }
+
+  const errors = [];
+  const header = getComponent(template, 'HEADER');
+  const body = getComponent(template, 'BODY');
+  const templateButtons = getComponent(template, 'BUTTONS')?.buttons || [];
+  const given = {};
+
+  components.forEach((component, index) => {
+    const label = `components[${index}]`;
+    const type = String(component?.type).toLowerCase();
+
+    if (type === 'header' || type === 'body') {
+      if (given[type]) {
+        errors.push(`${label}: duplicate ${type} component`);
+      }
+      given[type] = component;
+    } else if (type === 'button') {
+      errors.push(...validateButton(label, component, templateButtons));
+    } else {
+      errors.push(`${label}: type must be header, body or button`);
+    }
+  });
+
+  if (!header && given.header) {
+    errors.push('header: template has no header');
+  } else if (header && MEDIA_FORMATS.includes(header.format)) {
+    errors.push(...validateMediaHeader(header.format, given.header));
+  } else if (header) {
+    errors.push(...validateTextParameters('header', header.text, given.header));
+  }
+
+  errors.push(...validateTextParameters('body', body?.text, given.body));
+
+  return errors;
+}
+
+/**
+ * Render the readable text of a template message (used for the transcript)
+ * @param {string} name - Template name
+ * @param {string} language - Template language code
+ * @param {array} components - Parameter components
+ * @returns {string} Header and body text with the parameters filled in
+ */
+function renderTemplate(name, language, components = []) {
+  const template = getTemplateDefinition(name, language);
+  if (!template) {
+    return `[template ${name}]`;
+  }
+
+  const fill = (text, type) => {
+    const parameters = components.find(component => String(component.type).toLowerCase() === type)?.parameters || [];
+    return String(text).replace(/\{\{(\d+)\}\}/g, (placeholder, number) => {
+      const parameter = parameters[parseInt(number) - 1];
+      return parameter?.text ?? parameter?.currency?.fallback_value ?? parameter?.date_time?.fallback_value ?? placeholder;
+    });
+  };
+
+  const header = getComponent(template, 'HEADER');
+  const body = getComponent(template, 'BODY');
+
+  return [
+    header && header.format === 'TEXT' ? fill(header.text, 'header') : null,
+    body ? fill(body.text, 'body') : null
+  ].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+  listTemplates,
+  getTemplateDefinition,
+  validateTemplateMessage,
+  renderTemplate
+};
@@ -0,0 +1,198 @@
+/**
+ * Tenant Service for WhatsApp Feedback Collection
+ * Each tenant is a client running feedback on its own WhatsApp number, with its own
+ * triggers, campaigns, templates and feedback. Inbound webhooks are routed to a tenant
+ * by the phone_number_id that received them, and replies are sent with its credentials.
+ */
+
+const prismaService = require('./prismaService');
+const tenantContext = require('../utils/tenantContext');
+
+// Built-in tenant for the number configured in the environment
+const DEFAULT_TENANT = {
+  key: tenantContext.DEFAULT_TENANT_KEY,
+  name: 'Default',
+  phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID || null,
+  businessAccountId: process.env.WHATSAPP_BUSINESS_ACCOUNT_ID || null,
+  accessToken: process.env.WHATSAPP_ACCESS_TOKEN || null,
+  isActive: true
+};
+
+// Stored tenants are looked up on every webhook and send, so they are kept in memory
+const CACHE_TTL = 60 * 1000;
+const tenantCache = {
+  tenants: null,
+  expiresAt: 0
+};
+
+/**
+ * Get the stored tenants, from the cache while it is fresh
+ * @returns {array} Tenant records
+ */
+async function loadTenants() {
+  if (!tenantCache.tenants || Date.now() >= tenantCache.expiresAt) {
+    tenantCache.tenants = await prismaService.getAllTenants();
+    tenantCache.expiresAt = Date.now() + CACHE_TTL;
+  }
+
+  return tenantCache.tenants;
+}
+
+/**
+ * Make the next lookup reload the tenants
+ */
+function invalidateTenantCache() {
+  tenantCache.expiresAt = 0;
+}
+
+/**
+ * Get a tenant by key
+ * @param {string} key - Tenant key (the default tenant when empty)
+ * @returns {object|null} Tenant or null if not found
+ */
+async function getTenant(key) {
+  if (!key || key === DEFAULT_TENANT.key) {
+    return DEFAULT_TENANT;
+  }
+
+  const tenants = await loadTenants();
+  return tenants.find(tenant => tenant.key === key) || null;
+}
+
+/**
+ * Get the tenant the current webhook, request or job runs for
+ * @returns {object|null} Tenant or null if it was deleted meanwhile
+ */
+async function getCurrentTenant() {
+  return await getTenant(tenantContext.getTenantKey());
+}
+
+/**
+ * Find the tenant owning the WhatsApp number that received a webhook
+ * Payloads without a phone_number_id, and all payloads when no stored tenant
+ * and no WHATSAPP_PHONE_NUMBER_ID are set, belong to the default tenant
+ * @param {string} phoneNumberId - metadata.phone_number_id of the webhook change
+ * @returns {object|null} Active tenant or null if no tenant owns the number
+ */
+async function getTenantByPhoneNumberId(phoneNumberId) {
+  if (!phoneNumberId || phoneNumberId === DEFAULT_TENANT.phoneNumberId) {
+    return DEFAULT_TENANT;
+  }
+
+  const tenants = await loadTenants();
+  const tenant = tenants.find(stored => stored.phoneNumberId === phoneNumberId);
+
+  if (tenant) {
+    return tenant.isActive ? tenant : null;
+  }
+
+  return !DEFAULT_TENANT.phoneNumberId && tenants.length === 0 ? DEFAULT_TENANT : null;
+}
+
+/**
+ * Remove the credentials from a tenant before it is returned by the API
+ * @param {object} tenant - Tenant
+ * @returns {object} Tenant without its access token
+ */
+function toPublicTenant(tenant) {
+  const { accessToken, ...publicTenant } = tenant;
+
+  return {
+    ...publicTenant,
+    hasAccessToken: !!accessToken,
+    isDefault: tenant.key === DEFAULT_TENANT.key
+  };
+}
+
+/**
+ * List all tenants, starting with the built-in default tenant
+ * @returns {array} Tenants without their access tokens
+ */
+async function listTenants() {
+  const tenants = await prismaService.getAllTenants();
+  return [DEFAULT_TENANT, ...tenants].map(toPublicTenant);
+}
+
+/**
+ * Create a tenant
+ * @param {object} tenantData - { key, name, phoneNumberId, businessAccountId, accessToken, isActive }
+ * @returns {object} Created tenant
+ */
+async function createTenant(tenantData) {
+  const tenant = await prismaService.createTenant(tenantData);
+  invalidateTenantCache();
+  return tenant;
+}
+
+/**
+ * Update a tenant
+ * @param {string} key - Tenant key
+ * @param {object} updates - Fields to update
+ * @returns {object|null} Updated tenant or null if not found
+ */
+async function updateTenant(key, updates) {
+  const tenant = await prismaService.updateTenant(key, updates);
+  invalidateTenantCache();
+  return tenant;
+}
+
+/**
+ * Delete a tenant
+ * @param {string} key - Tenant key
+ * @returns {boolean} True if deleted, false if not found
+ */
+async function deleteTenant(key) {
+  const deleted = await prismaService.deleteTenant(key);
+  invalidateTenantCache();
+  return deleted;
+}
+
+/**
+ * Validate tenant data before it is stored
+ * @param {object} tenantData - Tenant fields
+ * @param {boolean} isUpdate - Whether required fields may be omitted
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateTenant(tenantData, isUpdate = false) {
+  const errors = [];
+  const { key, name, phoneNumberId, businessAccountId, accessToken, isActive } = tenantData;
+
+  if (!isUpdate) {
+    if (!key || !/^[a-z0-9_-]+$/.test(key)) {
+      errors.push('key is required and may only contain lowercase letters, digits, "-" and "_"');
+    } else if (key === DEFAULT_TENANT.key) {
+      errors.push(`key "${DEFAULT_TENANT.key}" is reserved for the tenant configured in the environment`);
+    }
+  }
+  if ((!isUpdate || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    errors.push('name is required');
+  }
+  if ((!isUpdate || phoneNumberId !== undefined) && !/^\d+$/.test(String(phoneNumberId ?? ''))) {
+    errors.push('phoneNumberId is required and must be the numeric WhatsApp phone number ID');
+  }
+  if (businessAccountId !== undefined && businessAccountId !== null && !/^\d+$/.test(String(businessAccountId))) {
+    errors.push('businessAccountId must be the numeric WhatsApp Business Account ID');
+  }
+  if ((!isUpdate || accessToken !== undefined) && (typeof accessToken !== 'string' || !accessToken.trim())) {
+    errors.push('accessToken is required');
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  getTenant,
+  getCurrentTenant,
+  getTenantByPhoneNumberId,
+  toPublicTenant,
+  listTenants,
+  createTenant,
+  updateTenant,
+  deleteTenant,
+  validateTenant,
+  invalidateTenantCache
+};
@@ -0,0 +1,114 @@
+/**
+ * Transcription Service for WhatsApp Voice Notes
+ * Turns uploaded voice notes into text through a pluggable provider.
+ *
+ * A provider is an object with a `transcribe({ url, mimeType })` method resolving to
+ * `{ text }`, or null when there is no transcript. Built-in providers:
+ * - none:    no-op stand-in, voice notes are stored without a transcript (default)
+ * - command: runs a local speech-to-text command (e.g. whisper.cpp) on the downloaded file
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const providers = {};
+
+/**
+ * Register a transcription provider
+ * @param {string} name - Provider name selected with TRANSCRIPTION_PROVIDER
+ * @param {object} provider - Object with a transcribe({ url, mimeType }) method
+ */
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.transcribe !== 'function') {
+    throw new Error(`Transcription provider "${name}" must implement transcribe()`);
+  }
+
+  providers[name] = provider;
+}
+
+/**
+ * Get the configured transcription provider
+ * @returns {object} Provider
+ */
+function getProvider() {
+  const name = process.env.TRANSCRIPTION_PROVIDER || 'none';
+
+  if (!providers[name]) {
+    console.warn(`⚠️  Unknown transcription provider "${name}", voice notes will not be transcribed`);
+    return providers.none;
+  }
+
+  return providers[name];
+}
+
+/**
+ * Transcribe a voice note
+ * @param {object} audio - { url, mimeType } of the uploaded voice note
+ * @returns {string|null} Transcript, or null when unavailable
+ */
+async function transcribe(audio) {
+  try {
+    const result = await getProvider().transcribe(audio);
+    const text = result && result.text ? result.text.trim() : '';
+
+    if (text) {
+      console.log(`📝 Transcribed voice note: "${text.substring(0, 50)}"`);
+    }
+
+    return text || null;
+  } catch (error) {
+    console.error('❌ Error transcribing voice note:', error);
+    return null;
+  }
+}
+
+// No-op stand-in used when no transcription engine is configured
+registerProvider('none', {
+  async transcribe() {
+    return null;
+  }
+});
+
+// Local command, e.g. TRANSCRIPTION_COMMAND="whisper-cli -m /models/ggml-base.bin -nt -f {file}"
+// The command receives the downloaded file path in place of {file} and prints the transcript
+registerProvider('command', {
+  async transcribe({ url, mimeType }) {
+    const command = process.env.TRANSCRIPTION_COMMAND;
+
+    if (!command) {
+      throw new Error('TRANSCRIPTION_COMMAND not configured');
+    }
+
+    const extension = (mimeType || 'audio/ogg').split('/')[1].split(';')[0];
+    const filePath = path.join(os.tmpdir(), `voice-note-${Date.now()}.${extension}`);
+
+    const response = await axios.get(url, { responseType: 'arraybuffer' });
+    await fs.writeFile(filePath, Buffer.from(response.data));
+
+    try {
+      const [program, ...args] = command.split(/\s+/).map(part => part.replace('{file}', filePath));
+      const text = await new Promise((resolve, reject) => {
+        execFile(program, args, { timeout: 5 * 60 * 1000, maxBuffer: 1024 * 1024 }, (error, stdout) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(stdout);
+          }
+        });
+      });
+
+      return { text };
+    } finally {
+      await fs.unlink(filePath).catch(() => {});
+    }
+  }
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  transcribe
+};
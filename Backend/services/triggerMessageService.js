@@ -1,59 +1,228 @@
 const { createClient } = require('@supabase/supabase-js');
+const triggerMatcher = require('../utils/triggerMatcher');
+const prismaService = require('./prismaService');
+const tenantContext = require('../utils/tenantContext');
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+// Initialize Supabase client (triggers are disabled when Supabase is not configured)
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+if (!supabase) {
+  console.warn('⚠️  Supabase credentials not configured. Trigger messages will be disabled.');
+}
+
+// Bucket sizes of the usage time series
+const TIME_SERIES_INTERVALS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+const MAX_TIME_SERIES_BUCKETS = 1000;
+
+// Active triggers are kept in memory, per tenant, so inbound messages don't wait on Supabase.
+// The last loaded set stays in use while Supabase can't be reached.
+const cacheTtl = (parseInt(process.env.TRIGGER_CACHE_TTL_SECONDS) || 60) * 1000;
+const triggerCaches = new Map();
+
+/**
+ * Get the trigger cache of the current tenant
+ */
+function getTriggerCache() {
+  const tenantKey = tenantContext.getTenantKey();
+
+  if (!triggerCaches.has(tenantKey)) {
+    triggerCaches.set(tenantKey, {
+      triggers: null,
+      loadedAt: null,
+      expiresAt: 0,
+      refreshing: null,
+      hits: 0,
+      misses: 0,
+      refreshErrors: 0,
+      staleServes: 0,
+      lastError: null
+    });
+  }
+
+  return triggerCaches.get(tenantKey);
+}
+
+/**
+ * Get the Supabase client, failing when triggers are disabled
+ * @throws {Error} With code TRIGGERS_DISABLED when Supabase is not configured
+ */
+function getClient() {
+  if (!supabase) {
+    const error = new Error('Trigger messages are disabled: Supabase is not configured');
+    error.code = 'TRIGGERS_DISABLED';
+    throw error;
+  }
+
+  return supabase;
+}
+
+/**
+ * Create the error thrown when a keyword is already used by another trigger
+ */
+function duplicateKeywordError(keyword) {
+  const error = new Error(`Trigger with keyword "${keyword}" already exists`);
+  error.code = 'DUPLICATE_KEYWORD';
+  return error;
+}
+
+/**
+ * Check whether a Supabase error is a unique constraint violation
+ */
+function isDuplicateKeyError(error) {
+  return error.code === '23505' || (error.message || '').includes('duplicate key');
+}
+
+/**
+ * Validate trigger data before it is stored
+ * @param {object} triggerData - { keyword, flowId, message, isActive, matchMode, priority, maxTypos }
+ * @param {boolean} isUpdate - Whether required fields may be omitted
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateTrigger(triggerData, isUpdate = false) {
+  const errors = [];
+  const { keyword, flowId, message, isActive } = triggerData;
+
+  if (!isUpdate || keyword !== undefined) {
+    if (typeof keyword !== 'string' || !keyword.trim()) {
+      errors.push('keyword is required');
+    } else if (keyword.trim().length > 100) {
+      errors.push('keyword must be at most 100 characters');
+    }
+  }
+  if ((!isUpdate || flowId !== undefined) && (typeof flowId !== 'string' || !flowId.trim())) {
+    errors.push('flowId is required');
+  }
+  if (message !== undefined && message !== null && typeof message !== 'string') {
+    errors.push('message must be text');
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+
+  return [...errors, ...triggerMatcher.validateMatchSettings(triggerData)];
+}
 
 /**
  * Get all trigger messages
  */
 async function getAllTriggers() {
   try {
-    const { data: triggers, error } = await supabase
+    const { data: triggers, error } = await getClient()
       .from('trigger_messages')
       .select('*')
+      .eq('tenantKey', tenantContext.getTenantKey())
       .order('createdAt', { ascending: false });
 
     if (error) throw error;
 
-    return triggers.map(trigger => ({
-      ...trigger,
-      matchCount: 0,
-      lastUsed: null
-    }));
+    // Triggers are still listed when the usage statistics can't be loaded
+    let stats = {};
+    try {
+      stats = await prismaService.getTriggerMatchStats();
+    } catch (statsError) {
+      console.error('Error fetching trigger usage:', statsError);
+    }
+
+    return triggers.map(trigger => {
+      const { matchCount = 0, completedCount = 0, lastUsed = null } = stats[String(trigger.id)] || {};
+
+      return {
+        ...trigger,
+        matchCount,
+        completedCount,
+        conversionRate: matchCount > 0 ? Math.round((completedCount / matchCount) * 1000) / 10 : 0,
+        lastUsed
+      };
+    });
   } catch (error) {
     console.error('Error fetching triggers:', error);
     throw error;
   }
 }
 
+/**
+ * Get a trigger by ID
+ * @returns {object|null} Trigger or null if not found
+ */
+async function getTriggerById(id) {
+  try {
+    const { data, error } = await getClient()
+      .from('trigger_messages')
+      .select('*')
+      .eq('id', id)
+      .eq('tenantKey', tenantContext.getTenantKey())
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+  } catch (error) {
+    console.error('Error fetching trigger:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the trigger with a keyword, as stored
+ * @param {string} keyword - Stored keyword
+ * @returns {object|null} Trigger or null
+ */
+async function getTriggerByKeyword(keyword) {
+  try {
+    const { data, error } = await getClient()
+      .from('trigger_messages')
+      .select('*')
+      .eq('keyword', keyword)
+      .eq('tenantKey', tenantContext.getTenantKey())
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+  } catch (error) {
+    console.error('Error fetching trigger by keyword:', error);
+    throw error;
+  }
+}
+
 /**
  * Create a new trigger
+ * @throws {Error} With code DUPLICATE_KEYWORD when the keyword is taken
  */
 async function createTrigger(triggerData) {
   try {
+    const matchMode = triggerData.matchMode || triggerMatcher.DEFAULT_MATCH_MODE;
     const newTrigger = {
-      keyword: triggerData.keyword.toLowerCase().trim(),
+      tenantKey: tenantContext.getTenantKey(),
+      keyword: triggerMatcher.normalizeKeyword(triggerData.keyword, matchMode),
       flowId: triggerData.flowId,
       message: triggerData.message || 'Please complete this form:',
-      isActive: triggerData.isActive !== false
+      isActive: triggerData.isActive !== false,
+      matchMode,
+      priority: triggerData.priority || 0,
+      maxTypos: triggerData.maxTypos ?? triggerMatcher.DEFAULT_MAX_TYPOS
     };
 
-    const { data, error } = await supabase
+    const { data, error } = await getClient()
       .from('trigger_messages')
       .insert([newTrigger])
       .select()
       .single();
 
     if (error) {
-      if (error.message.includes('duplicate key')) {
-        throw new Error(`Trigger with keyword "${triggerData.keyword}" already exists`);
+      if (isDuplicateKeyError(error)) {
+        throw duplicateKeywordError(newTrigger.keyword);
       }
       throw error;
     }
 
+    invalidateTriggerCache();
     console.log(`✅ Created new trigger: "${data.keyword}" -> ${data.flowId}`);
     return data;
   } catch (error) {
@@ -64,25 +233,43 @@ async function createTrigger(triggerData) {
 
 /**
  * Update an existing trigger
+ * @returns {object|null} Updated trigger or null if not found
+ * @throws {Error} With code DUPLICATE_KEYWORD when the new keyword is taken
  */
 async function updateTrigger(id, updates) {
   try {
-    if (updates.keyword) {
-      updates.keyword = updates.keyword.toLowerCase().trim();
+    if (updates.keyword !== undefined || updates.matchMode !== undefined) {
+      // The resulting keyword is stored the way the resulting match mode needs it,
+      // e.g. a regex trigger switched to word matching gets its keyword lowercased
+      const existing = await getTriggerById(id);
+      if (existing) {
+        updates.keyword = triggerMatcher.normalizeKeyword(updates.keyword ?? existing.keyword, updates.matchMode ?? existing.matchMode);
+      }
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await getClient()
       .from('trigger_messages')
       .update({ 
         ...updates, 
         updatedAt: new Date().toISOString() 
       })
       .eq('id', id)
+      .eq('tenantKey', tenantContext.getTenantKey())
       .select()
-      .single();
+      .maybeSingle();
 
-    if (error) throw error;
+    if (error) {
+      if (isDuplicateKeyError(error)) {
+        throw duplicateKeywordError(updates.keyword);
+      }
+      throw error;
+    }
+
+    if (!data) {
+      return null;
+    }
 
+    invalidateTriggerCache();
     console.log(`✅ Updated trigger ${id}:`, updates);
     return data;
   } catch (error) {
@@ -93,16 +280,24 @@ async function updateTrigger(id, updates) {
 
 /**
  * Delete a trigger
+ * @returns {boolean} True if the trigger existed
  */
 async function deleteTrigger(id) {
   try {
-    const { error } = await supabase
+    const { data, error } = await getClient()
       .from('trigger_messages')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .eq('tenantKey', tenantContext.getTenantKey())
+      .select();
 
     if (error) throw error;
 
+    if (data.length === 0) {
+      return false;
+    }
+
+    invalidateTriggerCache();
     console.log(`✅ Deleted trigger with id: ${id}`);
     return true;
   } catch (error) {
@@ -112,26 +307,113 @@ async function deleteTrigger(id) {
 }
 
 /**
- * Find matching trigger for a message
+ * Load the active triggers from Supabase into the cache
+ * Concurrent callers share one request
  */
-async function findMatchingTrigger(messageText) {
+function refreshTriggerCache() {
+  const triggerCache = getTriggerCache();
+
+  if (!triggerCache.refreshing) {
+    triggerCache.refreshing = (async () => {
+      try {
+        const { data: activeTriggers, error } = await getClient()
+          .from('trigger_messages')
+          .select('*')
+          .eq('tenantKey', tenantContext.getTenantKey())
+          .eq('isActive', true);
+
+        if (error) throw error;
+
+        triggerCache.triggers = activeTriggers;
+        triggerCache.loadedAt = new Date();
+        triggerCache.expiresAt = Date.now() + cacheTtl;
+        return activeTriggers;
+      } finally {
+        triggerCache.refreshing = null;
+      }
+    })();
+  }
+
+  return triggerCache.refreshing;
+}
+
+/**
+ * Get the active triggers, from the cache while it is fresh
+ * @throws {Error} When Supabase can't be reached and no triggers were loaded before
+ */
+async function getActiveTriggers() {
+  const triggerCache = getTriggerCache();
+
+  if (triggerCache.triggers && Date.now() < triggerCache.expiresAt) {
+    triggerCache.hits++;
+    return triggerCache.triggers;
+  }
+
+  triggerCache.misses++;
+
   try {
-    const normalizedMessage = messageText.toLowerCase().trim();
+    return await refreshTriggerCache();
+  } catch (error) {
+    triggerCache.refreshErrors++;
+    triggerCache.lastError = { message: error.message, at: new Date() };
 
-    // Fetch all active triggers
-    const { data: activeTriggers, error } = await supabase
-      .from('trigger_messages')
-      .select('*')
-      .eq('isActive', true);
+    if (error.code === 'TRIGGERS_DISABLED' || !triggerCache.triggers) {
+      throw error;
+    }
 
-    if (error) throw error;
+    // Keep matching with the last known triggers until Supabase is back, retrying every 10 seconds at most
+    triggerCache.staleServes++;
+    triggerCache.expiresAt = Date.now() + Math.min(cacheTtl, 10000);
+    console.warn(`⚠️ Could not refresh triggers, using ${triggerCache.triggers.length} cached triggers:`, error.message);
+    return triggerCache.triggers;
+  }
+}
+
+/**
+ * Make the next lookup of the current tenant reload its triggers (the cached set stays as a fallback)
+ */
+function invalidateTriggerCache() {
+  getTriggerCache().expiresAt = 0;
+}
 
-    const trigger = activeTriggers.find(t =>
-      normalizedMessage.includes(t.keyword.toLowerCase())
-    );
+/**
+ * Get the trigger cache statistics of the current tenant
+ * @returns {object} Cached trigger count, load times, hits, misses and refresh errors
+ */
+function getTriggerCacheStats() {
+  const triggerCache = getTriggerCache();
+  const lookups = triggerCache.hits + triggerCache.misses;
+
+  return {
+    tenantKey: tenantContext.getTenantKey(),
+    size: triggerCache.triggers ? triggerCache.triggers.length : 0,
+    ttlSeconds: cacheTtl / 1000,
+    loadedAt: triggerCache.loadedAt,
+    expiresAt: triggerCache.expiresAt ? new Date(triggerCache.expiresAt) : null,
+    isFresh: !!triggerCache.triggers && Date.now() < triggerCache.expiresAt,
+    hits: triggerCache.hits,
+    misses: triggerCache.misses,
+    hitRate: lookups > 0 ? Math.round((triggerCache.hits / lookups) * 1000) / 10 : 0,
+    refreshErrors: triggerCache.refreshErrors,
+    staleServes: triggerCache.staleServes,
+    lastError: triggerCache.lastError
+  };
+}
+
+/**
+ * Find matching trigger for a message
+ * Each trigger is compared using its match mode; when several match, the highest priority wins
+ */
+async function findMatchingTrigger(messageText) {
+  if (!supabase) {
+    return null;
+  }
+
+  try {
+    const { match: trigger } = triggerMatcher.evaluateTriggers(await getActiveTriggers(), messageText);
 
     if (trigger) {
-      console.log(`🎯 Found matching trigger: "${trigger.keyword}" for message: "${messageText}"`);
+      console.log(`🎯 Found matching trigger: "${trigger.keyword}" (${trigger.matchMode || triggerMatcher.DEFAULT_MATCH_MODE}) for message: "${messageText}"`);
       return trigger;
     }
 
@@ -144,64 +426,170 @@ async function findMatchingTrigger(messageText) {
 }
 
 /**
- * Initialize default triggers if table is empty
+ * Show which trigger a message would hit, without acting on it
+ * @param {string} messageText - Message text
+ * @returns {object} { match, candidates } - the trigger that would fire (or null) and every
+ *                   active trigger in precedence order with whether it matched
  */
-async function initializeDefaultTriggers() {
-  try {
-    const { count, error: countError } = await supabase
-      .from('trigger_messages')
-      .select('*', { count: 'exact', head: true });
-
-    if (countError) throw countError;
-
-    if (count === 0) {
-      console.log('🔄 Initializing default triggers...');
-
-      const defaultTriggers = [
-        {
-          keyword: 'hi',
-          flowId: 'onboarding_flow',
-          message: 'Hi 👋 Please send your *name*.',
-          isActive: true
-        },
-        {
-          keyword: 'name_received',
-          flowId: 'name_flow',
-          message: 'Thanks! Please send your *feedback* 💬.',
-          isActive: true
-        },
-        {
-          keyword: 'feedback_received',
-          flowId: 'feedback_flow',
-          message: 'Great! Please send a *selfie* 🤳 to complete your feedback.',
-          isActive: true
-        },
-        {
-          keyword: 'selfie_received',
-          flowId: 'selfie_flow',
-          message: '✅ Thank you! Your feedback and selfie have been received successfully.',
-          isActive: true
-        }
-      ];
-
-      const { error } = await supabase
-        .from('trigger_messages')
-        .insert(defaultTriggers);
-
-      if (error) throw error;
-
-      console.log('✅ Default triggers initialized');
+async function dryRunTriggers(messageText) {
+  const { match, candidates } = triggerMatcher.evaluateTriggers(await getActiveTriggers(), messageText);
+
+  return {
+    text: messageText,
+    normalizedText: triggerMatcher.normalizeText(messageText),
+    match,
+    candidates: candidates.map(({ trigger, matched }) => ({
+      id: trigger.id,
+      keyword: trigger.keyword,
+      matchMode: trigger.matchMode || triggerMatcher.DEFAULT_MATCH_MODE,
+      priority: trigger.priority || 0,
+      matched
+    }))
+  };
+}
+
+/**
+ * Record a message hitting a trigger
+ * @param {object} trigger - Matched trigger
+ * @param {string} userPhone - Sender
+ * @param {object} options - { campaignKey, sessionId } of the conversation the match started, if any
+ * @returns {object} Trigger match record
+ */
+async function recordTriggerMatch(trigger, userPhone, options = {}) {
+  const match = await prismaService.createTriggerMatch({
+    triggerId: trigger.id,
+    keyword: trigger.keyword,
+    userPhone,
+    campaignKey: options.campaignKey,
+    sessionId: options.sessionId
+  });
+
+  console.log(`📈 Recorded match of trigger "${trigger.keyword}" from ${userPhone}`);
+  return match;
+}
+
+/**
+ * Record that the conversation started by a trigger completed
+ * @param {string} sessionId - Conversation session ID
+ * @param {number} feedbackId - Feedback saved for the conversation
+ */
+async function recordTriggerCompletion(sessionId, feedbackId) {
+  const match = await prismaService.completeTriggerMatch(sessionId, feedbackId);
+
+  if (match) {
+    console.log(`📈 Conversation started by trigger "${match.keyword}" completed (feedback ${feedbackId})`);
+  }
+  return match;
+}
+
+/**
+ * Get the start of the time series bucket holding a date (UTC; weeks start on Monday)
+ */
+function bucketStart(date, interval) {
+  const start = new Date(date);
+  start.setUTCMinutes(0, 0, 0);
+
+  if (interval !== 'hour') {
+    start.setUTCHours(0);
+  }
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+
+  return start;
+}
+
+/**
+ * Get trigger matches and completions over time, per trigger and in total
+ * @param {object} options - { since, until, interval, triggerId } where interval is hour, day or week
+ * @returns {object} { interval, since, until, totals, triggers } - totals and every trigger with
+ *                   matches have one point per bucket: { bucket, matches, completed }
+ * @throws {Error} With code INVALID_TIME_SERIES when the interval or range is not usable
+ */
+async function getTriggerTimeSeries(options = {}) {
+  const interval = options.interval || 'day';
+  const step = TIME_SERIES_INTERVALS[interval];
+
+  if (!step) {
+    const error = new Error(`interval must be one of ${Object.keys(TIME_SERIES_INTERVALS).join(', ')}`);
+    error.code = 'INVALID_TIME_SERIES';
+    throw error;
+  }
+
+  const until = options.until ? new Date(options.until) : new Date();
+  const since = bucketStart(options.since ? new Date(options.since) : new Date(until.getTime() - 30 * TIME_SERIES_INTERVALS.day), interval);
+
+  if (isNaN(since) || isNaN(until) || since >= until) {
+    const error = new Error('since must be a date before until');
+    error.code = 'INVALID_TIME_SERIES';
+    throw error;
+  }
+
+  const buckets = [];
+  for (let time = since.getTime(); time < until.getTime(); time = bucketStart(time + step, interval).getTime()) {
+    if (buckets.length >= MAX_TIME_SERIES_BUCKETS) {
+      const error = new Error(`The range holds more than ${MAX_TIME_SERIES_BUCKETS} ${interval} buckets; use a shorter range or a longer interval`);
+      error.code = 'INVALID_TIME_SERIES';
+      throw error;
     }
-  } catch (error) {
-    console.error('Error initializing default triggers:', error);
+    buckets.push(time);
   }
+
+  const emptyPoints = () => buckets.map(time => ({ bucket: new Date(time), matches: 0, completed: 0 }));
+  const bucketIndex = new Map(buckets.map((time, index) => [time, index]));
+  const totals = emptyPoints();
+  const series = new Map();
+
+  const matches = await prismaService.getTriggerMatches({ since, until, triggerId: options.triggerId });
+
+  for (const match of matches) {
+    const index = bucketIndex.get(bucketStart(match.matchedAt, interval).getTime());
+    if (index === undefined) {
+      continue;
+    }
+
+    if (!series.has(match.triggerId)) {
+      series.set(match.triggerId, { triggerId: match.triggerId, keyword: match.keyword, matches: 0, completed: 0, points: emptyPoints() });
+    }
+    const trigger = series.get(match.triggerId);
+    // The latest keyword wins when a trigger was renamed
+    trigger.keyword = match.keyword;
+
+    for (const counts of [trigger, trigger.points[index], totals[index]]) {
+      counts.matches++;
+      if (match.completedAt) {
+        counts.completed++;
+      }
+    }
+  }
+
+  return {
+    interval,
+    since,
+    until,
+    totals,
+    triggers: [...series.values()]
+      .map(trigger => ({
+        ...trigger,
+        conversionRate: Math.round((trigger.completed / trigger.matches) * 1000) / 10
+      }))
+      .sort((a, b) => b.matches - a.matches)
+  };
 }
 
 module.exports = {
+  validateTrigger,
   getAllTriggers,
+  getTriggerById,
+  getTriggerByKeyword,
   createTrigger,
   updateTrigger,
   deleteTrigger,
   findMatchingTrigger,
-  initializeDefaultTriggers
+  dryRunTriggers,
+  recordTriggerMatch,
+  recordTriggerCompletion,
+  getTriggerTimeSeries,
+  invalidateTriggerCache,
+  getTriggerCacheStats
 };
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * Web Feedback Service
+ * Saves feedback given through the embeddable web widget (widget/feedback-widget.js)
+ * for visitors who don't use a chat channel. Submissions are stored like the feedback
+ * of a completed conversation, with source "web", so they show up in the gallery and
+ * dashboard next to WhatsApp and Telegram feedback.
+ */
+
+const crypto = require('crypto');
+const prismaService = require('./prismaService');
+const campaignService = require('./campaignService');
+const supabaseStorageService = require('./supabaseStorageService');
+const sseService = require('./sseService');
+const { toAddress } = require('./channelService');
+
+const SOURCE = 'web';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_FEEDBACK_LENGTH = 2000;
+
+// Photos arrive as data URLs, within the 10mb JSON body limit
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+/**
+ * Create an error with a code the public routes map to a status
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Decode a photo sent as a data URL
+ * @param {string} dataUrl - "data:image/jpeg;base64,..."
+ * @returns {object|null} { buffer, mimeType } or null when it is not a base64 image data URL
+ */
+function parsePhoto(dataUrl) {
+  const match = /^data:([a-z]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=\s]+)$/i.exec(String(dataUrl || ''));
+  if (!match) {
+    return null;
+  }
+
+  return { mimeType: match[1].toLowerCase(), buffer: Buffer.from(match[2], 'base64') };
+}
+
+/**
+ * Validate a widget submission
+ * @param {object} submission - { name, feedback, photo, campaignKey }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateWebFeedback(submission) {
+  const errors = [];
+  const { name, feedback, photo, campaignKey } = submission;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.push('name is required');
+  } else if (name.trim().length > MAX_NAME_LENGTH) {
+    errors.push(`name may be at most ${MAX_NAME_LENGTH} characters`);
+  }
+
+  if (typeof feedback !== 'string' || !feedback.trim()) {
+    errors.push('feedback is required');
+  } else if (feedback.trim().length > MAX_FEEDBACK_LENGTH) {
+    errors.push(`feedback may be at most ${MAX_FEEDBACK_LENGTH} characters`);
+  }
+
+  if (photo !== undefined && photo !== null && photo !== '') {
+    const parsedPhoto = parsePhoto(photo);
+
+    if (!parsedPhoto || !PHOTO_MIME_TYPES.includes(parsedPhoto.mimeType)) {
+      errors.push(`photo must be a base64 data URL of a ${PHOTO_MIME_TYPES.join(', ')} image`);
+    } else if (parsedPhoto.buffer.length > MAX_PHOTO_BYTES) {
+      errors.push(`photo may be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB`);
+    }
+  }
+
+  if (campaignKey !== undefined && campaignKey !== null && typeof campaignKey !== 'string') {
+    errors.push('campaignKey must be a string');
+  }
+
+  return errors;
+}
+
+/**
+ * Save a validated widget submission as feedback and notify the dashboard
+ * @param {object} submission - { name, feedback, photo, campaignKey }
+ * @returns {object} Saved feedback
+ * @throws {Error} With code UNKNOWN_CAMPAIGN or PHOTO_UPLOAD_FAILED
+ */
+async function submitWebFeedback(submission) {
+  const { name, feedback, photo, campaignKey } = submission;
+  const campaign = await campaignService.getCampaign(campaignKey);
+
+  if (!campaign || !campaign.isActive) {
+    throw createError('UNKNOWN_CAMPAIGN', `Campaign "${campaignKey}" not found`);
+  }
+
+  // Each submission is its own anonymous visitor
+  const userPhone = toAddress(SOURCE, crypto.randomUUID());
+  const image = {};
+
+  if (photo) {
+    const { buffer, mimeType } = parsePhoto(photo);
+    const uploadResult = await supabaseStorageService.uploadWebImage(
+      buffer,
+      mimeType,
+      userPhone,
+      campaignService.getStorageFolder(campaign)
+    );
+
+    if (!uploadResult.success) {
+      throw createError('PHOTO_UPLOAD_FAILED', 'The photo could not be uploaded, please try again');
+    }
+
+    image.profileImageUrl = uploadResult.publicUrl;
+    image.imageStoragePath = uploadResult.filePath;
+  }
+
+  const savedFeedback = await prismaService.saveFeedback({
+    userPhone,
+    name: name.trim(),
+    feedback: feedback.trim(),
+    ...image,
+    campaignKey: campaign.key,
+    source: SOURCE
+  });
+
+  sseService.notifyNewFeedback(savedFeedback);
+  console.log(`🌐 Saved web feedback ${savedFeedback.id} (campaign "${campaign.key}")`);
+
+  if (image.profileImageUrl) {
+    // Keep storage within the image limit, like photos sent in a chat
+    try {
+      const conversationManager = require('./conversationManager');
+      await conversationManager.enforceImageLimit();
+    } catch (error) {
+      console.error('❌ Error during image limit enforcement:', error);
+    }
+  }
+
+  return savedFeedback;
+}
+
+module.exports = {
+  SOURCE,
+  validateWebFeedback,
+  submitWebFeedback
+};
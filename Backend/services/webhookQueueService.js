@@ -0,0 +1,154 @@
+/**
+ * Webhook Queue Service for WhatsApp Feedback Collection
+ * Stores incoming webhook payloads in Postgres so the webhook can be acknowledged
+ * right away, then processes them with exponential-backoff retries.
+ * Payloads that keep failing are moved to the dead-letter table.
+ */
+
+const prismaService = require('./prismaService');
+const { processWebhookPayload } = require('./webhookService');
+
+class WebhookQueueService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+    this.retryBaseDelay = (parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000;
+    this.maxRetryDelay = 60 * 60 * 1000; // 1 hour in milliseconds
+    this.pollInterval = parseInt(process.env.WEBHOOK_QUEUE_POLL_MS) || 5000;
+    this.staleLockTimeout = 5 * 60 * 1000; // Jobs locked longer than 5 minutes are retried
+    this.batchSize = 10;
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Store a webhook payload for processing
+   * @param {object} payload - Raw webhook payload
+   * @returns {object} Created job
+   */
+  async enqueue(payload) {
+    const job = await prismaService.createWebhookJob(payload);
+    console.log(`📥 Queued webhook payload as job ${job.id}`);
+
+    // Start processing without waiting for the next poll
+    setImmediate(() => this.processDueJobs());
+
+    return job;
+  }
+
+  /**
+   * Get the delay before the next attempt of a job
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryBaseDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+  }
+
+  /**
+   * Process a single locked job
+   * @param {object} job - Job record (attempts already counts this attempt)
+   */
+  async processJob(job) {
+    try {
+      await processWebhookPayload(job.payload);
+      await prismaService.deleteWebhookJob(job.id);
+      console.log(`✅ Webhook job ${job.id} processed (attempt ${job.attempts})`);
+    } catch (error) {
+      const lastError = error.stack || error.message || String(error);
+
+      if (job.attempts >= this.maxAttempts) {
+        const deadLetter = await prismaService.deadLetterWebhookJob(job, lastError);
+        console.error(`💀 Webhook job ${job.id} failed ${job.attempts} times, moved to dead letter ${deadLetter.id}`);
+        return;
+      }
+
+      const delay = this.getRetryDelay(job.attempts);
+      await prismaService.retryWebhookJob(job.id, new Date(Date.now() + delay), lastError);
+      console.warn(`⚠️ Webhook job ${job.id} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    }
+  }
+
+  /**
+   * Process all jobs that are due (skipped while a previous run is still going)
+   * @returns {number} Number of jobs processed
+   */
+  async processDueJobs() {
+    if (this.isProcessing) {
+      return 0;
+    }
+
+    this.isProcessing = true;
+    let processedCount = 0;
+
+    try {
+      const released = await prismaService.releaseStaleWebhookJobs(new Date(Date.now() - this.staleLockTimeout));
+      if (released > 0) {
+        console.warn(`⚠️ Released ${released} stale webhook jobs`);
+      }
+
+      let jobs = await prismaService.getDueWebhookJobs(this.batchSize);
+
+      while (jobs.length > 0) {
+        for (const job of jobs) {
+          // Another worker may have taken the job in the meantime
+          if (!await prismaService.lockWebhookJob(job.id)) {
+            continue;
+          }
+
+          await this.processJob({ ...job, attempts: job.attempts + 1 });
+          processedCount++;
+        }
+
+        jobs = await prismaService.getDueWebhookJobs(this.batchSize);
+      }
+    } catch (error) {
+      console.error('❌ Error processing webhook queue:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return processedCount;
+  }
+
+  /**
+   * Queue a dead-lettered payload again
+   * @param {number} id - Dead-letter ID
+   * @returns {object|null} New job, or null if the dead letter was not found
+   */
+  async replayDeadLetter(id) {
+    const job = await prismaService.replayWebhookDeadLetter(id);
+
+    if (job) {
+      console.log(`🔁 Replaying dead letter ${id} as webhook job ${job.id}`);
+      setImmediate(() => this.processDueJobs());
+    }
+
+    return job;
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processDueJobs(), this.pollInterval);
+    console.log(`⏰ Started webhook queue worker (polls every ${this.pollInterval / 1000}s, ${this.maxAttempts} attempts per payload)`);
+
+    // Pick up payloads queued before a restart
+    this.processDueJobs();
+  }
+
+  /**
+   * Stop polling the queue
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookQueueService();
@@ -0,0 +1,112 @@
+/**
+ * Tests for the Webhook Queue Service
+ * Retries with backoff and dead-lettering of payloads whose processing throws
+ */
+
+const { describe, test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The queue tables and the payload processing are replaced by stand-ins
+const calls = [];
+let pendingJobs = [];
+const prismaStub = {
+  deleteWebhookJob: async id => calls.push(['delete', id]),
+  retryWebhookJob: async (id, nextAttemptAt, lastError) => calls.push(['retry', id, nextAttemptAt, lastError]),
+  deadLetterWebhookJob: async (job, lastError) => {
+    calls.push(['deadLetter', job.id, lastError]);
+    return { id: 100 + job.id };
+  },
+  releaseStaleWebhookJobs: async () => 0,
+  getDueWebhookJobs: async () => pendingJobs.splice(0),
+  lockWebhookJob: async () => true
+};
+let processPayload;
+const webhookServiceStub = {
+  processWebhookPayload: payload => processPayload(payload)
+};
+for (const [name, exports] of [['./prismaService', prismaStub], ['./webhookService', webhookServiceStub]]) {
+  const path = require.resolve(name);
+  require.cache[path] = { id: path, filename: path, loaded: true, exports };
+}
+
+const webhookQueueService = require('./webhookQueueService');
+
+const payload = { object: 'whatsapp_business_account', entry: [] };
+
+beforeEach(() => {
+  calls.length = 0;
+  pendingJobs = [];
+  processPayload = async () => {};
+  mock.restoreAll();
+  for (const level of ['log', 'warn', 'error']) {
+    mock.method(console, level, () => {});
+  }
+});
+
+describe('processJob', () => {
+  test('deletes a job once its payload is processed', async () => {
+    await webhookQueueService.processJob({ id: 1, payload, attempts: 1 });
+
+    assert.deepEqual(calls, [['delete', 1]]);
+  });
+
+  test('retries a failing payload with a doubling delay', async () => {
+    processPayload = async () => {
+      throw new Error('Handler failed');
+    };
+    const before = Date.now();
+
+    await webhookQueueService.processJob({ id: 1, payload, attempts: 3 });
+
+    const [action, id, nextAttemptAt, lastError] = calls[0];
+    assert.deepEqual([action, id], ['retry', 1]);
+    assert.ok(nextAttemptAt.getTime() >= before + webhookQueueService.retryBaseDelay * 4);
+    assert.match(lastError, /Handler failed/);
+  });
+
+  test('caps the retry delay at an hour', () => {
+    assert.equal(webhookQueueService.getRetryDelay(1), webhookQueueService.retryBaseDelay);
+    assert.equal(webhookQueueService.getRetryDelay(20), 60 * 60 * 1000);
+  });
+
+  test('dead-letters a payload that failed on its last attempt', async () => {
+    processPayload = async () => {
+      throw new Error('Handler failed');
+    };
+
+    await webhookQueueService.processJob({ id: 1, payload, attempts: webhookQueueService.maxAttempts });
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0][0], 'deadLetter');
+    assert.match(calls[0][2], /Handler failed/);
+  });
+});
+
+describe('processDueJobs', () => {
+  test('processes due jobs, counting the attempt it makes', async () => {
+    const processed = mock.method(webhookQueueService, 'processJob', async () => {});
+    pendingJobs = [{ id: 1, payload, attempts: 0 }, { id: 2, payload, attempts: 2 }];
+
+    assert.equal(await webhookQueueService.processDueJobs(), 2);
+    assert.deepEqual(processed.mock.calls.map(call => call.arguments[0].attempts), [1, 3]);
+  });
+
+  test('skips jobs another worker locked first', async () => {
+    const processed = mock.method(webhookQueueService, 'processJob', async () => {});
+    mock.method(prismaStub, 'lockWebhookJob', async id => id !== 1);
+    pendingJobs = [{ id: 1, payload, attempts: 0 }, { id: 2, payload, attempts: 0 }];
+
+    assert.equal(await webhookQueueService.processDueJobs(), 1);
+    assert.equal(processed.mock.calls[0].arguments[0].id, 2);
+  });
+
+  test('releases jobs locked by a worker that stopped', async () => {
+    const release = mock.method(prismaStub, 'releaseStaleWebhookJobs', async () => 1);
+    const before = Date.now();
+
+    await webhookQueueService.processDueJobs();
+
+    const [staleBefore] = release.mock.calls[0].arguments;
+    assert.ok(staleBefore.getTime() <= before - webhookQueueService.staleLockTimeout + 1000);
+  });
+});
@@ -1,88 +1,150 @@
-const { sendTextMessage, sendButtonMessage } = require('./whatsappService');
+const { sendTextMessage, sendButtonMessage, sendListMessage, getAdapterForWebhook } = require('./channelService');
 const conversationManager = require('./conversationManager');
 const { getTemplate } = require('../utils/messageTemplates');
-const supabaseStorageService = require('./supabaseStorageService');
 const prismaService = require('./prismaService');
+const flowService = require('./flowService');
+const flowEngine = require('./flowEngine');
+const campaignService = require('./campaignService');
+const messageDeduplicationService = require('./messageDeduplicationService');
+const mediaIngestionService = require('./mediaIngestionService');
+const messageLogService = require('./messageLogService');
+const handoffService = require('./handoffService');
+const broadcastService = require('./broadcastService');
+const whatsappFlowService = require('./whatsappFlowService');
+const triggerMessageService = require('./triggerMessageService');
+const auditService = require('./auditService');
+const tenantContext = require('../utils/tenantContext');
 
 /**
- * Process incoming webhook payload from WhatsApp Business API
+ * Process an incoming webhook payload (WhatsApp Business API or Telegram bot update)
+ * The channel adapter turns it into channel-neutral messages and statuses, grouped by tenant
  */
 async function processWebhookPayload(payload) {
-  if (payload.object !== 'whatsapp_business_account') {
-    console.log('📝 Not a WhatsApp Business webhook, ignoring');
+  const adapter = getAdapterForWebhook(payload);
+  
+  if (!adapter) {
+    console.log('📝 Not a webhook of a known channel, ignoring');
     return;
   }
 
-  for (const entry of payload.entry) {
-    for (const change of entry.changes) {
-      if (change.field === 'messages' && change.value.messages) {
-        for (const message of change.value.messages) {
-          await handleIncomingMessage(message);
-        }
-      }
+  for (const batch of await adapter.parseWebhook(payload)) {
+    await tenantContext.run(batch.tenantKey, () => processWebhookBatch(batch));
+  }
+}
 
-      // Handle message status updates (delivery, read, etc.)
-      if (change.field === 'messages' && change.value.statuses) {
-        for (const status of change.value.statuses) {
-          handleMessageStatus(status);
-        }
-      }
-    }
+/**
+ * Process the messages and statuses of one webhook batch for the current tenant
+ * @param {object} batch - { messages, statuses } in the channel-neutral model
+ */
+async function processWebhookBatch({ messages, statuses }) {
+  for (const message of messages) {
+    await processChannelMessage(message);
+  }
+
+  // Handle message status updates (delivery, read, etc.)
+  for (const status of statuses) {
+    await handleMessageStatus(status);
+  }
+}
+
+/**
+ * Record and handle one inbound ChannelMessage
+ */
+async function processChannelMessage(message) {
+  // Channels retry deliveries - handle each message ID only once
+  if (!await messageDeduplicationService.claim(message)) {
+    return;
+  }
+  
+  try {
+    const record = await messageLogService.recordInbound(message);
+    await handleIncomingMessage(message);
+    await messageLogService.linkToSession(record);
+    await messageDeduplicationService.markProcessed(message);
+  } catch (error) {
+    // Fail the webhook job, whose retry claims the message again
+    await messageDeduplicationService.markFailed(message, error);
+    throw error;
   }
 }
 
 /**
  * Handle individual incoming messages for feedback collection
+ * @param {object} message - ChannelMessage (see channelService)
  */
 async function handleIncomingMessage(message) {
   try {
-    console.log(`📱 Processing message from ${message.from}:`, message);
+    console.log(`📱 Processing ${message.channel} message from ${message.from}:`, message.raw);
 
     const userPhone = message.from;
-    const messageText = message.type === 'text' && message.text ? message.text.body.toLowerCase().trim() : '';
+    // Tapped replies count with their title, e.g. the quick reply of a template message
+    const replyText = message.type === 'text' || message.type === 'reply' ? message.text : '';
+    const messageText = (replyText || '').toLowerCase().trim();
     
-    // ONLY activate bot on "share your thoughts" trigger
-    if (messageText === 'share your thoughts') {
-      console.log(`💭 Starting feedback collection for ${userPhone}`);
-      const session = await conversationManager.createSession(userPhone);
-      const response = getTemplate('greeting');
-      await sendTextMessage(userPhone, response);
+    // While an agent handles the conversation the bot stays silent
+    const handoff = await handoffService.getActiveHandoff(userPhone);
+    if (handoff) {
+      await handoffService.forwardMessage(handoff, message);
+      return;
+    }
+    
+    if (messageText && handoffService.isHandoffRequest(messageText)) {
+      await handoffService.startHandoff(userPhone, { requestedBy: 'user', reason: replyText }, auditService.getContactActor(userPhone));
+      await sendTextMessage(userPhone, getTemplate('handoffStarted'));
+      return;
+    }
+    
+    // A submitted WhatsApp Flow form holds all answers at once
+    if (whatsappFlowService.isFlowResponse(message)) {
+      await handleFlowResponse(message);
       return;
     }
     
     // Check if user has an ACTIVE session
     const existingSession = await conversationManager.getSessionIfExists(userPhone);
     
+    // ONLY activate bot on a campaign trigger keyword
+    // During an active session only the exact keyword restarts, so answers mentioning it are kept
+    const { campaign, trigger } = messageText
+      ? await campaignService.matchCampaignTrigger(messageText, { exactOnly: !!existingSession })
+      : { campaign: null, trigger: null };
+    
+    if (campaign) {
+      console.log(`💭 Starting feedback collection for ${userPhone} (campaign "${campaign.key}")`);
+      await startCampaign(userPhone, campaign, trigger);
+      return;
+    }
+    
     // If no active session, IGNORE the message (don't respond)
     if (!existingSession) {
+      // A trigger without a campaign still counts as usage of its keyword
+      if (trigger) {
+        await recordTriggerMatch(trigger, userPhone);
+      }
       console.log(`🚫 Ignoring message from ${userPhone} - no active session`);
       return; // Exit without processing
     }
     
     // Continue with existing flow for active sessions
     const session = existingSession;
+    const { step, ...context } = await getSessionContext(session);
     
-    // Process message based on current conversation step
-    switch (session.step) {
-      case 1:
-        await handleNameCollection(message, userPhone, session);
-        break;
-      case 2:
-        await handleYesNoChoice(message, userPhone, session);
-        break;
-      case 3:
-        await handleImageCollection(message, userPhone, session);
-        break;
-      case 4:
-        await handleFeedbackCollection(message, userPhone, session);
-        break;
-      default:
-        // Invalid step, reset to beginning
-        console.log(`❌ Invalid step ${session.step} for ${userPhone}, resetting`);
-        await conversationManager.resetSession(userPhone);
-        const response = getTemplate('greeting');
-        await sendTextMessage(userPhone, response);
+    if (!step) {
+      // Flow or step no longer exists, restart the campaign
+      console.log(`❌ Invalid step ${session.stepKey || session.step} for ${userPhone}, resetting`);
+      await startCampaign(userPhone, context.campaign);
+      return;
+    }
+    
+    // Reserved navigation commands take precedence over the step handlers
+    const command = flowEngine.parseCommand(message);
+    if (command) {
+      await handleNavigationCommand(command, userPhone, session, context, step);
+      return;
     }
+    
+    // Process message based on current conversation step
+    await handleFlowStep(message, userPhone, session, context, step);
   } catch (error) {
     console.error('❌ Error handling incoming message:', error);
     
@@ -99,187 +161,285 @@ async function handleIncomingMessage(message) {
 }
 
 /**
- * Handle name collection (Step 1 → Step 2)
+ * Save a submitted WhatsApp Flow form as feedback and thank the user
  */
-async function handleNameCollection(message, userPhone, session) {
-  if (message.type !== 'text' || !message.text) {
-    // Wrong input type - expect text
-    const response = getTemplate('needText');
-    await sendTextMessage(userPhone, response);
+async function handleFlowResponse(message) {
+  const userPhone = message.from;
+  const result = await whatsappFlowService.saveFlowResponse(message);
+  
+  if (!result) {
     return;
   }
-
-  const name = message.text.body.trim();
-  console.log(`📝 Collected name: "${name}" from ${userPhone}`);
   
-  // Update session with name and advance to step 2
-  await conversationManager.updateSession(userPhone, { name });
-  await conversationManager.advanceStep(userPhone);
+  const { feedback, campaign } = result;
+  
+  // A form from a broadcast counts as a started and completed conversation
+  try {
+    await broadcastService.recordConversationStarted(userPhone, campaign.key);
+    await broadcastService.recordConversationCompleted(userPhone, feedback.id, campaign.key);
+  } catch (error) {
+    console.error('❌ Error recording broadcast conversion:', error);
+  }
   
-  // Ask if they want to share profile picture with buttons
-  const messageText = `Nice to meet you, ${name}! Are you ready to share your profile picture?`;
-  const buttons = [
-    { id: 'yes', title: 'Yes' },
-    { id: 'no', title: 'No' }
-  ];
-  await sendButtonMessage(userPhone, messageText, buttons);
+  const flow = await flowService.getFlow(campaign.flowKey || undefined);
+  const response = flowEngine.renderMessage(
+    { template: (flow && flow.completionTemplate) || 'completed' },
+    { name: feedback.name || 'there', answers: feedback.answers },
+    campaignService.getTemplateOverrides(campaign)
+  );
+  await sendTextMessage(userPhone, response, { feedbackId: feedback.id });
 }
 
 /**
- * Handle Yes/No choice for profile picture (Step 2 → Step 3 or 4)
+ * Load the campaign, flow and current step of a session
+ * @returns {object} { campaign, flow, step } where flow and step are null when no longer defined
  */
-async function handleYesNoChoice(message, userPhone, session) {
-  let choice = '';
+async function getSessionContext(session) {
+  const campaign = await campaignService.getCampaign(session.campaignKey) || campaignService.DEFAULT_CAMPAIGN;
+  const flow = await flowService.getFlow(session.flowKey || undefined);
+  const step = flow ? flowEngine.getCurrentStep(flow, session) : null;
   
-  // Handle button response
-  if (message.type === 'interactive' && message.interactive?.button_reply) {
-    choice = message.interactive.button_reply.id.toLowerCase();
-    console.log(`🔘 User clicked button: "${choice}" from ${userPhone}`);
-  }
-  // Handle text response (fallback)
-  else if (message.type === 'text' && message.text) {
-    choice = message.text.body.toLowerCase().trim();
-    console.log(`💬 User typed choice: "${choice}" from ${userPhone}`);
-  } else {
-    // Wrong input type - expect button or text
-    const response = `Please click one of the buttons or reply with "Yes" or "No".`;
-    await sendTextMessage(userPhone, response);
-    return;
-  }
-  
-  if (choice === 'yes' || choice === 'y') {
-    // User wants to share profile picture
-    await conversationManager.advanceStep(userPhone); // Go to step 3 (image collection)
-    const response = getTemplate('profilePictureYes');
-    await sendTextMessage(userPhone, response);
-  } else if (choice === 'no' || choice === 'n') {
-    // User doesn't want to share profile picture, skip to feedback
-    await conversationManager.updateSession(userPhone, { step: 4 }); // Skip to step 4 (feedback)
-    const response = getTemplate('profilePictureNo', session.name);
-    await sendTextMessage(userPhone, response);
-  } else {
-    // Invalid choice, ask again with buttons
-    const messageText = `Please choose one of the options:`;
-    const buttons = [
-      { id: 'yes', title: 'Yes' },
-      { id: 'no', title: 'No' }
-    ];
-    
-  }
+  return { campaign, flow, step };
 }
 
 /**
- * Handle feedback collection (Step 4 → Complete)
+ * Record a trigger match without failing the message handling
  */
-async function handleFeedbackCollection(message, userPhone, session) {
-  if (message.type !== 'text' || !message.text) {
-    // Wrong input type - expect text
-    const response = getTemplate('needText');
-    await sendTextMessage(userPhone, response);
-    return;
+async function recordTriggerMatch(trigger, userPhone, options) {
+  try {
+    await triggerMessageService.recordTriggerMatch(trigger, userPhone, options);
+  } catch (error) {
+    console.error('❌ Error recording trigger match:', error);
   }
+}
 
-  const feedback = message.text.body.trim();
-  console.log(`💬 Collected feedback: "${feedback.substring(0, 50)}..." from ${userPhone}`);
+/**
+ * Start a campaign's conversation flow and ask its first question
+ * @param {object} trigger - Trigger that started the campaign, if any
+ */
+async function startCampaign(userPhone, campaign, trigger = null) {
+  const flow = await flowService.getFlow(campaign.flowKey || undefined);
+  
+  if (!flow) {
+    throw new Error(`Flow "${campaign.flowKey}" for campaign "${campaign.key}" not found`);
+  }
   
-  // Update session with feedback
-  await conversationManager.updateSession(userPhone, { feedback });
+  const session = await conversationManager.createSession(userPhone, flow, campaign.key);
+  await sendStepPrompt(userPhone, flow.steps[0], session, { flow, campaign });
   
-  // Complete the session
-  const completedSession = await conversationManager.completeSession(userPhone);
+  if (trigger) {
+    await recordTriggerMatch(trigger, userPhone, { campaignKey: campaign.key, sessionId: session.id });
+  }
   
-  // Send completion message
-  const response = getTemplate('completed', session.name);
-  await sendTextMessage(userPhone, response);
+  // Count the start for the broadcast that brought the user here
+  try {
+    await broadcastService.recordConversationStarted(userPhone, campaign.key);
+  } catch (error) {
+    console.error('❌ Error recording broadcast conversion:', error);
+  }
 }
 
 /**
- * Handle image collection (Step 3 → Step 4)
+ * Handle the answer to the current step and move to the next one
+ * @param {object} context - { flow, campaign } the session belongs to
  */
-async function handleImageCollection(message, userPhone, session) {
-  if (message.type !== 'image' || !message.image) {
-    // Wrong input type - expect image
-    const response = getTemplate('needImage');
-    await sendTextMessage(userPhone, response);
+async function handleFlowStep(message, userPhone, session, context, step) {
+  const input = flowEngine.parseStepInput(step, message);
+  
+  if (!input.valid) {
+    // Wrong input type or failed validation - ask again
+    console.log(`⚠️ Invalid ${message.type} input for step "${step.id}" from ${userPhone}`);
+    await sendInvalidInputReply(userPhone, step, input.errorTemplate, session, context);
     return;
   }
-
-  const whatsappImageId = message.image.id; // WhatsApp image ID
-  console.log(`📸 Collected image: ${whatsappImageId} from ${userPhone}`);
   
-  // Update session with WhatsApp image ID and advance to step 4
-  await conversationManager.updateSession(userPhone, { 
-    whatsappImageId: whatsappImageId,
-    profileImageUrl: null // Will be updated after Supabase upload
-  });
-  await conversationManager.advanceStep(userPhone);
+  console.log(`📝 Collected ${message.type} for step "${step.id}": "${JSON.stringify(input.value).substring(0, 50)}" from ${userPhone}`);
   
-  // Ask for feedback
-  const response = getTemplate('profilePictureReceived');
-  await sendTextMessage(userPhone, response);
+  const media = flowEngine.getMediaAnswer(step, input.value);
+  if (media) {
+    // Upload in the background - the file is attached to the feedback whenever it finishes
+    await mediaIngestionService.enqueue({
+      whatsappMediaId: media.mediaId,
+      mediaType: media.mediaType,
+      userPhone,
+      folder: campaignService.getStorageFolder(context.campaign)
+    });
+  }
   
-  // Process image upload in background (don't wait for completion)
-  processImageUploadAsync(whatsappImageId, userPhone, session);
+  const updates = flowEngine.applyAnswer(session, step, input.value);
+  await advanceFlow(userPhone, context, step, input.value, updates);
 }
 
 /**
- * Process image upload to Supabase Storage asynchronously
- * This runs in the background while user continues with feedback
+ * Save step updates and move to the next step, completing the session after the last one
+ * @returns {object|null} Updated session, or null when the session was completed
  */
-async function processImageUploadAsync(whatsappImageId, userPhone, session) {
-  try {
-    console.log(`🔄 Starting background image processing for ${userPhone}`);
-    
-    // Don't complete session here - it will be completed after feedback collection
-    // Just process the image upload
+async function advanceFlow(userPhone, context, step, value, updates) {
+  const { flow, campaign } = context;
+  const transition = flowEngine.resolveTransition(flow, step, value);
+  
+  if (transition.goto === flowEngine.COMPLETE_STEP) {
+    // Save the last answer and complete the session
+    await conversationManager.updateSession(userPhone, updates);
+    const completedSession = await conversationManager.completeSession(userPhone);
     
-    // Upload image to Supabase Storage with temporary filename
-    console.log(`📤 Uploading image to Supabase for ${userPhone}`);
-    const uploadResult = await supabaseStorageService.uploadWhatsAppImage(
-      whatsappImageId, 
-      userPhone, 
-      `temp_${Date.now()}` // Temporary ID until feedback is completed
+    // Send completion message (the session is gone, so link it to the feedback directly)
+    const response = flowEngine.renderMessage(
+      { template: flow.completionTemplate || 'completed' },
+      completedSession,
+      campaignService.getTemplateOverrides(campaign)
     );
-    
-    if (uploadResult.success) {
-      // Update session with Supabase image URL
-      await conversationManager.updateSession(userPhone, {
-        profileImageUrl: uploadResult.publicUrl
-      });
+    await sendTextMessage(userPhone, response, { feedbackId: completedSession.feedbackId });
+    return null;
+  }
+  
+  const updatedSession = await conversationManager.moveToStep(userPhone, flow, transition.goto, updates);
+  await sendStepPrompt(userPhone, flowEngine.getStep(flow, transition.goto), updatedSession, context, transition.prompt);
+  return updatedSession;
+}
+
+/**
+ * Handle a navigation command (back, restart, skip, cancel) the same way at every step
+ */
+async function handleNavigationCommand(command, userPhone, session, context, step) {
+  const { flow, campaign } = context;
+  const templates = campaignService.getTemplateOverrides(campaign);
+  const confirm = (template) => sendTextMessage(userPhone, flowEngine.renderMessage({ template }, session, templates));
+  
+  console.log(`🧭 Navigation command "${command}" at step "${step.id}" from ${userPhone}`);
+  
+  switch (command) {
+    case 'back': {
+      const history = session.history || [];
+      const previousStep = history.length > 0 ? flowEngine.getStep(flow, history[history.length - 1]) : null;
       
-      console.log(`✅ Image processing completed for ${userPhone}: ${uploadResult.publicUrl}`);
-    } else {
-      console.error(`❌ Image upload failed for ${userPhone}:`, uploadResult.error);
+      if (!previousStep) {
+        await confirm('commandBackUnavailable');
+        await sendStepPrompt(userPhone, step, session, context);
+        return;
+      }
       
-      // Update session with error info
-      await conversationManager.updateSession(userPhone, {
-        profileImageUrl: `error: ${uploadResult.error}`
+      const updatedSession = await conversationManager.moveToStep(userPhone, flow, previousStep.id, {
+        ...flowEngine.clearAnswer(session, previousStep),
+        history: history.slice(0, -1)
       });
+      await confirm('commandBack');
+      await sendStepPrompt(userPhone, previousStep, updatedSession, context);
+      return;
     }
-    
-  } catch (error) {
-    console.error(`❌ Error in background image processing for ${userPhone}:`, error);
+    case 'restart': {
+      const updatedSession = await conversationManager.resetSession(userPhone, auditService.getContactActor(userPhone));
+      await confirm('commandRestart');
+      await sendStepPrompt(userPhone, flow.steps[0], updatedSession, context);
+      return;
+    }
+    case 'skip':
+      if (!step.optional) {
+        await confirm('commandSkipUnavailable');
+        await sendStepPrompt(userPhone, step, session, context);
+        return;
+      }
+      
+      await confirm('commandSkip');
+      await advanceFlow(userPhone, context, step, 'skip', flowEngine.clearAnswer(session, step));
+      return;
+    case 'cancel':
+      await conversationManager.cancelSession(userPhone, auditService.getContactActor(userPhone));
+      await confirm('commandCancel');
+      return;
   }
 }
 
+/**
+ * Send the question of a step, with reply buttons or a list when the step has options
+ */
+async function sendStepPrompt(userPhone, step, session, context, templateOverride) {
+  const prompt = flowEngine.buildPrompt(step, session, {
+    template: templateOverride,
+    templates: campaignService.getTemplateOverrides(context.campaign)
+  });
+  
+  await sendPromptMessage(userPhone, prompt.text, prompt);
+}
 
+/**
+ * Remind the user of the question a stalled session is waiting for
+ */
+async function sendStepReminder(userPhone, step, session, context, reminderTemplate) {
+  const templates = campaignService.getTemplateOverrides(context.campaign);
+  const reminder = flowEngine.renderMessage({ template: reminderTemplate }, session, templates);
+  const prompt = flowEngine.buildPrompt(step, session, { templates });
+  
+  await sendPromptMessage(userPhone, `${reminder}\n\n${prompt.text}`, prompt);
+}
+
+/**
+ * Ask the current question of a paused session again, e.g. after a human handoff
+ * @returns {boolean} True if the session was resumed, false if it no longer exists
+ */
+async function resumeSession(userPhone) {
+  if (!await conversationManager.getSessionIfExists(userPhone)) {
+    return false;
+  }
+  
+  // Restart the inactivity timer so the session isn't closed right away
+  const session = await conversationManager.updateSession(userPhone, {});
+  const { step, ...context } = await getSessionContext(session);
+  
+  if (!step) {
+    return false;
+  }
+  
+  await sendStepPrompt(userPhone, step, session, context);
+  console.log(`▶️ Resumed session for ${userPhone} at step "${step.id}"`);
+  return true;
+}
+
+/**
+ * Send a message with the reply options of a prompt
+ */
+async function sendPromptMessage(userPhone, text, { buttons, list }) {
+  if (buttons) {
+    await sendButtonMessage(userPhone, text, buttons);
+  } else if (list) {
+    await sendListMessage(userPhone, text, list.buttonText, list.sections);
+  } else {
+    await sendTextMessage(userPhone, text);
+  }
+}
+
+/**
+ * Reply to an answer the current step cannot accept
+ */
+async function sendInvalidInputReply(userPhone, step, errorTemplate, session, context) {
+  const templates = campaignService.getTemplateOverrides(context.campaign);
+  const response = flowEngine.renderMessage({ template: errorTemplate }, session, templates);
+  
+  // Repeat the options so the user can tap one
+  await sendPromptMessage(userPhone, response, flowEngine.buildPrompt(step, session, { templates }));
+}
 
 /**
  * Handle message status updates (delivery, read, etc.)
+ * The status is stored on the outbound message it belongs to
+ * @param {object} status - DeliveryStatus (see channelService)
  */
-function handleMessageStatus(status) {
+async function handleMessageStatus(status) {
   console.log('📊 Message status update:', {
-    messageId: status.id,
-    recipientId: status.recipient_id,
+    messageId: status.messageId,
+    recipient: status.recipient,
     status: status.status,
     timestamp: status.timestamp
   });
+  
+  await messageLogService.recordStatus(status);
 }
 
 /**
  * Simulate webhook for testing feedback collection
+ * @param {string} phoneNumberId - Receiving number, to test a tenant (defaults to the default tenant)
  */
-async function simulateWebhook(testMessage, phoneNumber) {
+async function simulateWebhook(testMessage, phoneNumber, phoneNumberId) {
   const mockPayload = {
     object: 'whatsapp_business_account',
     entry: [{
@@ -290,7 +450,7 @@ async function simulateWebhook(testMessage, phoneNumber) {
           messaging_product: 'whatsapp',
           metadata: {
             display_phone_number: process.env.WHATSAPP_PHONE_NUMBER_ID || '15550617327',
-            phone_number_id: process.env.WHATSAPP_PHONE_NUMBER_ID || '158282837372377'
+            phone_number_id: phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID || '158282837372377'
           },
           messages: [{
             id: `test-message-${Date.now()}`,
@@ -318,8 +478,9 @@ async function simulateWebhook(testMessage, phoneNumber) {
 
 /**
  * Simulate image message for testing
+ * @param {string} phoneNumberId - Receiving number, to test a tenant (defaults to the default tenant)
  */
-async function simulateImageWebhook(phoneNumber, imageId = 'test-image-123') {
+async function simulateImageWebhook(phoneNumber, imageId = 'test-image-123', phoneNumberId) {
   const mockPayload = {
     object: 'whatsapp_business_account',
     entry: [{
@@ -330,7 +491,7 @@ async function simulateImageWebhook(phoneNumber, imageId = 'test-image-123') {
           messaging_product: 'whatsapp',
           metadata: {
             display_phone_number: process.env.WHATSAPP_PHONE_NUMBER_ID || '15550617327',
-            phone_number_id: process.env.WHATSAPP_PHONE_NUMBER_ID || '158282837372377'
+            phone_number_id: phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID || '158282837372377'
           },
           messages: [{
             id: `test-image-${Date.now()}`,
@@ -360,6 +521,9 @@ module.exports = {
   processWebhookPayload,
   handleIncomingMessage,
   handleMessageStatus,
+  getSessionContext,
+  sendStepReminder,
+  resumeSession,
   simulateWebhook,
   simulateImageWebhook
 };
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * WhatsApp Channel Adapter
+ * Turns WhatsApp Business webhook payloads into channel-neutral messages and
+ * delivery statuses, and sends outbox messages through the WhatsApp Cloud API
+ */
+
+const whatsappService = require('./whatsappService');
+const tenantService = require('./tenantService');
+const supabaseStorageService = require('./supabaseStorageService');
+
+const name = 'whatsapp';
+
+/**
+ * Check whether a webhook payload came from WhatsApp
+ */
+function matchesWebhook(payload) {
+  return !!payload && payload.object === 'whatsapp_business_account';
+}
+
+/**
+ * Convert a WhatsApp webhook message to a ChannelMessage
+ * @param {object} message - Message of a webhook change
+ * @returns {object} ChannelMessage
+ */
+function toChannelMessage(message) {
+  const base = { id: message.id, channel: name, from: message.from, raw: message };
+
+  switch (message.type) {
+    case 'text':
+      return { ...base, type: 'text', text: message.text?.body || '' };
+    case 'interactive': {
+      if (message.interactive?.nfm_reply) {
+        return { ...base, type: 'form', form: message.interactive.nfm_reply.response_json };
+      }
+
+      const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+      return reply
+        ? { ...base, type: 'reply', replyId: reply.id, text: reply.title }
+        : { ...base, type: 'unsupported' };
+    }
+    case 'button':
+      // Quick reply of a template message, carrying the button text
+      return { ...base, type: 'reply', replyId: message.button?.payload, text: message.button?.text };
+    case 'image':
+    case 'audio': {
+      const media = message[message.type];
+      return media
+        ? { ...base, type: message.type, media: { id: media.id, mimeType: media.mime_type, caption: media.caption } }
+        : { ...base, type: 'unsupported' };
+    }
+    default:
+      return { ...base, type: 'unsupported' };
+  }
+}
+
+/**
+ * Convert a WhatsApp webhook status to a DeliveryStatus
+ * @param {object} status - Status of a webhook change ({ id, recipient_id, status, timestamp, errors })
+ * @returns {object} DeliveryStatus
+ */
+function toDeliveryStatus(status) {
+  const deliveryStatus = {
+    messageId: status.id,
+    recipient: status.recipient_id,
+    status: status.status,
+    timestamp: status.timestamp ? new Date(parseInt(status.timestamp) * 1000) : new Date()
+  };
+
+  if (status.status === 'failed' && status.errors && status.errors.length > 0) {
+    const [error] = status.errors;
+    deliveryStatus.errorCode = error.code;
+    deliveryStatus.error = [error.title || error.message, error.error_data?.details].filter(Boolean).join(': ');
+  }
+
+  return deliveryStatus;
+}
+
+/**
+ * Read the messages and statuses of a WhatsApp webhook payload
+ * Each change belongs to the tenant owning the number that received it;
+ * changes for a number no active tenant owns are skipped
+ * @param {object} payload - Webhook payload
+ * @returns {array} [{ tenantKey, messages, statuses }], one entry per change
+ */
+async function parseWebhook(payload) {
+  const batches = [];
+
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      if (change.field !== 'messages') {
+        continue;
+      }
+
+      const phoneNumberId = change.value?.metadata?.phone_number_id;
+      const tenant = await tenantService.getTenantByPhoneNumberId(phoneNumberId);
+
+      if (!tenant) {
+        console.warn(`⚠️ No active tenant for phone number ID ${phoneNumberId}, ignoring webhook change`);
+        continue;
+      }
+
+      batches.push({
+        tenantKey: tenant.key,
+        messages: (change.value.messages || []).map(toChannelMessage),
+        statuses: (change.value.statuses || []).map(toDeliveryStatus)
+      });
+    }
+  }
+
+  return batches;
+}
+
+/**
+ * Send an outbox message from the number of the tenant it belongs to
+ * @param {object} message - Outbox message record
+ * @returns {object} Send result with the WhatsApp messageId
+ */
+async function deliver(message) {
+  return await whatsappService.deliverMessage(message);
+}
+
+/**
+ * Download an image or voice note with the current tenant's credentials
+ * @param {string} mediaId - WhatsApp media ID
+ * @returns {object} { buffer, mimeType }
+ */
+async function downloadMedia(mediaId) {
+  const mediaInfo = await supabaseStorageService.getWhatsAppMediaInfo(mediaId);
+  if (!mediaInfo) {
+    throw new Error('Failed to get WhatsApp media URL');
+  }
+
+  const buffer = await supabaseStorageService.downloadImageFromUrl(mediaInfo.url);
+  if (!buffer) {
+    throw new Error('Failed to download media from WhatsApp');
+  }
+
+  return { buffer, mimeType: mediaInfo.mimeType };
+}
+
+module.exports = {
+  name,
+  matchesWebhook,
+  toChannelMessage,
+  toDeliveryStatus,
+  parseWebhook,
+  deliver,
+  downloadMedia
+};
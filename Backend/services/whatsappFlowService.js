@@ -0,0 +1,167 @@
+/**
+ * WhatsApp Flow Service
+ * Turns WhatsApp Flow (structured form) submissions into feedback.
+ * A Flow is sent with a flow_token naming the campaign it belongs to; the
+ * submitted form arrives as an interactive nfm_reply whose response_json
+ * carries that token and the form fields.
+ */
+
+const crypto = require('crypto');
+const prismaService = require('./prismaService');
+const campaignService = require('./campaignService');
+
+const FLOW_TOKEN_PREFIX = 'feedback';
+
+// Form field names mapped to the feedback columns (other fields are kept in answers only)
+const FIELD_ALIASES = {
+  name: ['name', 'full_name', 'fullname', 'customer_name', 'first_name'],
+  feedback: ['feedback', 'comments', 'comment', 'message', 'review', 'details'],
+  rating: ['rating', 'stars', 'score'],
+  nps: ['nps', 'recommend', 'nps_score']
+};
+
+/**
+ * Create the flow_token sent with a Flow message
+ * @param {string} campaignKey - Campaign the submission belongs to (defaults to the built-in campaign)
+ * @returns {string} Flow token
+ */
+function createFlowToken(campaignKey) {
+  const key = campaignKey || campaignService.DEFAULT_CAMPAIGN.key;
+  return `${FLOW_TOKEN_PREFIX}:${key}:${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Get the campaign key carried by a flow_token
+ * @param {string} flowToken - Flow token returned with the submission
+ * @returns {string|null} Campaign key or null for tokens not created by createFlowToken
+ */
+function parseFlowToken(flowToken) {
+  const [prefix, campaignKey] = String(flowToken || '').split(':');
+  return prefix === FLOW_TOKEN_PREFIX && campaignKey ? campaignKey : null;
+}
+
+/**
+ * Check whether an inbound message is a Flow submission
+ * @param {object} message - ChannelMessage
+ * @returns {boolean} True for form messages (WhatsApp interactive nfm_reply)
+ */
+function isFlowResponse(message) {
+  return message.type === 'form';
+}
+
+/**
+ * Read the submitted fields of a Flow response
+ * @param {object} message - ChannelMessage of type form, carrying the nfm_reply response_json
+ * @returns {object} { flowToken, fields } - fields without the flow_token
+ * @throws {Error} When response_json is not a JSON object
+ */
+function parseFlowResponse(message) {
+  const responseJson = message.form;
+  const response = typeof responseJson === 'string' ? JSON.parse(responseJson) : responseJson;
+
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    throw new Error('Flow response_json is not an object');
+  }
+
+  const { flow_token: flowToken, ...fields } = response;
+  return { flowToken, fields };
+}
+
+/**
+ * Find the value of the first form field matching one of the aliases
+ * Field names are compared case-insensitively; Flow field names are often prefixed with the screen ("screen_0_name_0")
+ */
+function findField(fields, aliases) {
+  const entries = Object.entries(fields);
+  const normalize = key => key.toLowerCase().replace(/^screen_\d+_/, '').replace(/_\d+$/, '');
+  const match = entries.find(([key]) => aliases.includes(normalize(key)));
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Parse a score from a form value ("4", 4, "4_stars", "★★★★")
+ * @returns {number|null} Score or null when there is none
+ */
+function parseScore(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value : null;
+  }
+
+  const text = String(value ?? '');
+  const digits = text.match(/\d+/);
+  if (digits) {
+    return parseInt(digits[0]);
+  }
+
+  const stars = (text.match(/★|⭐/g) || []).length;
+  return stars > 0 ? stars : null;
+}
+
+/**
+ * Map the submitted form fields to feedback data
+ * @param {object} fields - Submitted fields
+ * @returns {object} { name, feedback, rating, ratingScale, answers }
+ */
+function mapFlowFields(fields) {
+  const text = value => Array.isArray(value) ? value.join(', ') : String(value ?? '').trim();
+  const nps = parseScore(findField(fields, FIELD_ALIASES.nps));
+  const rating = parseScore(findField(fields, FIELD_ALIASES.rating));
+  const ratingScale = parseScore(findField(fields, ['rating_scale'])) || 5;
+
+  let score = null;
+  if (nps !== null && nps >= 0 && nps <= 10) {
+    score = { rating: nps, ratingScale: 10 };
+  } else if (rating !== null && rating >= 0 && rating <= ratingScale) {
+    score = { rating, ratingScale };
+  }
+
+  return {
+    name: text(findField(fields, FIELD_ALIASES.name)),
+    feedback: text(findField(fields, FIELD_ALIASES.feedback)),
+    rating: score ? score.rating : null,
+    ratingScale: score ? score.ratingScale : null,
+    answers: fields
+  };
+}
+
+/**
+ * Save a Flow submission as feedback
+ * @param {object} message - ChannelMessage of type form
+ * @returns {object|null} { feedback, campaign } - saved feedback and the campaign it was saved for,
+ *                        or null when the submission can't be read
+ */
+async function saveFlowResponse(message) {
+  let response;
+  try {
+    response = parseFlowResponse(message);
+  } catch (error) {
+    // Retrying won't fix a malformed submission
+    console.error(`❌ Invalid Flow response from ${message.from}:`, error.message);
+    return null;
+  }
+
+  const { flowToken, fields } = response;
+  const campaignKey = parseFlowToken(flowToken);
+  const campaign = await campaignService.getCampaign(campaignKey) || campaignService.DEFAULT_CAMPAIGN;
+
+  const feedback = await prismaService.saveFeedback({
+    userPhone: message.from,
+    ...mapFlowFields(fields),
+    campaignKey: campaign.key
+  });
+
+  const sseService = require('./sseService');
+  sseService.notifyNewFeedback(feedback);
+
+  console.log(`📋 Saved Flow submission from ${message.from} as feedback ${feedback.id} (campaign "${campaign.key}")`);
+  return { feedback, campaign };
+}
+
+module.exports = {
+  createFlowToken,
+  parseFlowToken,
+  isFlowResponse,
+  parseFlowResponse,
+  mapFlowFields,
+  saveFlowResponse
+};
@@ -1,13 +1,43 @@
 const axios = require('axios');
+const outboxService = require('./outboxService');
+const templateService = require('./templateService');
+const whatsappFlowService = require('./whatsappFlowService');
+const tenantService = require('./tenantService');
+const tenantContext = require('../utils/tenantContext');
+
+/**
+ * Create the error thrown for a failed send
+ * Keeps the Graph API details so the outbox can tell transient failures from permanent ones
+ * @param {string} message - Error message
+ * @param {Error} error - Original axios error
+ * @returns {Error} Error with code (Graph API error code), status (HTTP status) and isNetworkError
+ */
+function toSendError(message, error) {
+  const sendError = new Error(message);
+  sendError.code = error.response?.data?.error?.code;
+  sendError.status = error.response?.status;
+  sendError.isNetworkError = !error.response;
+  return sendError;
+}
 
 /**
  * WhatsApp Business API Service
  */
 class WhatsAppService {
-  constructor() {
-    this.accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
-    this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-    this.businessAccountId = process.env.WHATSAPP_BUSINESS_ACCOUNT_ID;
+  /**
+   * @param {object} credentials - Optional { accessToken, phoneNumberId, businessAccountId } of a
+   *                               tenant's number (defaults to the WHATSAPP_* environment variables)
+   */
+  constructor(credentials = null) {
+    const { accessToken, phoneNumberId, businessAccountId } = credentials || {
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      businessAccountId: process.env.WHATSAPP_BUSINESS_ACCOUNT_ID
+    };
+
+    this.accessToken = accessToken;
+    this.phoneNumberId = phoneNumberId;
+    this.businessAccountId = businessAccountId;
     this.apiVersion = process.env.WHATSAPP_API_VERSION || 'v18.0';
     this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
     
@@ -60,59 +90,35 @@ class WhatsAppService {
 
 
   /**
-   * Send interactive button message
+   * Post a message to the Graph API messages endpoint
+   * Logs the failure (and how to renew an expired access token) and throws a send error
+   * @param {object} payload - Message payload for the recipient
+   * @param {string} kind - What is sent, for the error message (e.g. "list message")
+   * @returns {string} ID of the sent message
    */
-  async sendButtonMessage(phoneNumber, text, buttons) {
+  async postMessage(payload, kind) {
     if (!this.accessToken || !this.phoneNumberId) {
       throw new Error('WhatsApp credentials not configured');
     }
 
     try {
       const url = `${this.baseUrl}/${this.phoneNumberId}/messages`;
-      
-      const payload = {
-        messaging_product: 'whatsapp',
-        to: phoneNumber,
-        type: 'interactive',
-        interactive: {
-          type: 'button',
-          body: {
-            text: text
-          },
-          action: {
-            buttons: buttons.map((button, index) => ({
-              type: 'reply',
-              reply: {
-                id: button.id || `btn_${index}`,
-                title: button.title
-              }
-            }))
-          }
-        }
-      };
 
-      const response = await axios.post(url, payload, {
+      const response = await axios.post(url, { messaging_product: 'whatsapp', ...payload }, {
         headers: {
           'Authorization': `Bearer ${this.accessToken}`,
           'Content-Type': 'application/json'
         }
       });
 
-      return {
-        success: true,
-        messageId: response.data.messages?.[0]?.id,
-        phoneNumber,
-        text,
-        buttons,
-        timestamp: new Date().toISOString()
-      };
+      return response.data.messages?.[0]?.id;
 
     } catch (error) {
       const errorData = error.response?.data?.error;
       const errorMessage = errorData?.message || error.message;
       const errorCode = errorData?.code;
       
-      console.error('❌ Error sending button message:', error.response?.data || error.message);
+      console.error(`❌ Error sending ${kind}:`, error.response?.data || error.message);
       
       // Handle specific WhatsApp API errors
       if (errorCode === 190) {
@@ -120,93 +126,306 @@ class WhatsAppService {
         console.error('📝 Get a new token from: https://developers.facebook.com/apps/your-app-id/whatsapp-business/wa-dev-console/');
       }
       
-      throw new Error(`Failed to send button message: ${errorMessage} (Code: ${errorCode})`);
+      throw toSendError(`Failed to send ${kind}: ${errorMessage} (Code: ${errorCode})`, error);
     }
   }
 
   /**
-   * Send simple text message
+   * Send interactive button message
    */
-  async sendTextMessage(phoneNumber, text) {
-    if (!this.accessToken || !this.phoneNumberId) {
-      throw new Error('WhatsApp credentials not configured');
-    }
+  async sendButtonMessage(phoneNumber, text, buttons) {
+    const messageId = await this.postMessage({
+      to: phoneNumber,
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        body: {
+          text: text
+        },
+        action: {
+          buttons: buttons.map((button, index) => ({
+            type: 'reply',
+            reply: {
+              id: button.id || `btn_${index}`,
+              title: button.title
+            }
+          }))
+        }
+      }
+    }, 'button message');
 
-    try {
-      const url = `${this.baseUrl}/${this.phoneNumberId}/messages`;
-      
-      const payload = {
-        messaging_product: 'whatsapp',
-        to: phoneNumber,
-        type: 'text',
-        text: {
-          body: text
+    return {
+      success: true,
+      messageId,
+      phoneNumber,
+      text,
+      buttons,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Send interactive list message
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} text - Message body
+   * @param {string} buttonText - Label of the button opening the list (max 20 characters)
+   * @param {array} sections - [{ title, rows: [{ id, title, description }] }] (max 10 rows in total)
+   */
+  async sendListMessage(phoneNumber, text, buttonText, sections) {
+    const messageId = await this.postMessage({
+      to: phoneNumber,
+      type: 'interactive',
+      interactive: {
+        type: 'list',
+        body: {
+          text: text
+        },
+        action: {
+          button: buttonText,
+          sections: sections.map(section => ({
+            title: section.title,
+            rows: section.rows.map(row => ({
+              id: row.id,
+              title: row.title,
+              ...(row.description ? { description: row.description } : {})
+            }))
+          }))
         }
-      };
+      }
+    }, 'list message');
 
-      const response = await axios.post(url, payload, {
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Content-Type': 'application/json'
+    return {
+      success: true,
+      messageId,
+      phoneNumber,
+      text,
+      sections,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Send interactive WhatsApp Flow message (a structured form opened from a button)
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} flowId - ID of the published Flow in WhatsApp Manager
+   * @param {string} text - Message body
+   * @param {object} options - { flowToken, cta (button label, max 20 characters), screen, data, mode (published|draft) }
+   */
+  async sendFlowMessage(phoneNumber, flowId, text, options = {}) {
+    const { flowToken, cta, screen, data, mode } = options;
+
+    const messageId = await this.postMessage({
+      to: phoneNumber,
+      type: 'interactive',
+      interactive: {
+        type: 'flow',
+        body: {
+          text: text
+        },
+        action: {
+          name: 'flow',
+          parameters: {
+            flow_message_version: '3',
+            flow_token: flowToken,
+            flow_id: flowId,
+            flow_cta: cta,
+            flow_action: 'navigate',
+            ...(mode === 'draft' ? { mode: 'draft' } : {}),
+            ...(screen ? { flow_action_payload: { screen, ...(data ? { data } : {}) } } : {})
+          }
         }
-      });
+      }
+    }, 'flow message');
 
-      return {
-        success: true,
-        messageId: response.data.messages?.[0]?.id,
-        phoneNumber,
-        text,
-        timestamp: new Date().toISOString()
-      };
+    return {
+      success: true,
+      messageId,
+      phoneNumber,
+      flowId,
+      flowToken,
+      timestamp: new Date().toISOString()
+    };
+  }
 
-    } catch (error) {
-      const errorData = error.response?.data?.error;
-      const errorMessage = errorData?.message || error.message;
-      const errorCode = errorData?.code;
-      
-      console.error('❌ Error sending text message:', error.response?.data || error.message);
-      
-      // Handle specific WhatsApp API errors
-      if (errorCode === 190) {
-        console.error('🔑 ACCESS TOKEN EXPIRED! Please update WHATSAPP_ACCESS_TOKEN in your .env file');
-        console.error('📝 Get a new token from: https://developers.facebook.com/apps/your-app-id/whatsapp-business/wa-dev-console/');
+  /**
+   * Send approved template (HSM) message
+   * Templates can be sent outside the 24-hour customer service window
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} templateName - Name of the approved template
+   * @param {string} languageCode - Template language (e.g. en, en_US)
+   * @param {array} components - Header, body and button parameter components
+   */
+  async sendTemplateMessage(phoneNumber, templateName, languageCode, components = []) {
+    const messageId = await this.postMessage({
+      to: phoneNumber,
+      type: 'template',
+      template: {
+        name: templateName,
+        language: {
+          code: languageCode
+        },
+        ...(components.length > 0 ? { components } : {})
       }
-      
-      throw new Error(`Failed to send text message: ${errorMessage} (Code: ${errorCode})`);
-    }
+    }, 'template message');
+
+    return {
+      success: true,
+      messageId,
+      phoneNumber,
+      templateName,
+      languageCode,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Send simple text message
+   */
+  async sendTextMessage(phoneNumber, text) {
+    const messageId = await this.postMessage({
+      to: phoneNumber,
+      type: 'text',
+      text: {
+        body: text
+      }
+    }, 'text message');
+
+    return {
+      success: true,
+      messageId,
+      phoneNumber,
+      text,
+      timestamp: new Date().toISOString()
+    };
   }
 }
 
 // Create service instance
 const whatsappService = new WhatsAppService();
 
+// Service instances of stored tenants, recreated when their credentials change
+const tenantServices = new Map();
+
+/**
+ * Get the service sending from a tenant's number
+ * @param {string} tenantKey - Tenant key (the default tenant when empty)
+ * @returns {WhatsAppService} Service using the tenant's credentials
+ * @throws {Error} When the tenant does not exist
+ */
+async function getWhatsAppService(tenantKey) {
+  if (!tenantKey || tenantKey === tenantService.DEFAULT_TENANT.key) {
+    return whatsappService;
+  }
+
+  const tenant = await tenantService.getTenant(tenantKey);
+  if (!tenant) {
+    throw new Error(`Tenant "${tenantKey}" not found`);
+  }
+
+  const cached = tenantServices.get(tenantKey);
+  if (cached && cached.accessToken === tenant.accessToken && cached.phoneNumberId === tenant.phoneNumberId) {
+    return cached;
+  }
 
+  const service = new WhatsAppService(tenant);
+  tenantServices.set(tenantKey, service);
+  return service;
+}
 
 /**
- * Send text message (exported function)
+ * Send a message stored in the outbox from the number of the tenant it belongs to
+ * Called by the WhatsApp channel adapter; text, button and list messages are queued
+ * through channelService, templates and Flows through the functions below
+ * @param {object} message - Outbox message record ({ tenantKey, userPhone, type, payload })
+ * @returns {object} Send result
  */
-async function sendTextMessage(phoneNumber, text) {
-  return await whatsappService.sendTextMessage(phoneNumber, text);
+async function deliverMessage(message) {
+  const { userPhone, type, payload } = message;
+  const service = await getWhatsAppService(message.tenantKey);
+
+  switch (type) {
+    case 'text':
+      return await service.sendTextMessage(userPhone, payload.text);
+    case 'button':
+      return await service.sendButtonMessage(userPhone, payload.text, payload.buttons);
+    case 'list':
+      return await service.sendListMessage(userPhone, payload.text, payload.buttonText, payload.sections);
+    case 'template':
+      return await service.sendTemplateMessage(userPhone, payload.name, payload.language, payload.components);
+    case 'flow':
+      return await service.sendFlowMessage(userPhone, payload.flowId, payload.text, payload);
+    default:
+      throw new Error(`Unsupported outbox message type: ${type}`);
+  }
 }
 
 /**
- * Send button message (exported function)
+ * Send WhatsApp Flow message (exported function)
+ * The flow_token names the campaign, so the submitted form is saved as that campaign's feedback
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} flowId - ID of the published Flow
+ * @param {string} text - Message body (defaults to "Please complete this form:")
+ * @param {object} options - { campaignKey, cta, screen, data, mode }
+ * @param {object} meta - Optional { sessionId, feedbackId } the message belongs to
  */
-async function sendButtonMessage(phoneNumber, text, buttons) {
-  return await whatsappService.sendButtonMessage(phoneNumber, text, buttons);
+async function sendFlowMessage(phoneNumber, flowId, text, options = {}, meta = {}) {
+  const body = text || 'Please complete this form:';
+  const { campaignKey, cta = 'Open form', screen, data, mode } = options;
+
+  return await outboxService.send(phoneNumber, {
+    type: 'flow',
+    body,
+    payload: {
+      text: body,
+      flowId,
+      flowToken: whatsappFlowService.createFlowToken(campaignKey),
+      cta,
+      screen,
+      data,
+      mode
+    }
+  }, meta);
+}
+
+/**
+ * Send approved template message (exported function)
+ * Validates the template against the local registry, then goes through the outbox
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {object} template - { name, language, components }
+ * @param {object} meta - Optional { sessionId, feedbackId } the message belongs to
+ * @throws {Error} With `validationErrors` when the template or its parameters are invalid
+ */
+async function sendTemplateMessage(phoneNumber, template, meta = {}) {
+  const { name, language, components = [] } = template;
+  const errors = templateService.validateTemplateMessage(name, language, components);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid template message: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return await outboxService.send(phoneNumber, {
+    type: 'template',
+    body: templateService.renderTemplate(name, language, components),
+    payload: { name, language, components }
+  }, meta);
 }
 
 /**
- * Test WhatsApp connection (exported function)
+ * Test the WhatsApp connection of the current tenant (exported function)
  */
 async function testWhatsAppConnection() {
-  return await whatsappService.testConnection();
+  const service = await getWhatsAppService(tenantContext.getTenantKey());
+  return await service.testConnection();
 }
 
 module.exports = {
   WhatsAppService,
-  sendTextMessage,
-  sendButtonMessage,
+  sendTemplateMessage,
+  sendFlowMessage,
+  deliverMessage,
+  getWhatsAppService,
   testWhatsAppConnection,
   whatsappService
 };
\ No newline at end of file
@@ -0,0 +1,23 @@
+-- Match modes and priorities for trigger_messages
+-- matchMode: exact | word | prefix | regex | fuzzy ("word" replaces the old substring match,
+-- so "hi" no longer fires on "this" or "which")
+-- priority: the highest priority wins when several triggers match a message
+-- maxTypos: typos a fuzzy trigger tolerates
+
+ALTER TABLE trigger_messages
+  ADD COLUMN IF NOT EXISTS "matchMode" text NOT NULL DEFAULT 'word',
+  ADD COLUMN IF NOT EXISTS "priority" integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS "maxTypos" integer NOT NULL DEFAULT 1;
+
+ALTER TABLE trigger_messages
+  DROP CONSTRAINT IF EXISTS trigger_messages_match_mode_check,
+  ADD CONSTRAINT trigger_messages_match_mode_check
+    CHECK ("matchMode" IN ('exact', 'word', 'prefix', 'regex', 'fuzzy'));
+
+ALTER TABLE trigger_messages
+  DROP CONSTRAINT IF EXISTS trigger_messages_max_typos_check,
+  ADD CONSTRAINT trigger_messages_max_typos_check
+    CHECK ("maxTypos" BETWEEN 0 AND 3);
+
+CREATE INDEX IF NOT EXISTS trigger_messages_active_priority_idx
+  ON trigger_messages ("isActive", "priority" DESC);
@@ -0,0 +1,18 @@
+-- Tenants for trigger_messages
+-- tenantKey: tenant (client WhatsApp number) the trigger belongs to; existing triggers
+-- belong to the default tenant configured in the environment
+-- Keywords only have to be unique within a tenant
+
+ALTER TABLE trigger_messages
+  ADD COLUMN IF NOT EXISTS "tenantKey" text NOT NULL DEFAULT 'default';
+
+ALTER TABLE trigger_messages
+  DROP CONSTRAINT IF EXISTS trigger_messages_keyword_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS trigger_messages_tenant_keyword_key
+  ON trigger_messages ("tenantKey", keyword);
+
+DROP INDEX IF EXISTS trigger_messages_active_priority_idx;
+
+CREATE INDEX IF NOT EXISTS trigger_messages_tenant_active_priority_idx
+  ON trigger_messages ("tenantKey", "isActive", "priority" DESC);
@@ -0,0 +1,74 @@
+/**
+ * CSV Parsing Utility
+ * Parses contact lists uploaded for broadcasts (RFC 4180: quoted fields,
+ * escaped quotes, commas and line breaks inside quotes, CRLF line endings)
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {array} Rows, each an array of field strings (blank lines are skipped)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into records
+ * @param {string} text - CSV text
+ * @returns {object} { headers, records } - records map each header (trimmed, lowercased) to its field
+ */
+function parseCsv(text) {
+  const [headerRow = [], ...rows] = parseCsvRows(text);
+  const headers = headerRow.map(header => header.trim().toLowerCase());
+
+  const records = rows.map(fields => Object.fromEntries(
+    headers.map((header, index) => [header, (fields[index] || '').trim()])
+  ));
+
+  return { headers, records };
+}
+
+module.exports = {
+  parseCsvRows,
+  parseCsv
+};
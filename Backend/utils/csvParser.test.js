@@ -0,0 +1,56 @@
+/**
+ * Tests for the CSV Parsing Utility
+ * Quoting, line endings and header mapping of imported contact lists
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsvRows, parseCsv } = require('./csvParser');
+
+describe('parseCsvRows', () => {
+  test('splits rows and fields', () => {
+    assert.deepEqual(parseCsvRows('a,b,c\n1,2,3'), [['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  test('handles quoted fields with commas, escaped quotes and line breaks', () => {
+    const text = 'name,note\n"Doe, Jane","She said ""hi""\nthen left"';
+
+    assert.deepEqual(parseCsvRows(text), [
+      ['name', 'note'],
+      ['Doe, Jane', 'She said "hi"\nthen left']
+    ]);
+  });
+
+  test('accepts CRLF and CR line endings', () => {
+    assert.deepEqual(parseCsvRows('a,b\r\n1,2\r3,4\r\n'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  test('keeps empty fields but skips blank lines', () => {
+    assert.deepEqual(parseCsvRows('a,,c\n\n , \n1,2,'), [['a', '', 'c'], ['1', '2', '']]);
+  });
+
+  test('strips the byte order mark Excel adds', () => {
+    assert.deepEqual(parseCsvRows('\uFEFFphone\n123'), [['phone'], ['123']]);
+  });
+
+  test('returns no rows for empty input', () => {
+    assert.deepEqual(parseCsvRows(''), []);
+    assert.deepEqual(parseCsvRows(undefined), []);
+  });
+});
+
+describe('parseCsv', () => {
+  test('maps each row to the trimmed, lowercased headers', () => {
+    const { headers, records } = parseCsv(' Phone ,Name\n+49 151 1234567 , Jane \n15550001111');
+
+    assert.deepEqual(headers, ['phone', 'name']);
+    assert.deepEqual(records, [
+      { phone: '+49 151 1234567', name: 'Jane' },
+      { phone: '15550001111', name: '' }
+    ]);
+  });
+
+  test('returns no headers or records for empty input', () => {
+    assert.deepEqual(parseCsv(''), { headers: [], records: [] });
+  });
+});
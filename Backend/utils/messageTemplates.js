@@ -9,11 +9,19 @@ const messageTemplates = {
   
   nameReceived: (name) => `Nice to meet you, ${name}! Are you ready to share your selfie? (Yes/No)`,
   
+  askProfilePicture: (name) => `Nice to meet you, ${name}! Are you ready to share your profile picture?`,
+  
   profilePictureYes: "Got it! Finally, please send your Selfie 📸.",
   
-  profilePictureNo: (name) => `Thank You ${name}! Please share your feedback or review.`,
+  profilePictureNo: (name) => `Thank You ${name}! Please share your feedback or review. You can type it or send a voice note 🎤.`,
+  
+  profilePictureReceived: "Thanks! Now please share your feedback 💬. You can type it or send a voice note 🎤.",
+  
+  askRating: "⭐ How would you rate your experience from 1 (poor) to 5 (excellent)?",
   
-  profilePictureReceived: "Thanks! Now please share your feedback 💬.",
+  askNps: "How likely are you to recommend us to a friend? Reply with a number from 0 (not likely) to 10 (very likely).",
+  
+  ratingListButton: "Choose a score",
   
   completed: (name) => `✅ Thank you, ${name}! Your feedback has been received successfully.`,
   
@@ -22,8 +30,41 @@ const messageTemplates = {
   
   needImage: "Please send an image for your selfie 📸",
   
+  needTextOrAudio: "Please send your feedback as a text message or a voice note 🎤.",
+  
+  needRating: "Please pick a score from the list or reply with a number.",
+  
+  needChoice: "Please click one of the buttons or reply with one of the options.",
+  
+  invalidInput: "Sorry, that doesn't look right. Please try again.",
+  
+  // Navigation command confirmations
+  commandBack: "↩️ No problem, let's go back to the previous question.",
+  
+  commandBackUnavailable: "You're already at the first question.",
+  
+  commandRestart: "🔄 Starting over from the beginning.",
+  
+  commandSkip: "⏭️ Skipped.",
+  
+  commandSkipUnavailable: "This question can't be skipped. Reply \"cancel\" to stop.",
+  
+  commandCancel: "❌ Your feedback session has been cancelled. Send 'share your thoughts' any time to start again.",
+  
+  // Reminders sent when a session stalls at a step
+  stepReminder: "⏰ Just a friendly reminder, we'd still love to hear from you!",
+  
+  selfieReminder: "📸 Still there? Send your selfie whenever you're ready, or reply \"skip\" to continue without one.",
+  
+  selfieReminderFinal: "📸 Last reminder: we're still waiting for your selfie. Reply \"skip\" to go straight to your feedback.",
+  
+  // Human handoff
+  handoffStarted: "🙋 Thanks! A member of our team will reply here shortly.",
+  
+  handoffEnded: "✅ Thanks for chatting with our team! You're back with our automated assistant.",
+  
   // System messages
-  sessionExpired: "Your session has expired. Let's start fresh! 👋 Hello! Thanks for contacting us. May I know your name?",
+  sessionExpired: "⏰ Your feedback session has expired because we didn't hear back from you. Send the keyword again whenever you'd like to start over. 👋",
   
   systemError: "Sorry, something went wrong. Please try again by sending 'share your thoughts'."
 };
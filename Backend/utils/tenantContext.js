@@ -0,0 +1,47 @@
+/**
+ * Tenant Context Utility
+ * Remembers which tenant (client WhatsApp number) the current webhook, API request
+ * or worker job is for, across the awaits it makes. Database queries of tenant data
+ * are scoped to this tenant; code running outside a tenant sees every tenant.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Tenant using the WHATSAPP_* credentials from the environment
+const DEFAULT_TENANT_KEY = 'default';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function for a tenant
+ * @param {string} tenantKey - Tenant key
+ * @param {function} fn - Function to run; everything it awaits belongs to the tenant
+ * @returns {*} Return value of fn
+ */
+function run(tenantKey, fn) {
+  return storage.run({ tenantKey: tenantKey || DEFAULT_TENANT_KEY }, fn);
+}
+
+/**
+ * Get the tenant the current code runs for
+ * @returns {string|null} Tenant key, or null outside a tenant (e.g. in a worker loop)
+ */
+function getScopedTenantKey() {
+  const store = storage.getStore();
+  return store ? store.tenantKey : null;
+}
+
+/**
+ * Get the tenant the current code runs for, falling back to the default tenant
+ * @returns {string} Tenant key
+ */
+function getTenantKey() {
+  return getScopedTenantKey() || DEFAULT_TENANT_KEY;
+}
+
+module.exports = {
+  DEFAULT_TENANT_KEY,
+  run,
+  getScopedTenantKey,
+  getTenantKey
+};
@@ -0,0 +1,68 @@
+/**
+ * Tenant Scope Utility
+ * Prisma query extension that limits queries on tenant data to the tenant of the
+ * current request or job (see tenantContext), used by the Prisma service
+ */
+
+const tenantContext = require('./tenantContext');
+
+// Models holding tenant data - queries on them only see the current tenant's records
+const TENANT_MODELS = [
+  'Feedback',
+  'ConversationSession',
+  'Message',
+  'Handoff',
+  'MediaUpload',
+  'ConversationFlow',
+  'Campaign',
+  'Broadcast',
+  'BroadcastRecipient',
+  'TriggerMatch',
+  'AuditLog'
+];
+
+/**
+ * Limit the arguments of a query to a tenant
+ * Filters get the tenant added to their where, and new records get its key
+ * @param {string} operation - Prisma operation (findMany, create, upsert...)
+ * @param {object} args - Operation arguments
+ * @param {string} tenantKey - Tenant key
+ * @returns {object} Scoped arguments
+ */
+function scopeToTenant(operation, args = {}, tenantKey) {
+  switch (operation) {
+    case 'create':
+      return { ...args, data: { ...args.data, tenantKey } };
+    case 'createMany':
+    case 'createManyAndReturn':
+      return { ...args, data: [].concat(args.data).map(data => ({ ...data, tenantKey })) };
+    case 'upsert':
+      return { ...args, where: { ...args.where, tenantKey }, create: { ...args.create, tenantKey } };
+    default:
+      return { ...args, where: { ...args.where, tenantKey } };
+  }
+}
+
+// Passed to PrismaClient.$extends
+const tenantScopeExtension = {
+  query: {
+    $allModels: {
+      async $allOperations({ model, operation, args, query }) {
+        const tenantKey = tenantContext.getScopedTenantKey();
+
+        // Workers run outside a tenant and handle the records of every tenant
+        if (!tenantKey || !TENANT_MODELS.includes(model)) {
+          return query(args);
+        }
+
+        return query(scopeToTenant(operation, args, tenantKey));
+      }
+    }
+  }
+};
+
+module.exports = {
+  TENANT_MODELS,
+  scopeToTenant,
+  tenantScopeExtension
+};
@@ -0,0 +1,74 @@
+/**
+ * Tests for the Tenant Scope Utility
+ * Which queries the Prisma extension scopes, and how each operation gets the tenant
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const tenantContext = require('./tenantContext');
+const { scopeToTenant, tenantScopeExtension } = require('./tenantScope');
+
+const { $allOperations } = tenantScopeExtension.query.$allModels;
+
+/**
+ * Run a query through the extension and return the arguments it reaches Prisma with
+ */
+function runQuery(model, operation, args) {
+  return $allOperations({ model, operation, args, query: async scopedArgs => scopedArgs });
+}
+
+describe('tenantScopeExtension', () => {
+  test('scopes queries on tenant data to the tenant of the request', async () => {
+    const args = await tenantContext.run('acme', () => runQuery('Feedback', 'findMany', { where: { source: 'web' } }));
+
+    assert.deepEqual(args, { where: { source: 'web', tenantKey: 'acme' } });
+  });
+
+  test('keeps concurrent requests of different tenants apart', async () => {
+    const [acme, globex] = await Promise.all([
+      tenantContext.run('acme', () => runQuery('Handoff', 'count', {})),
+      tenantContext.run('globex', () => runQuery('Handoff', 'count', {}))
+    ]);
+
+    assert.equal(acme.where.tenantKey, 'acme');
+    assert.equal(globex.where.tenantKey, 'globex');
+  });
+
+  test('leaves models shared by every tenant alone', async () => {
+    const args = { where: { email: 'admin@example.com' } };
+
+    assert.deepEqual(await tenantContext.run('acme', () => runQuery('AdminUser', 'findUnique', args)), args);
+  });
+
+  test('leaves queries outside a tenant alone, so workers see every tenant', async () => {
+    const args = { where: { status: 'queued' } };
+
+    assert.deepEqual(await runQuery('BroadcastRecipient', 'findMany', args), args);
+  });
+});
+
+describe('scopeToTenant', () => {
+  test('adds the tenant key to created records', () => {
+    assert.deepEqual(scopeToTenant('create', { data: { name: 'Ada' } }, 'acme'), { data: { name: 'Ada', tenantKey: 'acme' } });
+    assert.deepEqual(scopeToTenant('createMany', { data: [{ name: 'Ada' }, { name: 'Bo' }] }, 'acme').data, [
+      { name: 'Ada', tenantKey: 'acme' },
+      { name: 'Bo', tenantKey: 'acme' }
+    ]);
+  });
+
+  test('matches upserts within the tenant and creates them for it', () => {
+    const args = { where: { id: 7 }, create: { name: 'Ada' }, update: { name: 'Ada L.' } };
+
+    assert.deepEqual(scopeToTenant('upsert', args, 'acme'), {
+      where: { id: 7, tenantKey: 'acme' },
+      create: { name: 'Ada', tenantKey: 'acme' },
+      update: { name: 'Ada L.' }
+    });
+  });
+
+  test('filters reads, updates and deletes, even without a where', () => {
+    for (const operation of ['findFirst', 'updateMany', 'delete', 'count']) {
+      assert.deepEqual(scopeToTenant(operation, undefined, 'acme'), { where: { tenantKey: 'acme' } }, operation);
+    }
+  });
+});
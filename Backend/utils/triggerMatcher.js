@@ -0,0 +1,225 @@
+/**
+ * Trigger Matching Utility
+ * Decides whether a message hits a trigger keyword, using the trigger's match mode,
+ * and picks the winning trigger when several match
+ */
+
+// How a trigger keyword is compared with a message
+const MATCH_MODES = {
+  exact: 'The whole message is the keyword',
+  word: 'The keyword appears as whole words ("hi" matches "hi there", not "this")',
+  prefix: 'The message starts with the keyword',
+  regex: 'The keyword is a case-insensitive regular expression',
+  fuzzy: 'The message or some of its words are the keyword with up to maxTypos typos'
+};
+
+const DEFAULT_MATCH_MODE = 'word';
+const DEFAULT_MAX_TYPOS = 1;
+const MAX_TYPOS_LIMIT = 3;
+
+/**
+ * Normalize message text or a keyword for comparison
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercased text with collapsed whitespace
+ */
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a keyword for storage (regular expressions are kept as written)
+ * Campaign keywords are stored the same way, so a trigger's keyword finds its campaign
+ * @param {string} keyword - Trigger or campaign keyword
+ * @param {string} matchMode - Match mode of the trigger (campaign keywords are compared without one)
+ * @returns {string} Keyword as stored
+ */
+function normalizeKeyword(keyword, matchMode) {
+  return matchMode === 'regex' ? keyword.trim() : keyword.toLowerCase().trim();
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile the regular expression of a regex trigger
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp|null} Case-insensitive expression or null if the pattern is invalid
+ */
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'iu');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Count the edits (insertions, deletions, substitutions) turning one string into another
+ * Stops early once the distance is known to exceed the limit
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Check whether a message contains the keyword with at most maxTypos typos
+ * The keyword is compared with the whole message and with every run of as many words as it has
+ */
+function fuzzyMatches(message, keyword, maxTypos) {
+  const stripPunctuation = text => text.replace(/[^\p{L}\p{N}\s]/gu, '').trim();
+  const cleanMessage = stripPunctuation(message);
+  const cleanKeyword = stripPunctuation(keyword);
+
+  if (!cleanKeyword) {
+    return false;
+  }
+
+  if (editDistance(cleanMessage, cleanKeyword, maxTypos) <= maxTypos) {
+    return true;
+  }
+
+  const words = cleanMessage.split(' ');
+  const size = cleanKeyword.split(' ').length;
+
+  for (let start = 0; start + size <= words.length; start++) {
+    if (editDistance(words.slice(start, start + size).join(' '), cleanKeyword, maxTypos) <= maxTypos) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a message hits a trigger
+ * @param {object} trigger - Trigger with keyword, matchMode and maxTypos
+ * @param {string} messageText - Message text
+ * @returns {boolean} True if the trigger matches
+ */
+function matchesTrigger(trigger, messageText) {
+  const message = normalizeText(messageText);
+  const mode = trigger.matchMode || DEFAULT_MATCH_MODE;
+
+  if (mode === 'regex') {
+    const pattern = compilePattern(trigger.keyword);
+    return !!pattern && pattern.test(message);
+  }
+
+  const keyword = normalizeText(trigger.keyword);
+  if (!message || !keyword) {
+    return false;
+  }
+
+  switch (mode) {
+    case 'exact':
+      return message === keyword;
+    case 'prefix':
+      return message.startsWith(keyword);
+    case 'fuzzy':
+      return fuzzyMatches(message, keyword, trigger.maxTypos ?? DEFAULT_MAX_TYPOS);
+    case 'word':
+    default:
+      // Letters and digits around the keyword mean it is part of another word
+      return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword)}($|[^\\p{L}\\p{N}])`, 'u').test(message);
+  }
+}
+
+/**
+ * Order triggers by precedence: higher priority first, then longer (more specific) keywords,
+ * then the oldest trigger
+ * @param {array} triggers - Triggers
+ * @returns {array} New array in precedence order
+ */
+function sortByPrecedence(triggers) {
+  return [...triggers].sort((a, b) =>
+    (b.priority || 0) - (a.priority || 0) ||
+    b.keyword.length - a.keyword.length ||
+    new Date(a.createdAt) - new Date(b.createdAt)
+  );
+}
+
+/**
+ * Evaluate every trigger against a message
+ * @param {array} triggers - Triggers to evaluate
+ * @param {string} messageText - Message text
+ * @returns {object} { match, candidates } - the winning trigger (or null) and every trigger
+ *                   in precedence order with whether it matched
+ */
+function evaluateTriggers(triggers, messageText) {
+  const candidates = sortByPrecedence(triggers).map(trigger => ({
+    trigger,
+    matched: matchesTrigger(trigger, messageText)
+  }));
+  const winner = candidates.find(candidate => candidate.matched);
+
+  return {
+    match: winner ? winner.trigger : null,
+    candidates
+  };
+}
+
+/**
+ * Validate the matching settings of a trigger
+ * @param {object} triggerData - { keyword, matchMode, priority, maxTypos }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateMatchSettings(triggerData) {
+  const errors = [];
+  const { keyword, matchMode, priority, maxTypos } = triggerData;
+
+  if (matchMode !== undefined && !MATCH_MODES[matchMode]) {
+    errors.push(`matchMode must be one of ${Object.keys(MATCH_MODES).join(', ')}`);
+  }
+  if (matchMode === 'regex' && typeof keyword === 'string' && !compilePattern(keyword)) {
+    errors.push('keyword is not a valid regular expression');
+  }
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    errors.push('priority must be a whole number');
+  }
+  if (maxTypos !== undefined && !(Number.isInteger(maxTypos) && maxTypos >= 0 && maxTypos <= MAX_TYPOS_LIMIT)) {
+    errors.push(`maxTypos must be a whole number from 0 to ${MAX_TYPOS_LIMIT}`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  MATCH_MODES,
+  DEFAULT_MATCH_MODE,
+  DEFAULT_MAX_TYPOS,
+  normalizeText,
+  normalizeKeyword,
+  matchesTrigger,
+  sortByPrecedence,
+  evaluateTriggers,
+  validateMatchSettings
+};
@@ -0,0 +1,122 @@
+/**
+ * Tests for the Trigger Matching Utility
+ * Each match mode, and which trigger wins when several match
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeKeyword,
+  matchesTrigger,
+  sortByPrecedence,
+  evaluateTriggers,
+  validateMatchSettings
+} = require('./triggerMatcher');
+
+describe('matchesTrigger', () => {
+  test('exact mode needs the whole message, ignoring case and spacing', () => {
+    const trigger = { keyword: 'start feedback', matchMode: 'exact' };
+
+    assert.equal(matchesTrigger(trigger, '  Start   FEEDBACK '), true);
+    assert.equal(matchesTrigger(trigger, 'start feedback now'), false);
+  });
+
+  test('word mode, the default, needs the keyword as whole words', () => {
+    const hi = { keyword: 'hi' };
+
+    assert.equal(matchesTrigger(hi, 'Hi there!'), true);
+    assert.equal(matchesTrigger(hi, 'well, hi.'), true);
+    assert.equal(matchesTrigger(hi, 'this'), false);
+    assert.equal(matchesTrigger(hi, 'hi2'), false);
+    assert.equal(matchesTrigger({ keyword: 'c++', matchMode: 'word' }, 'I love c++ code'), true);
+  });
+
+  test('prefix mode needs the message to start with the keyword', () => {
+    const trigger = { keyword: 'feedback', matchMode: 'prefix' };
+
+    assert.equal(matchesTrigger(trigger, 'Feedback for store 12'), true);
+    assert.equal(matchesTrigger(trigger, 'my feedback'), false);
+  });
+
+  test('regex mode tests the keyword as a case-insensitive expression', () => {
+    const trigger = { keyword: '^order\\s*#?\\d+$', matchMode: 'regex' };
+
+    assert.equal(matchesTrigger(trigger, 'ORDER #123'), true);
+    assert.equal(matchesTrigger(trigger, 'my order 123'), false);
+    assert.equal(matchesTrigger({ keyword: '(', matchMode: 'regex' }, 'anything'), false);
+  });
+
+  test('fuzzy mode allows up to maxTypos typos in the message or a run of its words', () => {
+    const trigger = { keyword: 'feedback', matchMode: 'fuzzy' };
+
+    assert.equal(matchesTrigger(trigger, 'feedbak'), true);
+    assert.equal(matchesTrigger(trigger, 'I want to give fedback!'), true);
+    assert.equal(matchesTrigger(trigger, 'fedbak'), false);
+    assert.equal(matchesTrigger({ ...trigger, maxTypos: 2 }, 'fedbak'), true);
+    assert.equal(matchesTrigger({ ...trigger, maxTypos: 0 }, 'feedbak'), false);
+  });
+
+  test('never matches an empty message or keyword', () => {
+    assert.equal(matchesTrigger({ keyword: 'hi' }, '   '), false);
+    assert.equal(matchesTrigger({ keyword: '' }, 'hi'), false);
+    assert.equal(matchesTrigger({ keyword: '!!', matchMode: 'fuzzy' }, 'hello'), false);
+  });
+});
+
+describe('precedence', () => {
+  const triggers = [
+    { id: 'hello', keyword: 'hello', createdAt: '2024-03-01T00:00:00Z' },
+    { id: 'hi-old', keyword: 'hi', createdAt: '2024-01-01T00:00:00Z' },
+    { id: 'hello-there', keyword: 'hello there', createdAt: '2024-02-01T00:00:00Z' },
+    { id: 'hi-new', keyword: 'hi', createdAt: '2024-04-01T00:00:00Z' },
+    { id: 'urgent', keyword: 'hello', priority: 5, createdAt: '2024-05-01T00:00:00Z' }
+  ];
+
+  test('orders by priority, then keyword length, then age', () => {
+    assert.deepEqual(sortByPrecedence(triggers).map(trigger => trigger.id), [
+      'urgent',
+      'hello-there',
+      'hello',
+      'hi-old',
+      'hi-new'
+    ]);
+  });
+
+  test('picks the first matching trigger in that order', () => {
+    assert.equal(evaluateTriggers(triggers, 'hello there').match.id, 'urgent');
+    assert.equal(evaluateTriggers(triggers.slice(0, 4), 'hello there').match.id, 'hello-there');
+    assert.equal(evaluateTriggers(triggers, 'hi').match.id, 'hi-old');
+  });
+
+  test('lists every candidate with whether it matched', () => {
+    const { match, candidates } = evaluateTriggers(triggers, 'nothing here');
+
+    assert.equal(match, null);
+    assert.equal(candidates.length, triggers.length);
+    assert.ok(candidates.every(candidate => candidate.matched === false));
+  });
+});
+
+describe('validateMatchSettings', () => {
+  test('accepts valid settings and leaves unset ones alone', () => {
+    assert.deepEqual(validateMatchSettings({ keyword: 'hi' }), []);
+    assert.deepEqual(validateMatchSettings({ keyword: '^hi$', matchMode: 'regex', priority: -2, maxTypos: 3 }), []);
+  });
+
+  test('rejects unknown modes, invalid expressions, priorities and typo limits', () => {
+    assert.deepEqual(validateMatchSettings({ keyword: 'hi', matchMode: 'contains', priority: 1.5, maxTypos: 4 }), [
+      'matchMode must be one of exact, word, prefix, regex, fuzzy',
+      'priority must be a whole number',
+      'maxTypos must be a whole number from 0 to 3'
+    ]);
+    assert.deepEqual(validateMatchSettings({ keyword: '(', matchMode: 'regex' }), ['keyword is not a valid regular expression']);
+  });
+});
+
+describe('normalizeKeyword', () => {
+  test('lowercases and trims keywords but keeps regular expressions as written', () => {
+    assert.equal(normalizeKeyword('  Start Feedback ', 'word'), 'start feedback');
+    assert.equal(normalizeKeyword('  Start Feedback '), 'start feedback');
+    assert.equal(normalizeKeyword(' ^Order\\D+$ ', 'regex'), '^Order\\D+$');
+  });
+});
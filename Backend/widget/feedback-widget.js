@@ -0,0 +1,176 @@
+/**
+ * Embeddable Web Feedback Widget
+ * Collects name, an optional photo and feedback in the browser and sends them to
+ * POST /api/public/feedback, next to the feedback collected over WhatsApp.
+ *
+ * <script src="https://your-backend/widget.js" async
+ *   data-campaign="summit"          optional campaign key (default campaign otherwise)
+ *   data-tenant="acme"              optional tenant key (default tenant otherwise)
+ *   data-target="#feedback"         optional element to render into (floating button otherwise)
+ *   data-title="Share your feedback"></script>
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script) {
+    return;
+  }
+
+  var options = {
+    api: script.getAttribute('data-api') || new URL(script.src).origin,
+    campaign: script.getAttribute('data-campaign') || undefined,
+    tenant: script.getAttribute('data-tenant') || null,
+    target: script.getAttribute('data-target'),
+    title: script.getAttribute('data-title') || 'Share your feedback'
+  };
+
+  // Photos are scaled down before upload to stay well below the 5 MB limit
+  var MAX_PHOTO_SIZE = 1280;
+
+  var STYLES = [
+    ':host { all: initial; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; }',
+    '.launcher { position: fixed; right: 20px; bottom: 20px; z-index: 2147483000; border: 0; border-radius: 999px;',
+    '  padding: 12px 18px; background: #2563eb; color: #fff; font-size: 15px; font-weight: 600; cursor: pointer;',
+    '  box-shadow: 0 6px 20px rgba(0,0,0,0.2); }',
+    '.panel { box-sizing: border-box; width: 100%; max-width: 360px; padding: 20px; border-radius: 12px;',
+    '  background: #fff; color: #111827; box-shadow: 0 10px 30px rgba(0,0,0,0.15); }',
+    '.panel.floating { position: fixed; right: 20px; bottom: 76px; z-index: 2147483000; }',
+    '.panel[hidden] { display: none; }',
+    'h2 { margin: 0 0 14px; font-size: 18px; }',
+    'label { display: block; margin: 0 0 12px; font-size: 13px; font-weight: 600; color: #374151; }',
+    'input, textarea { box-sizing: border-box; display: block; width: 100%; margin-top: 4px; padding: 8px 10px;',
+    '  border: 1px solid #d1d5db; border-radius: 8px; font: inherit; font-weight: 400; color: #111827; }',
+    'textarea { min-height: 90px; resize: vertical; }',
+    'button[type=submit] { width: 100%; border: 0; border-radius: 8px; padding: 10px; background: #2563eb;',
+    '  color: #fff; font-size: 15px; font-weight: 600; cursor: pointer; }',
+    'button[disabled] { opacity: 0.6; cursor: default; }',
+    '.error { margin: 0 0 12px; font-size: 13px; color: #b91c1c; }',
+    '.thanks { margin: 0; font-size: 15px; }'
+  ].join('\n');
+
+  /**
+   * Read a picked photo as a JPEG data URL, scaled down to MAX_PHOTO_SIZE
+   */
+  function readPhoto(file) {
+    return new Promise(function (resolve, reject) {
+      var reader = new FileReader();
+      reader.onerror = function () { reject(new Error('The photo could not be read')); };
+      reader.onload = function () {
+        var image = new Image();
+        image.onerror = function () { reject(new Error('The photo could not be read')); };
+        image.onload = function () {
+          var scale = Math.min(1, MAX_PHOTO_SIZE / Math.max(image.width, image.height));
+          var canvas = document.createElement('canvas');
+          canvas.width = Math.round(image.width * scale);
+          canvas.height = Math.round(image.height * scale);
+          canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+          resolve(canvas.toDataURL('image/jpeg', 0.85));
+        };
+        image.src = reader.result;
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Send a submission to the public feedback endpoint
+   */
+  function submitFeedback(submission) {
+    var headers = { 'Content-Type': 'application/json' };
+    if (options.tenant) {
+      headers['X-Tenant-Key'] = options.tenant;
+    }
+
+    return fetch(options.api + '/api/public/feedback', {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(submission)
+    }).then(function (response) {
+      return response.json().then(function (result) {
+        if (!response.ok || !result.success) {
+          throw new Error((result.details && result.details[0]) || result.error || 'Something went wrong, please try again');
+        }
+        return result;
+      });
+    });
+  }
+
+  function render() {
+    var host = document.createElement('div');
+    var root = host.attachShadow({ mode: 'open' });
+    var container = options.target ? document.querySelector(options.target) : document.body;
+
+    if (!container) {
+      console.warn('Feedback widget: target ' + options.target + ' not found');
+      return;
+    }
+
+    var style = document.createElement('style');
+    style.textContent = STYLES;
+    root.appendChild(style);
+
+    var panel = document.createElement('form');
+    panel.className = 'panel' + (options.target ? '' : ' floating');
+    panel.innerHTML =
+      '<h2></h2>' +
+      '<label>Name<input name="name" maxlength="100" required autocomplete="name"></label>' +
+      '<label>Photo (optional)<input name="photo" type="file" accept="image/*"></label>' +
+      '<label>Feedback<textarea name="feedback" maxlength="2000" required></textarea></label>' +
+      '<p class="error" hidden></p>' +
+      '<button type="submit">Send feedback</button>';
+    panel.querySelector('h2').textContent = options.title;
+    root.appendChild(panel);
+
+    if (!options.target) {
+      var launcher = document.createElement('button');
+      launcher.type = 'button';
+      launcher.className = 'launcher';
+      launcher.textContent = options.title;
+      panel.hidden = true;
+      launcher.addEventListener('click', function () {
+        panel.hidden = !panel.hidden;
+      });
+      root.appendChild(launcher);
+    }
+
+    var error = panel.querySelector('.error');
+    var submitButton = panel.querySelector('button[type=submit]');
+
+    panel.addEventListener('submit', function (event) {
+      event.preventDefault();
+      error.hidden = true;
+      submitButton.disabled = true;
+
+      var file = panel.elements.photo.files[0];
+      var photo = file ? readPhoto(file) : Promise.resolve(undefined);
+
+      photo
+        .then(function (photoDataUrl) {
+          return submitFeedback({
+            name: panel.elements.name.value,
+            feedback: panel.elements.feedback.value,
+            photo: photoDataUrl,
+            campaignKey: options.campaign
+          });
+        })
+        .then(function (result) {
+          var thanks = document.createElement('p');
+          thanks.className = 'thanks';
+          thanks.textContent = result.message;
+          panel.replaceChildren(thanks);
+        })
+        .catch(function (submitError) {
+          error.textContent = submitError.message;
+          error.hidden = false;
+          submitButton.disabled = false;
+        });
+    });
+
+    container.appendChild(host);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', render);
+  } else {
+    render();
+  }
+})();
@@ -1,10 +1,24 @@
+import { useState } from 'react'
 import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom'
 import View from './Components/View'
 import AdminDashboard from './Components/AdminDashboard'
+import HandoffInbox from './Components/HandoffInbox'
+import TriggerManager from './Components/TriggerManager'
+import AuditLog from './Components/AuditLog'
+import Login from './Components/Login'
+import RequireAuth from './Components/RequireAuth'
+import { getAuthUser, logout } from './config/auth'
 import './App.css'
 
 // Home component
 const Home = () => {
+  const [user, setUser] = useState(getAuthUser)
+
+  const handleLogout = () => {
+    logout()
+    setUser(null)
+  }
+
   return (
     <div className="home-container">
       <h1>3D Photo Gallery Application</h1>
@@ -15,9 +29,26 @@ const Home = () => {
         <Link to="/admin" className="nav-button admin-button">
           ⚙️ Admin Dashboard
         </Link>
+        <Link to="/handoffs" className="nav-button handoff-button">
+          🙋 Handoff Inbox
+        </Link>
+        <Link to="/triggers" className="nav-button triggers-button">
+          🔑 Triggers
+        </Link>
+        <Link to="/audit" className="nav-button audit-button">
+          📜 Audit Log
+        </Link>
       </div>
       <div className="back-button-container">
         <p>Select an option above to continue</p>
+        {user && (
+          <p>
+            Logged in as {user.email} ({user.role}) ·{' '}
+            <button type="button" className="logout-button" onClick={handleLogout}>
+              Log out
+            </button>
+          </p>
+        )}
       </div>
     </div>
   )
@@ -29,8 +60,12 @@ function App() {
       <Router>
         <Routes>
           <Route path="/" element={<Home />} />
+          <Route path="/login" element={<Login />} />
           <Route path="/gallery" element={<View />} />
-          <Route path="/admin" element={<AdminDashboard />} />
+          <Route path="/admin" element={<RequireAuth><AdminDashboard /></RequireAuth>} />
+          <Route path="/handoffs" element={<RequireAuth><HandoffInbox /></RequireAuth>} />
+          <Route path="/triggers" element={<RequireAuth><TriggerManager /></RequireAuth>} />
+          <Route path="/audit" element={<RequireAuth><AuditLog /></RequireAuth>} />
         </Routes>
       </Router>
     </div>
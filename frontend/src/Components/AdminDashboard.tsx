@@ -9,38 +9,119 @@ interface Participant {
   profileImageUrl?: string;
   whatsappImageId?: string;
   imageStoragePath?: string;
+  audioUrl?: string | null;
+  audioTranscript?: string | null;
   sessionDuration?: number;
+  rating?: number | null;
+  ratingScale?: number | null;
+  campaignKey?: string | null;
+  source?: string;
   createdAt: string;
   updatedAt: string;
 }
 
+interface Campaign {
+  key: string;
+  name: string;
+  triggerKeyword: string;
+  isActive: boolean;
+}
+
+interface RatingStats {
+  scale: number;
+  count: number;
+  average: number;
+  distribution: Record<string, number>;
+}
+
+interface NpsStats {
+  count: number;
+  promoters: number;
+  passives: number;
+  detractors: number;
+  score: number;
+}
+
+interface FeedbackStats {
+  ratings: RatingStats[];
+  nps: NpsStats | null;
+}
+
+interface DeliveryFailure {
+  errorCode: number | null;
+  error: string | null;
+  count: number;
+}
+
+interface DeliveryStats {
+  total: number;
+  queued: number;
+  sent: number;
+  delivered: number;
+  read: number;
+  failed: number;
+  failures: DeliveryFailure[];
+}
+
+interface ConversationDelivery {
+  userPhone: string;
+  queued: number;
+  sent: number;
+  delivered: number;
+  read: number;
+  failed: number;
+  lastMessageAt: string;
+  lastMessage: {
+    body: string | null;
+    status: string | null;
+    errorCode: number | null;
+    error: string | null;
+  } | null;
+}
+
 interface DashboardState {
   participants: Participant[];
   totalEnrolled: number;
+  stats: FeedbackStats | null;
   isLoading: boolean;
 }
 
 interface SummaryCardProps {
   title: string;
-  count: number;
+  count: number | null;
   icon: React.ReactNode;
   isLoading?: boolean;
 }
 
+interface RatingDistributionProps {
+  ratings: RatingStats[];
+}
+
+interface DeliveryOverviewProps {
+  stats: DeliveryStats;
+  conversations: ConversationDelivery[];
+}
+
+interface VoiceNoteProps {
+  participant: Participant;
+}
+
 interface ParticipantTableProps {
   participants: Participant[];
   isLoading?: boolean;
 }
 
 import { getApiBaseUrl } from '../config/urlConfig';
+import { authFetch } from '../config/auth';
 
 // API configuration - dynamically determined based on environment
 const API_BASE_URL = getApiBaseUrl();
 
-// Fetch feedback data from backend API
-const fetchFeedbackData = async (): Promise<Participant[]> => {
+// Fetch feedback data from backend API, optionally for a single campaign
+const fetchFeedbackData = async (campaign = ''): Promise<Participant[]> => {
   try {
-    const response = await fetch(`${API_BASE_URL}/feedback/`);
+    const query = campaign ? `?campaign=${encodeURIComponent(campaign)}` : '';
+    const response = await authFetch(`${API_BASE_URL}/feedback/${query}`);
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
@@ -52,6 +133,64 @@ const fetchFeedbackData = async (): Promise<Participant[]> => {
   }
 };
 
+// Fetch feedback statistics (ratings and NPS), optionally for a single campaign
+const fetchFeedbackStats = async (campaign = ''): Promise<FeedbackStats> => {
+  try {
+    const query = campaign ? `?campaign=${encodeURIComponent(campaign)}` : '';
+    const response = await authFetch(`${API_BASE_URL}/feedback/stats${query}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const result = await response.json();
+    return {
+      ratings: result.data?.ratings || [],
+      nps: result.data?.nps || null
+    };
+  } catch (error) {
+    console.error('Error fetching feedback stats:', error);
+    throw error;
+  }
+};
+
+// Fetch outbound delivery statistics and the delivery state of recent conversations
+const fetchDeliveryData = async (): Promise<{ stats: DeliveryStats; conversations: ConversationDelivery[] }> => {
+  try {
+    const [statsResponse, conversationsResponse] = await Promise.all([
+      authFetch(`${API_BASE_URL}/messages/delivery/stats`),
+      authFetch(`${API_BASE_URL}/messages/delivery/conversations?limit=20`)
+    ]);
+    if (!statsResponse.ok || !conversationsResponse.ok) {
+      throw new Error(`HTTP error! status: ${statsResponse.ok ? conversationsResponse.status : statsResponse.status}`);
+    }
+    const [statsResult, conversationsResult] = await Promise.all([
+      statsResponse.json(),
+      conversationsResponse.json()
+    ]);
+    return {
+      stats: statsResult.data,
+      conversations: conversationsResult.data || []
+    };
+  } catch (error) {
+    console.error('Error fetching delivery data:', error);
+    throw error;
+  }
+};
+
+// Fetch campaigns for the campaign filter
+const fetchCampaigns = async (): Promise<Campaign[]> => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/campaigns`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const result = await response.json();
+    return result.data || [];
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    throw error;
+  }
+};
+
 // SummaryCard Component
 const SummaryCard: React.FC<SummaryCardProps> = ({ title, count, icon, isLoading = false }) => {
   return (
@@ -73,9 +212,9 @@ const SummaryCard: React.FC<SummaryCardProps> = ({ title, count, icon, isLoading
             <p 
               className="text-4xl font-bold text-blue-600 transition-colors duration-200"
               aria-describedby="enrollment-title"
-              aria-label={`${count} people enrolled`}
+              aria-label={count === null ? `No ${title.toLowerCase()} yet` : `${title}: ${count}`}
             >
-              {count.toLocaleString()}
+              {count === null ? '—' : count.toLocaleString()}
             </p>
           )}
         </div>
@@ -92,6 +231,169 @@ const SummaryCard: React.FC<SummaryCardProps> = ({ title, count, icon, isLoading
   );
 };
 
+// RatingDistribution Component
+const RatingDistribution: React.FC<RatingDistributionProps> = ({ ratings }) => {
+  if (ratings.length === 0) {
+    return null;
+  }
+
+  return (
+    <div 
+      className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+      role="region"
+      aria-label="Rating distribution"
+    >
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Rating Distribution</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {ratings.map(rating => (
+          <div key={rating.scale}>
+            <p className="text-sm text-gray-600 mb-2">
+              Scale up to {rating.scale} · {rating.count} ratings · average {rating.average}
+            </p>
+            {Object.entries(rating.distribution)
+              .sort(([a], [b]) => Number(b) - Number(a))
+              .map(([score, count]) => (
+                <div key={score} className="flex items-center space-x-2 mb-1">
+                  <span className="w-6 text-sm font-medium text-gray-900 text-right">{score}</span>
+                  <div className="flex-1 bg-gray-100 rounded h-3">
+                    <div
+                      className="bg-blue-500 rounded h-3"
+                      style={{ width: `${Math.round((count / rating.count) * 100)}%` }}
+                    ></div>
+                  </div>
+                  <span className="w-8 text-xs text-gray-500">{count}</span>
+                </div>
+              ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Colours of the delivery statuses
+const deliveryStatusStyles: Record<string, string> = {
+  queued: 'bg-gray-100 text-gray-800',
+  sending: 'bg-gray-100 text-gray-800',
+  sent: 'bg-yellow-100 text-yellow-800',
+  delivered: 'bg-blue-100 text-blue-800',
+  read: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+// DeliveryOverview Component - did users actually receive our prompts?
+const DeliveryOverview: React.FC<DeliveryOverviewProps> = ({ stats, conversations }) => {
+  if (stats.total === 0) {
+    return null;
+  }
+
+  // Conversations whose last prompt was not delivered (still in the outbox, only sent, or failed)
+  const undelivered = conversations.filter(conversation =>
+    conversation.lastMessage && ['queued', 'sending', 'sent', 'failed'].includes(conversation.lastMessage.status || '')
+  );
+
+  return (
+    <div 
+      className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+      role="region"
+      aria-label="Message delivery"
+    >
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Message Delivery</h3>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+        {(['queued', 'sent', 'delivered', 'read', 'failed'] as const).map(status => (
+          <div key={status} className={`rounded-lg px-4 py-3 ${deliveryStatusStyles[status]}`}>
+            <p className="text-xs uppercase tracking-wider">
+              {status === 'queued' ? 'In outbox' : status === 'sent' ? 'Not delivered yet' : status}
+            </p>
+            <p className="text-2xl font-bold">{stats[status].toLocaleString()}</p>
+          </div>
+        ))}
+      </div>
+
+      {stats.failures.length > 0 && (
+        <div className="mb-6">
+          <p className="text-sm font-medium text-gray-900 mb-2">Failures by error code</p>
+          <ul className="space-y-1">
+            {stats.failures.map(failure => (
+              <li key={`${failure.errorCode}-${failure.error}`} className="text-sm text-gray-600">
+                <span className="font-mono text-red-700">{failure.errorCode ?? '—'}</span>
+                {' '}{failure.error || 'Unknown error'} · {failure.count}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <p className="text-sm font-medium text-gray-900 mb-2">
+        Recent conversations with an undelivered last message ({undelivered.length})
+      </p>
+      {undelivered.length === 0 ? (
+        <p className="text-sm text-gray-500">All recent users received our last message.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {undelivered.map(conversation => (
+            <li key={conversation.userPhone} className="py-2 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <p className="text-sm font-mono text-gray-900">{conversation.userPhone}</p>
+                <p className="text-xs text-gray-500 truncate" title={conversation.lastMessage?.body || ''}>
+                  {conversation.lastMessage?.body}
+                </p>
+              </div>
+              <span
+                className={`shrink-0 text-xs px-2 py-1 rounded ${deliveryStatusStyles[conversation.lastMessage?.status || 'sent']}`}
+                title={conversation.lastMessage?.error || undefined}
+              >
+                {conversation.lastMessage?.status === 'failed'
+                  ? `failed${conversation.lastMessage.errorCode ? ` (${conversation.lastMessage.errorCode})` : ''}`
+                  : conversation.lastMessage?.status === 'sent' ? 'not delivered' : 'in outbox'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Format a participant's rating as "score/scale"
+const formatRating = (participant: Participant): string => {
+  if (participant.rating === null || participant.rating === undefined) {
+    return '—';
+  }
+  return `${participant.rating}/${participant.ratingScale || 5}`;
+};
+
+// Labels of the channels feedback can be given through
+const SOURCE_LABELS: Record<string, string> = {
+  whatsapp: 'WhatsApp',
+  telegram: 'Telegram',
+  web: 'Web'
+};
+
+// Format where a participant gave their feedback
+const formatSource = (participant: Participant): string => {
+  const source = participant.source || 'whatsapp';
+  return SOURCE_LABELS[source] || source;
+};
+
+// Voice note player with its transcript
+const VoiceNote: React.FC<VoiceNoteProps> = ({ participant }) => {
+  if (!participant.audioUrl) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 space-y-1">
+      <audio controls preload="none" src={participant.audioUrl} className="w-full max-w-xs h-8">
+        Your browser does not support audio playback.
+      </audio>
+      <p className="text-xs text-gray-500 italic">
+        {participant.audioTranscript ? `“${participant.audioTranscript}”` : 'No transcript available'}
+      </p>
+    </div>
+  );
+};
+
 // ParticipantTable Component
 const ParticipantTable: React.FC<ParticipantTableProps> = ({ participants, isLoading = false }) => {
   if (isLoading) {
@@ -156,6 +458,24 @@ const ParticipantTable: React.FC<ParticipantTableProps> = ({ participants, isLoa
               >
                 Feedback
               </th>
+              <th 
+                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                scope="col"
+              >
+                Rating
+              </th>
+              <th 
+                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                scope="col"
+              >
+                Campaign
+              </th>
+              <th 
+                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                scope="col"
+              >
+                Source
+              </th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
@@ -179,6 +499,16 @@ const ParticipantTable: React.FC<ParticipantTableProps> = ({ participants, isLoa
                   <div className="truncate" title={participant.feedback}>
                     {participant.feedback}
                   </div>
+                  <VoiceNote participant={participant} />
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                  {formatRating(participant)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                  {participant.campaignKey || 'default'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                  {formatSource(participant)}
                 </td>
               </tr>
             ))}
@@ -205,8 +535,15 @@ const ParticipantTable: React.FC<ParticipantTableProps> = ({ participants, isLoa
                 {participant.userPhone}
               </span>
             </div>
-            <h4 className="text-sm font-semibold text-gray-900 mb-2">{participant.name}</h4>
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">
+              {participant.name}
+              <span className="ml-2 text-xs font-normal text-gray-500">{participant.campaignKey || 'default'} · {formatSource(participant)}</span>
+            </h4>
             <p className="text-sm text-gray-600 leading-relaxed">{participant.feedback}</p>
+            <VoiceNote participant={participant} />
+            {participant.rating !== null && participant.rating !== undefined && (
+              <p className="text-xs text-gray-500 mt-1">Rating: {formatRating(participant)}</p>
+            )}
           </div>
         ))}
       </div>
@@ -219,17 +556,40 @@ const AdminDashboard: React.FC = () => {
   const [dashboardState, setDashboardState] = useState<DashboardState>({
     participants: [],
     totalEnrolled: 0,
+    stats: null,
     isLoading: true
   });
+  const [campaigns, setCampaigns] = useState<Campaign[]>([]);
+  const [selectedCampaign, setSelectedCampaign] = useState('');
+  const [delivery, setDelivery] = useState<{ stats: DeliveryStats; conversations: ConversationDelivery[] } | null>(null);
+
+  // Load campaigns for the filter
+  useEffect(() => {
+    fetchCampaigns()
+      .then(setCampaigns)
+      .catch(error => console.error('Failed to load campaigns:', error));
+  }, []);
+
+  // Load delivery state (covers all campaigns)
+  useEffect(() => {
+    fetchDeliveryData()
+      .then(setDelivery)
+      .catch(error => console.error('Failed to load delivery data:', error));
+  }, []);
 
   // Load real data from API
   useEffect(() => {
     const loadData = async () => {
+      setDashboardState(prev => ({ ...prev, isLoading: true }));
       try {
-        const participants = await fetchFeedbackData();
+        const [participants, stats] = await Promise.all([
+          fetchFeedbackData(selectedCampaign),
+          fetchFeedbackStats(selectedCampaign)
+        ]);
         setDashboardState({
           participants,
           totalEnrolled: participants.length,
+          stats,
           isLoading: false
         });
       } catch (error) {
@@ -242,7 +602,13 @@ const AdminDashboard: React.FC = () => {
     };
 
     loadData();
-  }, []);
+  }, [selectedCampaign]);
+
+  // Average of the most common rating scale (NPS has its own card)
+  const ratings = dashboardState.stats?.ratings || [];
+  const mainRating = ratings.filter(rating => rating.scale !== 10)
+    .sort((a, b) => b.count - a.count)[0];
+  const nps = dashboardState.stats?.nps || null;
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -257,6 +623,22 @@ const AdminDashboard: React.FC = () => {
               </p>
             </div>
             <div className="flex items-center space-x-4">
+              <label className="text-sm text-gray-600" htmlFor="campaign-filter">
+                Campaign
+              </label>
+              <select
+                id="campaign-filter"
+                className="border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-900 bg-white"
+                value={selectedCampaign}
+                onChange={event => setSelectedCampaign(event.target.value)}
+              >
+                <option value="">All campaigns</option>
+                {campaigns.map(campaign => (
+                  <option key={campaign.key} value={campaign.key}>
+                    {campaign.name} ({campaign.triggerKeyword})
+                  </option>
+                ))}
+              </select>
               <div className="text-sm text-gray-500">
                 Last updated: {new Date().toLocaleDateString()}
               </div>
@@ -270,15 +652,31 @@ const AdminDashboard: React.FC = () => {
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="space-y-6">
           {/* Summary Section */}
-          <div className="grid grid-cols-1 gap-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <SummaryCard
               title="Total People Enrolled"
               count={dashboardState.totalEnrolled}
               icon="👥"
               isLoading={dashboardState.isLoading}
             />
+            <SummaryCard
+              title={mainRating ? `Average Rating (of ${mainRating.scale})` : 'Average Rating'}
+              count={mainRating ? mainRating.average : null}
+              icon="⭐"
+              isLoading={dashboardState.isLoading}
+            />
+            <SummaryCard
+              title="NPS"
+              count={nps ? nps.score : null}
+              icon="📈"
+              isLoading={dashboardState.isLoading}
+            />
           </div>
 
+          {!dashboardState.isLoading && <RatingDistribution ratings={ratings} />}
+
+          {delivery && <DeliveryOverview stats={delivery.stats} conversations={delivery.conversations} />}
+
           {/* Table Section */}
           <ParticipantTable
             participants={dashboardState.participants}
@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { getApiBaseUrl } from '../config/urlConfig';
+import { authFetch } from '../config/auth';
+
+// TypeScript interfaces for audit data
+interface AuditEntry {
+  id: number;
+  actorType: string;
+  actorId?: string | null;
+  actorName?: string | null;
+  action: string;
+  targetType?: string | null;
+  targetId?: string | null;
+  before?: unknown;
+  after?: unknown;
+  ip?: string | null;
+  createdAt: string;
+}
+
+interface AuditFilters {
+  action: string;
+  actor: string;
+  targetType: string;
+  targetId: string;
+  since: string;
+  until: string;
+}
+
+interface AuditRowProps {
+  entry: AuditEntry;
+}
+
+// API configuration - dynamically determined based on environment
+const API_BASE_URL = getApiBaseUrl();
+
+const PAGE_SIZE = 100;
+
+const EMPTY_FILTERS: AuditFilters = { action: '', actor: '', targetType: '', targetId: '', since: '', until: '' };
+
+// Actions recorded by the backend; "kind." matches every action of a kind
+const ACTIONS: { value: string; label: string }[] = [
+  { value: '', label: 'All actions' },
+  { value: 'feedback.', label: 'Feedback (all)' },
+  { value: 'feedback.delete', label: 'Feedback deleted' },
+  { value: 'feedback.remove_image', label: 'Image removed' },
+  { value: 'feedback.cleanup_images', label: 'Image clean-up' },
+  { value: 'feedback.reprocess_image', label: 'Image reprocessed' },
+  { value: 'sessions.cleanup', label: 'Session clean-up' },
+  { value: 'session.reset', label: 'Session reset' },
+  { value: 'session.cancel', label: 'Session cancelled' },
+  { value: 'handoff.', label: 'Handoffs' },
+  { value: 'message.', label: 'Messages sent' },
+  { value: 'trigger.', label: 'Trigger changes' },
+  { value: 'user.', label: 'User changes' },
+  { value: 'api_key.', label: 'API key changes' },
+  { value: 'campaign.', label: 'Campaign changes' },
+  { value: 'flow.', label: 'Flow changes' },
+  { value: 'broadcast.', label: 'Broadcast changes' },
+  { value: 'dead_letter.delete', label: 'Dead letter deleted' },
+  { value: 'tenant.', label: 'Tenant changes' }
+];
+
+const ACTOR_TYPE_LABELS: Record<string, string> = {
+  user: 'User',
+  apiKey: 'API key',
+  contact: 'Contact',
+  system: 'Automatic'
+};
+
+// Fetch a page of audit entries matching the filters
+const fetchAuditLog = async (filters: AuditFilters, offset: number): Promise<AuditEntry[]> => {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value.trim()) {
+      params.set(key, value.trim());
+    }
+  });
+
+  const response = await authFetch(`${API_BASE_URL}/audit-log?${params.toString()}`);
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `HTTP error! status: ${response.status}`);
+  }
+  return result.data || [];
+};
+
+// Format a snapshot for display
+const formatSnapshot = (snapshot: unknown): string => JSON.stringify(snapshot, null, 2);
+
+// AuditRow Component
+const AuditRow: React.FC<AuditRowProps> = ({ entry }) => {
+  const [expanded, setExpanded] = useState(false);
+  const hasSnapshots = entry.before != null || entry.after != null;
+
+  return (
+    <>
+      <tr className="hover:bg-blue-50">
+        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+          {new Date(entry.createdAt).toLocaleString()}
+        </td>
+        <td className="px-4 py-3 text-sm text-gray-900">
+          <div className="font-medium">{entry.actorName || '—'}</div>
+          <div className="text-xs text-gray-500">
+            {ACTOR_TYPE_LABELS[entry.actorType] || entry.actorType}
+            {entry.ip && ` · ${entry.ip}`}
+          </div>
+        </td>
+        <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{entry.action}</td>
+        <td className="px-4 py-3 text-sm text-gray-600">
+          {entry.targetType ? `${entry.targetType} ${entry.targetId ?? ''}` : '—'}
+        </td>
+        <td className="px-4 py-3 text-right">
+          {hasSnapshots && (
+            <button
+              type="button"
+              onClick={() => setExpanded(!expanded)}
+              className="text-sm text-blue-600 hover:underline"
+              aria-expanded={expanded}
+            >
+              {expanded ? 'Hide' : 'Details'}
+            </button>
+          )}
+        </td>
+      </tr>
+      {expanded && (
+        <tr className="bg-gray-50">
+          <td colSpan={5} className="px-4 py-3">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <p className="text-xs font-medium text-gray-500 uppercase mb-1">Before</p>
+                <pre className="text-xs text-gray-800 bg-white border border-gray-200 rounded-md p-3 overflow-x-auto">
+                  {entry.before != null ? formatSnapshot(entry.before) : '—'}
+                </pre>
+              </div>
+              <div>
+                <p className="text-xs font-medium text-gray-500 uppercase mb-1">After</p>
+                <pre className="text-xs text-gray-800 bg-white border border-gray-200 rounded-md p-3 overflow-x-auto">
+                  {entry.after != null ? formatSnapshot(entry.after) : '—'}
+                </pre>
+              </div>
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+};
+
+// Main AuditLog Component
+const AuditLog: React.FC = () => {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [filters, setFilters] = useState<AuditFilters>(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState<AuditFilters>(EMPTY_FILTERS);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadEntries = useCallback((offset: number) => {
+    setIsLoading(true);
+    fetchAuditLog(appliedFilters, offset)
+      .then(page => {
+        setEntries(current => (offset === 0 ? page : [...current, ...page]));
+        setHasMore(page.length === PAGE_SIZE);
+        setError('');
+      })
+      .catch(loadError => setError(loadError instanceof Error ? loadError.message : 'Failed to load audit log'))
+      .finally(() => setIsLoading(false));
+  }, [appliedFilters]);
+
+  useEffect(() => {
+    loadEntries(0);
+  }, [loadEntries]);
+
+  const setFilter = (key: keyof AuditFilters, value: string) => {
+    setFilters(current => ({ ...current, [key]: value }));
+  };
+
+  const applyFilters = (event: React.FormEvent) => {
+    event.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const inputClassName = 'border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-900 bg-white';
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-blue-900">Audit Log</h1>
+              <p className="text-sm text-gray-600 mt-1">
+                Who deleted, changed or sent what, and when
+              </p>
+            </div>
+            <Link to="/admin" className="text-sm text-blue-600 hover:underline">
+              Dashboard
+            </Link>
+          </div>
+        </div>
+      </div>
+
+      {/* Main Content */}
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <form
+          onSubmit={applyFilters}
+          className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3"
+          aria-label="Audit log filters"
+        >
+          <select
+            value={filters.action}
+            onChange={event => setFilter('action', event.target.value)}
+            aria-label="Action"
+            className={inputClassName}
+          >
+            {ACTIONS.map(action => (
+              <option key={action.value} value={action.value}>{action.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={filters.actor}
+            onChange={event => setFilter('actor', event.target.value)}
+            placeholder="Actor (email, key or phone)"
+            aria-label="Actor"
+            className={inputClassName}
+          />
+          <input
+            type="text"
+            value={filters.targetType}
+            onChange={event => setFilter('targetType', event.target.value)}
+            placeholder="Target type, e.g. feedback"
+            aria-label="Target type"
+            className={inputClassName}
+          />
+          <input
+            type="text"
+            value={filters.targetId}
+            onChange={event => setFilter('targetId', event.target.value)}
+            placeholder="Target ID"
+            aria-label="Target ID"
+            className={inputClassName}
+          />
+          <label className="text-sm text-gray-600">
+            From
+            <input
+              type="date"
+              value={filters.since}
+              onChange={event => setFilter('since', event.target.value)}
+              className={`${inputClassName} w-full mt-1`}
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Until
+            <input
+              type="date"
+              value={filters.until}
+              onChange={event => setFilter('until', event.target.value)}
+              className={`${inputClassName} w-full mt-1`}
+            />
+          </label>
+          <div className="flex items-end space-x-2">
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700"
+            >
+              Filter
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setFilters(EMPTY_FILTERS);
+                setAppliedFilters(EMPTY_FILTERS);
+              }}
+              className="px-4 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+            >
+              Clear
+            </button>
+          </div>
+        </form>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-md p-4 text-sm text-red-700" role="alert">
+            {error}
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actor</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {entries.map(entry => (
+                <AuditRow key={entry.id} entry={entry} />
+              ))}
+            </tbody>
+          </table>
+          {!isLoading && entries.length === 0 && (
+            <p className="p-6 text-sm text-gray-500">No audit entries match.</p>
+          )}
+          {hasMore && (
+            <div className="p-4 border-t border-gray-200 text-center">
+              <button
+                type="button"
+                onClick={() => loadEntries(entries.length)}
+                disabled={isLoading}
+                className="px-4 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+              >
+                {isLoading ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
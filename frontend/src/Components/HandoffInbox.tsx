@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { getApiBaseUrl } from '../config/urlConfig';
+import { authFetch, getAuthenticatedSseUrl } from '../config/auth';
+
+// TypeScript interfaces for handoff data
+interface Handoff {
+  id: number;
+  userPhone: string;
+  status: string;
+  requestedBy: string;
+  reason?: string | null;
+  agent?: string | null;
+  lastInboundAt?: string | null;
+  startedAt: string;
+}
+
+interface TranscriptMessage {
+  id: number;
+  direction: 'inbound' | 'outbound';
+  type: string;
+  body?: string | null;
+  status?: string | null;
+  createdAt: string;
+}
+
+interface HandoffListProps {
+  handoffs: Handoff[];
+  selectedPhone: string;
+  onSelect: (phone: string) => void;
+}
+
+interface ConversationProps {
+  handoff: Handoff;
+  agentName: string;
+  refreshKey: number;
+  onReleased: () => void;
+}
+
+// API configuration - dynamically determined based on environment
+const API_BASE_URL = getApiBaseUrl();
+
+// Fetch active handoffs
+const fetchHandoffs = async (): Promise<Handoff[]> => {
+  const response = await authFetch(`${API_BASE_URL}/handoffs`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const result = await response.json();
+  return result.data || [];
+};
+
+// Fetch the conversation transcript of a phone number
+const fetchTranscript = async (phone: string): Promise<TranscriptMessage[]> => {
+  const response = await authFetch(`${API_BASE_URL}/feedback/user/${encodeURIComponent(phone)}/transcript`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const result = await response.json();
+  return result.data || [];
+};
+
+// POST JSON to the backend and throw with the API error message on failure
+const postJson = async (path: string, body: object) => {
+  const response = await authFetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `HTTP error! status: ${response.status}`);
+  }
+  return result;
+};
+
+// HandoffList Component
+const HandoffList: React.FC<HandoffListProps> = ({ handoffs, selectedPhone, onSelect }) => {
+  if (handoffs.length === 0) {
+    return (
+      <p className="p-6 text-sm text-gray-500">
+        No conversations are waiting for an agent.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-200">
+      {handoffs.map(handoff => (
+        <li key={handoff.id}>
+          <button
+            type="button"
+            onClick={() => onSelect(handoff.userPhone)}
+            className={`w-full text-left px-4 py-3 transition-colors duration-150 hover:bg-blue-50 ${
+              handoff.userPhone === selectedPhone ? 'bg-blue-50' : 'bg-white'
+            }`}
+          >
+            <div className="flex justify-between items-center">
+              <span className="text-sm font-mono text-gray-900">{handoff.userPhone}</span>
+              <span className="text-xs text-gray-500">
+                {new Date(handoff.lastInboundAt || handoff.startedAt).toLocaleTimeString()}
+              </span>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              {handoff.requestedBy === 'user' ? 'Requested by user' : 'Started by agent'}
+              {handoff.agent ? ` · ${handoff.agent}` : ''}
+            </p>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Conversation Component - transcript, reply box and release button
+const Conversation: React.FC<ConversationProps> = ({ handoff, agentName, refreshKey, onReleased }) => {
+  const [messages, setMessages] = useState<TranscriptMessage[]>([]);
+  const [reply, setReply] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchTranscript(handoff.userPhone)
+      .then(setMessages)
+      .catch(fetchError => console.error('Failed to load transcript:', fetchError));
+  }, [handoff.userPhone, refreshKey]);
+
+  const sendReply = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!reply.trim()) {
+      return;
+    }
+
+    setIsSending(true);
+    setError('');
+    try {
+      await postJson('/whatsapp/send-text', {
+        phoneNumber: handoff.userPhone,
+        text: reply.trim(),
+        agent: agentName || undefined
+      });
+      setReply('');
+    } catch (sendError) {
+      setError(sendError instanceof Error ? sendError.message : 'Failed to send reply');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const release = async () => {
+    setError('');
+    try {
+      await postJson(`/handoffs/${encodeURIComponent(handoff.userPhone)}/release`, {});
+      onReleased();
+    } catch (releaseError) {
+      setError(releaseError instanceof Error ? releaseError.message : 'Failed to give the conversation back');
+    }
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 font-mono">{handoff.userPhone}</h3>
+          {handoff.reason && <p className="text-xs text-gray-500">“{handoff.reason}”</p>}
+        </div>
+        <button
+          type="button"
+          onClick={release}
+          className="px-3 py-1 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+        >
+          🤖 Give back to bot
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-6 space-y-2 bg-gray-50" role="log" aria-label="Conversation">
+        {messages.map(message => (
+          <div
+            key={message.id}
+            className={`flex ${message.direction === 'outbound' ? 'justify-end' : 'justify-start'}`}
+          >
+            <div
+              className={`max-w-md rounded-lg px-3 py-2 text-sm ${
+                message.direction === 'outbound' ? 'bg-blue-600 text-white' : 'bg-white border border-gray-200 text-gray-900'
+              }`}
+            >
+              <p className="whitespace-pre-wrap">{message.body || `[${message.type}]`}</p>
+              <p className={`text-xs mt-1 ${message.direction === 'outbound' ? 'text-blue-100' : 'text-gray-400'}`}>
+                {new Date(message.createdAt).toLocaleTimeString()}
+                {message.status === 'failed' ? ' · failed' : ''}
+              </p>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={sendReply} className="p-4 border-t border-gray-200 flex space-x-2">
+        <input
+          type="text"
+          value={reply}
+          onChange={event => setReply(event.target.value)}
+          placeholder="Type a reply..."
+          aria-label="Reply"
+          className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-900"
+        />
+        <button
+          type="submit"
+          disabled={isSending || !reply.trim()}
+          className="px-4 py-2 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          Send
+        </button>
+      </form>
+      {error && <p className="px-4 pb-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+// Main HandoffInbox Component
+const HandoffInbox: React.FC = () => {
+  const [handoffs, setHandoffs] = useState<Handoff[]>([]);
+  const [selectedPhone, setSelectedPhone] = useState('');
+  const [agentName, setAgentName] = useState(() => localStorage.getItem('handoffAgentName') || '');
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const loadHandoffs = useCallback(() => {
+    fetchHandoffs()
+      .then(setHandoffs)
+      .catch(error => console.error('Failed to load handoffs:', error));
+  }, []);
+
+  // Load handoffs and follow them in real time
+  useEffect(() => {
+    loadHandoffs();
+
+    const eventSource = new EventSource(getAuthenticatedSseUrl());
+
+    eventSource.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+
+        if (data.type === 'handoff_updated') {
+          loadHandoffs();
+        } else if (data.type === 'handoff_message') {
+          loadHandoffs();
+          setRefreshKey(key => key + 1);
+        }
+      } catch (error) {
+        console.error('Error parsing SSE data:', error);
+      }
+    };
+
+    eventSource.onerror = (error) => {
+      console.error('SSE connection error:', error);
+    };
+
+    return () => {
+      eventSource.close();
+    };
+  }, [loadHandoffs]);
+
+  useEffect(() => {
+    localStorage.setItem('handoffAgentName', agentName);
+  }, [agentName]);
+
+  const selectedHandoff = handoffs.find(handoff => handoff.userPhone === selectedPhone);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-blue-900">Handoff Inbox</h1>
+              <p className="text-sm text-gray-600 mt-1">
+                Conversations handed over from the bot to an agent
+              </p>
+            </div>
+            <div className="flex items-center space-x-4">
+              <label className="text-sm text-gray-600" htmlFor="agent-name">
+                Agent
+              </label>
+              <input
+                id="agent-name"
+                type="text"
+                value={agentName}
+                onChange={event => setAgentName(event.target.value)}
+                placeholder="Your name"
+                className="border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-900 bg-white"
+              />
+              <Link to="/admin" className="text-sm text-blue-600 hover:underline">
+                Dashboard
+              </Link>
+              <div className="h-2 w-2 bg-green-400 rounded-full animate-pulse" title="Live data"></div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Main Content */}
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div
+            className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden"
+            role="region"
+            aria-label="Active handoffs"
+          >
+            <div className="px-4 py-4 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">Waiting ({handoffs.length})</h3>
+            </div>
+            <HandoffList handoffs={handoffs} selectedPhone={selectedPhone} onSelect={setSelectedPhone} />
+          </div>
+
+          <div className="md:col-span-2 bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden h-[36rem]">
+            {selectedHandoff ? (
+              <Conversation
+                handoff={selectedHandoff}
+                agentName={agentName}
+                refreshKey={refreshKey}
+                onReleased={() => {
+                  setSelectedPhone('');
+                  loadHandoffs();
+                }}
+              />
+            ) : (
+              <p className="p-6 text-sm text-gray-500">Select a conversation to reply.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HandoffInbox;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { getAuthToken, login } from '../config/auth';
+
+// Login page for the dashboard, returning to the page that required the login
+const Login: React.FC = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const from = (location.state as { from?: string } | null)?.from || '/';
+
+  if (getAuthToken()) {
+    return <Navigate to={from} replace />;
+  }
+
+  const submit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      await login(email, password);
+      navigate(from, { replace: true });
+    } catch (loginError) {
+      setError(loginError instanceof Error ? loginError.message : 'Login failed');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <form
+        onSubmit={submit}
+        className="w-full max-w-sm bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+        aria-label="Login"
+      >
+        <h1 className="text-2xl font-bold text-blue-900 mb-6">Log in</h1>
+        <label className="block text-sm font-medium text-gray-700 mb-4">
+          Email
+          <input
+            type="email"
+            value={email}
+            onChange={event => setEmail(event.target.value)}
+            autoComplete="username"
+            required
+            className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-900 bg-white"
+          />
+        </label>
+        <label className="block text-sm font-medium text-gray-700 mb-4">
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={event => setPassword(event.target.value)}
+            autoComplete="current-password"
+            required
+            className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-900 bg-white"
+          />
+        </label>
+        {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full px-4 py-2 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSubmitting ? 'Logging in...' : 'Log in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { getAuthToken } from '../config/auth';
+
+interface RequireAuthProps {
+  children: React.ReactElement;
+}
+
+// Show a page only when logged in, otherwise go to the login page and come back after
+const RequireAuth: React.FC<RequireAuthProps> = ({ children }) => {
+  const location = useLocation();
+
+  if (!getAuthToken()) {
+    return <Navigate to="/login" state={{ from: location.pathname }} replace />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
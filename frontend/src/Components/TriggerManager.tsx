@@ -0,0 +1,441 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { getApiBaseUrl } from '../config/urlConfig';
+import { authFetch } from '../config/auth';
+
+// TypeScript interfaces for trigger data
+interface Trigger {
+  id: string;
+  keyword: string;
+  flowId: string;
+  message?: string | null;
+  isActive: boolean;
+  matchMode?: MatchMode;
+  priority?: number;
+  maxTypos?: number;
+  matchCount?: number;
+  completedCount?: number;
+  conversionRate?: number;
+  lastUsed?: string | null;
+  createdAt: string;
+}
+
+type MatchMode = 'exact' | 'word' | 'prefix' | 'regex' | 'fuzzy';
+
+interface TriggerForm {
+  keyword: string;
+  flowId: string;
+  message: string;
+  matchMode: MatchMode;
+  priority: number;
+}
+
+interface DryRunResult {
+  match: Trigger | null;
+  candidates: { id: string; keyword: string; matchMode: MatchMode; priority: number; matched: boolean }[];
+}
+
+interface TriggerRowProps {
+  trigger: Trigger;
+  onChanged: () => void;
+  onError: (message: string) => void;
+}
+
+interface TriggerFormProps {
+  onCreated: () => void;
+}
+
+// API configuration - dynamically determined based on environment
+const API_BASE_URL = getApiBaseUrl();
+
+const EMPTY_FORM: TriggerForm = { keyword: '', flowId: '', message: '', matchMode: 'word', priority: 0 };
+
+const MATCH_MODES: { value: MatchMode; label: string }[] = [
+  { value: 'word', label: 'Whole word' },
+  { value: 'exact', label: 'Exact' },
+  { value: 'prefix', label: 'Starts with' },
+  { value: 'regex', label: 'Regex' },
+  { value: 'fuzzy', label: 'Fuzzy' }
+];
+
+// MatchModeSelect Component
+const MatchModeSelect: React.FC<{ value: MatchMode; onChange: (value: MatchMode) => void }> = ({ value, onChange }) => (
+  <select
+    value={value}
+    onChange={event => onChange(event.target.value as MatchMode)}
+    aria-label="Match mode"
+    className="border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-900 bg-white"
+  >
+    {MATCH_MODES.map(mode => (
+      <option key={mode.value} value={mode.value}>{mode.label}</option>
+    ))}
+  </select>
+);
+
+// PriorityInput Component
+const PriorityInput: React.FC<{ value: number; onChange: (value: number) => void }> = ({ value, onChange }) => (
+  <input
+    type="number"
+    step={1}
+    value={value}
+    onChange={event => onChange(parseInt(event.target.value) || 0)}
+    aria-label="Priority"
+    className="w-20 border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-900 bg-white"
+  />
+);
+
+// Send a request to the triggers API and throw with the API error message on failure
+const requestTriggers = async (path: string, method = 'GET', body?: object) => {
+  const response = await authFetch(`${API_BASE_URL}/triggers${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    const details = Array.isArray(result.details) ? `: ${result.details.join(', ')}` : '';
+    throw new Error(`${result.error || `HTTP error! status: ${response.status}`}${details}`);
+  }
+  return result;
+};
+
+// TriggerRow Component - shows a trigger and edits it in place
+const TriggerRow: React.FC<TriggerRowProps> = ({ trigger, onChanged, onError }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState<TriggerForm>({
+    keyword: trigger.keyword,
+    flowId: trigger.flowId,
+    message: trigger.message || '',
+    matchMode: trigger.matchMode || 'word',
+    priority: trigger.priority || 0
+  });
+
+  const update = async (updates: Partial<Trigger>) => {
+    try {
+      await requestTriggers(`/${trigger.id}`, 'PUT', updates);
+      setIsEditing(false);
+      onChanged();
+    } catch (error) {
+      onError(error instanceof Error ? error.message : 'Failed to update trigger');
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the trigger "${trigger.keyword}"?`)) {
+      return;
+    }
+    try {
+      await requestTriggers(`/${trigger.id}`, 'DELETE');
+      onChanged();
+    } catch (error) {
+      onError(error instanceof Error ? error.message : 'Failed to delete trigger');
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <tr className="bg-blue-50">
+        <td className="px-4 py-2">
+          <input
+            type="text"
+            value={form.keyword}
+            onChange={event => setForm({ ...form, keyword: event.target.value })}
+            aria-label="Keyword"
+            className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-900 bg-white"
+          />
+        </td>
+        <td className="px-4 py-2">
+          <input
+            type="text"
+            value={form.flowId}
+            onChange={event => setForm({ ...form, flowId: event.target.value })}
+            aria-label="Flow ID"
+            className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm font-mono text-gray-900 bg-white"
+          />
+        </td>
+        <td className="px-4 py-2">
+          <input
+            type="text"
+            value={form.message}
+            onChange={event => setForm({ ...form, message: event.target.value })}
+            aria-label="Message"
+            className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-900 bg-white"
+          />
+        </td>
+        <td className="px-4 py-2">
+          <MatchModeSelect value={form.matchMode} onChange={matchMode => setForm({ ...form, matchMode })} />
+        </td>
+        <td className="px-4 py-2">
+          <PriorityInput value={form.priority} onChange={priority => setForm({ ...form, priority })} />
+        </td>
+        <td className="px-4 py-2" colSpan={3}>
+          <div className="flex space-x-2 justify-end">
+            <button
+              type="button"
+              onClick={() => update(form)}
+              className="px-3 py-1 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsEditing(false)}
+              className="px-3 py-1 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+            >
+              Cancel
+            </button>
+          </div>
+        </td>
+      </tr>
+    );
+  }
+
+  return (
+    <tr>
+      <td className="px-4 py-3 text-sm font-medium text-gray-900">{trigger.keyword}</td>
+      <td className="px-4 py-3 text-sm font-mono text-gray-600">{trigger.flowId}</td>
+      <td className="px-4 py-3 text-sm text-gray-600">{trigger.message || '—'}</td>
+      <td className="px-4 py-3 text-sm text-gray-600">
+        {MATCH_MODES.find(mode => mode.value === (trigger.matchMode || 'word'))?.label}
+        {trigger.matchMode === 'fuzzy' ? ` (${trigger.maxTypos ?? 1} typos)` : ''}
+      </td>
+      <td className="px-4 py-3 text-sm text-gray-600">{trigger.priority || 0}</td>
+      <td className="px-4 py-3 text-sm text-gray-600">
+        <div>{trigger.matchCount || 0} matches · {trigger.conversionRate || 0}% completed</div>
+        <div className="text-xs text-gray-400">
+          {trigger.lastUsed ? `Last used ${new Date(trigger.lastUsed).toLocaleString()}` : 'Never used'}
+        </div>
+      </td>
+      <td className="px-4 py-3">
+        <label className="inline-flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={trigger.isActive}
+            onChange={() => update({ isActive: !trigger.isActive })}
+          />
+          <span>{trigger.isActive ? 'Active' : 'Inactive'}</span>
+        </label>
+      </td>
+      <td className="px-4 py-3">
+        <div className="flex space-x-2 justify-end">
+          <button
+            type="button"
+            onClick={() => setIsEditing(true)}
+            className="px-3 py-1 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+          >
+            Edit
+          </button>
+          <button
+            type="button"
+            onClick={remove}
+            className="px-3 py-1 text-sm rounded-md border border-red-300 text-red-700 hover:bg-red-50"
+          >
+            Delete
+          </button>
+        </div>
+      </td>
+    </tr>
+  );
+};
+
+// NewTriggerForm Component
+const NewTriggerForm: React.FC<TriggerFormProps> = ({ onCreated }) => {
+  const [form, setForm] = useState<TriggerForm>(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const create = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError('');
+    try {
+      await requestTriggers('', 'POST', { ...form, message: form.message || undefined });
+      setForm(EMPTY_FORM);
+      onCreated();
+    } catch (createError) {
+      setError(createError instanceof Error ? createError.message : 'Failed to create trigger');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={create} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">New Trigger</h3>
+      <div className="grid grid-cols-1 md:grid-cols-6 gap-4 items-center">
+        <input
+          type="text"
+          value={form.keyword}
+          onChange={event => setForm({ ...form, keyword: event.target.value })}
+          placeholder="Keyword"
+          aria-label="Keyword"
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-900 bg-white"
+        />
+        <input
+          type="text"
+          value={form.flowId}
+          onChange={event => setForm({ ...form, flowId: event.target.value })}
+          placeholder="Flow ID"
+          aria-label="Flow ID"
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm font-mono text-gray-900 bg-white"
+        />
+        <input
+          type="text"
+          value={form.message}
+          onChange={event => setForm({ ...form, message: event.target.value })}
+          placeholder="Message (optional)"
+          aria-label="Message"
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-900 bg-white"
+        />
+        <MatchModeSelect value={form.matchMode} onChange={matchMode => setForm({ ...form, matchMode })} />
+        <PriorityInput value={form.priority} onChange={priority => setForm({ ...form, priority })} />
+        <button
+          type="submit"
+          disabled={isSaving || !form.keyword.trim() || !form.flowId.trim()}
+          className="px-4 py-2 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          Add Trigger
+        </button>
+      </div>
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </form>
+  );
+};
+
+// DryRun Component - shows which trigger a text would hit
+const DryRun: React.FC = () => {
+  const [text, setText] = useState('');
+  const [result, setResult] = useState<DryRunResult | null>(null);
+  const [error, setError] = useState('');
+
+  const run = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setError('');
+    try {
+      const response = await requestTriggers('/dry-run', 'POST', { text });
+      setResult(response.data);
+    } catch (runError) {
+      setResult(null);
+      setError(runError instanceof Error ? runError.message : 'Failed to test text');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Test a Message</h3>
+      <form onSubmit={run} className="flex space-x-2">
+        <input
+          type="text"
+          value={text}
+          onChange={event => setText(event.target.value)}
+          placeholder="Type a message a user might send..."
+          aria-label="Test message"
+          className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-900 bg-white"
+        />
+        <button
+          type="submit"
+          disabled={!text.trim()}
+          className="px-4 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+        >
+          Test
+        </button>
+      </form>
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      {result && (
+        <div className="mt-4 text-sm">
+          <p className="font-medium text-gray-900">
+            {result.match ? `Hits "${result.match.keyword}"` : 'No trigger matches'}
+          </p>
+          <ul className="mt-2 space-y-1">
+            {result.candidates.map(candidate => (
+              <li key={candidate.id} className={candidate.matched ? 'text-green-700' : 'text-gray-400'}>
+                {candidate.matched ? '✓' : '✗'} {candidate.keyword} · {candidate.matchMode} · priority {candidate.priority}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Main TriggerManager Component
+const TriggerManager: React.FC = () => {
+  const [triggers, setTriggers] = useState<Trigger[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadTriggers = useCallback(() => {
+    requestTriggers('')
+      .then(result => {
+        setTriggers(result.data || []);
+        setError('');
+      })
+      .catch(loadError => setError(loadError instanceof Error ? loadError.message : 'Failed to load triggers'))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  useEffect(() => {
+    loadTriggers();
+  }, [loadTriggers]);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-blue-900">Triggers</h1>
+              <p className="text-sm text-gray-600 mt-1">
+                Keywords that send a WhatsApp Flow or start a campaign
+              </p>
+            </div>
+            <Link to="/admin" className="text-sm text-blue-600 hover:underline">
+              Dashboard
+            </Link>
+          </div>
+        </div>
+      </div>
+
+      {/* Main Content */}
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <NewTriggerForm onCreated={loadTriggers} />
+        <DryRun />
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-md p-4 text-sm text-red-700" role="alert">
+            {error}
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Keyword</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Flow ID</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Message</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Match</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Usage</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {triggers.map(trigger => (
+                <TriggerRow key={trigger.id} trigger={trigger} onChanged={loadTriggers} onError={setError} />
+              ))}
+            </tbody>
+          </table>
+          {!isLoading && triggers.length === 0 && (
+            <p className="p-6 text-sm text-gray-500">No triggers yet.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TriggerManager;
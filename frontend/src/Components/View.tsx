@@ -1,28 +1,28 @@
 import React, { useState, useEffect } from 'react';
 
-import { getApiBaseUrl, getSseUrl } from '../config/urlConfig';
+import { getApiBaseUrl } from '../config/urlConfig';
 
 // API configuration - dynamically determined based on environment
 const API_BASE_URL = getApiBaseUrl();
 
-// TypeScript interface for feedback data
+// The gallery is public: it reads the public endpoints, for the tenant in ?tenant= if any
+const GALLERY_TENANT = new URLSearchParams(window.location.search).get('tenant');
+const TENANT_QUERY = GALLERY_TENANT ? `?tenant=${encodeURIComponent(GALLERY_TENANT)}` : '';
+
+// TypeScript interface for feedback data (the fields the public gallery endpoint returns)
 interface FeedbackData {
   id: number;
-  userPhone: string;
   name: string;
   feedback: string;
   profileImageUrl?: string;
-  whatsappImageId?: string;
-  imageStoragePath?: string;
-  sessionDuration?: number;
+  source?: string;
   createdAt: string;
-  updatedAt: string;
 }
 
 // Fetch feedback data from backend API
 const fetchFeedbackData = async (): Promise<FeedbackData[]> => {
   try {
-    const response = await fetch(`${API_BASE_URL}/feedback/`);
+    const response = await fetch(`${API_BASE_URL}/public/gallery${TENANT_QUERY}`);
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
@@ -38,6 +38,13 @@ const fetchFeedbackData = async (): Promise<FeedbackData[]> => {
 
 // No fallback data - only use real API data
 
+// Marker shown next to the name for the channel the feedback was given through
+const SOURCE_MARKERS: Record<string, { icon: string; label: string }> = {
+  whatsapp: { icon: '💬', label: 'WhatsApp' },
+  telegram: { icon: '✈️', label: 'Telegram' },
+  web: { icon: '🌐', label: 'Web' },
+};
+
 interface ProfileBubbleProps {
   position: { x: number; y: number };
   photoUrl: string;
@@ -46,9 +53,10 @@ interface ProfileBubbleProps {
   index: number;
   name: string;
   feedback: string;
+  source?: string;
 }
 
-const ProfileBubble: React.FC<ProfileBubbleProps> = ({ position, photoUrl, size, isCentral = false, index, name, feedback }) => {
+const ProfileBubble: React.FC<ProfileBubbleProps> = ({ position, photoUrl, size, isCentral = false, index, name, feedback, source = 'whatsapp' }) => {
   const [hovered, setHovered] = useState(false);
   const [imageLoaded, setImageLoaded] = useState(false);
   
@@ -81,6 +89,7 @@ const ProfileBubble: React.FC<ProfileBubbleProps> = ({ position, photoUrl, size,
   const nameHeight = isCentral ? 20 : 16; // Increased space for center bubble name
   const remainingSpace = size - profilePicSize - nameHeight - (isCentral ? 20 : 16); // Padding
   const feedbackHeight = Math.max(remainingSpace, isCentral ? 24 : 20); // Minimum height for feedback
+  const sourceMarker = SOURCE_MARKERS[source];
 
   return (
     <div
@@ -180,6 +189,19 @@ const ProfileBubble: React.FC<ProfileBubbleProps> = ({ position, photoUrl, size,
         >
           {name}
         </span>
+        {sourceMarker && (
+          <span
+            title={`Sent via ${sourceMarker.label}`}
+            aria-label={`Sent via ${sourceMarker.label}`}
+            style={{
+              fontSize: isCentral ? '18px' : size > 80 ? '9px' : '7px',
+              marginLeft: isCentral ? '6px' : '2px',
+              flexShrink: 0,
+            }}
+          >
+            {sourceMarker.icon}
+          </span>
+        )}
       </div>
 
       {/* Feedback Text Section */}
@@ -547,6 +569,7 @@ const ProfileGallery: React.FC<ProfileGalleryProps> = ({ feedbackData, isLoading
         const data = feedbackData[index];
         const name = data.name;
         const feedback = data.feedback;
+        const source = data.source;
         // Use real profile image if available, otherwise generate avatar from name
         const photoUrl = data.profileImageUrl || 
                         `https://ui-avatars.com/api/?name=${encodeURIComponent(data.name)}&background=random&size=400`;
@@ -564,6 +587,7 @@ const ProfileGallery: React.FC<ProfileGalleryProps> = ({ feedbackData, isLoading
             index={index}
             name={name}
             feedback={feedback}
+            source={source}
           />
         );
       })}
@@ -592,7 +616,7 @@ const View: React.FC = () => {
     loadFeedbackData();
 
     // Set up Server-Sent Events for real-time updates
-    const eventSource = new EventSource(getSseUrl());
+    const eventSource = new EventSource(`${API_BASE_URL}/public/events${TENANT_QUERY}`);
     
     eventSource.onopen = () => {
       console.log('🔗 Connected to real-time feedback updates');
@@ -0,0 +1,95 @@
+/**
+ * Dashboard Authentication
+ * Keeps the login token from POST /api/auth/login and sends it with API requests
+ */
+
+import { getApiUrl, getSseUrl } from './urlConfig';
+
+const TOKEN_STORAGE_KEY = 'authToken';
+const USER_STORAGE_KEY = 'authUser';
+
+export interface AuthUser {
+  id: number;
+  email: string;
+  name?: string | null;
+  role: 'viewer' | 'moderator' | 'admin';
+  tenantKey?: string | null;
+}
+
+/**
+ * Get the login token, if logged in
+ * @returns {string | null} Token or null
+ */
+export function getAuthToken(): string | null {
+  return localStorage.getItem(TOKEN_STORAGE_KEY);
+}
+
+/**
+ * Get the logged in user, if logged in
+ * @returns {AuthUser | null} User or null
+ */
+export function getAuthUser(): AuthUser | null {
+  const user = localStorage.getItem(USER_STORAGE_KEY);
+  return getAuthToken() && user ? JSON.parse(user) : null;
+}
+
+/**
+ * Log in with an email and password
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<AuthUser>} Logged in user
+ */
+export async function login(email: string, password: string): Promise<AuthUser> {
+  const response = await fetch(getApiUrl('/auth/login'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password })
+  });
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `HTTP error! status: ${response.status}`);
+  }
+
+  localStorage.setItem(TOKEN_STORAGE_KEY, result.data.token);
+  localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(result.data.user));
+  return result.data.user;
+}
+
+/**
+ * Forget the login token
+ */
+export function logout(): void {
+  localStorage.removeItem(TOKEN_STORAGE_KEY);
+  localStorage.removeItem(USER_STORAGE_KEY);
+}
+
+/**
+ * fetch() with the login token; an expired or revoked login returns to the login page
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - fetch options
+ * @returns {Promise<Response>} Response
+ */
+export async function authFetch(url: string, init: RequestInit = {}): Promise<Response> {
+  const headers = new Headers(init.headers);
+  const token = getAuthToken();
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+
+  const response = await fetch(url, { ...init, headers });
+  if (response.status === 401) {
+    logout();
+    window.location.assign('/login');
+  }
+  return response;
+}
+
+/**
+ * Get the SSE URL with the login token, as EventSource can't send headers
+ * (the backend takes a token from the URL on this route only)
+ * @returns {string} SSE endpoint URL
+ */
+export function getAuthenticatedSseUrl(): string {
+  const token = getAuthToken();
+  return token ? `${getSseUrl()}?access_token=${encodeURIComponent(token)}` : getSseUrl();
+}